@@ -0,0 +1,208 @@
+const express = require("express");
+const bodyParser = require("body-parser");
+const storage = require("./modules/storage");
+const pointMap = require("./modules/point-map");
+const { Simulation } = require("./modules/simulation");
+const { MqttBridge, PASSWORD_MASK } = require("./modules/mqtt-bridge");
+const { RegisterHistory } = require("./modules/register-history");
+const { apiNotFound, apiErrorHandler } = require("./routes/api-helpers");
+const { parseOptions, runCases, runChecks } = require("./tester-harness");
+
+// Checks the validation and the status codes of the HTTP API. The API routes are served in-process on the
+// storage module running in memory; the transports are stand-ins that only count their restarts, so no
+// emulator, data directory or Modbus port is needed.
+//
+// Usage: node api-tester.js [--verbose] [--port <web port>]
+const { verbose, port: PORT } = parseOptions(18081);
+
+const SLAVE_ID = 1;
+const REGISTER_COUNT = 500;
+// Setpoint register of the first indoor unit of the default layout
+const SETPOINT = 53;
+
+storage.initializeInMemory([{ id: SLAVE_ID, registerCount: REGISTER_COUNT }]);
+
+let restarts = 0;
+const transport = () => ({
+	start() {},
+	stop() {},
+	restart() {
+		restarts++;
+	},
+});
+const servers = { modbusTcp: transport(), modbusRtu: transport(), modbusRtuTcp: transport(), modbusUdp: transport(), bacnet: transport() };
+
+const app = express();
+app.use(bodyParser.json());
+app.use("/", require("./routes/points")(storage));
+app.use("/", require("./routes/api")(storage, servers, new Simulation(storage), new MqttBridge(storage), new RegisterHistory(storage)));
+app.use("/api", apiNotFound);
+app.use("/api", apiErrorHandler);
+
+/**
+ * Sends a request to the API.
+ *
+ * @param {string} method - HTTP method.
+ * @param {string} path - Path of the request.
+ * @param {*} [body] - JSON body, or a string sent as it is.
+ * @returns {Promise<{ status: number, body: * }>} - Status code and parsed JSON answer (null without one).
+ */
+async function request(method, path, body) {
+	const response = await fetch(`http://127.0.0.1:${PORT}${path}`, {
+		method,
+		headers: body === undefined ? {} : { "Content-Type": "application/json" },
+		body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+	});
+	const text = await response.text();
+	return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+// Whether every request is answered with its expected status code and a JSON error for 4xx
+const expectStatus = async (requests) => {
+	for (const [method, path, body, status] of requests) {
+		const response = await request(method, path, body);
+		if (response.status !== status || (status >= 400 && !(response.body && typeof response.body.error === "string"))) {
+			return false;
+		}
+	}
+	return true;
+};
+
+const cases = [
+	{
+		name: "Known slave is described",
+		async run() {
+			const { status, body } = await request("GET", `/api/slaves/${SLAVE_ID}`);
+			return status === 200 && body.id === SLAVE_ID && body.registerCount === REGISTER_COUNT;
+		},
+	},
+	{
+		name: "Slave IDs that are not integers are answered with 400",
+		run: () =>
+			expectStatus([
+				["GET", "/api/slaves/1abc", undefined, 400],
+				["GET", "/api/slaves/1.5", undefined, 400],
+				["GET", "/api/slaves/constructor", undefined, 400],
+				["GET", "/api/slaves/1abc/points", undefined, 400],
+				["PUT", "/api/slaves/1abc/points/2/setpoint", { value: 22 }, 400],
+			]),
+	},
+	{
+		name: "Unknown slaves are answered with 404",
+		run: () =>
+			expectStatus([
+				["GET", "/api/slaves/99", undefined, 404],
+				["GET", "/api/slaves/99/registers", undefined, 404],
+				["GET", "/api/slaves/99/points", undefined, 404],
+				["PUT", "/api/slaves/99/points/2/setpoint", { value: 22 }, 404],
+			]),
+	},
+	{
+		name: "Points are written in engineering units",
+		async run() {
+			const { status, body } = await request("PUT", `/api/slaves/${SLAVE_ID}/points/2/setpoint`, { value: 22.5 });
+			return status === 200 && body.value === 22.5 && storage.getSlaves()[SLAVE_ID].registers[SETPOINT] === 225;
+		},
+	},
+	{
+		name: "Invalid point writes are refused with 400 or 404",
+		async run() {
+			const ok = await expectStatus([
+				["PUT", `/api/slaves/${SLAVE_ID}/points/2/setpoint`, { value: 40 }, 400],
+				["PUT", `/api/slaves/${SLAVE_ID}/points/2/setpoint`, {}, 400],
+				["PUT", `/api/slaves/${SLAVE_ID}/points/2x/setpoint`, { value: 22 }, 400],
+				["PUT", `/api/slaves/${SLAVE_ID}/points/99/setpoint`, { value: 22 }, 404],
+				["PUT", `/api/slaves/${SLAVE_ID}/points/2/constructor`, { value: 22 }, 404],
+			]);
+			return ok && storage.getSlaves()[SLAVE_ID].registers[SETPOINT] === 225;
+		},
+	},
+	{
+		name: "Register writes are range checked",
+		run: () =>
+			expectStatus([
+				["PUT", `/api/slaves/${SLAVE_ID}/registers/10`, { value: 1234 }, 200],
+				["PUT", `/api/slaves/${SLAVE_ID}/registers/10`, { value: 70000 }, 400],
+				["PUT", `/api/slaves/${SLAVE_ID}/registers/${REGISTER_COUNT}`, { value: 1 }, 404],
+				["PUT", `/api/slaves/${SLAVE_ID}/coils`, { start: REGISTER_COUNT - 1, values: [1, 1] }, 400],
+				["GET", `/api/slaves/${SLAVE_ID}/registers?start=abc`, undefined, 400],
+			]),
+	},
+	{
+		name: "Bulk updates name the refused entry and write nothing",
+		async run() {
+			const registers = storage.getSlaves()[SLAVE_ID].registers;
+			const updates = (slaveId, table) => ({ updates: [{ slaveId: SLAVE_ID, start: 20, values: [5] }, { slaveId, table, start: 0, values: [1] }] });
+			const ok = await expectStatus([
+				["POST", "/api/slaves/bulk", updates("__proto__"), 400],
+				["POST", "/api/slaves/bulk", updates(99), 404],
+				["POST", "/api/slaves/bulk", updates(SLAVE_ID, "constructor"), 400],
+				["POST", "/api/slaves/bulk", { updates: [] }, 400],
+			]);
+			const { body } = await request("POST", "/api/slaves/bulk", updates(99));
+			return ok && registers[20] === 0 && /^updates\[1\]: /.test(body.error);
+		},
+	},
+	{
+		name: "Config updates with unknown or inherited sections are refused",
+		async run() {
+			const ok = await expectStatus([
+				["PUT", "/api/config", { toString: {} }, 400],
+				["PUT", "/api/config", { constructor: {} }, 400],
+				["PUT", "/api/config", { unknown: {} }, 400],
+				["PUT", "/api/config", { modbusTcp: { port: 0 } }, 400],
+				["PUT", "/api/config", [], 400],
+			]);
+			return ok && restarts === 0;
+		},
+	},
+	{
+		name: "Valid config updates are saved and restart the transports",
+		async run() {
+			const { status, body } = await request("PUT", "/api/config", { modbusUdp: { port: 15555 } });
+			return status === 200 && body.modbusUdp.port === 15555 && storage.getConfig().modbusUdp.port === 15555 && restarts > 0;
+		},
+	},
+	{
+		name: "The MQTT password is masked in the answers",
+		async run() {
+			const saved = await request("PUT", "/api/mqtt", { username: "emulator", password: "secret" });
+			const mqtt = await request("GET", "/api/mqtt");
+			const config = await request("GET", "/api/config");
+			return (
+				storage.getConfig().mqtt.password === "secret" &&
+				[saved.body, mqtt.body, config.body.mqtt].every((settings) => settings.username === "emulator" && settings.password === PASSWORD_MASK)
+			);
+		},
+	},
+	{
+		name: "Sending the mask back keeps the MQTT password, a new one replaces it",
+		async run() {
+			await request("PUT", "/api/mqtt", { password: PASSWORD_MASK, baseTopic: "emulator" });
+			const kept = storage.getConfig().mqtt.password === "secret" && storage.getConfig().mqtt.baseTopic === "emulator";
+			await request("PUT", "/api/mqtt", { password: "changed" });
+			const changed = storage.getConfig().mqtt.password === "changed";
+			const { body } = await request("PUT", "/api/mqtt", { password: "" });
+			return kept && changed && storage.getConfig().mqtt.password === "" && body.password === "";
+		},
+	},
+	{
+		name: "Malformed bodies and unknown paths get JSON errors",
+		run: () =>
+			expectStatus([
+				["PUT", "/api/config", "{not json", 400],
+				["GET", "/api/unknown", undefined, 404],
+			]),
+	},
+];
+
+runChecks(async (record) => {
+	await pointMap.load();
+	const server = await new Promise((resolve) => {
+		const listening = app.listen(PORT, "127.0.0.1", () => resolve(listening));
+	});
+
+	await runCases(cases, record);
+
+	server.close();
+}, verbose);
@@ -0,0 +1,411 @@
+const dgram = require("dgram");
+const storage = require("./modules/storage");
+const pointMap = require("./modules/point-map");
+const BacnetIP = require("./modules/bacnet-ip");
+const { SAMSUNG_RULES } = require("./modules/write-rules");
+const {
+	OBJECT_TYPES,
+	PROPERTIES,
+	ERROR_CODES,
+	encodeApplication,
+	contextUnsigned,
+	contextObjectId,
+	opening,
+	closing,
+	decodeTag,
+	decodeApplication,
+	decodeObjectId,
+	readUnsigned,
+} = require("./modules/bacnet-encoding");
+const { parseOptions, sleep, runCases, runChecks } = require("./tester-harness");
+
+// Checks the BACnet/IP server with raw BACnet requests over UDP. The storage module runs in memory with a
+// slave with the Samsung write rules, so no emulator or data directory is needed.
+//
+// Usage: node bacnet-tester.js [--verbose] [--port <BACnet/IP port>]
+const { verbose, port: PORT } = parseOptions(47809);
+
+const SLAVE_ID = 1;
+const REGISTER_COUNT = 500;
+const DEVICE = 1234;
+// Registers of the first indoor unit of the default layout
+const REGISTERS = { power: 50, mode: 51, setpoint: 53, roomTemperature: 54, operationStatus: 56 };
+// Objects of the first indoor unit (group 2): slave * 10000 + group * 100 + number in the group
+const OBJECTS = {
+	power: { type: OBJECT_TYPES.binaryValue, instance: 10200 },
+	mode: { type: OBJECT_TYPES.multiStateValue, instance: 10201 },
+	setpoint: { type: OBJECT_TYPES.analogValue, instance: 10203 },
+	roomTemperature: { type: OBJECT_TYPES.analogValue, instance: 10204 },
+	compressor: { type: OBJECT_TYPES.binaryValue, instance: 10206 },
+};
+const DEVICE_OBJECT = { type: OBJECT_TYPES.device, instance: DEVICE };
+
+storage.initializeInMemory([{ id: SLAVE_ID, registerCount: REGISTER_COUNT }]);
+storage.updateRules(SLAVE_ID, SAMSUNG_RULES);
+
+const server = new BacnetIP(storage);
+const registers = storage.slaves[SLAVE_ID].registers;
+
+let client = null;
+let invokeId = 0;
+// Answers of confirmed requests by invoke ID, and the unconfirmed requests received
+const pending = new Map();
+const unconfirmed = [];
+
+/**
+ * Sends an APDU in a BVLC original-unicast message with a local NPDU.
+ *
+ * @param {Buffer} apdu - The APDU to send.
+ */
+function send(apdu) {
+	const length = 6 + apdu.length;
+	client.send(Buffer.concat([Buffer.from([0x81, 0x0a, length >> 8, length & 0xff, 0x01, 0x04]), apdu]), PORT, "127.0.0.1");
+}
+
+/**
+ * Sends a confirmed request and waits for its answer.
+ *
+ * @param {number} service - Confirmed service choice.
+ * @param {Buffer} data - Service parameters.
+ * @param {number} maxApdu - Max APDU length accepted code of the request (5 = 1476 bytes).
+ * @returns {Promise<{ type: number, service: number, data: Buffer, reason: number }>} - Answer; type is the PDU type.
+ */
+function confirmed(service, data, maxApdu = 5) {
+	invokeId = (invokeId + 1) & 0xff;
+	const id = invokeId;
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			pending.delete(id);
+			reject(new Error(`No answer to service ${service}`));
+		}, 1000);
+		pending.set(id, (answer) => {
+			clearTimeout(timer);
+			resolve(answer);
+		});
+		send(Buffer.concat([Buffer.from([0x00, maxApdu, id, service]), data]));
+	});
+}
+
+function handleResponse(message) {
+	// BVLC (4 bytes) and NPDU (version, control)
+	const apdu = message.slice(6);
+	const type = apdu[0] >> 4;
+	if (type === 1) {
+		unconfirmed.push({ service: apdu[1], data: apdu.slice(2) });
+		return;
+	}
+	if (type === 0) {
+		// Confirmed COV notification, acknowledged
+		unconfirmed.push({ service: apdu[3], data: apdu.slice(4), confirmed: true });
+		send(Buffer.from([0x20, apdu[2], apdu[3]]));
+		return;
+	}
+	const resolve = pending.get(apdu[1]);
+	if (resolve) {
+		pending.delete(apdu[1]);
+		resolve({ type, service: type === 6 || type === 7 ? null : apdu[2], data: apdu.slice(3), reason: apdu[2] });
+	}
+}
+
+const readRequest = (object, propertyId, arrayIndex) =>
+	Buffer.concat([
+		contextObjectId(0, object.type, object.instance),
+		contextUnsigned(1, propertyId),
+		arrayIndex !== undefined ? contextUnsigned(2, arrayIndex) : Buffer.alloc(0),
+	]);
+
+/**
+ * Reads a property.
+ *
+ * @param {object} object - { type, instance } of the object.
+ * @param {number} propertyId - Property identifier.
+ * @param {number} arrayIndex - Optional array index.
+ * @returns {Promise<Array|object>} - Decoded application values, or { error: [class, code] } / { reject } / { abort }.
+ */
+async function readProperty(object, propertyId, arrayIndex) {
+	const answer = await confirmed(12, readRequest(object, propertyId, arrayIndex));
+	if (answer.type !== 3) return describeFailure(answer);
+
+	// Skip the object, property and array index up to the opening tag 3
+	let offset = 0;
+	for (;;) {
+		const tag = decodeTag(answer.data, offset);
+		offset = tag.next;
+		if (tag.opening && tag.number === 3) break;
+	}
+	return decodeValues(answer.data, offset);
+}
+
+// Application values up to the next closing tag
+function decodeValues(data, offset) {
+	const values = [];
+	while (!decodeTag(data, offset).closing) {
+		const value = decodeApplication(data, offset);
+		values.push(value.value);
+		offset = value.next;
+	}
+	return values;
+}
+
+function describeFailure(answer) {
+	if (answer.type === 5) {
+		return { error: [decodeApplication(answer.data, 0).value, decodeApplication(answer.data, decodeApplication(answer.data, 0).next).value] };
+	}
+	return answer.type === 6 ? { reject: answer.reason } : { abort: answer.reason };
+}
+
+/**
+ * Writes the present value of an object.
+ *
+ * @param {object} object - { type, instance } of the object.
+ * @param {object} value - Application value { type, value }.
+ * @returns {Promise<object>} - { ok: true }, or the failure of the request.
+ */
+async function writePresentValue(object, value) {
+	const data = Buffer.concat([
+		contextObjectId(0, object.type, object.instance),
+		contextUnsigned(1, PROPERTIES.presentValue),
+		opening(3),
+		encodeApplication(value),
+		closing(3),
+	]);
+	const answer = await confirmed(15, data);
+	return answer.type === 2 ? { ok: true } : describeFailure(answer);
+}
+
+const subscribe = (processId, object, lifetime) =>
+	confirmed(
+		5,
+		Buffer.concat([
+			contextUnsigned(0, processId),
+			contextObjectId(1, object.type, object.instance),
+			...(lifetime === undefined ? [] : [Buffer.from([0x29, 0x00]), contextUnsigned(3, lifetime)]),
+		])
+	);
+
+// Monitored object and present value of the COV notifications received so far, then forgets them
+function takeNotifications() {
+	const notifications = unconfirmed
+		.filter((message) => message.service === 2 || (message.confirmed && message.service === 1))
+		.map(({ data }) => {
+			let offset = 0;
+			let object = null;
+			for (;;) {
+				const tag = decodeTag(data, offset);
+				if (!tag.opening && tag.number === 2 && tag.context) object = decodeObjectId(tag.value);
+				offset = tag.next;
+				if (tag.opening && tag.number === 4) break;
+			}
+			// Property identifier 85, then the value in [2]
+			offset = decodeTag(data, offset).next;
+			offset = decodeTag(data, offset).next;
+			return { object, value: decodeApplication(data, offset).value };
+		});
+	unconfirmed.length = 0;
+	return notifications;
+}
+
+const whoIs = (range) => send(Buffer.concat([Buffer.from([0x10, 0x08]), range ? Buffer.concat([contextUnsigned(0, range[0]), contextUnsigned(1, range[1])]) : Buffer.alloc(0)]));
+
+const cases = [
+	{
+		name: "Who-Is is answered with I-Am",
+		async run() {
+			unconfirmed.length = 0;
+			whoIs();
+			await sleep(200);
+			const iAm = unconfirmed.find((message) => message.service === 0);
+			if (!iAm) return false;
+			const id = decodeApplication(iAm.data, 0);
+			const maxApdu = decodeApplication(iAm.data, id.next);
+			return id.value.type === OBJECT_TYPES.device && id.value.instance === DEVICE && maxApdu.value === 1476;
+		},
+	},
+	{
+		name: "Who-Is outside the device range is ignored",
+		async run() {
+			unconfirmed.length = 0;
+			whoIs([DEVICE + 1, DEVICE + 100]);
+			await sleep(200);
+			const ignored = unconfirmed.length === 0;
+			whoIs([DEVICE, DEVICE]);
+			await sleep(200);
+			return ignored && unconfirmed.length === 1;
+		},
+	},
+	{
+		name: "Device object name and wildcard instance",
+		async run() {
+			const [name] = await readProperty(DEVICE_OBJECT, PROPERTIES.objectName);
+			const [id] = await readProperty({ type: OBJECT_TYPES.device, instance: 0x3fffff }, PROPERTIES.objectIdentifier);
+			return name === "Tester device" && id.instance === DEVICE;
+		},
+	},
+	{
+		name: "Object list by index, too large for a small APDU",
+		async run() {
+			const [count] = await readProperty(DEVICE_OBJECT, PROPERTIES.objectList, 0);
+			const list = await readProperty(DEVICE_OBJECT, PROPERTIES.objectList);
+			const [first] = await readProperty(DEVICE_OBJECT, PROPERTIES.objectList, 1);
+			const small = await confirmed(12, readRequest(DEVICE_OBJECT, PROPERTIES.objectList), 0);
+			const listed = list.some((id) => id.type === OBJECTS.setpoint.type && id.instance === OBJECTS.setpoint.instance);
+			return count === list.length && count > 60 && first.type === OBJECT_TYPES.device && listed && small.type === 7 && small.reason === 4;
+		},
+	},
+	{
+		name: "Analog value reads the register in engineering units",
+		async run() {
+			storage.writeValues(SLAVE_ID, "registers", REGISTERS.roomTemperature, [215], "api");
+			const [value] = await readProperty(OBJECTS.roomTemperature, PROPERTIES.presentValue);
+			const [units] = await readProperty(OBJECTS.roomTemperature, PROPERTIES.units);
+			const [name] = await readProperty(OBJECTS.roomTemperature, PROPERTIES.objectName);
+			return Math.abs(value - 21.5) < 0.001 && units === 62 && name === "1/Beltéri 1/Helyiség hőmérséklet";
+		},
+	},
+	{
+		name: "Multi-state and bit objects",
+		async run() {
+			storage.writeValues(SLAVE_ID, "registers", REGISTERS.mode, [4], "api");
+			storage.writeValues(SLAVE_ID, "registers", REGISTERS.operationStatus, [0b101], "api");
+			const [mode] = await readProperty(OBJECTS.mode, PROPERTIES.presentValue);
+			const [text] = await readProperty(OBJECTS.mode, PROPERTIES.stateText, 5);
+			const [states] = await readProperty(OBJECTS.mode, PROPERTIES.numberOfStates);
+			const [compressor] = await readProperty(OBJECTS.compressor, PROPERTIES.presentValue);
+			return mode === 5 && text === "Fűtés" && states === 5 && compressor === 1;
+		},
+	},
+	{
+		name: "ReadPropertyMultiple with all properties and errors in the results",
+		async run() {
+			const data = Buffer.concat([
+				contextObjectId(0, OBJECTS.setpoint.type, OBJECTS.setpoint.instance),
+				opening(1),
+				contextUnsigned(0, PROPERTIES.all),
+				closing(1),
+				contextObjectId(0, OBJECTS.mode.type, OBJECTS.mode.instance),
+				opening(1),
+				contextUnsigned(0, PROPERTIES.units),
+				closing(1),
+			]);
+			const answer = await confirmed(14, data);
+			if (answer.type !== 3) return false;
+			// Property identifiers in [2] and error codes in [5]
+			const properties = [];
+			const errors = [];
+			let offset = 0;
+			while (offset < answer.data.length) {
+				const tag = decodeTag(answer.data, offset);
+				if (tag.context && tag.number === 2 && !tag.opening && !tag.closing) properties.push(readUnsigned(tag.value));
+				if (tag.opening && tag.number === 5) errors.push(decodeApplication(answer.data, decodeApplication(answer.data, tag.next).next).value);
+				offset = tag.next;
+			}
+			return properties.includes(PROPERTIES.units) && properties.includes(PROPERTIES.propertyList) && errors.length === 1 && errors[0] === ERROR_CODES.unknownProperty;
+		},
+	},
+	{
+		name: "WriteProperty writes the register",
+		async run() {
+			const result = await writePresentValue(OBJECTS.setpoint, { type: "real", value: 22.5 });
+			return result.ok && registers[REGISTERS.setpoint] === 225;
+		},
+	},
+	{
+		name: "Out of range values are refused",
+		async run() {
+			const result = await writePresentValue(OBJECTS.setpoint, { type: "real", value: 40 });
+			return result.error && result.error[1] === ERROR_CODES.valueOutOfRange && registers[REGISTERS.setpoint] === 225;
+		},
+	},
+	{
+		name: "Read-only points are refused like a Modbus write",
+		async run() {
+			const result = await writePresentValue(OBJECTS.roomTemperature, { type: "real", value: 30 });
+			return result.error && result.error[1] === ERROR_CODES.writeAccessDenied && registers[REGISTERS.roomTemperature] === 215;
+		},
+	},
+	{
+		name: "Wrong data types are refused",
+		async run() {
+			const result = await writePresentValue(OBJECTS.mode, { type: "characterString", value: "Hűtés" });
+			return result.error && result.error[1] === ERROR_CODES.invalidDataType;
+		},
+	},
+	{
+		name: "Multi-state and binary writes with the effects of the write rules",
+		async run() {
+			const mode = await writePresentValue(OBJECTS.mode, { type: "unsigned", value: 2 });
+			const power = await writePresentValue(OBJECTS.power, { type: "enumerated", value: 1 });
+			return mode.ok && power.ok && registers[REGISTERS.mode] === 1 && registers[REGISTERS.power] === 1 && registers[REGISTERS.power + 5] === 1;
+		},
+	},
+	{
+		name: "Unknown objects and properties",
+		async run() {
+			const object = await readProperty({ type: OBJECT_TYPES.analogValue, instance: 99999 }, PROPERTIES.presentValue);
+			const property = await readProperty(OBJECTS.setpoint, PROPERTIES.stateText);
+			return object.error && object.error[1] === ERROR_CODES.unknownObject && property.error && property.error[1] === ERROR_CODES.unknownProperty;
+		},
+	},
+	{
+		name: "Unsupported services are rejected",
+		async run() {
+			const answer = await confirmed(6, Buffer.alloc(0));
+			return answer.type === 6 && answer.reason === 9;
+		},
+	},
+	{
+		name: "COV subscription sends the current value, then changes",
+		async run() {
+			takeNotifications();
+			const ack = await subscribe(7, OBJECTS.roomTemperature, 60);
+			await sleep(100);
+			const initial = takeNotifications();
+			storage.writeValues(SLAVE_ID, "registers", REGISTERS.roomTemperature, [230], "simulation");
+			// Other registers do not notify
+			storage.writeValues(SLAVE_ID, "registers", REGISTERS.roomTemperature + 4, [1], "simulation");
+			await sleep(100);
+			const changes = takeNotifications();
+			return (
+				ack.type === 2 &&
+				initial.length === 1 &&
+				Math.abs(initial[0].value - 21.5) < 0.001 &&
+				changes.length === 1 &&
+				changes[0].object.instance === OBJECTS.roomTemperature.instance &&
+				Math.abs(changes[0].value - 23) < 0.001
+			);
+		},
+	},
+	{
+		name: "Cancelled COV subscriptions stop the notifications",
+		async run() {
+			const ack = await subscribe(7, OBJECTS.roomTemperature);
+			storage.writeValues(SLAVE_ID, "registers", REGISTERS.roomTemperature, [240], "simulation");
+			await sleep(100);
+			return ack.type === 2 && takeNotifications().length === 0 && server.getSubscriptionCount() === 0;
+		},
+	},
+	{
+		name: "Layout changes update the object list",
+		async run() {
+			const [before] = await readProperty(DEVICE_OBJECT, PROPERTIES.objectList, 0);
+			await storage.updateLayout(SLAVE_ID, { ...storage.slaves[SLAVE_ID].layout, indoorCount: 1 });
+			const [after] = await readProperty(DEVICE_OBJECT, PROPERTIES.objectList, 0);
+			const removed = await readProperty({ type: OBJECT_TYPES.analogValue, instance: 10303 }, PROPERTIES.presentValue);
+			return after < before && removed.error && removed.error[1] === ERROR_CODES.unknownObject;
+		},
+	},
+];
+
+runChecks(async (record) => {
+	await pointMap.load();
+	server.start({ port: PORT, deviceInstance: DEVICE, deviceName: "Tester device" });
+	client = dgram.createSocket("udp4");
+	client.on("message", handleResponse);
+	await new Promise((resolve) => client.bind(0, "127.0.0.1", resolve));
+	await sleep(100);
+
+	await runCases(cases, record);
+
+	server.stop();
+	client.close();
+}, verbose);
@@ -0,0 +1,294 @@
+const ModbusEngine = require("./modules/modbus-engine");
+const ModbusTCP = require("./modules/modbus-tcp");
+const ModbusRTU = require("./modules/modbus-rtu");
+const ModbusRtuOverTCP = require("./modules/modbus-rtu-tcp");
+const { parseOptions, createMemoryStorage, runCases, runChecks } = require("./tester-harness");
+
+// Checks every supported function code against the Modbus application protocol specification
+// on the PDU, Modbus TCP ADU and RTU ADU level. Runs in-process against an in-memory slave set,
+// no emulator, serial port or network connection is needed.
+//
+// Usage: node conformance-tester.js [--verbose]
+const { verbose } = parseOptions();
+const SLAVE_IDS = [1, 2];
+const REGISTER_COUNT = 500;
+const IDENTIFICATION = ["Samsung", "MIM-B19N", "1.0", "https://www.samsung.com", "Modbus Interface", "MIM-B19N", "Emulator"];
+
+// In-memory slaves, reset before every check
+const storage = createMemoryStorage({
+	slaveIds: SLAVE_IDS,
+	registerCount: REGISTER_COUNT,
+	identification: IDENTIFICATION,
+	fill(slave) {
+		[1, 0, 1, 1, 0, 0, 1, 1, 1, 0].forEach((bit, i) => (slave.coils[i] = bit));
+		[0, 1, 0, 1].forEach((bit, i) => (slave.discreteInputs[i] = bit));
+		[0x000a, 0x0102, 0x0000, 0xffff, 0x0012].forEach((value, i) => (slave.registers[i] = value));
+		[0x1234, 0x5678].forEach((value, i) => (slave.inputRegisters[i] = value));
+	},
+});
+
+const hex = (text) => Buffer.from(text.replace(/\s+/g, ""), "hex");
+
+/**
+ * Encodes a Read Device Identification object as ID + length + value.
+ *
+ * @param {number} id - The object ID.
+ * @returns {string} - The object in hex.
+ */
+const object = (id) => Buffer.concat([Buffer.from([id, IDENTIFICATION[id].length]), Buffer.from(IDENTIFICATION[id])]).toString("hex");
+
+// Request PDU -> expected response PDU for slave 1, with an optional check of the resulting data
+const pduCases = [
+	// 0x01 Read Coils
+	{ name: "0x01 read 10 coils", request: "01 0000 000a", response: "01 02 cd 01" },
+	{ name: "0x01 quantity 0", request: "01 0000 0000", response: "81 03" },
+	{ name: "0x01 quantity 2001", request: "01 0000 07d1", response: "81 03" },
+	{ name: "0x01 range past the table", request: "01 01f0 0011", response: "81 02" },
+	{ name: "0x01 short PDU", request: "01 0000", response: "81 03" },
+	// 0x02 Read Discrete Inputs
+	{ name: "0x02 read 4 inputs", request: "02 0000 0004", response: "02 01 0a" },
+	{ name: "0x02 range past the table", request: "02 01f3 0002", response: "82 02" },
+	// 0x03 Read Holding Registers
+	{ name: "0x03 read 4 registers", request: "03 0000 0004", response: "03 08 000a 0102 0000 ffff" },
+	{ name: "0x03 read last register", request: "03 01f3 0001", response: "03 02 0000" },
+	{ name: "0x03 quantity 126", request: "03 0000 007e", response: "83 03" },
+	{ name: "0x03 range past the table", request: "03 01f3 0002", response: "83 02" },
+	// 0x04 Read Input Registers
+	{ name: "0x04 read 2 registers", request: "04 0000 0002", response: "04 04 1234 5678" },
+	{ name: "0x04 quantity 0", request: "04 0000 0000", response: "84 03" },
+	// 0x05 Write Single Coil
+	{ name: "0x05 coil on", request: "05 0005 ff00", response: "05 0005 ff00", check: (s) => s[1].coils[5] === 1 },
+	{ name: "0x05 coil off", request: "05 0000 0000", response: "05 0000 0000", check: (s) => s[1].coils[0] === 0 },
+	{ name: "0x05 invalid value", request: "05 0005 1234", response: "85 03", check: (s) => s[1].coils[5] === 0 },
+	{ name: "0x05 address past the table", request: "05 01f4 ff00", response: "85 02" },
+	// 0x06 Write Single Register
+	{ name: "0x06 write register", request: "06 0001 0003", response: "06 0001 0003", check: (s) => s[1].registers[1] === 3 },
+	{ name: "0x06 address past the table", request: "06 01f4 0001", response: "86 02" },
+	// 0x0F Write Multiple Coils
+	{
+		name: "0x0F write 10 coils",
+		request: "0f 0014 000a 02 cd 01",
+		response: "0f 0014 000a",
+		check: (s) => s[1].coils.slice(20, 30).join("") === "1011001110",
+	},
+	{ name: "0x0F byte count mismatch", request: "0f 0014 000a 01 cd", response: "8f 03" },
+	{ name: "0x0F quantity 1969", request: "0f 0000 07b1 f7" + "00".repeat(247), response: "8f 03" },
+	{ name: "0x0F range past the table", request: "0f 01f0 0010 02 ffff", response: "8f 02", check: (s) => s[1].coils[496] === 0 },
+	// 0x10 Write Multiple Registers
+	{
+		name: "0x10 write 2 registers",
+		request: "10 0001 0002 04 000b 000c",
+		response: "10 0001 0002",
+		check: (s) => s[1].registers[1] === 0x0b && s[1].registers[2] === 0x0c,
+	},
+	{ name: "0x10 byte count mismatch", request: "10 0001 0002 02 000b", response: "90 03" },
+	{ name: "0x10 quantity 124", request: "10 0000 007c f8" + "00".repeat(248), response: "90 03" },
+	{ name: "0x10 range past the table", request: "10 01f3 0002 04 0001 0002", response: "90 02", check: (s) => s[1].registers[499] === 0 },
+	// 0x16 Mask Write Register (example from the specification)
+	{ name: "0x16 mask write", request: "16 0004 00f2 0025", response: "16 0004 00f2 0025", check: (s) => s[1].registers[4] === 0x17 },
+	{ name: "0x16 address past the table", request: "16 01f4 00f2 0025", response: "96 02" },
+	{ name: "0x16 short PDU", request: "16 0004 00f2", response: "96 03" },
+	// 0x17 Read/Write Multiple Registers
+	{
+		name: "0x17 write then read",
+		request: "17 0000 0003 0002 0001 02 00ff",
+		response: "17 06 000a 0102 00ff",
+		check: (s) => s[1].registers[2] === 0xff,
+	},
+	{ name: "0x17 read quantity 126", request: "17 0000 007e 0002 0001 02 00ff", response: "97 03" },
+	{ name: "0x17 write byte count mismatch", request: "17 0000 0001 0002 0002 02 00ff", response: "97 03" },
+	{ name: "0x17 write range past the table", request: "17 0000 0001 01f3 0002 04 0001 0002", response: "97 02" },
+	// 0x2B / 0x0E Read Device Identification
+	{
+		name: "0x2B basic identification",
+		request: "2b 0e 01 00",
+		response: `2b 0e 01 82 00 00 03 ${object(0)} ${object(1)} ${object(2)}`,
+	},
+	{
+		name: "0x2B regular identification",
+		request: "2b 0e 02 00",
+		response: `2b 0e 02 82 00 00 07 ${[0, 1, 2, 3, 4, 5, 6].map(object).join("")}`,
+	},
+	{ name: "0x2B stream from unknown object restarts", request: "2b 0e 01 05", response: `2b 0e 01 82 00 00 03 ${object(0)} ${object(1)} ${object(2)}` },
+	{ name: "0x2B individual object", request: "2b 0e 04 05", response: `2b 0e 04 82 00 00 01 ${object(5)}` },
+	{ name: "0x2B individual unknown object", request: "2b 0e 04 09", response: "ab 02" },
+	{ name: "0x2B invalid read device ID code", request: "2b 0e 05 00", response: "ab 03" },
+	{ name: "0x2B unsupported MEI type", request: "2b 0d 01 00", response: "ab 01" },
+	// Unsupported function codes
+	{ name: "0x07 unsupported", request: "07", response: "87 01" },
+	{ name: "0x2A unsupported", request: "2a 0000", response: "aa 01" },
+];
+
+const engine = new ModbusEngine(storage);
+const tcp = new ModbusTCP(storage);
+const rtu = new ModbusRTU(storage);
+const rtuOverTcp = new ModbusRtuOverTCP(storage);
+
+/**
+ * Wraps a PDU into a Modbus TCP ADU.
+ *
+ * @param {number} transactionId - MBAP transaction identifier.
+ * @param {number} unitId - The unit ID.
+ * @param {Buffer} pdu - The PDU.
+ * @returns {Buffer} - The MBAP frame.
+ */
+function mbap(transactionId, unitId, pdu) {
+	const header = Buffer.alloc(7);
+	header.writeUInt16BE(transactionId, 0);
+	header.writeUInt16BE(0, 2);
+	header.writeUInt16BE(pdu.length + 1, 4);
+	header.writeUInt8(unitId, 6);
+	return Buffer.concat([header, pdu]);
+}
+
+// Transport level cases, each returns true when the behaviour matches the specification
+const transportCases = [
+	{
+		name: "TCP unknown unit ID answers 0x0B",
+		run: () => tcp.processRequest(mbap(7, 9, hex("03 0000 0001"))).equals(hex("0007 0000 0003 09 83 0b")),
+	},
+	{
+		name: "TCP non-zero protocol ID is not answered",
+		run: () => {
+			const frame = mbap(1, 1, hex("03 0000 0001"));
+			frame.writeUInt16BE(1, 2);
+			return tcp.processRequest(frame) === null;
+		},
+	},
+	{
+		name: "TCP transaction ID is echoed",
+		run: () => tcp.processRequest(mbap(0xbeef, 1, hex("03 0000 0001"))).readUInt16BE(0) === 0xbeef,
+	},
+	{
+		name: "TCP fragmented stream is reassembled",
+		run: () => {
+			const frame = mbap(1, 1, hex("03 0000 0001"));
+			const first = tcp.splitFrames(frame.slice(0, 9));
+			const second = tcp.splitFrames(Buffer.concat([first.rest, frame.slice(9)]));
+			return first.frames.length === 0 && second.frames.length === 1 && second.frames[0].equals(frame);
+		},
+	},
+	{
+		name: "TCP pipelined frames are split in order",
+		run: () => {
+			const stream = Buffer.concat([1, 2, 3].map((id) => mbap(id, 1, hex("03 0000 0001"))));
+			const { frames, rest } = tcp.splitFrames(stream.slice(0, 30));
+			return frames.map((f) => f.readUInt16BE(0)).join() === "1,2" && rest.length === 6;
+		},
+	},
+	{
+		name: "TCP oversized MBAP length is rejected",
+		run: () => {
+			const frame = mbap(1, 1, hex("03 0000 0001"));
+			frame.writeUInt16BE(255, 4);
+			return tcp.splitFrames(frame).error !== null;
+		},
+	},
+	{
+		name: "RTU bad CRC is not answered",
+		run: () => {
+			const frame = rtu.appendCRC(hex("01 03 0000 0001"));
+			frame[frame.length - 1] ^= 0xff;
+			return rtu.processRequest(frame) === null;
+		},
+	},
+	{
+		name: "RTU unknown slave is not answered on the serial line",
+		run: () => rtu.processRequest(rtu.appendCRC(hex("09 03 0000 0001"))) === null,
+	},
+	{
+		name: "RTU over TCP unknown slave answers 0x0B",
+		run: () => rtuOverTcp.processRequest(rtu.appendCRC(hex("09 03 0000 0001"))).equals(rtu.appendCRC(hex("09 83 0b"))),
+	},
+	{
+		name: "RTU broadcast write reaches every slave without reply",
+		run: () =>
+			rtu.processRequest(rtu.appendCRC(hex("00 06 0008 0042"))) === null &&
+			SLAVE_IDS.every((slaveId) => storage.slaves[slaveId].registers[8] === 0x42),
+	},
+	{
+		name: "RTU broadcast read is ignored",
+		run: () => rtu.processRequest(rtu.appendCRC(hex("00 03 0000 0001"))) === null,
+	},
+	{
+		name: "RTU back-to-back frames are split",
+		run: () => {
+			const first = rtu.appendCRC(hex("01 03 0000 0001"));
+			const second = rtu.appendCRC(hex("01 10 0000 0001 02 0001"));
+			const { frames, rest } = rtu.splitFrames(Buffer.concat([first, second, first.slice(0, 3)]));
+			return frames.length === 2 && frames[0].equals(first) && frames[1].equals(second) && rest.length === 3;
+		},
+	},
+	{
+		name: "RTU unknown function code ends at its CRC, the next frame is kept",
+		run: () => {
+			const unknown = rtu.appendCRC(hex("01 41 0102 0304"));
+			const next = rtu.appendCRC(hex("01 03 0000 0001"));
+			const { frames, rest } = rtu.splitFrames(Buffer.concat([unknown, next]));
+			return frames.length === 2 && frames[0].equals(unknown) && frames[1].equals(next) && rest.length === 0;
+		},
+	},
+	{
+		name: "RTU unknown function code in transit waits for its CRC",
+		run: () => {
+			const unknown = rtu.appendCRC(hex("01 41 0102 0304"));
+			const next = rtu.appendCRC(hex("01 03 0000 0001"));
+			const first = rtu.splitFrames(unknown.slice(0, 5));
+			const second = rtu.splitFrames(Buffer.concat([first.rest, unknown.slice(5), next]));
+			return first.frames.length === 0 && first.rest.length === 5 && second.frames.length === 2 && second.frames[1].equals(next);
+		},
+	},
+	{
+		name: "RTU noise before pipelined frames is skipped",
+		run: () => {
+			const reads = [0, 1, 2].map((address) => rtu.appendCRC(Buffer.concat([hex("01 03"), Buffer.from([0, address]), hex("0001")])));
+			return [hex("ff ff ff"), hex("01 03 00")].every((noise) => {
+				const { frames, rest } = rtu.splitFrames(Buffer.concat([noise, ...reads]));
+				return frames.length === 3 && frames.every((frame, i) => frame.equals(reads[i])) && rest.length === 0;
+			});
+		},
+	},
+	{
+		name: "RTU t3.5 at 9600 8N1 is 3.5 character times",
+		run: () => Math.abs(rtu.getFrameTimings({ baudRate: 9600, dataBits: 8, parity: "none", stopBits: 1 }).t35 - 3.6458) < 0.001,
+	},
+	{
+		name: "RTU t1.5/t3.5 are fixed above 19200 baud",
+		run: () => {
+			const timings = rtu.getFrameTimings({ baudRate: 115200 });
+			return timings.t15 === 0.75 && timings.t35 === 1.75;
+		},
+	},
+];
+
+// Every PDU case on the PDU, Modbus TCP ADU and RTU ADU level
+function checkPdus(record) {
+	pduCases.forEach((testCase) => {
+		const request = hex(testCase.request);
+		const expected = hex(testCase.response);
+
+		// PDU level
+		storage.reset();
+		let actual = engine.processPDU(1, request);
+		record(`PDU ${testCase.name}`, actual.equals(expected) && (!testCase.check || testCase.check(storage.slaves)), actual.toString("hex"));
+
+		// Modbus TCP ADU level
+		storage.reset();
+		const tcpResponse = tcp.processRequest(mbap(0x1234, 1, request));
+		actual = tcpResponse ? tcpResponse.slice(7) : Buffer.alloc(0);
+		const tcpHeaderOk = tcpResponse && tcpResponse.readUInt16BE(0) === 0x1234 && tcpResponse.readUInt16BE(4) === expected.length + 1;
+		record(`TCP ${testCase.name}`, tcpHeaderOk && actual.equals(expected) && (!testCase.check || testCase.check(storage.slaves)), actual.toString("hex"));
+
+		// RTU ADU level
+		storage.reset();
+		const rtuResponse = rtu.processRequest(rtu.appendCRC(Buffer.concat([Buffer.from([1]), request])));
+		const rtuOk = rtuResponse && rtu.verifyCRC(rtuResponse) && rtuResponse.equals(rtu.appendCRC(Buffer.concat([Buffer.from([1]), expected])));
+		record(`RTU ${testCase.name}`, rtuOk && (!testCase.check || testCase.check(storage.slaves)), rtuResponse && rtuResponse.toString("hex"));
+	});
+}
+
+runChecks(async (record) => {
+	checkPdus(record);
+	// Every transport case starts from the initial tables
+	await runCases(transportCases, record, () => storage.reset());
+}, verbose);
@@ -0,0 +1,179 @@
+const storage = require("./modules/storage");
+const pointMap = require("./modules/point-map");
+const { RegisterHistory, DEFAULT_HISTORY, parseHistorySettings, parseHistoryQuery } = require("./modules/register-history");
+const { parseOptions, runCases, runChecks } = require("./tester-harness");
+
+// Checks the register history on the storage module running in memory: what is recorded, the retention
+// limits, the trends and the CSV export. Changes in the past are made by moving Date.now() back.
+//
+// Usage: node history-tester.js [--verbose]
+const { verbose } = parseOptions();
+
+const SLAVE_ID = 1;
+const REGISTER_COUNT = 500;
+// Setpoint register of the first indoor unit of the default layout
+const SETPOINT = 53;
+
+const history = new RegisterHistory(storage);
+const slave = () => storage.getSlaves()[SLAVE_ID];
+
+const write = (address, value, source = "api", table = "registers") => storage.writeValues(SLAVE_ID, table, address, [value], source);
+
+// Runs `action` as if it were `minutes` ago
+const minutesAgo = (minutes, action) => {
+	const now = Date.now;
+	Date.now = () => now() - minutes * 60000;
+	try {
+		action();
+	} finally {
+		Date.now = now;
+	}
+};
+
+const cases = [
+	{
+		name: "Changed values are recorded with their writer",
+		run() {
+			storage.writeWithRules(SLAVE_ID, "registers", SETPOINT, [225, 0], "modbus", "tcp");
+			// Unchanged values are not recorded
+			write(SETPOINT, 225);
+			storage.writeValues(SLAVE_ID, "coils", 0, [1, 0], "scenario");
+
+			const entries = history.getEntries(SLAVE_ID);
+			const [setpoint, coil] = entries;
+			return (
+				entries.length === 2 &&
+				setpoint.table === "registers" &&
+				setpoint.address === SETPOINT &&
+				setpoint.value === 225 &&
+				setpoint.previous === 0 &&
+				setpoint.source === "modbus" &&
+				setpoint.transport === "tcp" &&
+				coil.table === "coils" &&
+				coil.address === 0 &&
+				coil.source === "scenario" &&
+				coil.transport === null &&
+				history.getEntries(SLAVE_ID, { table: "coils" }).length === 1
+			);
+		},
+	},
+	{
+		name: "A disabled history records nothing and clear() empties it",
+		run() {
+			write(1, 1);
+			history.configure({ ...DEFAULT_HISTORY, enabled: false });
+			write(2, 1);
+			const disabled = history.getStatus().count === 1;
+			history.configure(DEFAULT_HISTORY);
+			history.clear();
+			return disabled && history.getStatus().count === 0 && history.getStatus().oldest === null;
+		},
+	},
+	{
+		name: "The oldest changes beyond maxEntries are dropped",
+		run() {
+			history.configure({ ...DEFAULT_HISTORY, maxEntries: 3 });
+			for (let value = 1; value <= 5; value++) {
+				write(10, value);
+			}
+			const few = history.getEntries(SLAVE_ID).map((entry) => entry.value).join() === "3,4,5";
+
+			// Beyond the compaction of the dropped entries
+			history.configure({ ...DEFAULT_HISTORY, maxEntries: 10 });
+			for (let value = 1; value <= 3000; value++) {
+				write(11, value);
+			}
+			const values = history.getEntries(SLAVE_ID).map((entry) => entry.value);
+			return few && history.getStatus().count === 10 && values[0] === 2991 && values[9] === 3000 && history.entries.length < 2000;
+		},
+	},
+	{
+		name: "Changes older than maxAge are dropped",
+		run() {
+			history.configure({ ...DEFAULT_HISTORY, maxAge: 60 });
+			minutesAgo(90, () => write(12, 1));
+			minutesAgo(30, () => write(12, 2));
+			write(12, 3);
+			const values = history.getEntries(SLAVE_ID).map((entry) => entry.value).join();
+
+			// Shorter limits apply at once
+			history.configure({ ...DEFAULT_HISTORY, maxAge: 10 });
+			return values === "2,3" && history.getEntries(SLAVE_ID).map((entry) => entry.value).join() === "3";
+		},
+	},
+	{
+		name: "Trends start from the value at the start of the window",
+		run() {
+			minutesAgo(10, () => write(SETPOINT, 210));
+			write(SETPOINT, 220, "modbus");
+			write(SETPOINT, 230, "mqtt");
+
+			const window = (query) => history.getTrend(SLAVE_ID, parseHistoryQuery(query, slave()).filter);
+			const [setpoint, other] = window({ minutes: "5", addresses: "53,60" }).series;
+			const changed = window({ minutes: "5", addresses: "53,60", changedOnly: "true" }).series;
+			// A window in the past ends with the value before the next change
+			const from = new Date(Date.now() - 20 * 60000).toISOString();
+			const to = new Date(Date.now() - 5 * 60000).toISOString();
+			const [past] = window({ from, to, addresses: "53" }).series;
+			return (
+				setpoint.initial === 210 &&
+				setpoint.current === 230 &&
+				setpoint.changes.map((change) => `${change.value}:${change.source}`).join() === "220:modbus,230:mqtt" &&
+				setpoint.name === "Beltéri 1 - Beállított hőmérséklet" &&
+				setpoint.point.key === "setpoint" &&
+				other.address === 60 &&
+				other.changes.length === 0 &&
+				other.initial === 0 &&
+				changed.length === 1 &&
+				past.initial === 0 &&
+				past.current === 210 &&
+				past.changes.length === 1
+			);
+		},
+	},
+	{
+		name: "History queries and settings are validated",
+		run() {
+			const parse = (query) => parseHistoryQuery(query, slave());
+			return (
+				parse({ addresses: "53,60-62,53" }).filter.addresses.join() === "53,60,61,62" &&
+				parse({}).filter.table === "registers" &&
+				/^Invalid address or range "5-3"/.test(parse({ addresses: "5-3" }).error) &&
+				/^Invalid address or range "500"/.test(parse({ addresses: "500" }).error) &&
+				/^table/.test(parse({ table: "constructor" }).error) &&
+				/^from and to/.test(parse({ from: "2024-01-02", to: "2024-01-01" }).error) &&
+				/^minutes/.test(parse({ minutes: "0" }).error) &&
+				/^maxEntries/.test(parseHistorySettings({ maxEntries: "0" }).error) &&
+				/^enabled/.test(parseHistorySettings({ enabled: "yes" }).error) &&
+				parseHistorySettings({}, DEFAULT_HISTORY, true).settings.enabled === false
+			);
+		},
+	},
+	{
+		name: "CSV export names the registers and quotes them when needed",
+		run() {
+			slave().layout = { ...slave().layout, titles: ["Iroda, 1. emelet"] };
+			storage.writeWithRules(SLAVE_ID, "registers", SETPOINT, [215], "modbus", "rtu");
+			write(5, 1, "web", "coils");
+
+			const lines = history.toCSV(slave(), history.getEntries(SLAVE_ID)).split("\n");
+			const [setpoint, coil] = lines.slice(1).map((line) => line.split(",").slice(1).join());
+			return (
+				lines[0] === "time,slaveId,table,address,name,previous,value,source,transport" &&
+				setpoint === `1,registers,${SETPOINT},"Iroda, 1. emelet - Beállított hőmérséklet",0,215,modbus,rtu` &&
+				coil === "1,coils,5,,0,1,web," &&
+				lines[3] === ""
+			);
+		},
+	},
+];
+
+runChecks(async (record) => {
+	await pointMap.load();
+	// A fresh slave and history for every case
+	await runCases(cases, record, () => {
+		storage.initializeInMemory([{ id: SLAVE_ID, registerCount: REGISTER_COUNT }]);
+		history.configure(DEFAULT_HISTORY);
+		history.clear();
+	});
+}, verbose);
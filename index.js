@@ -1,56 +1,169 @@
+#!/usr/bin/env node
 const express = require("express");
 const bodyParser = require("body-parser");
 const path = require("path");
+const fs = require("fs").promises;
 
 const storage = require("./modules/storage");
+const pointMap = require("./modules/point-map");
 const ModbusTCP = require("./modules/modbus-tcp");
 const ModbusRTU = require("./modules/modbus-rtu");
+const ModbusRtuOverTCP = require("./modules/modbus-rtu-tcp");
+const ModbusUDP = require("./modules/modbus-udp");
+const BacnetIP = require("./modules/bacnet-ip");
+const { startServers } = require("./modules/servers");
+const { Simulation } = require("./modules/simulation");
+const { ScenarioRunner } = require("./modules/scenario-runner");
+const { modbusProxy } = require("./modules/modbus-proxy");
+const { MqttBridge } = require("./modules/mqtt-bridge");
+const { RegisterHistory } = require("./modules/register-history");
+const { parseProfile, applyProfile } = require("./modules/profiles");
+const { parseArguments, getUsage } = require("./modules/cli");
+const { setPaths, dataPath, configPath } = require("./modules/paths");
+const { apiNotFound, apiErrorHandler } = require("./routes/api-helpers");
 
-const SLAVE_IDS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
-const REGISTER_COUNT = 500;
+const { options, error } = parseArguments(process.argv.slice(2), process.env);
+if (error) {
+	console.error(`${error}\n\n${getUsage()}`);
+	process.exit(2);
+}
+if (options.help) {
+	console.log(getUsage());
+	process.exit(0);
+}
+setPaths(options.paths);
 
 // Initialize modules
 const modbusTcp = new ModbusTCP(storage);
 const modbusRtu = new ModbusRTU(storage);
+const modbusRtuTcp = new ModbusRtuOverTCP(storage);
+const modbusUdp = new ModbusUDP(storage);
+const bacnet = new BacnetIP(storage);
+const servers = { modbusTcp, modbusRtu, modbusRtuTcp, modbusUdp, bacnet };
+const simulation = new Simulation(storage);
+const scenarios = new ScenarioRunner(storage);
+const mqttBridge = new MqttBridge(storage);
+const history = new RegisterHistory(storage);
+
+// Loads the register profiles given on the command line, a profile that cannot be loaded stops the startup
+async function loadProfiles(profiles) {
+	for (const { slaveId, file } of profiles) {
+		const slave = storage.getSlaves()[slaveId];
+		if (!slave) {
+			throw new Error(`Profile ${file}: slave ${slaveId} not found`);
+		}
+		const { profile, error } = parseProfile(await fs.readFile(file, "utf8"), slave.registers.length);
+		if (error) {
+			throw new Error(`Profile ${file}: ${error}`);
+		}
+		const written = applyProfile(storage, slaveId, profile, "cli");
+		console.log(`Loaded profile ${file} into slave ${slaveId} (${written} values)`);
+	}
+	if (profiles.length > 0) {
+		await storage.saveSlaves();
+	}
+}
+
+// The config file merged with the command line, and the settings that only come from the command line
+async function printConfig() {
+	storage.setOverrides(options.config);
+	const { config } = await storage.readConfig();
+	const effective = { web: options.web, dataDir: dataPath(), configFile: configPath(), ...storage.withOverrides(config) };
+	console.log(JSON.stringify(effective, null, 2));
+}
 
 async function startServer() {
-	// Initialize storage
-	await storage.initialize(SLAVE_IDS, REGISTER_COUNT);
+	// Initialize storage, the command line wins over the config file
+	storage.setOverrides(options.config);
+	await storage.initialize();
+	await pointMap.load();
+	await loadProfiles(options.profiles);
 	const config = storage.getConfig();
 
-	// Start Modbus servers based on config
-	if (config.modbusTcp.enabled) {
-		modbusTcp.start(config.modbusTcp.port);
+	// Start Modbus and BACnet servers based on config
+	history.configure(config.history);
+	modbusProxy.configure(config.proxy);
+	startServers(servers, config);
+	simulation.start();
+	mqttBridge.configure(config.mqtt);
+	if (options.scenario) {
+		await scenarios.start(options.scenario);
 	}
 
-	if (config.modbusRtu.enabled) {
-		modbusRtu.start(config.modbusRtu);
+	if (!options.web.enabled) {
+		console.log("Web interface disabled, running headless");
+		return;
 	}
 
 	// Setup Express web server
 	const app = express();
 	app.use(bodyParser.urlencoded({ extended: false }));
+	app.use(bodyParser.json());
 	app.use(express.static(path.join(__dirname, "public")));
 	app.set("view engine", "ejs");
 	app.set("views", path.join(__dirname, "views"));
 
 	// Setup routes
-	const indexRoute = require("./routes/index")(SLAVE_IDS);
-	const slaveRoute = require("./routes/slave")(storage, SLAVE_IDS);
-	const configRoute = require("./routes/config")(storage, modbusTcp, modbusRtu, SLAVE_IDS);
+	const indexRoute = require("./routes/index")(storage);
+	const slaveRoute = require("./routes/slave")(storage, simulation, history);
+	const pointsRoute = require("./routes/points")(storage);
+	const configRoute = require("./routes/config")(storage, servers, simulation, mqttBridge, history);
+	const trafficRoute = require("./routes/traffic")(storage);
+	const scenariosRoute = require("./routes/scenarios")(storage, scenarios);
+	const proxyRoute = require("./routes/proxy")(storage, scenarios);
+	const snapshotsRoute = require("./routes/snapshots")(storage);
+	const apiRoute = require("./routes/api")(storage, servers, simulation, mqttBridge, history);
 
 	app.use("/", indexRoute);
 	app.use("/", slaveRoute);
 	app.use("/", configRoute);
+	app.use("/", pointsRoute);
+	app.use("/", trafficRoute);
+	app.use("/", scenariosRoute);
+	app.use("/", proxyRoute);
+	app.use("/", snapshotsRoute);
+	app.use("/", apiRoute);
+
+	// JSON errors for the API, including malformed request bodies
+	app.use("/api", apiNotFound);
+	app.use("/api", apiErrorHandler);
 
-	const WEB_PORT = 3000;
-	app.listen(WEB_PORT, () => {
-		console.log(`Web server is listening on port ${WEB_PORT}`);
-		console.log(`Access the interface at http://localhost:${WEB_PORT}`);
+	const { port, host } = options.web;
+	const server = app.listen(port, host || undefined, () => {
+		console.log(`Web server is listening on port ${port}${host ? ` of ${host}` : ""}`);
+		console.log(`Access the interface at http://${host || "localhost"}:${port}`);
+	});
+	server.on("error", (err) => {
+		console.error(`Web server error: ${err.message}`);
+		process.exit(1);
 	});
 }
 
-startServer().catch((err) => {
-	console.error("Failed to start server:", err);
-	process.exit(1);
-});
+// Pending register changes are written before exiting
+let shuttingDown = false;
+async function shutdown(signal) {
+	if (shuttingDown) return;
+	shuttingDown = true;
+	console.log(`Received ${signal}, saving data and exiting`);
+	mqttBridge.disconnect();
+	// Removes the link of a virtual serial port
+	modbusRtu.stop();
+	await storage.flush();
+	process.exit(0);
+}
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+if (options.printConfig) {
+	printConfig()
+		.then(() => process.exit(0))
+		.catch((err) => {
+			console.error("Failed to read the configuration:", err);
+			process.exit(1);
+		});
+} else {
+	startServer().catch((err) => {
+		console.error("Failed to start server:", err);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,271 @@
+// BACnet constants and the tag encoding of ASHRAE 135 used by the BACnet/IP server. Only what the
+// server needs is covered: application and context tags of primitive values, opening and closing tags.
+
+const OBJECT_TYPES = { analogValue: 2, binaryValue: 5, device: 8, multiStateValue: 19 };
+
+const PROPERTIES = {
+	activeText: 4,
+	all: 8,
+	apduTimeout: 11,
+	applicationSoftwareVersion: 12,
+	description: 28,
+	deviceAddressBinding: 30,
+	eventState: 36,
+	firmwareRevision: 44,
+	inactiveText: 46,
+	maxApduLengthAccepted: 62,
+	modelName: 70,
+	numberOfApduRetries: 73,
+	numberOfStates: 74,
+	objectIdentifier: 75,
+	objectList: 76,
+	objectName: 77,
+	objectType: 79,
+	optional: 80,
+	outOfService: 81,
+	presentValue: 85,
+	protocolObjectTypesSupported: 96,
+	protocolServicesSupported: 97,
+	protocolVersion: 98,
+	required: 105,
+	segmentationSupported: 107,
+	stateText: 110,
+	statusFlags: 111,
+	systemStatus: 112,
+	units: 117,
+	vendorIdentifier: 120,
+	vendorName: 121,
+	protocolRevision: 139,
+	databaseRevision: 155,
+	propertyList: 371,
+};
+
+const CONFIRMED_SERVICES = { confirmedCovNotification: 1, subscribeCov: 5, readProperty: 12, readPropertyMultiple: 14, writeProperty: 15 };
+const UNCONFIRMED_SERVICES = { iAm: 0, unconfirmedCovNotification: 2, whoIs: 8 };
+
+const PDU_TYPES = { confirmedRequest: 0, unconfirmedRequest: 1, simpleAck: 2, complexAck: 3, error: 5, reject: 6, abort: 7 };
+
+const ERROR_CLASSES = { device: 0, object: 1, property: 2, resources: 3, services: 5 };
+const ERROR_CODES = {
+	other: 0,
+	invalidDataType: 9,
+	serviceRequestDenied: 29,
+	unknownObject: 31,
+	unknownProperty: 32,
+	valueOutOfRange: 37,
+	writeAccessDenied: 40,
+	invalidArrayIndex: 42,
+	optionalFunctionalityNotSupported: 45,
+	propertyIsNotAnArray: 50,
+};
+const REJECT_REASONS = { other: 0, invalidTag: 4, missingRequiredParameter: 5, unrecognizedService: 9 };
+const ABORT_REASONS = { other: 0, segmentationNotSupported: 4 };
+
+const ENGINEERING_UNITS = { "°C": 62, "%": 98 };
+const NO_UNITS = 95;
+
+// Application tag numbers
+const TAGS = { null: 0, boolean: 1, unsigned: 2, signed: 3, real: 4, double: 5, octetString: 6, characterString: 7, bitString: 8, enumerated: 9, objectIdentifier: 12 };
+
+// Largest APDU a client accepts, by the code in its confirmed request
+const MAX_APDU_SIZES = [50, 128, 206, 480, 1024, 1476];
+
+function encodeObjectId(type, instance) {
+	const buffer = Buffer.alloc(4);
+	buffer.writeUInt32BE(((type & 0x3ff) << 22) | (instance & 0x3fffff));
+	return buffer;
+}
+
+function decodeObjectId(buffer) {
+	const value = buffer.readUInt32BE(0);
+	return { type: value >>> 22, instance: value & 0x3fffff };
+}
+
+function encodeUnsignedBytes(value) {
+	if (value < 0x100) return Buffer.from([value]);
+	if (value < 0x10000) return Buffer.from([value >> 8, value & 0xff]);
+	if (value < 0x1000000) return Buffer.from([value >> 16, (value >> 8) & 0xff, value & 0xff]);
+	const buffer = Buffer.alloc(4);
+	buffer.writeUInt32BE(value >>> 0);
+	return buffer;
+}
+
+function encodeSignedBytes(value) {
+	for (const length of [1, 2, 3]) {
+		const limit = 2 ** (length * 8 - 1);
+		if (value >= -limit && value < limit) {
+			const buffer = Buffer.alloc(length);
+			buffer.writeIntBE(value, 0, length);
+			return buffer;
+		}
+	}
+	const buffer = Buffer.alloc(4);
+	buffer.writeInt32BE(value);
+	return buffer;
+}
+
+// Tag header: tag number, class (context or application) and length
+function encodeTag(number, context, length) {
+	const bytes = [];
+	let first = (context ? 0x08 : 0) | (length < 5 ? length : 5);
+	if (number < 15) {
+		first |= number << 4;
+		bytes.push(first);
+	} else {
+		bytes.push(first | 0xf0, number);
+	}
+	if (length >= 5) {
+		if (length < 254) {
+			bytes.push(length);
+		} else if (length < 0x10000) {
+			bytes.push(254, length >> 8, length & 0xff);
+		} else {
+			bytes.push(255, (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff);
+		}
+	}
+	return Buffer.from(bytes);
+}
+
+const withTag = (number, context, data) => Buffer.concat([encodeTag(number, context, data.length), data]);
+
+const opening = (number) => Buffer.from([(number < 15 ? number << 4 : 0xf0) | 0x0e, ...(number < 15 ? [] : [number])]);
+const closing = (number) => Buffer.from([(number < 15 ? number << 4 : 0xf0) | 0x0f, ...(number < 15 ? [] : [number])]);
+
+// Application tagged values. `value` is { type, value } with a type of TAGS.
+function encodeApplication({ type, value }) {
+	switch (type) {
+		case "null":
+			return Buffer.from([0x00]);
+		case "boolean":
+			return Buffer.from([0x10 | (value ? 1 : 0)]);
+		case "unsigned":
+			return withTag(TAGS.unsigned, false, encodeUnsignedBytes(value));
+		case "signed":
+			return withTag(TAGS.signed, false, encodeSignedBytes(value));
+		case "real": {
+			const data = Buffer.alloc(4);
+			data.writeFloatBE(value);
+			return withTag(TAGS.real, false, data);
+		}
+		case "characterString":
+			// Character set 0: UTF-8
+			return withTag(TAGS.characterString, false, Buffer.concat([Buffer.from([0]), Buffer.from(value, "utf8")]));
+		case "bitString":
+			return withTag(TAGS.bitString, false, encodeBits(value));
+		case "enumerated":
+			return withTag(TAGS.enumerated, false, encodeUnsignedBytes(value));
+		case "objectIdentifier":
+			return withTag(TAGS.objectIdentifier, false, encodeObjectId(value.type, value.instance));
+		default:
+			throw new Error(`Cannot encode ${type}`);
+	}
+}
+
+// Bit string from an array of booleans, bit 0 first
+function encodeBits(bits) {
+	const bytes = Buffer.alloc(Math.ceil(bits.length / 8));
+	bits.forEach((bit, i) => {
+		if (bit) bytes[i >> 3] |= 0x80 >> (i & 7);
+	});
+	return Buffer.concat([Buffer.from([bytes.length * 8 - bits.length]), bytes]);
+}
+
+const contextUnsigned = (number, value) => withTag(number, true, encodeUnsignedBytes(value));
+const contextObjectId = (number, type, instance) => withTag(number, true, encodeObjectId(type, instance));
+
+// Reads the tag at `offset`: { number, context, opening, closing, length, value (the data), next }.
+// For application booleans the value is in the tag itself (`lvt`). Throws on a truncated buffer.
+function decodeTag(buffer, offset) {
+	if (offset >= buffer.length) {
+		throw new Error("Unexpected end of data");
+	}
+	let position = offset;
+	const first = buffer[position++];
+	let number = first >> 4;
+	if (number === 15) {
+		number = buffer[position++];
+	}
+	const context = (first & 0x08) !== 0;
+	const lvt = first & 0x07;
+
+	if (context && lvt === 6) return { number, context, opening: true, next: position };
+	if (context && lvt === 7) return { number, context, closing: true, next: position };
+
+	let length = lvt;
+	if (!context && number === TAGS.boolean) {
+		return { number, context, lvt, length: 0, value: Buffer.alloc(0), next: position };
+	}
+	if (lvt === 5) {
+		length = buffer[position++];
+		if (length === 254) {
+			length = buffer.readUInt16BE(position);
+			position += 2;
+		} else if (length === 255) {
+			length = buffer.readUInt32BE(position);
+			position += 4;
+		}
+	}
+	if (position + length > buffer.length) {
+		throw new Error("Unexpected end of data");
+	}
+	return { number, context, lvt, length, value: buffer.slice(position, position + length), next: position + length };
+}
+
+const readUnsigned = (data) => data.reduce((value, byte) => value * 256 + byte, 0);
+const readSigned = (data) => (data.length === 0 ? 0 : data.readIntBE(0, Math.min(data.length, 6)));
+
+// Decodes an application tagged value: { type, value, next }
+function decodeApplication(buffer, offset) {
+	const tag = decodeTag(buffer, offset);
+	if (tag.context || tag.opening || tag.closing) {
+		throw new Error("Expected an application tag");
+	}
+	const { value: data, next } = tag;
+	switch (tag.number) {
+		case TAGS.null:
+			return { type: "null", value: null, next };
+		case TAGS.boolean:
+			return { type: "boolean", value: tag.lvt === 1, next };
+		case TAGS.unsigned:
+			return { type: "unsigned", value: readUnsigned(data), next };
+		case TAGS.signed:
+			return { type: "signed", value: readSigned(data), next };
+		case TAGS.real:
+			return { type: "real", value: data.readFloatBE(0), next };
+		case TAGS.double:
+			return { type: "double", value: data.readDoubleBE(0), next };
+		case TAGS.characterString:
+			return { type: "characterString", value: data.slice(1).toString("utf8"), next };
+		case TAGS.enumerated:
+			return { type: "enumerated", value: readUnsigned(data), next };
+		case TAGS.objectIdentifier:
+			return { type: "objectIdentifier", value: decodeObjectId(data), next };
+		default:
+			return { type: `tag${tag.number}`, value: data, next };
+	}
+}
+
+module.exports = {
+	OBJECT_TYPES,
+	PROPERTIES,
+	CONFIRMED_SERVICES,
+	UNCONFIRMED_SERVICES,
+	PDU_TYPES,
+	ERROR_CLASSES,
+	ERROR_CODES,
+	REJECT_REASONS,
+	ABORT_REASONS,
+	ENGINEERING_UNITS,
+	NO_UNITS,
+	MAX_APDU_SIZES,
+	encodeApplication,
+	encodeBits,
+	contextUnsigned,
+	contextObjectId,
+	opening,
+	closing,
+	decodeTag,
+	decodeApplication,
+	decodeObjectId,
+	readUnsigned,
+};
@@ -0,0 +1,494 @@
+const dgram = require("dgram");
+const { BacnetObjects, BacnetError } = require("./bacnet-objects");
+const {
+	OBJECT_TYPES,
+	PROPERTIES,
+	CONFIRMED_SERVICES,
+	UNCONFIRMED_SERVICES,
+	PDU_TYPES,
+	ERROR_CLASSES,
+	ERROR_CODES,
+	REJECT_REASONS,
+	ABORT_REASONS,
+	MAX_APDU_SIZES,
+	encodeApplication,
+	contextUnsigned,
+	contextObjectId,
+	opening,
+	closing,
+	decodeTag,
+	decodeApplication,
+	decodeObjectId,
+	readUnsigned,
+} = require("./bacnet-encoding");
+
+// BACnet/IP (Annex J) server: one device with the points of every slave as value objects, see bacnet-objects.
+// Supports Who-Is/I-Am, ReadProperty, ReadPropertyMultiple, WriteProperty and SubscribeCOV. Responses that do
+// not fit the APDU size of the client are aborted, as the device does not segment.
+const BVLC_TYPE = 0x81;
+const BVLC_FUNCTIONS = { forwardedNpdu: 0x04, originalUnicast: 0x0a, originalBroadcast: 0x0b };
+
+// COV subscriptions kept at once. Subscriptions with a lifetime of 0 never expire.
+const MAX_SUBSCRIPTIONS = 256;
+
+// A request that can not be parsed, answered with a Reject PDU
+class RejectError extends Error {
+	constructor(reason, message) {
+		super(message);
+		this.reason = reason;
+	}
+}
+
+// Context tag `number` at `offset`, or a reject when it is missing
+function expectContext(data, offset, number) {
+	const tag = offset < data.length ? decodeTag(data, offset) : null;
+	if (!tag || !tag.context || tag.number !== number || tag.opening || tag.closing) {
+		throw new RejectError(REJECT_REASONS.missingRequiredParameter, `Missing context tag ${number}`);
+	}
+	return tag;
+}
+
+// Optional context tag `number` at `offset`, or null
+function optionalContext(data, offset, number) {
+	if (offset >= data.length) return null;
+	const tag = decodeTag(data, offset);
+	return tag.context && tag.number === number && !tag.opening && !tag.closing ? tag : null;
+}
+
+// Object identifier, property ID and optional array index of a property reference: { objectId, propertyId, arrayIndex, next }
+function parsePropertyReference(data, offset) {
+	const objectTag = expectContext(data, offset, 0);
+	const propertyTag = expectContext(data, objectTag.next, 1);
+	const indexTag = optionalContext(data, propertyTag.next, 2);
+	return {
+		objectId: decodeObjectId(objectTag.value),
+		propertyId: readUnsigned(propertyTag.value),
+		arrayIndex: indexTag ? readUnsigned(indexTag.value) : undefined,
+		next: indexTag ? indexTag.next : propertyTag.next,
+	};
+}
+
+const errorValue = (err) => Buffer.concat([encodeApplication({ type: "enumerated", value: err.errorClass }), encodeApplication({ type: "enumerated", value: err.errorCode })]);
+
+class BacnetIP {
+	constructor(storage) {
+		this.storage = storage;
+		this.socket = null;
+		this.objects = new BacnetObjects(storage);
+		// COV subscriptions by subscriber, process and object
+		this.subscriptions = new Map();
+		this.invokeId = 0;
+
+		this.onChange = (event) => this.notifyChange(event);
+		this.onSlaves = () => this.objects.invalidate();
+	}
+
+	start(config) {
+		if (this.socket) {
+			console.log("BACnet/IP server already running");
+			return;
+		}
+
+		const { port } = config;
+		this.objects.setDevice(config);
+		try {
+			this.socket = dgram.createSocket("udp4");
+
+			this.socket.on("message", (message, rinfo) => {
+				try {
+					this.handleMessage(message, rinfo);
+				} catch (err) {
+					console.error("Error handling BACnet/IP data:", err);
+				}
+			});
+
+			this.socket.on("error", (err) => {
+				console.error("BACnet/IP Server error:", err.message);
+				if (err.code === "EADDRINUSE") {
+					console.error(`Port ${port} is already in use`);
+				}
+				this.stop();
+			});
+
+			this.socket.bind(port, () => {
+				console.log(`BACnet/IP Server is listening on port ${port} as device ${config.deviceInstance}`);
+			});
+			this.storage.on("change", this.onChange);
+			this.storage.on("slaves", this.onSlaves);
+		} catch (err) {
+			console.error("Error starting BACnet/IP server:", err.message);
+			this.socket = null;
+		}
+	}
+
+	stop() {
+		if (this.socket) {
+			this.storage.off("change", this.onChange);
+			this.storage.off("slaves", this.onSlaves);
+			this.subscriptions.clear();
+			this.socket.close(() => {
+				console.log("BACnet/IP Server stopped");
+			});
+			this.socket = null;
+		}
+	}
+
+	restart(config) {
+		this.stop();
+		setTimeout(() => this.start(config), 1000);
+	}
+
+	// BVLC and NPDU of a datagram. Requests to other networks and network layer messages are ignored.
+	handleMessage(message, rinfo) {
+		if (message.length < 6 || message[0] !== BVLC_TYPE || message.readUInt16BE(2) !== message.length) {
+			return;
+		}
+
+		const fn = message[1];
+		let offset = 4;
+		let peer = { address: rinfo.address, port: rinfo.port };
+		if (fn === BVLC_FUNCTIONS.forwardedNpdu) {
+			// Broadcast forwarded by a BBMD, with the address of the original sender
+			peer = { address: Array.from(message.slice(4, 8)).join("."), port: message.readUInt16BE(8) };
+			offset = 10;
+		} else if (fn !== BVLC_FUNCTIONS.originalUnicast && fn !== BVLC_FUNCTIONS.originalBroadcast) {
+			return;
+		}
+
+		if (message[offset] !== 0x01) return;
+		const control = message[offset + 1];
+		offset += 2;
+		if (control & 0x80) return;
+		if (control & 0x20) {
+			const dnet = message.readUInt16BE(offset);
+			if (dnet !== 0xffff) return;
+			offset += 3 + message[offset + 2];
+		}
+		// A request from another network through a router is answered through the router
+		if (control & 0x08) {
+			const length = message[offset + 2];
+			peer.route = { net: message.readUInt16BE(offset), address: message.slice(offset + 3, offset + 3 + length) };
+			offset += 3 + length;
+		}
+		if (control & 0x20) {
+			// Hop count
+			offset += 1;
+		}
+		if (offset >= message.length) return;
+
+		this.handleApdu(message.slice(offset), peer);
+	}
+
+	handleApdu(apdu, peer) {
+		const pduType = apdu[0] >> 4;
+		if (pduType === PDU_TYPES.unconfirmedRequest) {
+			if (apdu[1] === UNCONFIRMED_SERVICES.whoIs) {
+				this.handleWhoIs(apdu.slice(2), peer);
+			}
+			return;
+		}
+		if (pduType !== PDU_TYPES.confirmedRequest || apdu.length < 4) {
+			return;
+		}
+
+		const invokeId = apdu[2];
+		if (apdu[0] & 0x08) {
+			return this.send(Buffer.from([(PDU_TYPES.abort << 4) | 0x01, invokeId, ABORT_REASONS.segmentationNotSupported]), peer);
+		}
+		const maxApdu = MAX_APDU_SIZES[apdu[1] & 0x0f] || MAX_APDU_SIZES[MAX_APDU_SIZES.length - 1];
+		const service = apdu[3];
+		const data = apdu.slice(4);
+
+		let response;
+		try {
+			const result = this.handleConfirmed(service, data, peer);
+			response = result
+				? Buffer.concat([Buffer.from([PDU_TYPES.complexAck << 4, invokeId, service]), result])
+				: Buffer.from([PDU_TYPES.simpleAck << 4, invokeId, service]);
+			if (response.length > maxApdu) {
+				response = Buffer.from([(PDU_TYPES.abort << 4) | 0x01, invokeId, ABORT_REASONS.segmentationNotSupported]);
+			}
+		} catch (err) {
+			if (err instanceof BacnetError) {
+				response = Buffer.concat([Buffer.from([PDU_TYPES.error << 4, invokeId, service]), errorValue(err)]);
+			} else if (err instanceof RejectError) {
+				response = Buffer.from([PDU_TYPES.reject << 4, invokeId, err.reason]);
+			} else {
+				// Truncated or malformed parameters
+				response = Buffer.from([PDU_TYPES.reject << 4, invokeId, REJECT_REASONS.invalidTag]);
+			}
+		}
+		this.send(response, peer);
+
+		if (service === CONFIRMED_SERVICES.subscribeCov && response[0] >> 4 === PDU_TYPES.simpleAck) {
+			this.notifyInitial(data, peer);
+		}
+	}
+
+	// Service data of a ComplexAck, or null for a SimpleAck. Throws a BacnetError or a RejectError.
+	handleConfirmed(service, data, peer) {
+		switch (service) {
+			case CONFIRMED_SERVICES.readProperty:
+				return this.readProperty(data);
+			case CONFIRMED_SERVICES.readPropertyMultiple:
+				return this.readPropertyMultiple(data);
+			case CONFIRMED_SERVICES.writeProperty:
+				this.writeProperty(data);
+				return null;
+			case CONFIRMED_SERVICES.subscribeCov:
+				this.subscribeCov(data, peer);
+				return null;
+			default:
+				throw new RejectError(REJECT_REASONS.unrecognizedService, `Service ${service} not supported`);
+		}
+	}
+
+	// Sends an APDU as a unicast BVLL, through the router of the peer if it has one
+	send(apdu, peer) {
+		if (!this.socket) return;
+
+		let npdu = Buffer.from([0x01, 0x00]);
+		if (peer.route) {
+			const header = Buffer.alloc(5);
+			header[0] = 0x01;
+			header[1] = 0x20;
+			header.writeUInt16BE(peer.route.net, 2);
+			header[4] = peer.route.address.length;
+			npdu = Buffer.concat([header, peer.route.address, Buffer.from([0xff])]);
+		}
+		const length = 4 + npdu.length + apdu.length;
+		const bvlc = Buffer.from([BVLC_TYPE, BVLC_FUNCTIONS.originalUnicast, length >> 8, length & 0xff]);
+		this.socket.send(Buffer.concat([bvlc, npdu, apdu]), peer.port, peer.address, (err) => {
+			if (err) {
+				console.error("Error sending BACnet/IP response:", err.message);
+			}
+		});
+	}
+
+	findObject({ type, instance }) {
+		const object = this.objects.find(type, instance);
+		if (!object) {
+			throw new BacnetError(ERROR_CLASSES.object, ERROR_CODES.unknownObject, "Unknown object");
+		}
+		return object;
+	}
+
+	// Who-Is, with an optional device instance range, is answered with an I-Am to the requester
+	handleWhoIs(data, peer) {
+		const { instance } = this.objects.device;
+		if (data.length > 0) {
+			try {
+				const low = expectContext(data, 0, 0);
+				const high = expectContext(data, low.next, 1);
+				if (instance < readUnsigned(low.value) || instance > readUnsigned(high.value)) return;
+			} catch (err) {
+				return;
+			}
+		}
+
+		const device = this.objects.find(OBJECT_TYPES.device, instance);
+		const iAm = Buffer.concat([
+			Buffer.from([PDU_TYPES.unconfirmedRequest << 4, UNCONFIRMED_SERVICES.iAm]),
+			this.objects.readProperty(device, PROPERTIES.objectIdentifier),
+			this.objects.readProperty(device, PROPERTIES.maxApduLengthAccepted),
+			this.objects.readProperty(device, PROPERTIES.segmentationSupported),
+			this.objects.readProperty(device, PROPERTIES.vendorIdentifier),
+		]);
+		this.send(iAm, peer);
+	}
+
+	readProperty(data) {
+		const { objectId, propertyId, arrayIndex } = parsePropertyReference(data, 0);
+		const object = this.findObject(objectId);
+		if ([PROPERTIES.all, PROPERTIES.required, PROPERTIES.optional].includes(propertyId)) {
+			// Only ReadPropertyMultiple takes the special property IDs
+			throw new BacnetError(ERROR_CLASSES.services, ERROR_CODES.serviceRequestDenied, "Use ReadPropertyMultiple");
+		}
+		const value = this.objects.readProperty(object, propertyId, arrayIndex);
+
+		return Buffer.concat([
+			contextObjectId(0, object.type, object.instance),
+			contextUnsigned(1, propertyId),
+			arrayIndex !== undefined ? contextUnsigned(2, arrayIndex) : Buffer.alloc(0),
+			opening(3),
+			value,
+			closing(3),
+		]);
+	}
+
+	// Results of every property of every object, errors included in the result of the property
+	readPropertyMultiple(data) {
+		const results = [];
+		let offset = 0;
+		while (offset < data.length) {
+			const objectTag = expectContext(data, offset, 0);
+			const objectId = decodeObjectId(objectTag.value);
+			const open = decodeTag(data, objectTag.next);
+			if (!open.opening || open.number !== 1) {
+				throw new RejectError(REJECT_REASONS.missingRequiredParameter, "Missing property list");
+			}
+
+			const references = [];
+			offset = open.next;
+			for (;;) {
+				const tag = decodeTag(data, offset);
+				if (tag.closing && tag.number === 1) {
+					offset = tag.next;
+					break;
+				}
+				const propertyTag = expectContext(data, offset, 0);
+				const indexTag = optionalContext(data, propertyTag.next, 1);
+				references.push({ propertyId: readUnsigned(propertyTag.value), arrayIndex: indexTag ? readUnsigned(indexTag.value) : undefined });
+				offset = indexTag ? indexTag.next : propertyTag.next;
+			}
+
+			const object = this.objects.find(objectId.type, objectId.instance);
+			const id = object || objectId;
+			results.push(contextObjectId(0, id.type, id.instance), opening(1));
+			references.forEach(({ propertyId, arrayIndex }) => {
+				const special = [PROPERTIES.all, PROPERTIES.required, PROPERTIES.optional].includes(propertyId);
+				const expanded = object && special ? this.objects.getPropertyIds(object, propertyId).map((id) => ({ propertyId: id })) : [{ propertyId, arrayIndex }];
+				expanded.forEach((reference) => results.push(this.readResult(object, reference)));
+			});
+			results.push(closing(1));
+		}
+		if (results.length === 0) {
+			throw new RejectError(REJECT_REASONS.missingRequiredParameter, "No object to read");
+		}
+		return Buffer.concat(results);
+	}
+
+	readResult(object, { propertyId, arrayIndex }) {
+		const header = Buffer.concat([contextUnsigned(2, propertyId), arrayIndex !== undefined ? contextUnsigned(3, arrayIndex) : Buffer.alloc(0)]);
+		try {
+			if (!object) {
+				throw new BacnetError(ERROR_CLASSES.object, ERROR_CODES.unknownObject, "Unknown object");
+			}
+			return Buffer.concat([header, opening(4), this.objects.readProperty(object, propertyId, arrayIndex), closing(4)]);
+		} catch (err) {
+			if (!(err instanceof BacnetError)) throw err;
+			return Buffer.concat([header, opening(5), errorValue(err), closing(5)]);
+		}
+	}
+
+	writeProperty(data) {
+		const { objectId, propertyId, arrayIndex, next } = parsePropertyReference(data, 0);
+		const open = decodeTag(data, next);
+		if (!open.opening || open.number !== 3) {
+			throw new RejectError(REJECT_REASONS.missingRequiredParameter, "Missing property value");
+		}
+		let value;
+		try {
+			value = decodeApplication(data, open.next);
+		} catch (err) {
+			throw new RejectError(REJECT_REASONS.invalidTag, err.message);
+		}
+		const close = decodeTag(data, value.next);
+		if (!close.closing || close.number !== 3) {
+			throw new BacnetError(ERROR_CLASSES.property, ERROR_CODES.invalidDataType, "Present value takes a single value");
+		}
+
+		this.objects.writeProperty(this.findObject(objectId), propertyId, arrayIndex, value);
+	}
+
+	subscribeCov(data, peer) {
+		const processTag = expectContext(data, 0, 0);
+		const objectTag = expectContext(data, processTag.next, 1);
+		const confirmedTag = optionalContext(data, objectTag.next, 2);
+		const lifetimeTag = optionalContext(data, confirmedTag ? confirmedTag.next : objectTag.next, 3);
+
+		const processId = readUnsigned(processTag.value);
+		const object = this.findObject(decodeObjectId(objectTag.value));
+		if (object.device) {
+			throw new BacnetError(ERROR_CLASSES.object, ERROR_CODES.optionalFunctionalityNotSupported, "The device object has no COV");
+		}
+
+		const key = `${peer.address}:${peer.port}:${processId}:${object.type}:${object.instance}`;
+		// Without the confirmation flag and the lifetime the subscription is cancelled
+		if (!confirmedTag && !lifetimeTag) {
+			this.subscriptions.delete(key);
+			return;
+		}
+		if (!this.subscriptions.has(key) && this.subscriptions.size >= MAX_SUBSCRIPTIONS) {
+			throw new BacnetError(ERROR_CLASSES.resources, ERROR_CODES.other, "Too many COV subscriptions");
+		}
+
+		const lifetime = lifetimeTag ? readUnsigned(lifetimeTag.value) : 0;
+		this.subscriptions.set(key, {
+			peer,
+			processId,
+			type: object.type,
+			instance: object.instance,
+			confirmed: !!confirmedTag && confirmedTag.value[0] === 1,
+			expires: lifetime > 0 ? Date.now() + lifetime * 1000 : null,
+			lastValue: null,
+		});
+	}
+
+	// A new subscription gets the current value at once
+	notifyInitial(data, peer) {
+		const processId = readUnsigned(decodeTag(data, 0).value);
+		const { type, instance } = decodeObjectId(decodeTag(data, decodeTag(data, 0).next).value);
+		const subscription = this.subscriptions.get(`${peer.address}:${peer.port}:${processId}:${type}:${instance}`);
+		if (subscription) {
+			this.notify(subscription, this.objects.find(type, instance));
+		}
+	}
+
+	notifyChange(event) {
+		const changed = new Set(this.objects.findChanged(event));
+		if (changed.size === 0) return;
+
+		const now = Date.now();
+		this.subscriptions.forEach((subscription, key) => {
+			const object = this.objects.find(subscription.type, subscription.instance);
+			if (!object || (subscription.expires !== null && subscription.expires <= now)) {
+				this.subscriptions.delete(key);
+			} else if (changed.has(object)) {
+				this.notify(subscription, object);
+			}
+		});
+	}
+
+	// COV notification with the present value and status flags, sent when the value changed
+	notify(subscription, object) {
+		const presentValue = this.objects.readProperty(object, PROPERTIES.presentValue);
+		if (subscription.lastValue && subscription.lastValue.equals(presentValue)) return;
+		subscription.lastValue = presentValue;
+
+		const remaining = subscription.expires === null ? 0 : Math.max(0, Math.round((subscription.expires - Date.now()) / 1000));
+		const parameters = Buffer.concat([
+			contextUnsigned(0, subscription.processId),
+			contextObjectId(1, OBJECT_TYPES.device, this.objects.device.instance),
+			contextObjectId(2, object.type, object.instance),
+			contextUnsigned(3, remaining),
+			opening(4),
+			contextUnsigned(0, PROPERTIES.presentValue),
+			opening(2),
+			presentValue,
+			closing(2),
+			contextUnsigned(0, PROPERTIES.statusFlags),
+			opening(2),
+			this.objects.readProperty(object, PROPERTIES.statusFlags),
+			closing(2),
+			closing(4),
+		]);
+
+		// Acks of confirmed notifications are not waited for, notifications are not repeated
+		const header = subscription.confirmed
+			? Buffer.from([PDU_TYPES.confirmedRequest << 4, 0x05, this.nextInvokeId(), CONFIRMED_SERVICES.confirmedCovNotification])
+			: Buffer.from([PDU_TYPES.unconfirmedRequest << 4, UNCONFIRMED_SERVICES.unconfirmedCovNotification]);
+		this.send(Buffer.concat([header, parameters]), subscription.peer);
+	}
+
+	nextInvokeId() {
+		this.invokeId = (this.invokeId + 1) & 0xff;
+		return this.invokeId;
+	}
+
+	getSubscriptionCount() {
+		return this.subscriptions.size;
+	}
+}
+
+module.exports = BacnetIP;
@@ -0,0 +1,386 @@
+const pointMap = require("./point-map");
+const layout = require("./device-layout");
+const {
+	OBJECT_TYPES,
+	PROPERTIES,
+	ERROR_CLASSES,
+	ERROR_CODES,
+	ENGINEERING_UNITS,
+	NO_UNITS,
+	encodeApplication,
+} = require("./bacnet-encoding");
+
+// BACnet view of the emulated slaves: one Device object for the emulator, and a value object for every named
+// point of the point map, backed by the holding register of the point:
+//   analog-value       numeric points, in engineering units
+//   binary-value       two-state enum points, and every bit of a bitfield point
+//   multi-state-value  other enum points, states numbered from 1 in the order of the raw values
+// Instances are slaveId * 10000 + group * 100 + the number of the object in its group, so they stay put while
+// other slaves or units change. Names are "<slave>/<group title>/<point name>".
+
+const VENDOR_NAME = "Samsung HVAC Modbus Emulator";
+// Not a registered vendor ID
+const VENDOR_IDENTIFIER = 999;
+const MODEL_NAME = "Samsung MIM-B19N emulator";
+const SOFTWARE_VERSION = require("../package.json").version;
+const MAX_APDU_LENGTH = 1476;
+// no-segmentation
+const SEGMENTATION = 3;
+
+// Bits of protocol-services-supported: subscribeCOV, readProperty, readPropertyMultiple, writeProperty,
+// i-Am, unconfirmedCOVNotification, who-Is
+const SERVICES_SUPPORTED = [5, 12, 14, 15, 26, 28, 34];
+const SERVICES_LENGTH = 41;
+const OBJECT_TYPES_LENGTH = 60;
+
+const P = PROPERTIES;
+
+// Required and optional properties by object type, without property-list
+const OBJECT_PROPERTIES = {
+	[OBJECT_TYPES.device]: {
+		required: [
+			P.objectIdentifier,
+			P.objectName,
+			P.objectType,
+			P.systemStatus,
+			P.vendorName,
+			P.vendorIdentifier,
+			P.modelName,
+			P.firmwareRevision,
+			P.applicationSoftwareVersion,
+			P.protocolVersion,
+			P.protocolRevision,
+			P.protocolServicesSupported,
+			P.protocolObjectTypesSupported,
+			P.objectList,
+			P.maxApduLengthAccepted,
+			P.segmentationSupported,
+			P.apduTimeout,
+			P.numberOfApduRetries,
+			P.deviceAddressBinding,
+			P.databaseRevision,
+		],
+		optional: [P.description],
+	},
+	[OBJECT_TYPES.analogValue]: {
+		required: [P.objectIdentifier, P.objectName, P.objectType, P.presentValue, P.statusFlags, P.eventState, P.outOfService, P.units],
+		optional: [P.description],
+	},
+	[OBJECT_TYPES.binaryValue]: {
+		required: [P.objectIdentifier, P.objectName, P.objectType, P.presentValue, P.statusFlags, P.eventState, P.outOfService],
+		optional: [P.description, P.inactiveText, P.activeText],
+	},
+	[OBJECT_TYPES.multiStateValue]: {
+		required: [P.objectIdentifier, P.objectName, P.objectType, P.presentValue, P.statusFlags, P.eventState, P.outOfService, P.numberOfStates],
+		optional: [P.description, P.stateText],
+	},
+};
+
+// Properties that are arrays, readable element by element
+const ARRAY_PROPERTIES = [P.objectList, P.stateText, P.propertyList];
+
+// Value types a present value accepts by object type
+const WRITE_TYPES = {
+	[OBJECT_TYPES.analogValue]: ["real", "double", "unsigned", "signed"],
+	[OBJECT_TYPES.binaryValue]: ["enumerated"],
+	[OBJECT_TYPES.multiStateValue]: ["unsigned"],
+};
+
+// A request the device refuses, answered with a BACnet Error PDU
+class BacnetError extends Error {
+	constructor(errorClass, errorCode, message) {
+		super(message || `BACnet error ${errorClass}/${errorCode}`);
+		this.errorClass = errorClass;
+		this.errorCode = errorCode;
+	}
+}
+
+const unknownProperty = () => new BacnetError(ERROR_CLASSES.property, ERROR_CODES.unknownProperty, "Unknown property");
+
+const key = (type, instance) => `${type}:${instance}`;
+
+// Value objects of one group of a slave
+function getGroupObjects(slaveId, group) {
+	const objects = [];
+	const add = (object) => objects.push({ ...object, instance: slaveId * 10000 + group.group * 100 + objects.length, slaveId });
+	const prefix = `${slaveId}/${group.title}`;
+
+	pointMap.getGroupPoints(group).forEach((point) => {
+		const base = { point, name: `${prefix}/${point.name}`, description: `${point.key} (register ${point.address})` };
+		if (point.bits) {
+			Object.keys(point.bits).forEach((bit) => {
+				add({
+					...base,
+					type: OBJECT_TYPES.binaryValue,
+					bit: Number(bit),
+					name: `${base.name}/${point.bits[bit]}`,
+					description: `${point.key} bit ${bit} (register ${point.address})`,
+					states: ["0", "1"],
+				});
+			});
+		} else if (point.enum) {
+			const states = Object.keys(point.enum).sort((a, b) => Number(a) - Number(b));
+			const twoState = states.length === 2 && states[0] === "0" && states[1] === "1";
+			add({ ...base, type: twoState ? OBJECT_TYPES.binaryValue : OBJECT_TYPES.multiStateValue, states });
+		} else {
+			add({ ...base, type: OBJECT_TYPES.analogValue });
+		}
+	});
+	return objects;
+}
+
+class BacnetObjects {
+	constructor(storage) {
+		this.storage = storage;
+		this.device = { instance: 1, name: "" };
+		// Value objects by "type:instance", built when first needed
+		this.objects = null;
+		this.databaseRevision = 1;
+	}
+
+	setDevice({ deviceInstance, deviceName }) {
+		this.device = { instance: deviceInstance, name: deviceName };
+	}
+
+	// Slaves, layouts or identifications changed
+	invalidate() {
+		this.objects = null;
+		this.databaseRevision++;
+	}
+
+	getObjects() {
+		if (!this.objects) {
+			this.objects = new Map();
+			const slaves = this.storage.getSlaves();
+			Object.keys(slaves).forEach((slaveId) => {
+				layout.getGroups(slaves[slaveId].layout).forEach((group) => {
+					getGroupObjects(Number(slaveId), group).forEach((object) => this.objects.set(key(object.type, object.instance), object));
+				});
+			});
+		}
+		return this.objects;
+	}
+
+	// Object by identifier; the Device object also answers to the wildcard instance 4194303
+	find(type, instance) {
+		if (type === OBJECT_TYPES.device) {
+			return instance === this.device.instance || instance === 0x3fffff ? { type, instance: this.device.instance, device: true } : null;
+		}
+		return this.getObjects().get(key(type, instance)) || null;
+	}
+
+	// Values objects touched by a register change event
+	findChanged({ slaveId, table, start, values }) {
+		if (table !== "registers") return [];
+		const end = start + values.length;
+		return [...this.getObjects().values()].filter((object) => object.slaveId === slaveId && object.point.address >= start && object.point.address < end);
+	}
+
+	// Property IDs of an object for ReadPropertyMultiple: all, required or optional
+	getPropertyIds(object, which) {
+		const { required, optional } = OBJECT_PROPERTIES[object.type];
+		if (which === P.required) return required;
+		if (which === P.optional) return optional;
+		return [...required, ...optional, P.propertyList];
+	}
+
+	getRaw(object) {
+		const slave = this.storage.getSlaves()[object.slaveId];
+		return slave ? slave.registers[object.point.address] : 0;
+	}
+
+	// Present value as an application value: { type, value }
+	getPresentValue(object) {
+		const raw = this.getRaw(object);
+		switch (object.type) {
+			case OBJECT_TYPES.analogValue:
+				return { type: "real", value: pointMap.toValue(object.point, raw) };
+			case OBJECT_TYPES.binaryValue:
+				return { type: "enumerated", value: object.bit !== undefined ? (raw >> object.bit) & 1 : raw === 1 ? 1 : 0 };
+			default:
+				// Raw values outside the enum read as the first state
+				return { type: "unsigned", value: Math.max(object.states.indexOf(String(raw)), 0) + 1 };
+		}
+	}
+
+	// Encoded value of a property, or the element of an array property at `arrayIndex` (0 being the length).
+	// Throws a BacnetError.
+	readProperty(object, propertyId, arrayIndex) {
+		const values = this.getPropertyValue(object, propertyId);
+		if (arrayIndex === undefined) {
+			return Buffer.concat(values.map(encodeApplication));
+		}
+		if (!ARRAY_PROPERTIES.includes(propertyId)) {
+			throw new BacnetError(ERROR_CLASSES.property, ERROR_CODES.propertyIsNotAnArray, "Property is not an array");
+		}
+		if (arrayIndex === 0) {
+			return encodeApplication({ type: "unsigned", value: values.length });
+		}
+		if (arrayIndex > values.length) {
+			throw new BacnetError(ERROR_CLASSES.property, ERROR_CODES.invalidArrayIndex, "Invalid array index");
+		}
+		return encodeApplication(values[arrayIndex - 1]);
+	}
+
+	// Application values of a property, several for lists and arrays
+	getPropertyValue(object, propertyId) {
+		if (object.device) {
+			return this.getDeviceProperty(propertyId);
+		}
+
+		const { required, optional } = OBJECT_PROPERTIES[object.type];
+		if (![...required, ...optional, P.propertyList].includes(propertyId)) {
+			throw unknownProperty();
+		}
+		switch (propertyId) {
+			case P.objectIdentifier:
+				return [{ type: "objectIdentifier", value: { type: object.type, instance: object.instance } }];
+			case P.objectName:
+				return [{ type: "characterString", value: object.name }];
+			case P.objectType:
+				return [{ type: "enumerated", value: object.type }];
+			case P.description:
+				return [{ type: "characterString", value: object.description }];
+			case P.presentValue:
+				return [this.getPresentValue(object)];
+			case P.statusFlags:
+				// in-alarm, fault, overridden, out-of-service
+				return [{ type: "bitString", value: [false, false, false, false] }];
+			case P.eventState:
+				return [{ type: "enumerated", value: 0 }];
+			case P.outOfService:
+				return [{ type: "boolean", value: false }];
+			case P.units:
+				return [{ type: "enumerated", value: ENGINEERING_UNITS[object.point.unit] || NO_UNITS }];
+			case P.inactiveText:
+			case P.activeText: {
+				const state = propertyId === P.activeText ? 1 : 0;
+				const text = object.bit !== undefined ? `${object.point.bits[object.bit]}: ${state ? "Igen" : "Nem"}` : object.point.enum[state];
+				return [{ type: "characterString", value: text }];
+			}
+			case P.numberOfStates:
+				return [{ type: "unsigned", value: object.states.length }];
+			case P.stateText:
+				return object.states.map((raw) => ({ type: "characterString", value: object.point.enum[raw] }));
+			case P.propertyList:
+				return this.getPropertyList(object);
+			default:
+				throw unknownProperty();
+		}
+	}
+
+	getPropertyList(object) {
+		const { required, optional } = OBJECT_PROPERTIES[object.type];
+		const hidden = [P.objectIdentifier, P.objectName, P.objectType];
+		return [...required, ...optional].filter((id) => !hidden.includes(id)).map((id) => ({ type: "enumerated", value: id }));
+	}
+
+	getDeviceProperty(propertyId) {
+		const { instance, name } = this.device;
+		switch (propertyId) {
+			case P.objectIdentifier:
+				return [{ type: "objectIdentifier", value: { type: OBJECT_TYPES.device, instance } }];
+			case P.objectName:
+				return [{ type: "characterString", value: name }];
+			case P.objectType:
+				return [{ type: "enumerated", value: OBJECT_TYPES.device }];
+			case P.description:
+				return [{ type: "characterString", value: `Modbus slaves ${this.storage.getSlaveIds().join(", ")}` }];
+			case P.systemStatus:
+				// operational
+				return [{ type: "enumerated", value: 0 }];
+			case P.vendorName:
+				return [{ type: "characterString", value: VENDOR_NAME }];
+			case P.vendorIdentifier:
+				return [{ type: "unsigned", value: VENDOR_IDENTIFIER }];
+			case P.modelName:
+				return [{ type: "characterString", value: MODEL_NAME }];
+			case P.firmwareRevision:
+			case P.applicationSoftwareVersion:
+				return [{ type: "characterString", value: SOFTWARE_VERSION }];
+			case P.protocolVersion:
+				return [{ type: "unsigned", value: 1 }];
+			case P.protocolRevision:
+				return [{ type: "unsigned", value: 14 }];
+			case P.protocolServicesSupported: {
+				const bits = new Array(SERVICES_LENGTH).fill(false);
+				SERVICES_SUPPORTED.forEach((bit) => (bits[bit] = true));
+				return [{ type: "bitString", value: bits }];
+			}
+			case P.protocolObjectTypesSupported: {
+				const bits = new Array(OBJECT_TYPES_LENGTH).fill(false);
+				Object.values(OBJECT_TYPES).forEach((bit) => (bits[bit] = true));
+				return [{ type: "bitString", value: bits }];
+			}
+			case P.objectList:
+				return [
+					{ type: "objectIdentifier", value: { type: OBJECT_TYPES.device, instance } },
+					...[...this.getObjects().values()].map((object) => ({ type: "objectIdentifier", value: { type: object.type, instance: object.instance } })),
+				];
+			case P.maxApduLengthAccepted:
+				return [{ type: "unsigned", value: MAX_APDU_LENGTH }];
+			case P.segmentationSupported:
+				return [{ type: "enumerated", value: SEGMENTATION }];
+			case P.apduTimeout:
+				return [{ type: "unsigned", value: 3000 }];
+			case P.numberOfApduRetries:
+				return [{ type: "unsigned", value: 3 }];
+			case P.deviceAddressBinding:
+				return [];
+			case P.databaseRevision:
+				return [{ type: "unsigned", value: this.databaseRevision }];
+			case P.propertyList:
+				return this.getPropertyList({ type: OBJECT_TYPES.device });
+			default:
+				throw unknownProperty();
+		}
+	}
+
+	// Writes the present value (an application value) like a Modbus write, so the write rules apply.
+	// Throws a BacnetError.
+	writeProperty(object, propertyId, arrayIndex, value) {
+		if (!this.getPropertyIds(object).includes(propertyId)) {
+			throw unknownProperty();
+		}
+		if (object.device || propertyId !== P.presentValue) {
+			throw new BacnetError(ERROR_CLASSES.property, ERROR_CODES.writeAccessDenied, "Property is read-only");
+		}
+		if (arrayIndex !== undefined) {
+			throw new BacnetError(ERROR_CLASSES.property, ERROR_CODES.propertyIsNotAnArray, "Property is not an array");
+		}
+		if (!WRITE_TYPES[object.type].includes(value.type)) {
+			throw new BacnetError(ERROR_CLASSES.property, ERROR_CODES.invalidDataType, `Present value expects ${WRITE_TYPES[object.type][0]}`);
+		}
+
+		const current = this.getRaw(object);
+		let raw;
+		try {
+			raw = this.toRaw(object, value.value, current);
+		} catch (err) {
+			throw new BacnetError(ERROR_CLASSES.property, ERROR_CODES.valueOutOfRange, err.message);
+		}
+
+		const violation = this.storage.writeWithRules(object.slaveId, "registers", object.point.address, [raw], "bacnet");
+		if (violation) {
+			const code = violation.exceptionCode === 0x02 ? ERROR_CODES.writeAccessDenied : ERROR_CODES.valueOutOfRange;
+			throw new BacnetError(ERROR_CLASSES.property, code, violation.message);
+		}
+		this.storage.saveSlaves().catch((err) => console.error("Error saving slaves:", err));
+	}
+
+	// Present value to raw register value, throws on values out of range
+	toRaw(object, value, current) {
+		switch (object.type) {
+			case OBJECT_TYPES.analogValue:
+				return pointMap.toRaw(object.point, value, current);
+			case OBJECT_TYPES.binaryValue:
+				if (value > 1) throw new Error(`${object.point.key} takes 0 or 1`);
+				return object.bit !== undefined ? pointMap.toRaw(object.point, { [object.point.bits[object.bit]]: value === 1 }, current) : value;
+			default:
+				if (value < 1 || value > object.states.length) throw new Error(`${object.point.key} has states 1 to ${object.states.length}`);
+				return Number(object.states[value - 1]);
+		}
+	}
+}
+
+module.exports = { BacnetObjects, BacnetError };
@@ -0,0 +1,192 @@
+const path = require("path");
+const { parseArgs } = require("util");
+
+// Command line options of the emulator. Every option but the one-off modes can also be set with an
+// environment variable, for containers and CI; the command line wins over the environment, and both win
+// over config/config.json.
+const OPTIONS = [
+	{ name: "web-port", env: "HVAC_WEB_PORT", value: "<port>", description: "Port of the web interface and the API (default 3000)" },
+	{ name: "web-host", env: "HVAC_WEB_HOST", value: "<address>", description: "Address the web server binds to (default: every interface)" },
+	{ name: "no-web", env: "HVAC_NO_WEB", description: "Run headless, without the web interface and the API" },
+	{ name: "data-dir", env: "HVAC_DATA_DIR", value: "<dir>", description: "Directory of the slave data, snapshots and recordings (default ./data)" },
+	{ name: "config", env: "HVAC_CONFIG", value: "<file>", description: "Config file (default ./config/config.json)" },
+	{ name: "slaves", env: "HVAC_SLAVES", value: "<list>", description: "Slave IDs with optional register counts, e.g. 1,2,17:1000" },
+	{ name: "tcp", env: "HVAC_TCP", value: "<port|off>", description: "Modbus TCP port, or off" },
+	{ name: "rtu-tcp", env: "HVAC_RTU_TCP", value: "<port|off>", description: "Modbus RTU over TCP port, or off" },
+	{ name: "udp", env: "HVAC_UDP", value: "<port|off>", description: "Modbus UDP port, or off" },
+	{ name: "bacnet", env: "HVAC_BACNET", value: "<port|off>", description: "BACnet/IP port, or off" },
+	{ name: "rtu", env: "HVAC_RTU", value: "<path|pty|off>", description: "Serial port of Modbus RTU, pty for a virtual serial port, or off" },
+	{ name: "pty-link", env: "HVAC_PTY_LINK", value: "<path>", description: "Symlink to the virtual serial port, e.g. /tmp/ttyHVAC" },
+	{ name: "baud-rate", env: "HVAC_BAUD_RATE", value: "<rate>", description: "Baud rate of the serial port" },
+	{ name: "data-bits", env: "HVAC_DATA_BITS", value: "<7|8>", description: "Data bits of the serial port" },
+	{ name: "parity", env: "HVAC_PARITY", value: "<none|even|odd>", description: "Parity of the serial port" },
+	{ name: "stop-bits", env: "HVAC_STOP_BITS", value: "<1|2>", description: "Stop bits of the serial port" },
+	{ name: "profile", env: "HVAC_PROFILE", value: "<slave=file>", multiple: true, description: "Load a JSON or CSV register profile into a slave at startup; repeatable, comma separated in the variable" },
+	{ name: "scenario", env: "HVAC_SCENARIO", value: "<name>", description: "Start a scenario of the scenarios directory at startup" },
+	{ name: "print-config", description: "Print the effective configuration and exit" },
+	{ name: "help", short: "h", description: "Show this help and exit" },
+];
+
+const BAUD_RATES = [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200];
+const DEFAULT_REGISTER_COUNT = 500;
+const DEFAULT_WEB_PORT = 3000;
+
+const NETWORK_TRANSPORTS = { tcp: "modbusTcp", "rtu-tcp": "modbusRtuTcp", udp: "modbusUdp", bacnet: "bacnet" };
+
+function getUsage() {
+	const lines = OPTIONS.map((option) => {
+		const flag = `${option.short ? `-${option.short}, ` : ""}--${option.name}${option.value ? ` ${option.value}` : ""}`;
+		const env = option.env ? ` [${option.env}]` : "";
+		return `  ${flag.padEnd(28)} ${option.description}${env}`;
+	});
+	return `Usage: node index.js [options]\n\nOptions:\n${lines.join("\n")}`;
+}
+
+// Name of an option in error messages, with its environment variable
+function label(name) {
+	const option = OPTIONS.find((o) => o.name === name);
+	return option.env ? `--${name} (${option.env})` : `--${name}`;
+}
+
+function parsePort(text) {
+	const port = Number(text);
+	return /^\d+$/.test(text) && port >= 1 && port <= 65535 ? port : null;
+}
+
+// "1,2,17:1000" to [{ id, registerCount }]; the ranges are checked by storage. Returns { slaves } or { error }.
+function parseSlaves(text) {
+	const slaves = [];
+	for (const item of text.split(",").map((s) => s.trim()).filter((s) => s !== "")) {
+		const match = /^(\d+)(?::(\d+))?$/.exec(item);
+		if (!match) {
+			return { error: `${label("slaves")}: expected id or id:registerCount, got "${item}"` };
+		}
+		slaves.push({ id: Number(match[1]), registerCount: match[2] ? Number(match[2]) : DEFAULT_REGISTER_COUNT });
+	}
+	return { slaves };
+}
+
+// Reads the options from the command line arguments and the environment.
+// Returns { options: { help, printConfig, web, paths, config, profiles, scenario } } or { error }, where
+// config holds the config sections that override config.json.
+function parseArguments(argv, env = {}) {
+	let parsed;
+	try {
+		const spec = {};
+		OPTIONS.forEach((option) => {
+			spec[option.name] = { type: option.value ? "string" : "boolean", multiple: !!option.multiple };
+			if (option.short) spec[option.name].short = option.short;
+		});
+		parsed = parseArgs({ args: argv, options: spec, strict: true, allowPositionals: false }).values;
+	} catch (err) {
+		return { error: err.message };
+	}
+
+	// Environment variables fill in the options not given on the command line
+	const values = {};
+	OPTIONS.forEach((option) => {
+		if (parsed[option.name] !== undefined) {
+			values[option.name] = parsed[option.name];
+		} else if (option.env && env[option.env] !== undefined && env[option.env] !== "") {
+			const text = env[option.env];
+			if (!option.value) {
+				values[option.name] = /^(1|true|yes|on)$/i.test(text);
+			} else {
+				values[option.name] = option.multiple ? text.split(",").map((s) => s.trim()).filter((s) => s !== "") : text;
+			}
+		}
+	});
+
+	const options = {
+		help: !!values.help,
+		printConfig: !!values["print-config"],
+		web: { enabled: !values["no-web"], port: DEFAULT_WEB_PORT, host: values["web-host"] || null },
+		paths: { dataDir: values["data-dir"], configFile: values.config },
+		config: {},
+		profiles: [],
+		scenario: values.scenario || null,
+	};
+
+	if (values["web-port"] !== undefined) {
+		options.web.port = parsePort(values["web-port"]);
+		if (options.web.port === null) {
+			return { error: `${label("web-port")} must be between 1 and 65535` };
+		}
+	}
+
+	if (values.slaves !== undefined) {
+		const { slaves, error } = parseSlaves(values.slaves);
+		if (error) {
+			return { error };
+		}
+		options.config.slaves = slaves;
+	}
+
+	for (const [name, section] of Object.entries(NETWORK_TRANSPORTS)) {
+		if (values[name] === undefined) continue;
+		if (values[name] === "off") {
+			options.config[section] = { enabled: false };
+			continue;
+		}
+		const port = parsePort(values[name]);
+		if (port === null) {
+			return { error: `${label(name)} must be a port between 1 and 65535 or off` };
+		}
+		options.config[section] = { enabled: true, port };
+	}
+
+	// Serial settings change the RTU section whether or not --rtu enables it
+	const serial = {};
+	if (values.rtu !== undefined) {
+		if (values.rtu === "off") {
+			serial.enabled = false;
+		} else {
+			Object.assign(serial, values.rtu === "pty" ? { enabled: true, mode: "pty" } : { enabled: true, mode: "serial", port: values.rtu });
+		}
+	}
+	if (values["pty-link"] !== undefined) {
+		serial.ptyLink = values["pty-link"];
+		if (serial.ptyLink !== "" && !path.isAbsolute(serial.ptyLink)) {
+			return { error: `${label("pty-link")} must be an absolute path` };
+		}
+	}
+	if (values["baud-rate"] !== undefined) {
+		serial.baudRate = Number(values["baud-rate"]);
+		if (!BAUD_RATES.includes(serial.baudRate)) {
+			return { error: `${label("baud-rate")} must be one of ${BAUD_RATES.join(", ")}` };
+		}
+	}
+	if (values["data-bits"] !== undefined) {
+		serial.dataBits = Number(values["data-bits"]);
+		if (![7, 8].includes(serial.dataBits)) {
+			return { error: `${label("data-bits")} must be 7 or 8` };
+		}
+	}
+	if (values.parity !== undefined) {
+		serial.parity = values.parity;
+		if (!["none", "even", "odd"].includes(serial.parity)) {
+			return { error: `${label("parity")} must be none, even or odd` };
+		}
+	}
+	if (values["stop-bits"] !== undefined) {
+		serial.stopBits = Number(values["stop-bits"]);
+		if (![1, 2].includes(serial.stopBits)) {
+			return { error: `${label("stop-bits")} must be 1 or 2` };
+		}
+	}
+	if (Object.keys(serial).length > 0) {
+		options.config.modbusRtu = serial;
+	}
+
+	for (const item of values.profile || []) {
+		const match = /^(\d+)=(.+)$/.exec(item);
+		if (!match) {
+			return { error: `${label("profile")}: expected slave=file, got "${item}"` };
+		}
+		options.profiles.push({ slaveId: Number(match[1]), file: match[2] });
+	}
+
+	return { options };
+}
+
+module.exports = { parseArguments, getUsage };
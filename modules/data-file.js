@@ -0,0 +1,225 @@
+const fs = require("fs").promises;
+
+// File formats of the slave data and the atomic file writes of storage.
+//   json:    pretty printed JSON, easy to read and diff (the default)
+//   compact: JSON without indentation
+//   binary:  a JSON header with everything but the tables, then the tables packed (bits 8 per byte,
+//            registers as 16 bit little endian words) and a CRC-32 of the whole file:
+//            "SHVE" | version (1 byte) | header length (uint32 LE) | header | tables | CRC-32 (uint32 LE)
+const FORMATS = ["json", "compact", "binary"];
+
+const DEFAULT_STORAGE = {
+	format: "json",
+	// Writes requested within this time are saved together, in milliseconds
+	saveDelay: 1000,
+};
+
+const MAX_SAVE_DELAY = 60000;
+
+const MAGIC = "SHVE";
+const VERSION = 1;
+const TABLES = ["coils", "discreteInputs", "registers", "inputRegisters"];
+const BIT_TABLES = ["coils", "discreteInputs"];
+
+// Builds the storage settings from user input (form strings or JSON), missing fields keep their current value.
+// Returns { settings } or { error }.
+function parseStorageSettings(input, current = DEFAULT_STORAGE) {
+	const settings = { ...DEFAULT_STORAGE, ...current };
+	if (typeof input.format === "string" && input.format !== "") {
+		settings.format = input.format;
+	}
+	if (input.saveDelay !== undefined && input.saveDelay !== "") {
+		settings.saveDelay = Number(input.saveDelay);
+	}
+
+	if (!FORMATS.includes(settings.format)) {
+		return { error: `format must be one of ${FORMATS.join(", ")}` };
+	}
+	if (!Number.isInteger(settings.saveDelay) || settings.saveDelay < 0 || settings.saveDelay > MAX_SAVE_DELAY) {
+		return { error: `saveDelay must be between 0 and ${MAX_SAVE_DELAY} ms` };
+	}
+	return { settings };
+}
+
+// File of the slave data in a format, next to the JSON file
+function getDataFile(jsonFile, format) {
+	return format === "binary" ? jsonFile.replace(/\.json$/, ".bin") : jsonFile;
+}
+
+const CRC_TABLE = new Array(256).fill(0).map((value, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+function crc32(buffer) {
+	let crc = 0xffffffff;
+	for (const byte of buffer) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+function encodeBinary(slaves) {
+	const header = {};
+	const parts = [];
+
+	Object.keys(slaves).forEach((slaveId) => {
+		const slave = slaves[slaveId];
+		const entry = { lengths: {} };
+		Object.keys(slave).forEach((key) => {
+			if (!TABLES.includes(key)) entry[key] = slave[key];
+		});
+
+		TABLES.forEach((table) => {
+			const values = slave[table];
+			entry.lengths[table] = values.length;
+			if (BIT_TABLES.includes(table)) {
+				const bytes = Buffer.alloc(Math.ceil(values.length / 8));
+				values.forEach((value, i) => {
+					if (value) bytes[i >> 3] |= 1 << (i & 7);
+				});
+				parts.push(bytes);
+			} else {
+				const words = Buffer.alloc(values.length * 2);
+				values.forEach((value, i) => words.writeUInt16LE(value & 0xffff, i * 2));
+				parts.push(words);
+			}
+		});
+		header[slaveId] = entry;
+	});
+
+	const json = Buffer.from(JSON.stringify(header));
+	const start = Buffer.alloc(9);
+	start.write(MAGIC, 0, "ascii");
+	start.writeUInt8(VERSION, 4);
+	start.writeUInt32LE(json.length, 5);
+
+	const body = Buffer.concat([start, json, ...parts]);
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32LE(crc32(body));
+	return Buffer.concat([body, crc]);
+}
+
+function decodeBinary(buffer) {
+	if (buffer.length < 13 || buffer.toString("ascii", 0, 4) !== MAGIC) {
+		throw new Error("Not a slave data file");
+	}
+	if (buffer[4] !== VERSION) {
+		throw new Error(`Unsupported file version ${buffer[4]}`);
+	}
+	if (crc32(buffer.slice(0, -4)) !== buffer.readUInt32LE(buffer.length - 4)) {
+		throw new Error("Checksum mismatch");
+	}
+
+	const headerLength = buffer.readUInt32LE(5);
+	const header = JSON.parse(buffer.toString("utf8", 9, 9 + headerLength));
+	let offset = 9 + headerLength;
+
+	const slaves = {};
+	Object.keys(header).forEach((slaveId) => {
+		const { lengths, ...slave } = header[slaveId];
+		TABLES.forEach((table) => {
+			const length = lengths[table];
+			if (BIT_TABLES.includes(table)) {
+				slave[table] = new Array(length).fill(0).map((value, i) => (buffer[offset + (i >> 3)] >> (i & 7)) & 1);
+				offset += Math.ceil(length / 8);
+			} else {
+				slave[table] = new Array(length).fill(0).map((value, i) => buffer.readUInt16LE(offset + i * 2));
+				offset += length * 2;
+			}
+		});
+		slaves[slaveId] = slave;
+	});
+
+	if (offset !== buffer.length - 4) {
+		throw new Error("Unexpected file length");
+	}
+	return slaves;
+}
+
+function encodeSlaves(slaves, format) {
+	if (format === "binary") return encodeBinary(slaves);
+	return JSON.stringify(slaves, null, format === "compact" ? 0 : 2);
+}
+
+// Slave data of a file of any format, told apart by its content. Throws on a corrupt file.
+function decodeSlaves(buffer) {
+	if (buffer.toString("ascii", 0, 4) === MAGIC) {
+		return decodeBinary(buffer);
+	}
+	const slaves = JSON.parse(buffer.toString("utf8"));
+	if (typeof slaves !== "object" || slaves === null || Array.isArray(slaves)) {
+		throw new Error("Slave data must be an object");
+	}
+	return slaves;
+}
+
+// Files that failed to decode when read. Their content is not worth a backup, and copying it would
+// overwrite the good <file>.bak the data was recovered from.
+const corruptFiles = new Set();
+
+// Writes a file so that a crash leaves either the old or the new content, never a truncated file:
+// the data goes to a temporary file that is flushed to disk and renamed over the target. The previous
+// content is kept as <file>.bak for recovering from a file damaged in other ways, unless it was corrupt.
+async function writeFileAtomic(file, data) {
+	const temp = `${file}.tmp`;
+	const handle = await fs.open(temp, "w");
+	try {
+		await handle.writeFile(data);
+		await handle.sync();
+	} finally {
+		await handle.close();
+	}
+
+	if (!corruptFiles.has(file)) {
+		try {
+			await fs.copyFile(file, `${file}.bak`);
+		} catch (err) {
+			if (err.code !== "ENOENT") throw err;
+		}
+	}
+	await fs.rename(temp, file);
+	corruptFiles.delete(file);
+}
+
+// Reads the first of `files` that exists and decodes, trying its backup after each.
+// A file that does not decode is kept as <file>.corrupt. Returns { data, file, failed } with the files that
+// failed to decode; data and file are null when none could be read.
+async function readWithRecovery(files, decode) {
+	const failed = [];
+	for (const file of files.flatMap((f) => [f, `${f}.bak`])) {
+		let buffer;
+		try {
+			buffer = await fs.readFile(file);
+		} catch (err) {
+			if (err.code !== "ENOENT") console.error(`Error reading ${file}:`, err.message);
+			continue;
+		}
+
+		try {
+			const data = decode(buffer);
+			corruptFiles.delete(file);
+			return { data, file, failed };
+		} catch (err) {
+			console.error(`${file} is corrupt (${err.message}), keeping it as ${file}.corrupt`);
+			await fs.copyFile(file, `${file}.corrupt`).catch(() => {});
+			corruptFiles.add(file);
+			failed.push(file);
+		}
+	}
+	return { data: null, file: null, failed };
+}
+
+module.exports = {
+	FORMATS,
+	DEFAULT_STORAGE,
+	parseStorageSettings,
+	getDataFile,
+	encodeSlaves,
+	decodeSlaves,
+	writeFileAtomic,
+	readWithRecovery,
+};
@@ -0,0 +1,108 @@
+// Register group layout of an emulated Samsung Modbus interface. Every slave has its own layout:
+// one outdoor block followed by `indoorCount` equally sized indoor unit blocks. The default
+// is 6 outdoor registers and 6 indoor units of 50 registers each, starting at register 50.
+const DEFAULT_LAYOUT = {
+	outdoorTitle: "Kültéri",
+	outdoorStart: 0,
+	outdoorSize: 6,
+	indoorTitle: "Beltéri",
+	indoorCount: 6,
+	indoorStart: 50,
+	indoorSize: 50,
+	// Optional custom titles of the indoor units, in unit order
+	titles: [],
+};
+
+const NUMERIC_FIELDS = ["outdoorStart", "outdoorSize", "indoorCount", "indoorStart", "indoorSize"];
+
+const MAX_INDOOR_UNITS = 64;
+
+// Groups of a layout: group 1 is the outdoor block, groups 2.. are the indoor units
+function getGroups(layout) {
+	const groups = [{ group: 1, title: layout.outdoorTitle, kind: "outdoor", start: layout.outdoorStart, size: layout.outdoorSize }];
+
+	for (let unit = 1; unit <= layout.indoorCount; unit++) {
+		groups.push({
+			group: unit + 1,
+			title: layout.titles[unit - 1] || `${layout.indoorTitle} ${unit}`,
+			kind: "indoor",
+			unit,
+			start: layout.indoorStart + (unit - 1) * layout.indoorSize,
+			size: layout.indoorSize,
+		});
+	}
+
+	return groups;
+}
+
+// Group by its 1-based number, falling back to the first group
+function getGroup(layout, group) {
+	const groups = getGroups(layout);
+	return groups.find((g) => g.group === group) || groups[0];
+}
+
+// Builds a layout from user input (strings or numbers), missing fields keep their current value.
+// Returns { layout } or { error } when the layout does not fit the register table.
+function parseLayout(input, current, registerCount) {
+	const layout = { ...current };
+
+	NUMERIC_FIELDS.forEach((field) => {
+		if (input[field] !== undefined && input[field] !== "") {
+			layout[field] = Number(input[field]);
+		}
+	});
+	["outdoorTitle", "indoorTitle"].forEach((field) => {
+		if (typeof input[field] === "string" && input[field].trim() !== "") {
+			layout[field] = input[field].trim();
+		}
+	});
+	if (Array.isArray(input.titles)) {
+		layout.titles = input.titles.map((title) => String(title).trim());
+	} else if (typeof input.titles === "string") {
+		// One title per line, as posted from the slave page
+		layout.titles = input.titles.split(/\r?\n/).map((title) => title.trim());
+	}
+
+	const error = validateLayout(layout, registerCount);
+	return error ? { error } : { layout };
+}
+
+function validateLayout(layout, registerCount) {
+	for (const field of NUMERIC_FIELDS) {
+		if (!Number.isInteger(layout[field]) || layout[field] < 0) {
+			return `${field} must be a non-negative integer`;
+		}
+	}
+	if (layout.outdoorSize < 1 || layout.indoorSize < 1) {
+		return "Block sizes must be at least 1";
+	}
+	if (layout.indoorCount > MAX_INDOOR_UNITS) {
+		return `At most ${MAX_INDOOR_UNITS} indoor units are supported`;
+	}
+	if (layout.outdoorStart + layout.outdoorSize > registerCount) {
+		return `The outdoor block does not fit in ${registerCount} registers`;
+	}
+	if (layout.indoorStart + layout.indoorCount * layout.indoorSize > registerCount) {
+		return `${layout.indoorCount} indoor units of ${layout.indoorSize} registers do not fit in ${registerCount} registers`;
+	}
+	const indoorEnd = layout.indoorStart + layout.indoorCount * layout.indoorSize;
+	if (layout.indoorCount > 0 && layout.outdoorStart < indoorEnd && layout.indoorStart < layout.outdoorStart + layout.outdoorSize) {
+		return "The outdoor block overlaps the indoor unit blocks";
+	}
+	return null;
+}
+
+// Returns the layout if it fits the register count, otherwise the default layout with
+// as many indoor units as fit
+function fitLayout(layout, registerCount) {
+	if (!validateLayout(layout, registerCount)) {
+		return layout;
+	}
+
+	const fitted = { ...DEFAULT_LAYOUT, titles: layout.titles || [] };
+	fitted.outdoorSize = Math.max(1, Math.min(fitted.outdoorSize, registerCount));
+	fitted.indoorCount = Math.max(0, Math.min(fitted.indoorCount, Math.floor((registerCount - fitted.indoorStart) / fitted.indoorSize)));
+	return fitted;
+}
+
+module.exports = { DEFAULT_LAYOUT, getGroups, getGroup, parseLayout, validateLayout, fitLayout };
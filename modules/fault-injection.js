@@ -0,0 +1,102 @@
+// Fault profile of a slave, to test how masters cope with a flaky interface. Rates are percentages
+// rolled for every request; the delay is random between delayMin and delayMax (fixed when equal).
+const DEFAULT_FAULTS = {
+	// No response at all, as an offline unit
+	offline: false,
+	// Requests left unanswered
+	dropRate: 0,
+	// Response delay in milliseconds
+	delayMin: 0,
+	delayMax: 0,
+	// Exception answered instead of executing the request (0 = none)
+	exceptionCode: 0,
+	exceptionRate: 100,
+	// Responses with a corrupted CRC (RTU) or a wrong transaction ID (TCP)
+	badCrcRate: 0,
+	wrongTransactionIdRate: 0,
+};
+
+// Forced exceptions: server device failure, server device busy
+const EXCEPTION_CODES = [0x04, 0x06];
+
+const RATE_FIELDS = ["dropRate", "exceptionRate", "badCrcRate", "wrongTransactionIdRate"];
+
+const MAX_DELAY = 60000;
+
+// Fault of a request when the slave has no fault profile
+const NO_FAULT = { drop: false, delay: 0, exceptionCode: 0, badCrc: false, wrongTransactionId: false };
+
+// Builds a fault profile from user input (form strings or JSON), missing fields keep their current value.
+// Returns { faults } or { error }.
+function parseFaults(input, current = DEFAULT_FAULTS, form = false) {
+	const faults = { ...DEFAULT_FAULTS, ...current };
+
+	if (form) {
+		// Unchecked checkboxes are missing from a posted form
+		faults.offline = input.offline === "on";
+	} else if (input.offline !== undefined) {
+		faults.offline = input.offline;
+	}
+	[...RATE_FIELDS, "delayMin", "delayMax", "exceptionCode"].forEach((field) => {
+		if (input[field] !== undefined && input[field] !== "") {
+			faults[field] = Number(input[field]);
+		}
+	});
+
+	const error = validateFaults(faults);
+	return error ? { error } : { faults };
+}
+
+function validateFaults(faults) {
+	if (typeof faults.offline !== "boolean") {
+		return "offline must be a boolean";
+	}
+	for (const field of RATE_FIELDS) {
+		if (!Number.isFinite(faults[field]) || faults[field] < 0 || faults[field] > 100) {
+			return `${field} must be a percentage between 0 and 100`;
+		}
+	}
+	for (const field of ["delayMin", "delayMax"]) {
+		if (!Number.isInteger(faults[field]) || faults[field] < 0 || faults[field] > MAX_DELAY) {
+			return `${field} must be between 0 and ${MAX_DELAY} ms`;
+		}
+	}
+	if (faults.delayMax < faults.delayMin) {
+		return "delayMax must not be less than delayMin";
+	}
+	if (faults.exceptionCode !== 0 && !EXCEPTION_CODES.includes(faults.exceptionCode)) {
+		return `exceptionCode must be 0 or one of ${EXCEPTION_CODES.join(", ")}`;
+	}
+	return null;
+}
+
+function isActive(faults) {
+	return (
+		!!faults &&
+		(faults.offline ||
+			faults.dropRate > 0 ||
+			faults.delayMax > 0 ||
+			(faults.exceptionCode !== 0 && faults.exceptionRate > 0) ||
+			faults.badCrcRate > 0 ||
+			faults.wrongTransactionIdRate > 0)
+	);
+}
+
+// Rolls the faults of one request:
+// { drop, delay (ms), exceptionCode (0 = none), badCrc, wrongTransactionId }
+function planFault(faults, random = Math.random) {
+	if (!isActive(faults)) {
+		return NO_FAULT;
+	}
+
+	const roll = (rate) => rate > 0 && random() * 100 < rate;
+	return {
+		drop: faults.offline || roll(faults.dropRate),
+		delay: faults.delayMin + Math.round(random() * (faults.delayMax - faults.delayMin)),
+		exceptionCode: faults.exceptionCode !== 0 && roll(faults.exceptionRate) ? faults.exceptionCode : 0,
+		badCrc: roll(faults.badCrcRate),
+		wrongTransactionId: roll(faults.wrongTransactionIdRate),
+	};
+}
+
+module.exports = { DEFAULT_FAULTS, EXCEPTION_CODES, NO_FAULT, parseFaults, validateFaults, isActive, planFault };
@@ -0,0 +1,212 @@
+const net = require("net");
+const { SerialPort } = require("serialport");
+const { appendCRC, verifyCRC } = require("./modbus-crc");
+
+// Modbus master side of a connection to a device over Modbus TCP, RTU over TCP or a serial RTU line. Takes
+// request PDUs and resolves with the response PDUs, so the proxy and the master tool share the framing.
+//   { transport: "tcp" | "rtu-tcp" | "rtu", host, port, serialPort, baudRate, dataBits, parity, stopBits, timeout }
+const TRANSPORTS = ["tcp", "rtu-tcp", "rtu"];
+
+// Length of the RTU response frame (including CRC) at the start of the buffer. Returns 0 when more bytes
+// are needed to tell, and -1 for an unknown function code.
+function getResponseLength(buffer) {
+	if (buffer.length < 2) return 0;
+	if (buffer[1] & 0x80) return 5;
+
+	switch (buffer[1]) {
+		case 0x01:
+		case 0x02:
+		case 0x03:
+		case 0x04:
+		case 0x17:
+			return buffer.length < 3 ? 0 : 3 + buffer[2] + 2;
+		case 0x05:
+		case 0x06:
+		case 0x0f:
+		case 0x10:
+			return 8;
+		case 0x16:
+			return 10;
+		case 0x2b: {
+			// MEI type, device ID code, conformity, more follows, next object ID, number of objects,
+			// then ID + length + value of every object
+			if (buffer.length < 8) return 0;
+			let offset = 8;
+			for (let i = 0; i < buffer[7]; i++) {
+				if (buffer.length < offset + 2) return 0;
+				offset += 2 + buffer[offset + 1];
+			}
+			return offset + 2;
+		}
+		default:
+			return -1;
+	}
+}
+
+class ModbusClient {
+	// `name` prefixes the log messages
+	constructor(settings, name = "Modbus client") {
+		this.settings = settings;
+		this.name = name;
+		// Open connection: { stream, buffer }
+		this.connection = null;
+		// Requests of request() wait for the previous one to complete
+		this.queue = Promise.resolve();
+		// Request waiting for its response: { unitId, transactionId, finish }
+		this.pending = null;
+		this.transactionId = 0;
+	}
+
+	describe() {
+		const { transport, host, port, serialPort, baudRate } = this.settings;
+		return transport === "rtu" ? `RTU ${serialPort} (${baudRate} baud)` : `${transport === "tcp" ? "Modbus TCP" : "RTU over TCP"} ${host}:${port}`;
+	}
+
+	isConnected() {
+		return this.connection !== null;
+	}
+
+	// Sends a request PDU after the previous requests completed, see exchange()
+	request(unitId, pdu) {
+		const result = this.queue.then(() => this.exchange(unitId, pdu));
+		this.queue = result.catch(() => null);
+		return result;
+	}
+
+	// Sends a request PDU, the caller waits for the previous exchange to complete. Resolves with the response
+	// PDU, or null when the device does not answer in time (or is not expected to, as for RTU broadcasts).
+	exchange(unitId, pdu) {
+		return new Promise((resolve) => {
+			let timer = null;
+			const finish = (response) => {
+				clearTimeout(timer);
+				this.pending = null;
+				resolve(response);
+			};
+
+			const connection = this.connect();
+			if (!connection) {
+				finish(null);
+				return;
+			}
+
+			const rtu = this.settings.transport !== "tcp";
+			let frame;
+			if (rtu) {
+				frame = appendCRC(Buffer.concat([Buffer.from([unitId]), pdu]));
+			} else {
+				this.transactionId = (this.transactionId + 1) & 0xffff;
+				frame = Buffer.alloc(7 + pdu.length);
+				frame.writeUInt16BE(this.transactionId, 0);
+				frame.writeUInt16BE(0, 2);
+				frame.writeUInt16BE(pdu.length + 1, 4);
+				frame.writeUInt8(unitId, 6);
+				pdu.copy(frame, 7);
+			}
+
+			connection.buffer = Buffer.alloc(0);
+			connection.stream.write(frame);
+
+			// Nobody answers a broadcast on a serial bus
+			if (rtu && unitId === 0) {
+				finish(null);
+				return;
+			}
+			this.pending = { unitId, transactionId: this.transactionId, finish };
+			timer = setTimeout(() => finish(null), this.settings.timeout);
+		});
+	}
+
+	// Opens the connection if needed. Writes are queued until it is open.
+	connect() {
+		if (this.connection) {
+			return this.connection;
+		}
+
+		const connection = { stream: null, buffer: Buffer.alloc(0) };
+		const { transport, host, port, serialPort, baudRate, dataBits, parity, stopBits } = this.settings;
+		try {
+			connection.stream =
+				transport === "rtu"
+					? new SerialPort({ path: serialPort, baudRate, dataBits, parity, stopBits })
+					: net.connect({ host, port });
+		} catch (err) {
+			console.error(`${this.name}: cannot open ${this.describe()}:`, err.message);
+			return null;
+		}
+
+		connection.stream.on("data", (data) => this.receive(connection, data));
+		connection.stream.on("error", (err) => {
+			console.error(`${this.name}: ${this.describe()} error:`, err.message);
+			if (this.connection === connection) {
+				this.close();
+			}
+		});
+		connection.stream.on("close", () => {
+			if (this.connection === connection) {
+				this.connection = null;
+			}
+		});
+
+		this.connection = connection;
+		return connection;
+	}
+
+	close() {
+		const connection = this.connection;
+		this.connection = null;
+		if (connection) {
+			if (connection.stream instanceof net.Socket) {
+				connection.stream.destroy();
+			} else if (connection.stream.isOpen) {
+				connection.stream.close();
+			}
+		}
+		if (this.pending) {
+			this.pending.finish(null);
+		}
+	}
+
+	// Completes the pending request with the response frame once it is complete. Anything else is dropped.
+	receive(connection, data) {
+		connection.buffer = Buffer.concat([connection.buffer, data]);
+		const pending = this.pending;
+		if (!pending) {
+			connection.buffer = Buffer.alloc(0);
+			return;
+		}
+
+		if (this.settings.transport === "tcp") {
+			// Late responses to timed out requests are skipped
+			while (connection.buffer.length >= 7) {
+				const length = connection.buffer.readUInt16BE(4);
+				if (connection.buffer.length < 6 + length) return;
+
+				const frame = connection.buffer.slice(0, 6 + length);
+				connection.buffer = connection.buffer.slice(6 + length);
+				if (frame.readUInt16BE(0) === pending.transactionId && frame[6] === pending.unitId && length >= 2) {
+					pending.finish(frame.slice(7));
+					return;
+				}
+			}
+			return;
+		}
+
+		const buffer = connection.buffer;
+		let length = getResponseLength(buffer);
+		if (length === 0) return;
+		// Unknown function code: the frame is complete once its CRC checks out
+		if (length < 0) length = buffer.length;
+		if (buffer.length < length) return;
+
+		const frame = buffer.slice(0, length);
+		connection.buffer = Buffer.alloc(0);
+		if (frame.length >= 4 && frame[0] === pending.unitId && verifyCRC(frame)) {
+			pending.finish(frame.slice(1, -2));
+		} else {
+			console.error(`${this.name}: dropping invalid response ${frame.toString("hex")}`);
+		}
+	}
+}
+
+module.exports = { ModbusClient, TRANSPORTS, getResponseLength };
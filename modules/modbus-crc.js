@@ -0,0 +1,27 @@
+// CRC-16/MODBUS of RTU frames (polynomial 0xA001 reflected, initial value 0xFFFF), sent low byte first.
+// Shared by the slave (modbus-rtu.js) and the master (modbus-client.js) side.
+
+function calculateCRC(buffer) {
+	let crc = 0xffff;
+	for (const byte of buffer) {
+		crc ^= byte;
+		for (let i = 0; i < 8; i++) {
+			crc = crc & 1 ? (crc >> 1) ^ 0xa001 : crc >> 1;
+		}
+	}
+	return crc;
+}
+
+function appendCRC(buffer) {
+	const crc = Buffer.alloc(2);
+	crc.writeUInt16LE(calculateCRC(buffer));
+	return Buffer.concat([buffer, crc]);
+}
+
+// Whether the last two bytes of a frame are the CRC of the rest
+function verifyCRC(buffer) {
+	if (buffer.length < 3) return false;
+	return calculateCRC(buffer.slice(0, -2)) === buffer.readUInt16LE(buffer.length - 2);
+}
+
+module.exports = { calculateCRC, appendCRC, verifyCRC };
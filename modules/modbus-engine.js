@@ -0,0 +1,376 @@
+// Transport independent Modbus application layer. Executes request PDUs (function code + data)
+// against the slaves in storage and builds the response PDU, exception responses included.
+// Transports only handle their own framing (MBAP header, slave address + CRC) and delegate here.
+
+const { NO_FAULT, planFault } = require("./fault-injection");
+
+// Exception codes
+const ILLEGAL_FUNCTION = 0x01;
+const ILLEGAL_DATA_ADDRESS = 0x02;
+const ILLEGAL_DATA_VALUE = 0x03;
+
+// Function codes that only write, the only ones allowed in an RTU broadcast
+const WRITE_FUNCTION_CODES = [0x05, 0x06, 0x0f, 0x10, 0x16];
+
+class ModbusEngine {
+	// `transport` is reported with the writes, see Storage.writeValues
+	constructor(storage, transport = null) {
+		this.storage = storage;
+		this.transport = transport;
+	}
+
+	createExceptionPDU(functionCode, exceptionCode) {
+		return Buffer.from([functionCode | 0x80, exceptionCode]);
+	}
+
+	isWriteFunction(functionCode) {
+		return WRITE_FUNCTION_CODES.includes(functionCode);
+	}
+
+	save() {
+		this.storage.saveSlaves().catch((err) => console.error("Error saving slaves:", err));
+	}
+
+	// Faults to inject into the response to a request for the slave, from its fault profile
+	planFault(slaveId) {
+		const slave = this.storage.getSlaves()[slaveId];
+		return slave ? planFault(slave.faults) : NO_FAULT;
+	}
+
+	// Writes requested by a master go through storage, so live pages see them. Returns the exception code
+	// when the write rules of the slave refuse the write, 0 otherwise.
+	write(slaveId, table, start, values) {
+		const violation = this.storage.writeWithRules(slaveId, table, start, values, "modbus", this.transport);
+		if (violation) {
+			console.error(`Write refused: ${violation.message}`);
+			return violation.exceptionCode;
+		}
+		this.save();
+		return 0;
+	}
+
+	// Builds the Read Device Identification (0x2B / 0x0E) response PDU, or returns an exception code
+	createDeviceIdentificationPDU(slaveId, readDevIdCode, objectId) {
+		const objects = this.storage.getDeviceIdentification(slaveId);
+		let lastObjectId;
+
+		if (readDevIdCode === 0x01) {
+			// Basic: vendor name, product code, revision
+			lastObjectId = 0x02;
+		} else if (readDevIdCode === 0x02 || readDevIdCode === 0x03) {
+			// Regular / extended: no extended objects are defined, so both return every object
+			lastObjectId = objects.length - 1;
+		} else if (readDevIdCode === 0x04) {
+			// Individual access
+			if (objectId >= objects.length) {
+				return ILLEGAL_DATA_ADDRESS;
+			}
+			lastObjectId = objectId;
+		} else {
+			return ILLEGAL_DATA_VALUE;
+		}
+
+		// Stream access restarts from the first object when the requested one is unknown
+		if (objectId > lastObjectId) {
+			objectId = 0x00;
+		}
+
+		const header = Buffer.from([0x2b, 0x0e, readDevIdCode, 0x82, 0x00, 0x00, 0x00]);
+		const parts = [header];
+		let length = header.length;
+		let count = 0;
+
+		for (let id = objectId; id <= lastObjectId; id++) {
+			const value = Buffer.from(objects[id], "ascii").slice(0, 245);
+			if (length + 2 + value.length > 253) {
+				// The rest is fetched by the master with a follow-up request
+				header.writeUInt8(0xff, 4);
+				header.writeUInt8(id, 5);
+				break;
+			}
+			parts.push(Buffer.from([id, value.length]), value);
+			length += 2 + value.length;
+			count++;
+		}
+		header.writeUInt8(count, 6);
+
+		return Buffer.concat(parts);
+	}
+
+	// Executes a request PDU for a configured slave and returns the response PDU
+	processPDU(slaveId, pdu) {
+		const functionCode = pdu.readUInt8(0);
+		const slave = this.storage.getSlaves()[slaveId];
+
+		switch (functionCode) {
+			case 0x01:
+			case 0x02: {
+				// Read Coils / Read Discrete Inputs
+				if (pdu.length !== 5) {
+					console.error("Invalid length for Read Coils/Discrete Inputs");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				const startAddr = pdu.readUInt16BE(1);
+				const quantity = pdu.readUInt16BE(3);
+				const table = functionCode === 0x01 ? slave.coils : slave.discreteInputs;
+
+				if (quantity < 1 || quantity > 2000) {
+					console.error("Invalid quantity for Read Coils/Discrete Inputs");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				if (startAddr + quantity > table.length) {
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_ADDRESS);
+				}
+
+				const byteCount = Math.ceil(quantity / 8);
+				const responsePDU = Buffer.alloc(2 + byteCount);
+				responsePDU.writeUInt8(functionCode, 0);
+				responsePDU.writeUInt8(byteCount, 1);
+
+				for (let i = 0; i < quantity; i++) {
+					if (table[startAddr + i]) {
+						responsePDU[2 + (i >> 3)] |= 1 << (i & 7);
+					}
+				}
+				return responsePDU;
+			}
+
+			case 0x03:
+			case 0x04: {
+				// Read Holding Registers / Read Input Registers
+				if (pdu.length !== 5) {
+					console.error("Invalid length for Read Holding/Input Registers");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				const startAddr = pdu.readUInt16BE(1);
+				const quantity = pdu.readUInt16BE(3);
+				const table = functionCode === 0x03 ? slave.registers : slave.inputRegisters;
+
+				if (quantity < 1 || quantity > 125) {
+					console.error("Invalid quantity for Read Holding/Input Registers");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				if (startAddr + quantity > table.length) {
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_ADDRESS);
+				}
+
+				const byteCount = quantity * 2;
+				const responsePDU = Buffer.alloc(2 + byteCount);
+				responsePDU.writeUInt8(functionCode, 0);
+				responsePDU.writeUInt8(byteCount, 1);
+
+				for (let i = 0; i < quantity; i++) {
+					responsePDU.writeUInt16BE(table[startAddr + i], 2 + i * 2);
+				}
+				return responsePDU;
+			}
+
+			case 0x05: {
+				// Write Single Coil
+				if (pdu.length !== 5) {
+					console.error("Invalid length for Write Single Coil");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				const coilAddr = pdu.readUInt16BE(1);
+				const value = pdu.readUInt16BE(3);
+
+				if (value !== 0xff00 && value !== 0x0000) {
+					console.error("Invalid value for Write Single Coil");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				if (coilAddr >= slave.coils.length) {
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_ADDRESS);
+				}
+
+				const exceptionCode = this.write(slaveId, "coils", coilAddr, [value === 0xff00 ? 1 : 0]);
+				if (exceptionCode) {
+					return this.createExceptionPDU(functionCode, exceptionCode);
+				}
+
+				// Echo back the request PDU
+				return Buffer.from(pdu);
+			}
+
+			case 0x06: {
+				// Write Single Register
+				if (pdu.length !== 5) {
+					console.error("Invalid length for Write Single Register");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				const regAddr = pdu.readUInt16BE(1);
+				const value = pdu.readUInt16BE(3);
+
+				if (regAddr >= slave.registers.length) {
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_ADDRESS);
+				}
+
+				const exceptionCode = this.write(slaveId, "registers", regAddr, [value]);
+				if (exceptionCode) {
+					return this.createExceptionPDU(functionCode, exceptionCode);
+				}
+
+				// Echo back the request PDU
+				return Buffer.from(pdu);
+			}
+
+			case 0x0f: {
+				// Write Multiple Coils
+				if (pdu.length < 7) {
+					console.error("Invalid length for Write Multiple Coils");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				const startAddr = pdu.readUInt16BE(1);
+				const quantity = pdu.readUInt16BE(3);
+				const byteCount = pdu.readUInt8(5);
+
+				if (quantity < 1 || quantity > 1968 || byteCount !== Math.ceil(quantity / 8) || pdu.length !== 6 + byteCount) {
+					console.error("Byte count mismatch in Write Multiple Coils");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				if (startAddr + quantity > slave.coils.length) {
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_ADDRESS);
+				}
+
+				const values = [];
+				for (let i = 0; i < quantity; i++) {
+					values.push((pdu[6 + (i >> 3)] >> (i & 7)) & 1);
+				}
+				const exceptionCode = this.write(slaveId, "coils", startAddr, values);
+				if (exceptionCode) {
+					return this.createExceptionPDU(functionCode, exceptionCode);
+				}
+
+				// Response: Function Code + Start Address + Quantity
+				return Buffer.from(pdu.slice(0, 5));
+			}
+
+			case 0x10: {
+				// Write Multiple Registers
+				if (pdu.length < 8) {
+					console.error("Invalid length for Write Multiple Registers");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				const startAddr = pdu.readUInt16BE(1);
+				const quantity = pdu.readUInt16BE(3);
+				const byteCount = pdu.readUInt8(5);
+
+				if (quantity < 1 || quantity > 123 || byteCount !== quantity * 2 || pdu.length !== 6 + byteCount) {
+					console.error("Byte count mismatch in Write Multiple Registers");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				if (startAddr + quantity > slave.registers.length) {
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_ADDRESS);
+				}
+
+				const values = [];
+				for (let i = 0; i < quantity; i++) {
+					values.push(pdu.readUInt16BE(6 + i * 2));
+				}
+				const exceptionCode = this.write(slaveId, "registers", startAddr, values);
+				if (exceptionCode) {
+					return this.createExceptionPDU(functionCode, exceptionCode);
+				}
+
+				// Response: Function Code + Start Address + Quantity
+				return Buffer.from(pdu.slice(0, 5));
+			}
+
+			case 0x16: {
+				// Mask Write Register
+				if (pdu.length !== 7) {
+					console.error("Invalid length for Mask Write Register");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				const regAddr = pdu.readUInt16BE(1);
+				const andMask = pdu.readUInt16BE(3);
+				const orMask = pdu.readUInt16BE(5);
+
+				if (regAddr >= slave.registers.length) {
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_ADDRESS);
+				}
+
+				const current = slave.registers[regAddr];
+				const exceptionCode = this.write(slaveId, "registers", regAddr, [((current & andMask) | (orMask & ~andMask)) & 0xffff]);
+				if (exceptionCode) {
+					return this.createExceptionPDU(functionCode, exceptionCode);
+				}
+
+				// Echo back the request PDU
+				return Buffer.from(pdu);
+			}
+
+			case 0x17: {
+				// Read/Write Multiple Registers
+				if (pdu.length < 12) {
+					console.error("Invalid length for Read/Write Multiple Registers");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				const readAddr = pdu.readUInt16BE(1);
+				const readQuantity = pdu.readUInt16BE(3);
+				const writeAddr = pdu.readUInt16BE(5);
+				const writeQuantity = pdu.readUInt16BE(7);
+				const writeByteCount = pdu.readUInt8(9);
+
+				if (
+					readQuantity < 1 ||
+					readQuantity > 125 ||
+					writeQuantity < 1 ||
+					writeQuantity > 121 ||
+					writeByteCount !== writeQuantity * 2 ||
+					pdu.length !== 10 + writeByteCount
+				) {
+					console.error("Invalid quantity or byte count in Read/Write Multiple Registers");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				if (readAddr + readQuantity > slave.registers.length || writeAddr + writeQuantity > slave.registers.length) {
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_ADDRESS);
+				}
+
+				// The write is performed before the read
+				const values = [];
+				for (let i = 0; i < writeQuantity; i++) {
+					values.push(pdu.readUInt16BE(10 + i * 2));
+				}
+				const exceptionCode = this.write(slaveId, "registers", writeAddr, values);
+				if (exceptionCode) {
+					return this.createExceptionPDU(functionCode, exceptionCode);
+				}
+
+				const byteCount = readQuantity * 2;
+				const responsePDU = Buffer.alloc(2 + byteCount);
+				responsePDU.writeUInt8(functionCode, 0);
+				responsePDU.writeUInt8(byteCount, 1);
+
+				for (let i = 0; i < readQuantity; i++) {
+					responsePDU.writeUInt16BE(slave.registers[readAddr + i], 2 + i * 2);
+				}
+				return responsePDU;
+			}
+
+			case 0x2b: {
+				// Encapsulated Interface Transport - only Read Device Identification (MEI 0x0E)
+				if (pdu.length !== 4) {
+					console.error("Invalid length for Read Device Identification");
+					return this.createExceptionPDU(functionCode, ILLEGAL_DATA_VALUE);
+				}
+				if (pdu.readUInt8(1) !== 0x0e) {
+					console.error(`Unsupported MEI type: ${pdu.readUInt8(1)}`);
+					return this.createExceptionPDU(functionCode, ILLEGAL_FUNCTION);
+				}
+
+				const result = this.createDeviceIdentificationPDU(slaveId, pdu.readUInt8(2), pdu.readUInt8(3));
+				if (!Buffer.isBuffer(result)) {
+					console.error("Invalid Read Device Identification request");
+					return this.createExceptionPDU(functionCode, result);
+				}
+				return result;
+			}
+
+			default:
+				console.error(`Unsupported function code: ${functionCode}`);
+				return this.createExceptionPDU(functionCode, ILLEGAL_FUNCTION);
+		}
+	}
+}
+
+module.exports = ModbusEngine;
@@ -0,0 +1,231 @@
+const { performance } = require("perf_hooks");
+const { ModbusClient, TRANSPORTS } = require("./modbus-client");
+const recordings = require("./recordings");
+
+// Proxy mode: requests of the proxied unit IDs are not executed on the emulated slaves, but forwarded to an
+// upstream device over Modbus TCP, RTU over TCP or a serial RTU line, and its responses are sent back.
+// Requests are forwarded one at a time. While recording, every forwarded transaction is kept with its timing.
+const DEFAULT_PROXY = {
+	enabled: false,
+	// Unit IDs forwarded upstream, all of them when empty
+	unitIds: [],
+	// "tcp", "rtu-tcp" or "rtu"
+	upstream: "tcp",
+	host: "127.0.0.1",
+	port: 502,
+	serialPort: "COM2",
+	baudRate: 9600,
+	dataBits: 8,
+	parity: "none",
+	stopBits: 1,
+	// Response timeout in milliseconds
+	timeout: 1000,
+};
+
+const UPSTREAMS = TRANSPORTS;
+const BAUD_RATES = [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200];
+const MAX_TIMEOUT = 60000;
+
+// Transactions of a recording; recording stops when it is full
+const MAX_RECORDED = 100000;
+
+// Builds the proxy settings from user input (form strings or JSON), missing fields keep their current value.
+// Returns { settings } or { error }.
+function parseProxySettings(input, current = DEFAULT_PROXY, form = false) {
+	const settings = { ...DEFAULT_PROXY, ...current };
+
+	if (form) {
+		// Unchecked checkboxes are missing from a posted form
+		settings.enabled = input.enabled === "on";
+	} else if (input.enabled !== undefined) {
+		settings.enabled = input.enabled;
+	}
+	if (Array.isArray(input.unitIds)) {
+		settings.unitIds = input.unitIds;
+	} else if (typeof input.unitIds === "string") {
+		// Comma or space separated, as posted from the proxy page
+		settings.unitIds = input.unitIds.split(/[\s,]+/).filter((id) => id !== "").map(Number);
+	}
+	["upstream", "host", "serialPort", "parity"].forEach((field) => {
+		if (typeof input[field] === "string" && input[field].trim() !== "") {
+			settings[field] = input[field].trim();
+		}
+	});
+	["port", "baudRate", "dataBits", "stopBits", "timeout"].forEach((field) => {
+		if (input[field] !== undefined && input[field] !== "") {
+			settings[field] = Number(input[field]);
+		}
+	});
+
+	const error = validateProxySettings(settings);
+	return error ? { error } : { settings };
+}
+
+function validateProxySettings(settings) {
+	if (typeof settings.enabled !== "boolean") {
+		return "enabled must be a boolean";
+	}
+	if (!Array.isArray(settings.unitIds) || !settings.unitIds.every((id) => Number.isInteger(id) && id >= 0 && id <= 255)) {
+		return "unitIds must be unit IDs between 0 and 255";
+	}
+	if (!UPSTREAMS.includes(settings.upstream)) {
+		return `upstream must be one of ${UPSTREAMS.join(", ")}`;
+	}
+	if (settings.upstream === "rtu") {
+		if (typeof settings.serialPort !== "string" || settings.serialPort === "") {
+			return "serialPort must be a serial port path";
+		}
+		if (!BAUD_RATES.includes(settings.baudRate)) {
+			return `baudRate must be one of ${BAUD_RATES.join(", ")}`;
+		}
+		if (![7, 8].includes(settings.dataBits)) {
+			return "dataBits must be 7 or 8";
+		}
+		if (!["none", "even", "odd"].includes(settings.parity)) {
+			return "parity must be none, even or odd";
+		}
+		if (![1, 2].includes(settings.stopBits)) {
+			return "stopBits must be 1 or 2";
+		}
+	} else {
+		if (typeof settings.host !== "string" || settings.host === "") {
+			return "host must be a host name or address";
+		}
+		if (!Number.isInteger(settings.port) || settings.port < 1 || settings.port > 65535) {
+			return "port must be between 1 and 65535";
+		}
+	}
+	if (!Number.isInteger(settings.timeout) || settings.timeout < 10 || settings.timeout > MAX_TIMEOUT) {
+		return `timeout must be between 10 and ${MAX_TIMEOUT} ms`;
+	}
+	return null;
+}
+
+// Client of the upstream device for the proxy settings
+const createClient = (settings) => new ModbusClient({ ...settings, transport: settings.upstream }, "Modbus proxy");
+
+class ModbusProxy {
+	constructor() {
+		this.settings = { ...DEFAULT_PROXY };
+		this.client = createClient(this.settings);
+		// Forwarded requests wait for the previous one to complete
+		this.queue = Promise.resolve();
+		this.stats = { forwarded: 0, timeouts: 0 };
+		this.recording = null;
+	}
+
+	// Applies new settings, the upstream connection is reopened with the next request
+	configure(settings) {
+		this.settings = { ...DEFAULT_PROXY, ...settings };
+		this.disconnect();
+		this.client = createClient(this.settings);
+		if (this.settings.enabled) {
+			console.log(`Modbus proxy forwarding ${this.settings.unitIds.length > 0 ? `unit IDs ${this.settings.unitIds.join(", ")}` : "every unit ID"} to ${this.describeUpstream()}`);
+		}
+	}
+
+	describeUpstream() {
+		return this.client.describe();
+	}
+
+	// Whether requests of the unit ID go upstream
+	handles(unitId) {
+		return this.settings.enabled && (this.settings.unitIds.length === 0 || this.settings.unitIds.includes(unitId));
+	}
+
+	getStatus() {
+		const recording = this.recording;
+		return {
+			enabled: this.settings.enabled,
+			upstream: this.describeUpstream(),
+			connected: this.client.isConnected(),
+			forwarded: this.stats.forwarded,
+			timeouts: this.stats.timeouts,
+			recording: recording
+				? { name: recording.name, startedAt: recording.startedAt, transactions: recording.transactions.length, duration: Math.round(performance.now() - recording.started) }
+				: null,
+		};
+	}
+
+	// Forwards a request PDU to the upstream device. Resolves with the response PDU, or null when the
+	// upstream device does not answer in time (or is not expected to, as for RTU broadcasts).
+	forward(unitId, pdu) {
+		const result = this.queue.then(() => this.exchange(unitId, pdu));
+		this.queue = result.catch(() => null);
+		return result;
+	}
+
+	async exchange(unitId, pdu) {
+		const started = performance.now();
+		const response = await this.client.exchange(unitId, pdu);
+		this.stats.forwarded++;
+		if (!response && unitId !== 0) {
+			this.stats.timeouts++;
+			console.error(`Modbus proxy: no response from unit ${unitId} of ${this.describeUpstream()}`);
+		}
+		this.record(unitId, pdu, response, started);
+		return response;
+	}
+
+	disconnect() {
+		this.client.close();
+	}
+
+	isRecording() {
+		return this.recording !== null;
+	}
+
+	// Starts recording the forwarded transactions, stopping the current recording
+	async startRecording(name) {
+		if (this.recording) {
+			await this.stopRecording();
+		}
+		this.recording = {
+			name,
+			startedAt: new Date().toISOString(),
+			started: performance.now(),
+			upstream: this.describeUpstream(),
+			transactions: [],
+		};
+		console.log(`Modbus proxy: recording ${name}`);
+	}
+
+	// Saves the recording and returns its name, null when nothing was recorded
+	async stopRecording() {
+		const recording = this.recording;
+		if (!recording) {
+			return null;
+		}
+		this.recording = null;
+
+		await recordings.saveRecording({
+			name: recording.name,
+			startedAt: recording.startedAt,
+			stoppedAt: new Date().toISOString(),
+			upstream: recording.upstream,
+			transactions: recording.transactions,
+		});
+		console.log(`Modbus proxy: saved recording ${recording.name} (${recording.transactions.length} transactions)`);
+		return recording.name;
+	}
+
+	// Keeps a forwarded transaction: time from the start of the recording and latency in milliseconds
+	record(unitId, request, response, started) {
+		const recording = this.recording;
+		if (!recording) return;
+
+		recording.transactions.push({
+			t: Math.round(started - recording.started),
+			unitId,
+			request: request.toString("hex"),
+			response: response ? response.toString("hex") : null,
+			latency: Number((performance.now() - started).toFixed(3)),
+		});
+		if (recording.transactions.length >= MAX_RECORDED) {
+			console.error(`Modbus proxy: recording ${recording.name} is full`);
+			this.stopRecording().catch((err) => console.error("Error saving recording:", err));
+		}
+	}
+}
+
+module.exports = { modbusProxy: new ModbusProxy(), DEFAULT_PROXY, parseProxySettings };
@@ -0,0 +1,96 @@
+const net = require("net");
+const ModbusRTU = require("./modbus-rtu");
+
+// Modbus RTU frames (slave ID + PDU + CRC) tunnelled over a plain TCP connection,
+// as done by serial-to-Ethernet gateways. Frame handling and splitting is inherited from ModbusRTU.
+class ModbusRtuOverTCP extends ModbusRTU {
+	constructor(storage) {
+		super(storage);
+		this.server = null;
+		// Behave like a gateway: unknown unit IDs get exception 0x0B instead of silence
+		this.answerUnknownSlaves = true;
+		this.transport = "rtu-tcp";
+		this.engine.transport = this.transport;
+	}
+
+	start(port) {
+		if (this.server) {
+			console.log("Modbus RTU over TCP server already running");
+			return;
+		}
+
+		try {
+			this.server = net.createServer((socket) => {
+				console.log("Modbus RTU over TCP Client connected:", socket.remoteAddress, socket.remotePort);
+				const client = `${socket.remoteAddress}:${socket.remotePort}`;
+
+				// Bytes of a partially received frame on this connection
+				let buffer = Buffer.alloc(0);
+				// Replies still to be sent on this connection
+				let replies = Promise.resolve();
+
+				socket.on("data", (data) => {
+					try {
+						const { frames, rest } = this.splitFrames(Buffer.concat([buffer, data]));
+						buffer = rest;
+
+						// Pipelined requests are answered in the order they arrived, whatever their delay
+						frames.forEach((frame) => {
+							const reply = this.handleFrame(frame, client);
+							replies = replies
+								.then(() => reply)
+								.then((response) => {
+									if (response && !socket.destroyed) {
+										socket.write(response);
+									}
+								});
+						});
+					} catch (err) {
+						console.error("Error handling Modbus RTU over TCP data:", err);
+					}
+				});
+
+				socket.on("end", () => {
+					if (buffer.length > 0) {
+						console.error(`Discarding truncated Modbus RTU over TCP frame: ${buffer.toString("hex")}`);
+					}
+					console.log("Modbus RTU over TCP Client disconnected.");
+				});
+
+				socket.on("error", (err) => {
+					console.error("Modbus RTU over TCP Socket error:", err.message);
+				});
+			});
+
+			this.server.on("error", (err) => {
+				console.error("Modbus RTU over TCP Server error:", err.message);
+				if (err.code === "EADDRINUSE") {
+					console.error(`Port ${port} is already in use`);
+				}
+			});
+
+			this.server.listen(port, () => {
+				console.log(`Modbus RTU over TCP Server is listening on port ${port}`);
+			});
+		} catch (err) {
+			console.error("Error starting Modbus RTU over TCP server:", err.message);
+			this.server = null;
+		}
+	}
+
+	stop() {
+		if (this.server) {
+			this.server.close(() => {
+				console.log("Modbus RTU over TCP Server stopped");
+			});
+			this.server = null;
+		}
+	}
+
+	restart(port) {
+		this.stop();
+		setTimeout(() => this.start(port), 1000);
+	}
+}
+
+module.exports = ModbusRtuOverTCP;
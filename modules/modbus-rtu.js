@@ -1,43 +1,47 @@
 const { SerialPort } = require("serialport");
+const ModbusEngine = require("./modbus-engine");
+const trafficMonitor = require("./traffic-monitor");
+const { NO_FAULT } = require("./fault-injection");
+const { modbusProxy } = require("./modbus-proxy");
+const { VirtualSerialPort } = require("./serial-ports");
+const { appendCRC, verifyCRC } = require("./modbus-crc");
+
+// Largest RTU frame: slave ID, 253 byte PDU and CRC
+const MAX_FRAME_LENGTH = 256;
 
 class ModbusRTU {
 	constructor(storage) {
 		this.storage = storage;
 		this.port = null;
-		this.registerCount = 500;
+		// Transport name in the traffic monitor and the register history
+		this.transport = "rtu";
+		this.engine = new ModbusEngine(storage, this.transport);
 		this.buffer = Buffer.alloc(0);
 		this.frameTimeout = null;
+		this.timings = this.getFrameTimings({ baudRate: 9600 });
+		// Answer requests for unknown slave IDs with exception 0x0B (gateway target failed)
+		this.answerUnknownSlaves = false;
 	}
 
-	calculateCRC(buffer) {
-		let crc = 0xffff;
-		for (let pos = 0; pos < buffer.length; pos++) {
-			crc ^= buffer[pos];
-			for (let i = 0; i < 8; i++) {
-				if ((crc & 0x0001) !== 0) {
-					crc = (crc >> 1) ^ 0xa001;
-				} else {
-					crc = crc >> 1;
-				}
-			}
-		}
-		return crc;
+	// Inter-character (t1.5) and inter-frame (t3.5) silence in milliseconds for the given serial settings.
+	// Above 19200 baud the spec fixes them at 0.75 ms and 1.75 ms. An incomplete frame is dropped
+	// once a full size (256 byte) frame would have had time to arrive.
+	getFrameTimings(config) {
+		const bitsPerChar = 1 + (config.dataBits || 8) + (config.parity && config.parity !== "none" ? 1 : 0) + (config.stopBits || 1);
+		const charTime = (bitsPerChar * 1000) / config.baudRate;
+		const fixed = config.baudRate > 19200;
+		const t15 = fixed ? 0.75 : 1.5 * charTime;
+		const t35 = fixed ? 1.75 : 3.5 * charTime;
+
+		return { t15, t35, incompleteFrame: 256 * charTime + t35 };
 	}
 
 	appendCRC(bufferWithoutCRC) {
-		const crc = this.calculateCRC(bufferWithoutCRC);
-		const crcBuf = Buffer.alloc(2);
-		crcBuf.writeUInt8(crc & 0xff, 0);
-		crcBuf.writeUInt8((crc >> 8) & 0xff, 1);
-		return Buffer.concat([bufferWithoutCRC, crcBuf]);
+		return appendCRC(bufferWithoutCRC);
 	}
 
 	verifyCRC(buffer) {
-		if (buffer.length < 3) return false;
-		const data = buffer.slice(0, -2);
-		const receivedCrc = buffer.readUInt16LE(buffer.length - 2);
-		const calculatedCrc = this.calculateCRC(data);
-		return receivedCrc === calculatedCrc;
+		return verifyCRC(buffer);
 	}
 
 	createExceptionResponse(slaveId, functionCode, exceptionCode) {
@@ -46,7 +50,195 @@ class ModbusRTU {
 		return this.appendCRC(responseWithoutCRC);
 	}
 
-	processRequest(requestBuffer) {
+	// Length of the request frame (including CRC) starting at the beginning of the buffer.
+	// Returns 0 when more bytes are needed to tell, and -1 for an unknown function code.
+	getRequestLength(buffer) {
+		if (buffer.length < 2) return 0;
+
+		switch (buffer.readUInt8(1)) {
+			case 0x01:
+			case 0x02:
+			case 0x03:
+			case 0x04:
+			case 0x05:
+			case 0x06:
+				return 8;
+			case 0x0f:
+			case 0x10:
+				return buffer.length < 7 ? 0 : 7 + buffer.readUInt8(6) + 2;
+			case 0x16:
+				return 10;
+			case 0x17:
+				return buffer.length < 11 ? 0 : 11 + buffer.readUInt8(10) + 2;
+			case 0x2b:
+				return 7;
+			default:
+				return -1;
+		}
+	}
+
+	// Length of a frame with an unknown function code at `offset`: the shortest one whose CRC checks out,
+	// or 0 when there is none (yet) within the largest frame size
+	findFrameEnd(buffer, offset) {
+		const last = Math.min(buffer.length - offset, MAX_FRAME_LENGTH);
+		for (let length = 4; length <= last; length++) {
+			if (this.verifyCRC(buffer.slice(offset, offset + length))) {
+				return length;
+			}
+		}
+		return 0;
+	}
+
+	// Whether a complete frame with a valid CRC starts after `offset`, which makes the bytes before it noise
+	hasFrameAfter(buffer, offset) {
+		for (let start = offset + 1; start + 4 <= buffer.length; start++) {
+			const length = this.getRequestLength(buffer.slice(start));
+			if (length > 0 && start + length <= buffer.length && this.verifyCRC(buffer.slice(start, start + length))) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	// Splits a burst of received bytes into back-to-back RTU frames using the function code
+	// to tell the frame length. Returns the frames and the bytes of a frame still in transit.
+	// A frame that is incomplete or fails its CRC while a valid frame follows is noise: its first
+	// byte is dropped and the rest scanned again, so a stream without silences resynchronizes.
+	splitFrames(buffer) {
+		// The common case: the burst is exactly one frame
+		if (buffer.length >= 4 && this.verifyCRC(buffer) && this.getRequestLength(buffer) === buffer.length) {
+			return { frames: [buffer], rest: Buffer.alloc(0) };
+		}
+
+		const frames = [];
+		let offset = 0;
+		let skipped = 0;
+
+		while (offset < buffer.length) {
+			let length = this.getRequestLength(buffer.slice(offset));
+			if (length === 0) break;
+
+			// Unknown function code: the frame ends where its CRC checks out, and gets an exception response.
+			// Without a CRC within the largest frame size the byte is noise, the next one may start a frame.
+			if (length < 0) {
+				length = this.findFrameEnd(buffer, offset);
+				if (length === 0) {
+					if (buffer.length - offset < MAX_FRAME_LENGTH && !this.hasFrameAfter(buffer, offset)) break;
+					offset++;
+					skipped++;
+					continue;
+				}
+			}
+			const complete = buffer.length - offset >= length;
+			if ((!complete || !this.verifyCRC(buffer.slice(offset, offset + length))) && this.hasFrameAfter(buffer, offset)) {
+				offset++;
+				skipped++;
+				continue;
+			}
+			if (!complete) break;
+
+			frames.push(buffer.slice(offset, offset + length));
+			offset += length;
+		}
+
+		if (skipped > 0) {
+			console.error(`Skipped ${skipped} bytes without a valid Modbus RTU frame`);
+		}
+		return { frames, rest: buffer.slice(offset) };
+	}
+
+	// Broadcast (slave ID 0): every slave executes the write, none of them replies
+	processBroadcast(requestBuffer) {
+		const functionCode = requestBuffer.readUInt8(1);
+		if (!this.engine.isWriteFunction(functionCode)) {
+			console.error(`Ignoring broadcast of non-write function code: ${functionCode}`);
+			return null;
+		}
+
+		const pdu = requestBuffer.slice(1, -2);
+		Object.keys(this.storage.getSlaves()).forEach((slaveId) => {
+			this.engine.processPDU(Number(slaveId), pdu);
+		});
+		return null;
+	}
+
+	// Handles the bytes received since the last t3.5 silence on the serial line
+	processBuffer() {
+		this.frameTimeout = null;
+		const { frames, rest } = this.splitFrames(this.buffer);
+		this.buffer = rest;
+
+		frames.forEach((frame) => {
+			this.handleFrame(frame, this.port ? this.port.path : null).then((response) => {
+				if (response && this.port && this.port.isOpen) {
+					this.port.write(response, (err) => {
+						if (err) {
+							console.error("Error writing to serial port:", err);
+						}
+					});
+				}
+			});
+		});
+
+		if (this.buffer.length > 0) {
+			// Wait for the rest of the frame, then give up on it
+			this.frameTimeout = setTimeout(() => {
+				console.error("Discarding incomplete Modbus RTU frame:", this.buffer.toString("hex"));
+				this.buffer = Buffer.alloc(0);
+				this.frameTimeout = null;
+			}, Math.ceil(this.timings.incompleteFrame));
+		}
+	}
+
+	// Answers a request frame with the faults of its slave injected, then records the transaction. Resolves
+	// with the response once it is due, after the injected delay, or with null when nothing is answered.
+	handleFrame(frame, client) {
+		const startedAt = trafficMonitor.now();
+		if (frame.length >= 4 && modbusProxy.handles(frame[0]) && this.verifyCRC(frame)) {
+			return this.forwardFrame(frame, client, startedAt);
+		}
+
+		const fault = frame.length > 0 ? this.engine.planFault(frame[0]) : NO_FAULT;
+		const response = this.processRequest(frame, fault);
+
+		return new Promise((resolve) => {
+			const reply = () => {
+				trafficMonitor.record(this.transport, client, frame, response, startedAt);
+				resolve(response);
+			};
+
+			if (response && fault.delay > 0) {
+				setTimeout(reply, fault.delay);
+			} else {
+				reply();
+			}
+		});
+	}
+
+	// Answers a request of a proxied slave with the response of the upstream device. When it does not answer,
+	// a gateway exception (0x0B) is sent only where unknown slaves are answered too; broadcasts get no answer.
+	forwardFrame(frame, client, startedAt) {
+		const slaveId = frame[0];
+		return modbusProxy
+			.forward(slaveId, frame.slice(1, -2))
+			.then((responsePDU) => {
+				let response = null;
+				if (slaveId !== 0 && responsePDU) {
+					response = this.appendCRC(Buffer.concat([Buffer.from([slaveId]), responsePDU]));
+				} else if (slaveId !== 0 && this.answerUnknownSlaves) {
+					response = this.createExceptionResponse(slaveId, frame[1], 0x0b);
+				}
+
+				trafficMonitor.record(this.transport, client, frame, response, startedAt);
+				return response;
+			})
+			.catch((err) => {
+				console.error("Error forwarding Modbus RTU request:", err);
+				return null;
+			});
+	}
+
+	processRequest(requestBuffer, fault = NO_FAULT) {
 		try {
 			if (requestBuffer.length < 4) {
 				console.error("Request too short.");
@@ -62,88 +254,30 @@ class ModbusRTU {
 			const functionCode = requestBuffer.readUInt8(1);
 			const slaves = this.storage.getSlaves();
 
+			if (slaveId === 0) {
+				return this.processBroadcast(requestBuffer);
+			}
+
 			if (!(slaveId in slaves)) {
 				console.error(`Slave ID ${slaveId} not configured.`);
-				return null;
+				// On a serial bus other devices may own this address, so stay silent unless acting as a gateway
+				return this.answerUnknownSlaves ? this.createExceptionResponse(slaveId, functionCode, 0x0b) : null;
 			}
 
-			let responseWithoutCRC;
-			switch (functionCode) {
-				case 0x03: {
-					if (requestBuffer.length !== 8) {
-						console.error("Invalid length for Read Holding Registers");
-						return null;
-					}
-					const startAddr = requestBuffer.readUInt16BE(2);
-					const quantity = requestBuffer.readUInt16BE(4);
-					const byteCount = quantity * 2;
-					const responseBuffer = Buffer.alloc(3 + byteCount);
-					responseBuffer.writeUInt8(slaveId, 0);
-					responseBuffer.writeUInt8(functionCode, 1);
-					responseBuffer.writeUInt8(byteCount, 2);
-
-					for (let i = 0; i < quantity; i++) {
-						let val = 0;
-						if (startAddr + i < this.registerCount) {
-							val = slaves[slaveId].registers[startAddr + i];
-						}
-						responseBuffer.writeUInt16BE(val, 3 + i * 2);
-					}
-					responseWithoutCRC = responseBuffer;
-					break;
-				}
+			if (fault.drop) {
+				console.log(`Fault injection: no response from slave ${slaveId}`);
+				return null;
+			}
 
-				case 0x06: {
-					if (requestBuffer.length !== 8) {
-						console.error("Invalid length for Write Single Register");
-						return null;
-					}
-					const regAddr = requestBuffer.readUInt16BE(2);
-					const value = requestBuffer.readUInt16BE(4);
-					if (regAddr < this.registerCount) {
-						slaves[slaveId].registers[regAddr] = value;
-						this.storage.saveSlaves().catch((err) => console.error("Error saving slaves:", err));
-					}
-					responseWithoutCRC = requestBuffer.slice(0, 6);
-					break;
-				}
+			const responsePDU = fault.exceptionCode
+				? this.engine.createExceptionPDU(functionCode, fault.exceptionCode)
+				: this.engine.processPDU(slaveId, requestBuffer.slice(1, -2));
+			const response = this.appendCRC(Buffer.concat([Buffer.from([slaveId]), responsePDU]));
 
-				case 0x10: {
-					if (requestBuffer.length < 9) {
-						console.error("Invalid length for Write Multiple Registers");
-						return null;
-					}
-					const startAddr = requestBuffer.readUInt16BE(2);
-					const quantity = requestBuffer.readUInt16BE(4);
-					const byteCount = requestBuffer.readUInt8(6);
-
-					if (byteCount !== quantity * 2 || requestBuffer.length !== 7 + byteCount + 2) {
-						console.error("Byte count mismatch in Write Multiple Registers");
-						return null;
-					}
-
-					for (let i = 0; i < quantity; i++) {
-						const value = requestBuffer.readUInt16BE(7 + i * 2);
-						if (startAddr + i < this.registerCount) {
-							slaves[slaveId].registers[startAddr + i] = value;
-						}
-					}
-					this.storage.saveSlaves().catch((err) => console.error("Error saving slaves:", err));
-
-					responseWithoutCRC = Buffer.alloc(6);
-					responseWithoutCRC.writeUInt8(slaveId, 0);
-					responseWithoutCRC.writeUInt8(functionCode, 1);
-					responseWithoutCRC.writeUInt16BE(startAddr, 2);
-					responseWithoutCRC.writeUInt16BE(quantity, 4);
-					break;
-				}
-
-				default:
-					console.error(`Unsupported function code: ${functionCode}`);
-					return this.createExceptionResponse(slaveId, functionCode, 0x01);
+			if (fault.badCrc) {
+				response[response.length - 1] ^= 0xff;
 			}
-
-			return this.appendCRC(responseWithoutCRC);
+			return response;
 		} catch (err) {
 			console.error("Error processing Modbus RTU request:", err);
 			return null;
@@ -156,28 +290,39 @@ class ModbusRTU {
 			return;
 		}
 
+		this.buffer = Buffer.alloc(0);
+		this.timings = this.getFrameTimings(config);
+		console.log(`Modbus RTU frame timing: t1.5 = ${this.timings.t15.toFixed(2)} ms, t3.5 = ${this.timings.t35.toFixed(2)} ms`);
+
+		// In pty mode masters open the slave end of a pseudo-terminal pair instead of a physical port
+		const virtual = config.mode === "pty";
 		try {
-			this.port = new SerialPort({
-				path: config.port,
-				baudRate: config.baudRate,
-				dataBits: config.dataBits,
-				parity: config.parity,
-				stopBits: config.stopBits,
-				autoOpen: false,
-			});
+			this.port = virtual
+				? new VirtualSerialPort({ link: config.ptyLink })
+				: new SerialPort({
+						path: config.port,
+						baudRate: config.baudRate,
+						dataBits: config.dataBits,
+						parity: config.parity,
+						stopBits: config.stopBits,
+						autoOpen: false,
+				  });
 
-			this.port.open((err) => {
+			const port = this.port;
+			port.open((err) => {
 				if (err) {
-					console.error(`Failed to open Modbus RTU Serial port ${config.port}:`, err.message);
-					this.port = null;
+					console.error(`Failed to open Modbus RTU ${virtual ? "virtual serial port" : `Serial port ${config.port}`}:`, err.message);
+					if (this.port === port) this.port = null;
 					return;
 				}
-				console.log(`Modbus RTU Serial port ${config.port} opened successfully`);
+				console.log(
+					virtual
+						? `Modbus RTU virtual serial port opened, masters connect to ${port.getMasterPath()}${port.link ? ` (${port.path})` : ""}`
+						: `Modbus RTU Serial port ${config.port} opened successfully`,
+				);
 			});
 
 			this.port.on("data", (data) => {
-				console.log("Received Modbus RTU data:", data.toString("hex"));
-
 				// Clear previous timeout
 				if (this.frameTimeout) {
 					clearTimeout(this.frameTimeout);
@@ -186,21 +331,8 @@ class ModbusRTU {
 				// Accumulate data in buffer
 				this.buffer = Buffer.concat([this.buffer, data]);
 
-				// Set timeout to process frame after silence
-				this.frameTimeout = setTimeout(() => {
-					if (this.buffer.length >= 8) {
-						const response = this.processRequest(this.buffer);
-						if (response && this.port && this.port.isOpen) {
-							console.log("Sending Modbus RTU response:", response.toString("hex"));
-							this.port.write(response, (err) => {
-								if (err) {
-									console.error("Error writing to serial port:", err);
-								}
-							});
-						}
-					}
-					this.buffer = Buffer.alloc(0);
-				}, 50); // 50ms silence threshold
+				// Process the received frame(s) after t3.5 silence
+				this.frameTimeout = setTimeout(() => this.processBuffer(), Math.max(1, Math.ceil(this.timings.t35)));
 			});
 
 			this.port.on("error", (err) => {
@@ -217,6 +349,12 @@ class ModbusRTU {
 		}
 	}
 
+	// Path masters open: the configured port, or the slave end of the virtual serial port. Null when closed.
+	getPortPath() {
+		if (!this.port || !this.port.isOpen) return null;
+		return this.port instanceof VirtualSerialPort ? this.port.getMasterPath() : this.port.path;
+	}
+
 	stop() {
 		if (this.frameTimeout) {
 			clearTimeout(this.frameTimeout);
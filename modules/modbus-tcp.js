@@ -1,10 +1,19 @@
 const net = require("net");
+const ModbusEngine = require("./modbus-engine");
+const trafficMonitor = require("./traffic-monitor");
+const { NO_FAULT } = require("./fault-injection");
+const { modbusProxy } = require("./modbus-proxy");
+
+// Largest MBAP length field value: unit ID + 253 byte PDU (260 byte ADU)
+const MAX_MBAP_LENGTH = 254;
 
 class ModbusTCP {
 	constructor(storage) {
 		this.storage = storage;
 		this.server = null;
-		this.registerCount = 500;
+		// Transport name in the traffic monitor and the register history
+		this.transport = "tcp";
+		this.engine = new ModbusEngine(storage, this.transport);
 	}
 
 	createExceptionResponse(transactionId, protocolId, unitId, functionCode, exceptionCode) {
@@ -18,7 +27,86 @@ class ModbusTCP {
 		return response;
 	}
 
-	processRequest(requestBuffer) {
+	// Splits a TCP byte stream into complete MBAP frames using the header length field.
+	// Returns the complete frames, the bytes of a frame still in transit and an error
+	// message when the stream is corrupt and can not be resynchronized.
+	splitFrames(buffer) {
+		const frames = [];
+		let offset = 0;
+
+		while (buffer.length - offset >= 7) {
+			const protocolId = buffer.readUInt16BE(offset + 2);
+			const length = buffer.readUInt16BE(offset + 4);
+
+			if (protocolId !== 0 || length < 2 || length > MAX_MBAP_LENGTH) {
+				return {
+					frames,
+					rest: Buffer.alloc(0),
+					error: `Invalid MBAP header (protocol ID ${protocolId}, length ${length})`,
+				};
+			}
+
+			if (buffer.length - offset < 6 + length) {
+				break;
+			}
+
+			frames.push(buffer.slice(offset, offset + 6 + length));
+			offset += 6 + length;
+		}
+
+		return { frames, rest: buffer.slice(offset), error: null };
+	}
+
+	// Answers a request frame with the faults of its unit injected, then records the transaction. Resolves
+	// with the response once it is due, after the injected delay, or with null when nothing is answered.
+	handleFrame(frame, client) {
+		const startedAt = trafficMonitor.now();
+		if (frame.length >= 8 && modbusProxy.handles(frame[6])) {
+			return this.forwardFrame(frame, client, startedAt);
+		}
+
+		const fault = frame.length > 6 ? this.engine.planFault(frame[6]) : NO_FAULT;
+		const response = this.processRequest(frame, fault);
+
+		return new Promise((resolve) => {
+			const reply = () => {
+				trafficMonitor.record(this.transport, client, frame, response, startedAt);
+				resolve(response);
+			};
+
+			if (response && fault.delay > 0) {
+				setTimeout(reply, fault.delay);
+			} else {
+				reply();
+			}
+		});
+	}
+
+	// Answers a request of a proxied unit with the response of the upstream device,
+	// or with a gateway exception (0x0B) when it does not answer
+	forwardFrame(frame, client, startedAt) {
+		const unitId = frame[6];
+		return modbusProxy
+			.forward(unitId, frame.slice(7))
+			.then((responsePDU) => {
+				const pdu = responsePDU || this.engine.createExceptionPDU(frame[7], 0x0b);
+				const response = Buffer.alloc(7 + pdu.length);
+				response.writeUInt16BE(frame.readUInt16BE(0), 0);
+				response.writeUInt16BE(0, 2);
+				response.writeUInt16BE(pdu.length + 1, 4);
+				response.writeUInt8(unitId, 6);
+				pdu.copy(response, 7);
+
+				trafficMonitor.record(this.transport, client, frame, response, startedAt);
+				return response;
+			})
+			.catch((err) => {
+				console.error("Error forwarding Modbus TCP request:", err);
+				return null;
+			});
+	}
+
+	processRequest(requestBuffer, fault = NO_FAULT) {
 		try {
 			// Modbus TCP minimum frame: MBAP (7 bytes) + Function Code (1 byte) = 8 bytes
 			if (requestBuffer.length < 8) {
@@ -52,97 +140,17 @@ class ModbusTCP {
 				return this.createExceptionResponse(transactionId, protocolId, unitId, functionCode, 0x0b);
 			}
 
-			// Extract PDU (Protocol Data Unit) - everything after Unit ID
-			const pdu = requestBuffer.slice(7);
-
-			let responsePDU;
-			switch (functionCode) {
-				case 0x03: {
-					// Read Holding Registers
-					if (pdu.length < 5) {
-						console.error("Invalid length for Read Holding Registers");
-						return this.createExceptionResponse(transactionId, protocolId, unitId, functionCode, 0x03);
-					}
-					const startAddr = pdu.readUInt16BE(1);
-					const quantity = pdu.readUInt16BE(3);
-
-					if (quantity < 1 || quantity > 125) {
-						console.error("Invalid quantity for Read Holding Registers");
-						return this.createExceptionResponse(transactionId, protocolId, unitId, functionCode, 0x03);
-					}
-
-					const byteCount = quantity * 2;
-					responsePDU = Buffer.alloc(2 + byteCount);
-					responsePDU.writeUInt8(functionCode, 0);
-					responsePDU.writeUInt8(byteCount, 1);
-
-					for (let i = 0; i < quantity; i++) {
-						let val = 0;
-						if (startAddr + i < this.registerCount) {
-							val = slaves[unitId].registers[startAddr + i];
-						}
-						responsePDU.writeUInt16BE(val, 2 + i * 2);
-					}
-					break;
-				}
-
-				case 0x06: {
-					// Write Single Register
-					if (pdu.length < 5) {
-						console.error("Invalid length for Write Single Register");
-						return this.createExceptionResponse(transactionId, protocolId, unitId, functionCode, 0x03);
-					}
-					const regAddr = pdu.readUInt16BE(1);
-					const value = pdu.readUInt16BE(3);
-
-					if (regAddr < this.registerCount) {
-						slaves[unitId].registers[regAddr] = value;
-						this.storage.saveSlaves().catch((err) => console.error("Error saving slaves:", err));
-					} else {
-						return this.createExceptionResponse(transactionId, protocolId, unitId, functionCode, 0x02);
-					}
-
-					// Echo back the request PDU
-					responsePDU = pdu.slice(0, 5);
-					break;
-				}
-
-				case 0x10: {
-					// Write Multiple Registers
-					if (pdu.length < 6) {
-						console.error("Invalid length for Write Multiple Registers");
-						return this.createExceptionResponse(transactionId, protocolId, unitId, functionCode, 0x03);
-					}
-					const startAddr = pdu.readUInt16BE(1);
-					const quantity = pdu.readUInt16BE(3);
-					const byteCount = pdu.readUInt8(5);
-
-					if (byteCount !== quantity * 2 || pdu.length < 6 + byteCount) {
-						console.error("Byte count mismatch in Write Multiple Registers");
-						return this.createExceptionResponse(transactionId, protocolId, unitId, functionCode, 0x03);
-					}
-
-					for (let i = 0; i < quantity; i++) {
-						const value = pdu.readUInt16BE(6 + i * 2);
-						if (startAddr + i < this.registerCount) {
-							slaves[unitId].registers[startAddr + i] = value;
-						}
-					}
-					this.storage.saveSlaves().catch((err) => console.error("Error saving slaves:", err));
-
-					// Response: Function Code + Start Address + Quantity
-					responsePDU = Buffer.alloc(5);
-					responsePDU.writeUInt8(functionCode, 0);
-					responsePDU.writeUInt16BE(startAddr, 1);
-					responsePDU.writeUInt16BE(quantity, 3);
-					break;
-				}
-
-				default:
-					console.error(`Unsupported function code: ${functionCode}`);
-					return this.createExceptionResponse(transactionId, protocolId, unitId, functionCode, 0x01);
+			if (fault.drop) {
+				console.log(`Fault injection: no response from unit ${unitId}`);
+				return null;
 			}
 
+			// Extract PDU (Protocol Data Unit) - everything after Unit ID
+			const pdu = requestBuffer.slice(7, 6 + length);
+			const responsePDU = fault.exceptionCode
+				? this.engine.createExceptionPDU(functionCode, fault.exceptionCode)
+				: this.engine.processPDU(unitId, pdu);
+
 			const responseLength = responsePDU.length + 1;
 			const response = Buffer.alloc(6 + responseLength);
 			response.writeUInt16BE(transactionId, 0);
@@ -151,6 +159,10 @@ class ModbusTCP {
 			response.writeUInt8(unitId, 6);
 			responsePDU.copy(response, 7);
 
+			if (fault.wrongTransactionId) {
+				response.writeUInt16BE((transactionId + 1) & 0xffff, 0);
+			}
+
 			return response;
 		} catch (err) {
 			console.error("Error processing Modbus TCP request:", err);
@@ -167,16 +179,37 @@ class ModbusTCP {
 		try {
 			this.server = net.createServer((socket) => {
 				console.log("Modbus TCP Client connected:", socket.remoteAddress, socket.remotePort);
+				const client = `${socket.remoteAddress}:${socket.remotePort}`;
+
+				// Bytes of a partially received frame on this connection
+				let buffer = Buffer.alloc(0);
+				// Replies still to be sent on this connection
+				let replies = Promise.resolve();
+				// Set on a framing error: the connection closes once the earlier replies are sent
+				let closing = false;
 
 				socket.on("data", (data) => {
+					if (closing) return;
 					try {
-						console.log("Received Modbus TCP data:", data.toString("hex"));
-						const response = this.processRequest(data);
-						if (response) {
-							console.log("Sending Modbus TCP response:", response.toString("hex"));
-							socket.write(response);
-						} else {
-							console.error("No valid response generated for Modbus TCP frame.");
+						const { frames, rest, error } = this.splitFrames(Buffer.concat([buffer, data]));
+						buffer = rest;
+
+						// Pipelined requests are answered in the order they arrived, whatever their delay
+						frames.forEach((frame) => {
+							const reply = this.handleFrame(frame, client);
+							replies = replies
+								.then(() => reply)
+								.then((response) => {
+									if (response && !socket.destroyed) {
+										socket.write(response);
+									}
+								});
+						});
+
+						if (error) {
+							console.error(`${error}, closing connection.`);
+							closing = true;
+							replies.then(() => socket.destroy());
 						}
 					} catch (err) {
 						console.error("Error handling Modbus TCP data:", err);
@@ -184,6 +217,9 @@ class ModbusTCP {
 				});
 
 				socket.on("end", () => {
+					if (buffer.length > 0) {
+						console.error(`Discarding truncated Modbus TCP frame: ${buffer.toString("hex")}`);
+					}
 					console.log("Modbus TCP Client disconnected.");
 				});
 
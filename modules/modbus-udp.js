@@ -0,0 +1,72 @@
+const dgram = require("dgram");
+const ModbusTCP = require("./modbus-tcp");
+
+// Modbus/UDP: every datagram carries exactly one MBAP frame, answered with one datagram.
+// Frame handling is inherited from ModbusTCP.
+class ModbusUDP extends ModbusTCP {
+	constructor(storage) {
+		super(storage);
+		this.socket = null;
+		this.transport = "udp";
+		this.engine.transport = this.transport;
+	}
+
+	start(port) {
+		if (this.socket) {
+			console.log("Modbus UDP server already running");
+			return;
+		}
+
+		try {
+			this.socket = dgram.createSocket("udp4");
+
+			this.socket.on("message", (message, rinfo) => {
+				try {
+					const { frames, error } = this.splitFrames(message);
+					if (error || frames.length !== 1 || frames[0].length !== message.length) {
+						console.error("Datagram is not a single Modbus UDP frame.");
+						return;
+					}
+
+					this.handleFrame(message, `${rinfo.address}:${rinfo.port}`).then((response) => {
+						if (response && this.socket) {
+							this.socket.send(response, rinfo.port, rinfo.address, (err) => {
+								if (err) {
+									console.error("Error sending Modbus UDP response:", err.message);
+								}
+							});
+						}
+					});
+				} catch (err) {
+					console.error("Error handling Modbus UDP data:", err);
+				}
+			});
+
+			this.socket.on("error", (err) => {
+				console.error("Modbus UDP Server error:", err.message);
+				if (err.code === "EADDRINUSE") {
+					console.error(`Port ${port} is already in use`);
+				}
+				this.stop();
+			});
+
+			this.socket.bind(port, () => {
+				console.log(`Modbus UDP Server is listening on port ${port}`);
+			});
+		} catch (err) {
+			console.error("Error starting Modbus UDP server:", err.message);
+			this.socket = null;
+		}
+	}
+
+	stop() {
+		if (this.socket) {
+			this.socket.close(() => {
+				console.log("Modbus UDP Server stopped");
+			});
+			this.socket = null;
+		}
+	}
+}
+
+module.exports = ModbusUDP;
@@ -0,0 +1,437 @@
+const mqtt = require("mqtt");
+const pointMap = require("./point-map");
+const layout = require("./device-layout");
+
+// Optional MQTT client that publishes the slaves to a broker, takes commands from it and announces every
+// indoor unit to Home Assistant as a climate entity. Topics under the base topic:
+//   <base>/status                                          "online" or "offline" (last will), retained
+//   <base>/<slave>/outdoor/<point>                         named points in engineering units, retained;
+//   <base>/<slave>/indoor/<unit>/<point>                   enum points as raw values, bitfields as JSON
+//   <base>/<slave>/indoor/<unit>/hvac_mode|fan_mode|action climate state in Home Assistant terms
+//   <base>/<slave>/<table>/<address>                       raw values as they change, with publishRegisters
+// Commands go to the point, climate, coils and registers topics with /set appended. Points take numbers,
+// enum labels or JSON bit flags; commands are written like a Modbus write, so the write rules apply.
+const DEFAULT_MQTT = {
+	enabled: false,
+	url: "mqtt://localhost:1883",
+	username: "",
+	password: "",
+	// Random when empty
+	clientId: "",
+	baseTopic: "samsung-hvac",
+	publishRegisters: false,
+	discovery: true,
+	discoveryPrefix: "homeassistant",
+};
+
+// Shown instead of a stored password; sent back unchanged it keeps the stored one
+const PASSWORD_MASK = "********";
+
+const URL_PATTERN = /^(mqtts?|wss?|tcp|ssl):\/\/[^\s]+$/;
+// No wildcards, no empty levels
+const TOPIC_PATTERN = /^[^#+/\s]+(\/[^#+/\s]+)*$/;
+
+const RECONNECT_MS = 5000;
+
+// Home Assistant modes by raw value of the mode and fanSpeed points
+const HVAC_MODES = { 0: "auto", 1: "cool", 2: "dry", 3: "fan_only", 4: "heat" };
+const FAN_MODES = { 0: "auto", 1: "low", 2: "medium", 3: "high" };
+// Points an indoor unit needs to be announced as a climate entity
+const CLIMATE_POINTS = ["power", "mode", "setpoint", "roomTemperature"];
+
+// Tables masters can write, and their largest value
+const WRITABLE_TABLES = { coils: 1, registers: 0xffff };
+
+// Builds the MQTT settings from user input, missing fields keep their current value. A posted form
+// (`form`) leaves unchecked checkboxes out. Returns { settings } or { error }.
+function parseMqttSettings(input, current = DEFAULT_MQTT, form = false) {
+	const settings = { ...DEFAULT_MQTT, ...current };
+
+	["enabled", "publishRegisters", "discovery"].forEach((field) => {
+		if (form) {
+			settings[field] = input[field] === "on";
+		} else if (input[field] !== undefined) {
+			settings[field] = input[field];
+		}
+	});
+	["url", "baseTopic", "discoveryPrefix"].forEach((field) => {
+		if (typeof input[field] === "string" && input[field].trim() !== "") {
+			settings[field] = input[field].trim();
+		}
+	});
+	// Credentials and the client ID may be cleared
+	["username", "password", "clientId"].forEach((field) => {
+		if (field === "password" && input.password === PASSWORD_MASK) return;
+		if (typeof input[field] === "string") {
+			settings[field] = field === "password" ? input[field] : input[field].trim();
+		}
+	});
+
+	for (const field of ["enabled", "publishRegisters", "discovery"]) {
+		if (typeof settings[field] !== "boolean") {
+			return { error: `${field} must be a boolean` };
+		}
+	}
+	if (!URL_PATTERN.test(settings.url)) {
+		return { error: "url must be a broker URL such as mqtt://localhost:1883" };
+	}
+	for (const field of ["baseTopic", "discoveryPrefix"]) {
+		if (!TOPIC_PATTERN.test(settings[field])) {
+			return { error: `${field} must be a topic without wildcards and empty levels` };
+		}
+	}
+	for (const field of ["username", "password", "clientId"]) {
+		if (typeof settings[field] !== "string") {
+			return { error: `${field} must be a string` };
+		}
+	}
+	return { settings };
+}
+
+// Named points of a group by key
+function getPointsByKey(group) {
+	const points = {};
+	pointMap.getGroupPoints(group).forEach((point) => {
+		points[point.key] = point;
+	});
+	return points;
+}
+
+// Command payload: JSON numbers, strings and bit flag objects, anything else as text (enum labels)
+function parsePayload(text) {
+	try {
+		return JSON.parse(text);
+	} catch (err) {
+		return text;
+	}
+}
+
+const toPayload = (value) => (typeof value === "object" ? JSON.stringify(value) : String(value));
+
+const findKey = (map, label) => Object.keys(map).find((key) => map[key] === label);
+
+// Home Assistant hvac_action of a unit from its point values and operation status flags
+function getAction(values, status) {
+	if (values.power !== 1) return "off";
+
+	if (status.defrost) return "defrosting";
+	if (status.compressor) {
+		const mode = HVAC_MODES[values.mode];
+		if (mode === "heat") return "heating";
+		if (mode === "dry") return "drying";
+		if (mode === "auto") return values.roomTemperature < values.setpoint ? "heating" : "cooling";
+		return "cooling";
+	}
+	return status.fan ? "fan" : "idle";
+}
+
+class MqttBridge {
+	constructor(storage) {
+		this.storage = storage;
+		this.settings = { ...DEFAULT_MQTT };
+		this.client = null;
+		// Last payload published on each topic, unchanged values are not sent again
+		this.published = new Map();
+		// Discovery topics announced, units that disappear are removed from Home Assistant
+		this.discovered = new Set();
+		this.stats = { published: 0, received: 0, lastError: null };
+
+		this.onChange = (event) => this.publishChange(event);
+		this.onSlaves = () => this.publishAll();
+	}
+
+	// Applies new settings: disconnects, and connects again when enabled
+	configure(settings) {
+		this.disconnect();
+		this.settings = { ...DEFAULT_MQTT, ...settings };
+		if (this.settings.enabled) {
+			this.connect();
+		}
+	}
+
+	connect() {
+		const { url, username, password, clientId, baseTopic, discoveryPrefix } = this.settings;
+		const client = mqtt.connect(url, {
+			username: username || undefined,
+			password: password || undefined,
+			clientId: clientId || `samsung-hvac-${Math.random().toString(16).slice(2, 10)}`,
+			reconnectPeriod: RECONNECT_MS,
+			will: { topic: `${baseTopic}/status`, payload: "offline", qos: 1, retain: true },
+		});
+		this.client = client;
+
+		client.on("connect", () => {
+			console.log(`MQTT connected to ${url}`);
+			this.stats.lastError = null;
+			client.publish(`${baseTopic}/status`, "online", { qos: 1, retain: true });
+			client.subscribe([`${baseTopic}/+/+/+/set`, `${baseTopic}/+/+/+/+/set`, `${discoveryPrefix}/status`]);
+			// The broker may have lost the retained values, publish everything again
+			this.published.clear();
+			this.publishAll();
+		});
+		client.on("message", (topic, payload) => {
+			// A bad command must not take the emulator down with an exception in the client
+			try {
+				this.handleMessage(topic, payload.toString());
+			} catch (err) {
+				this.stats.lastError = `${topic}: ${err.message}`;
+				console.error(`MQTT message ${topic} failed:`, err);
+			}
+		});
+		client.on("error", (err) => {
+			this.stats.lastError = err.message;
+			console.error(`MQTT error: ${err.message}`);
+		});
+
+		this.storage.on("change", this.onChange);
+		this.storage.on("slaves", this.onSlaves);
+		console.log(`MQTT bridge connecting to ${url}`);
+	}
+
+	disconnect() {
+		if (!this.client) return;
+
+		this.storage.off("change", this.onChange);
+		this.storage.off("slaves", this.onSlaves);
+		const client = this.client;
+		this.client = null;
+		// The last will only covers lost connections
+		if (client.connected) {
+			client.publish(`${this.settings.baseTopic}/status`, "offline", { qos: 1, retain: true });
+		}
+		client.end();
+		this.published.clear();
+	}
+
+	isConnected() {
+		return !!this.client && this.client.connected;
+	}
+
+	getStatus() {
+		return { connected: this.isConnected(), ...this.stats };
+	}
+
+	publish(topic, payload) {
+		if (!this.isConnected() || this.published.get(topic) === payload) return;
+
+		this.published.set(topic, payload);
+		this.client.publish(topic, payload, { retain: true });
+		this.stats.published++;
+	}
+
+	getGroupTopic(slaveId, group) {
+		return group.kind === "outdoor" ? `${this.settings.baseTopic}/${slaveId}/outdoor` : `${this.settings.baseTopic}/${slaveId}/indoor/${group.unit}`;
+	}
+
+	// Every point of every slave, and the discovery configs
+	publishAll() {
+		if (!this.isConnected()) return;
+
+		const slaves = this.storage.getSlaves();
+		Object.keys(slaves).forEach((slaveId) => {
+			layout.getGroups(slaves[slaveId].layout).forEach((group) => this.publishGroup(slaveId, slaves[slaveId], group));
+		});
+		if (this.settings.discovery) {
+			this.publishDiscovery();
+		}
+	}
+
+	// Points of a group, and the climate state of an indoor unit
+	publishGroup(slaveId, slave, group) {
+		const topic = this.getGroupTopic(slaveId, group);
+		const points = getPointsByKey(group);
+		const values = {};
+		Object.keys(points).forEach((key) => {
+			values[key] = pointMap.toValue(points[key], slave.registers[points[key].address]);
+			this.publish(`${topic}/${key}`, toPayload(values[key]));
+		});
+
+		if (group.kind === "indoor" && CLIMATE_POINTS.every((key) => points[key])) {
+			this.publish(`${topic}/hvac_mode`, values.power === 1 ? HVAC_MODES[values.mode] || "auto" : "off");
+			if (points.fanSpeed) {
+				this.publish(`${topic}/fan_mode`, FAN_MODES[values.fanSpeed] || "auto");
+			}
+			const status = points.operationStatus ? pointMap.getStatus("indoor", slave.registers[points.operationStatus.address]) : {};
+			this.publish(`${topic}/action`, getAction(values, status));
+		}
+	}
+
+	publishChange({ slaveId, table, start, values }) {
+		const slave = this.storage.getSlaves()[slaveId];
+		if (!this.isConnected() || !slave) return;
+
+		if (this.settings.publishRegisters) {
+			values.forEach((value, i) => this.publish(`${this.settings.baseTopic}/${slaveId}/${table}/${start + i}`, String(value)));
+		}
+		if (table === "registers") {
+			const end = start + values.length;
+			layout
+				.getGroups(slave.layout)
+				.filter((group) => group.start < end && group.start + group.size > start)
+				.forEach((group) => this.publishGroup(slaveId, slave, group));
+		}
+	}
+
+	publishDiscovery() {
+		const topics = new Set();
+		const slaves = this.storage.getSlaves();
+		Object.keys(slaves).forEach((slaveId) => {
+			layout
+				.getGroups(slaves[slaveId].layout)
+				.filter((group) => group.kind === "indoor")
+				.forEach((group) => {
+					const points = getPointsByKey(group);
+					if (!CLIMATE_POINTS.every((key) => points[key])) return;
+
+					const topic = `${this.settings.discoveryPrefix}/climate/samsung_hvac_${slaveId}_${group.unit}/config`;
+					topics.add(topic);
+					this.publish(topic, JSON.stringify(this.getDiscoveryConfig(slaveId, slaves[slaveId], group, points)));
+				});
+		});
+
+		// An empty config removes the entity
+		this.discovered.forEach((topic) => {
+			if (!topics.has(topic)) this.publish(topic, "");
+		});
+		this.discovered = topics;
+	}
+
+	// Home Assistant MQTT climate config of an indoor unit
+	getDiscoveryConfig(slaveId, slave, group, points) {
+		const { baseTopic } = this.settings;
+		const topic = this.getGroupTopic(slaveId, group);
+		const { identification } = slave;
+
+		const config = {
+			name: group.title,
+			unique_id: `samsung_hvac_${slaveId}_${group.unit}`,
+			availability_topic: `${baseTopic}/status`,
+			device: {
+				identifiers: [`samsung_hvac_${slaveId}`],
+				name: `${identification.productName} ${slaveId}`,
+				manufacturer: identification.vendorName,
+				model: identification.modelName,
+				sw_version: identification.revision,
+			},
+			modes: ["off", ...Object.keys(points.mode.enum || HVAC_MODES).filter((raw) => HVAC_MODES[raw]).map((raw) => HVAC_MODES[raw])],
+			mode_state_topic: `${topic}/hvac_mode`,
+			mode_command_topic: `${topic}/hvac_mode/set`,
+			temperature_state_topic: `${topic}/setpoint`,
+			temperature_command_topic: `${topic}/setpoint/set`,
+			current_temperature_topic: `${topic}/roomTemperature`,
+			temperature_unit: "C",
+			precision: 0.1,
+			temp_step: 0.5,
+		};
+		if (points.setpoint.min !== undefined) config.min_temp = points.setpoint.min;
+		if (points.setpoint.max !== undefined) config.max_temp = points.setpoint.max;
+		if (points.fanSpeed) {
+			config.fan_modes = Object.keys(points.fanSpeed.enum || FAN_MODES).filter((raw) => FAN_MODES[raw]).map((raw) => FAN_MODES[raw]);
+			config.fan_mode_state_topic = `${topic}/fan_mode`;
+			config.fan_mode_command_topic = `${topic}/fan_mode/set`;
+		}
+		if (points.operationStatus) {
+			config.action_topic = `${topic}/action`;
+		}
+		return config;
+	}
+
+	handleMessage(topic, text) {
+		if (topic === `${this.settings.discoveryPrefix}/status`) {
+			// Home Assistant restarted, announce the units again
+			if (text === "online") {
+				this.published.clear();
+				this.publishAll();
+			}
+			return;
+		}
+
+		this.stats.received++;
+		const levels = topic.slice(this.settings.baseTopic.length + 1).split("/").slice(0, -1);
+		const error = this.executeCommand(levels, text);
+		if (error) {
+			this.stats.lastError = `${topic}: ${error}`;
+			console.error(`MQTT command ${topic} refused: ${error}`);
+		}
+	}
+
+	// Runs a command of the topic levels between the base topic and /set. Returns an error message or null.
+	executeCommand(levels, text) {
+		const slaveId = Number(levels[0]);
+		const slave = /^\d+$/.test(levels[0]) ? this.storage.getSlaves()[slaveId] : null;
+		if (!slave) {
+			return `slave ${levels[0]} not found`;
+		}
+
+		if (levels.length === 3 && Object.prototype.hasOwnProperty.call(WRITABLE_TABLES, levels[1])) {
+			const table = levels[1];
+			const address = Number(levels[2]);
+			const value = Number(text);
+			if (!/^\d+$/.test(levels[2]) || address >= slave[table].length) {
+				return `${table} address ${levels[2]} is outside the slave`;
+			}
+			if (!/^\d+$/.test(text.trim()) || value > WRITABLE_TABLES[table]) {
+				return `${table} values must be integers between 0 and ${WRITABLE_TABLES[table]}`;
+			}
+			return this.write(slaveId, table, address, value);
+		}
+
+		const groups = layout.getGroups(slave.layout);
+		let group = null;
+		if (levels[1] === "outdoor" && levels.length === 3) {
+			group = groups[0];
+		} else if (levels[1] === "indoor" && levels.length === 4) {
+			group = groups.find((g) => g.kind === "indoor" && String(g.unit) === levels[2]);
+		}
+		if (!group) {
+			return "unknown command topic";
+		}
+
+		const key = levels[levels.length - 1];
+		const points = getPointsByKey(group);
+		if (group.kind === "indoor" && key === "hvac_mode" && points.power && points.mode) {
+			if (text === "off") {
+				return this.writePoint(slaveId, slave, points.power, 0);
+			}
+			const raw = findKey(HVAC_MODES, text);
+			if (raw === undefined) {
+				return `unknown mode ${text}`;
+			}
+			return this.writePoint(slaveId, slave, points.mode, Number(raw)) || this.writePoint(slaveId, slave, points.power, 1);
+		}
+		if (group.kind === "indoor" && key === "fan_mode" && points.fanSpeed) {
+			const raw = findKey(FAN_MODES, text);
+			return raw === undefined ? `unknown fan mode ${text}` : this.writePoint(slaveId, slave, points.fanSpeed, Number(raw));
+		}
+		if (!Object.prototype.hasOwnProperty.call(points, key)) {
+			return `point ${key} not found`;
+		}
+		return this.writePoint(slaveId, slave, points[key], parsePayload(text));
+	}
+
+	writePoint(slaveId, slave, point, value) {
+		let raw;
+		try {
+			raw = pointMap.toRaw(point, value, slave.registers[point.address]);
+		} catch (err) {
+			return err.message;
+		}
+		return this.write(slaveId, "registers", point.address, raw);
+	}
+
+	write(slaveId, table, address, value) {
+		const violation = this.storage.writeWithRules(slaveId, table, address, [value], "mqtt");
+		if (violation) {
+			return `write refused: ${violation.message}`;
+		}
+		this.storage.saveSlaves().catch((err) => console.error("Error saving slaves:", err));
+		return null;
+	}
+}
+
+// The settings as shown to clients, with a stored password replaced by PASSWORD_MASK
+function maskMqttSettings(settings) {
+	return { ...settings, password: settings.password ? PASSWORD_MASK : "" };
+}
+
+module.exports = { MqttBridge, DEFAULT_MQTT, PASSWORD_MASK, parseMqttSettings, maskMqttSettings };
@@ -0,0 +1,24 @@
+const path = require("path");
+
+// Locations of the files the emulator writes. They default to data/ and config/config.json of the project,
+// the command line can move them before storage is initialized.
+const paths = {
+	dataDir: path.join(__dirname, "..", "data"),
+	configFile: path.join(__dirname, "..", "config", "config.json"),
+};
+
+function setPaths({ dataDir, configFile }) {
+	if (dataDir) paths.dataDir = path.resolve(dataDir);
+	if (configFile) paths.configFile = path.resolve(configFile);
+}
+
+// A file or directory inside the data directory
+function dataPath(...parts) {
+	return path.join(paths.dataDir, ...parts);
+}
+
+function configPath() {
+	return paths.configFile;
+}
+
+module.exports = { setPaths, dataPath, configPath };
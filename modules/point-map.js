@@ -0,0 +1,149 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const POINT_MAP_FILE = path.join(__dirname, "..", "pointmaps", "samsung-mim-b19n.json");
+
+// Group kinds of the point map: the outdoor block and the (repeated) indoor unit block
+const GROUP_KINDS = ["outdoor", "indoor"];
+
+// Bit numbers of the operationStatus point of each group kind. The bit labels of a point map are display text,
+// the simulation and the MQTT bridge read and write the status by these names.
+const STATUS_BITS = {
+	outdoor: { running: 0, defrost: 1, fault: 2 },
+	indoor: { compressor: 0, fan: 1, defrost: 2, fault: 3, filter: 4 },
+};
+
+// Named, scaled view of the holding registers. A point describes one register of a group by its offset:
+//   { offset, key, name, unit, scale, signed, min, max, enum: { raw: label }, bits: { bit: label } }
+// Raw values are the 16 bit register contents, values are in engineering units.
+class PointMap {
+	constructor() {
+		this.map = { name: "", groups: { outdoor: [], indoor: [] } };
+	}
+
+	async load(file = POINT_MAP_FILE) {
+		try {
+			const data = await fs.readFile(file, "utf8");
+			const map = JSON.parse(data);
+
+			GROUP_KINDS.forEach((kind) => {
+				if (!Array.isArray(map.groups && map.groups[kind])) {
+					throw new Error(`Missing "${kind}" group`);
+				}
+			});
+			this.map = map;
+			console.log(`Loaded point map "${map.name}" from file`);
+		} catch (err) {
+			console.error(`Error loading point map ${file}:`, err.message);
+		}
+	}
+
+	getDefinition() {
+		return this.map;
+	}
+
+	// Points of a group placed at its start address, with their absolute address.
+	// Points beyond the size of the group are left out.
+	getGroupPoints(group) {
+		return (this.map.groups[group.kind] || [])
+			.filter((point) => point.offset < group.size)
+			.map((point) => ({ ...point, address: group.start + point.offset }));
+	}
+
+	findPoint(kind, key) {
+		return (this.map.groups[kind] || []).find((point) => point.key === key);
+	}
+
+	// Raw register value to engineering units: a number, or { label: boolean } for bitfields
+	toValue(point, raw) {
+		if (point.bits) {
+			const bits = {};
+			Object.keys(point.bits).forEach((bit) => {
+				bits[point.bits[bit]] = ((raw >> Number(bit)) & 1) === 1;
+			});
+			return bits;
+		}
+
+		const signed = point.signed && raw > 0x7fff ? raw - 0x10000 : raw;
+		if (!point.scale) return signed;
+
+		// Round away the floating point noise of the scale factor
+		const decimals = Math.max(0, -Math.floor(Math.log10(point.scale)));
+		return Number((signed * point.scale).toFixed(decimals));
+	}
+
+	// Human readable value: enum label, or value with unit
+	format(point, raw) {
+		if (point.enum) {
+			return point.enum[raw] !== undefined ? point.enum[raw] : String(raw);
+		}
+		if (point.bits) {
+			const value = this.toValue(point, raw);
+			return Object.keys(value).filter((label) => value[label]).join(", ") || "-";
+		}
+		return point.unit ? `${this.toValue(point, raw)} ${point.unit}` : String(this.toValue(point, raw));
+	}
+
+	// Engineering units to raw register value. Throws on values that do not fit the point.
+	// Bitfields take { label: boolean } or { bit: boolean }, bits not mentioned keep their value from `current`.
+	toRaw(point, value, current = 0) {
+		if (point.bits) {
+			if (typeof value !== "object" || value === null) {
+				throw new Error(`${point.key} expects an object of bit flags`);
+			}
+			let raw = current;
+			Object.keys(point.bits).forEach((bit) => {
+				const flag = value[point.bits[bit]] !== undefined ? value[point.bits[bit]] : value[bit];
+				if (flag !== undefined) {
+					raw = flag ? raw | (1 << Number(bit)) : raw & ~(1 << Number(bit));
+				}
+			});
+			return raw & 0xffff;
+		}
+
+		if (point.enum) {
+			const raw = Object.keys(point.enum).find((key) => key === String(value) || point.enum[key] === value);
+			if (raw === undefined) {
+				throw new Error(`${point.key} does not accept ${value}`);
+			}
+			return Number(raw);
+		}
+
+		const number = Number(value);
+		if (value === "" || value === null || !Number.isFinite(number)) {
+			throw new Error(`${point.key} expects a number`);
+		}
+		if ((point.min !== undefined && number < point.min) || (point.max !== undefined && number > point.max)) {
+			throw new Error(`${point.key} must be between ${point.min} and ${point.max}`);
+		}
+
+		const raw = Math.round(number / (point.scale || 1));
+		const [low, high] = point.signed ? [-0x8000, 0x7fff] : [0, 0xffff];
+		if (raw < low || raw > high) {
+			throw new Error(`${point.key} is out of range`);
+		}
+		return raw & 0xffff;
+	}
+
+	// Operation status flags { name: boolean } of a group kind from the raw operationStatus register
+	getStatus(kind, raw) {
+		const bits = STATUS_BITS[kind] || {};
+		const status = {};
+		Object.keys(bits).forEach((name) => {
+			status[name] = ((raw >> bits[name]) & 1) === 1;
+		});
+		return status;
+	}
+
+	// Operation status flags { name: boolean } of a group kind as { bit: boolean }, the bit flags toRaw takes
+	toStatusBits(kind, status) {
+		const bits = STATUS_BITS[kind] || {};
+		const flags = {};
+		Object.keys(status).forEach((name) => {
+			if (bits[name] !== undefined) flags[bits[name]] = status[name];
+		});
+		return flags;
+	}
+}
+
+module.exports = new PointMap();
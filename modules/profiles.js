@@ -0,0 +1,168 @@
+const pointMap = require("./point-map");
+const layout = require("./device-layout");
+
+// Register profiles: the tables of one slave as a shareable test fixture.
+//   JSON: { "registers": [...], "coils": [...], ... } with whole tables from address 0, or sparse tables
+//         such as { "registers": { "51": 1, "53": 220 } }. Missing tables are left alone.
+//   CSV:  holding registers as "address,value,name" lines with an optional header; the name is informational.
+// A whole table replaces the table (zero padded), sparse tables and CSV lines only write the given addresses.
+const TABLES = ["coils", "discreteInputs", "registers", "inputRegisters"];
+const BIT_TABLES = ["coils", "discreteInputs"];
+
+// Name of a holding register for the CSV export: group title and point name, empty for unnamed registers
+function getRegisterNames(slave) {
+	const names = {};
+	layout.getGroups(slave.layout).forEach((group) => {
+		pointMap.getGroupPoints(group).forEach((point) => {
+			names[point.address] = `${group.title} - ${point.name}`;
+		});
+	});
+	return names;
+}
+
+function exportJSON(slaveId, slave) {
+	const profile = { slaveId: Number(slaveId), exportedAt: new Date().toISOString() };
+	TABLES.forEach((table) => {
+		profile[table] = slave[table].slice();
+	});
+	return profile;
+}
+
+function exportCSV(slave) {
+	const names = getRegisterNames(slave);
+	const quote = (text) => (/[",;\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+	const lines = slave.registers.map((value, address) => `${address},${value},${quote(names[address] || "")}`);
+	return `address,value,name\n${lines.join("\n")}\n`;
+}
+
+// Checks the values of a table against the slave: { address: value } pairs. Returns an error message or null.
+function checkValues(table, values, registerCount) {
+	const max = BIT_TABLES.includes(table) ? 1 : 0xffff;
+	for (const [address, value] of Object.entries(values)) {
+		if (!Number.isInteger(Number(address)) || Number(address) < 0 || Number(address) >= registerCount) {
+			return `${table} address ${address} is outside the slave (0-${registerCount - 1})`;
+		}
+		if (!Number.isInteger(value) || value < 0 || value > max) {
+			return `${table} ${address}: values must be integers between 0 and ${max}`;
+		}
+	}
+	return null;
+}
+
+// Builds a profile from JSON (text or parsed) for a slave of `registerCount` values per table.
+// Returns { profile: { table: { values, whole } } } or { error }.
+function parseJSON(input, registerCount) {
+	let data = input;
+	if (typeof input === "string") {
+		try {
+			data = JSON.parse(input);
+		} catch (err) {
+			return { error: `Invalid JSON: ${err.message}` };
+		}
+	}
+	if (typeof data !== "object" || data === null || Array.isArray(data)) {
+		return { error: "A profile must be an object of tables" };
+	}
+
+	const profile = {};
+	for (const table of TABLES) {
+		if (data[table] === undefined) continue;
+
+		const whole = Array.isArray(data[table]);
+		if (!whole && (typeof data[table] !== "object" || data[table] === null)) {
+			return { error: `${table} must be an array from address 0 or an object of addresses` };
+		}
+		const values = whole ? Object.fromEntries(data[table].map((value, address) => [address, value])) : data[table];
+		const error = checkValues(table, values, registerCount);
+		if (error) {
+			return { error };
+		}
+		profile[table] = { values, whole };
+	}
+	if (Object.keys(profile).length === 0) {
+		return { error: `A profile needs at least one of ${TABLES.join(", ")}` };
+	}
+	return { profile };
+}
+
+// Splits a CSV line on commas or semicolons, with double quoted fields
+function splitLine(line) {
+	const fields = [];
+	let field = "";
+	let quoted = false;
+	for (let i = 0; i < line.length; i++) {
+		const char = line[i];
+		if (quoted) {
+			if (char === '"' && line[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === "," || char === ";") {
+			fields.push(field.trim());
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+	fields.push(field.trim());
+	return fields;
+}
+
+// Builds a profile of holding registers from CSV text. Returns { profile } or { error } naming the line.
+function parseCSV(text, registerCount) {
+	const values = {};
+	const lines = String(text).split(/\r?\n/);
+
+	for (let i = 0; i < lines.length; i++) {
+		if (lines[i].trim() === "") continue;
+
+		const [address, value] = splitLine(lines[i]);
+		// Header line
+		if (i === 0 && !/^\d+$/.test(address)) continue;
+
+		if (!/^\d+$/.test(address) || !/^\d+$/.test(value || "")) {
+			return { error: `Line ${i + 1}: expected address,value[,name]` };
+		}
+		values[Number(address)] = Number(value);
+	}
+	if (Object.keys(values).length === 0) {
+		return { error: "The CSV has no registers" };
+	}
+
+	const error = checkValues("registers", values, registerCount);
+	return error ? { error } : { profile: { registers: { values, whole: false } } };
+}
+
+// Parses a profile as JSON when it looks like an object, as CSV otherwise
+function parseProfile(text, registerCount) {
+	return String(text).trim().startsWith("{") ? parseJSON(text, registerCount) : parseCSV(text, registerCount);
+}
+
+// Writes a parsed profile to a slave. Returns the number of values written. The caller saves the slaves.
+function applyProfile(storage, slaveId, profile, source) {
+	const slave = storage.getSlaves()[slaveId];
+	let written = 0;
+
+	Object.entries(profile).forEach(([table, { values, whole }]) => {
+		if (whole) {
+			const data = new Array(slave[table].length).fill(0).map((value, i) => (values[i] !== undefined ? values[i] : 0));
+			storage.writeValues(slaveId, table, 0, data, source);
+			written += data.length;
+			return;
+		}
+		Object.entries(values).forEach(([address, value]) => {
+			storage.writeValues(slaveId, table, Number(address), [value], source);
+			written++;
+		});
+	});
+
+	return written;
+}
+
+module.exports = { exportJSON, exportCSV, parseJSON, parseCSV, parseProfile, applyProfile };
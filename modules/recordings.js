@@ -0,0 +1,218 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { dataPath } = require("./paths");
+const trafficMonitor = require("./traffic-monitor");
+
+// Recordings of the proxy mode, kept as JSON files in the data directory:
+//   { name, startedAt, stoppedAt, upstream, transactions: [{ t, unitId, request, response, latency }] }
+// `t` is the time of the request from the start of the recording and `latency` the time to the response,
+// both in milliseconds; request and response are hex PDUs (response null when unanswered).
+// A recording is replayed from its value timeline: the values read from and written to the upstream device.
+const getRecordingDir = () => dataPath("recordings");
+
+const NAME_PATTERN = /^[\w-]{1,64}$/;
+
+// Data table of the values of a function code
+const FUNCTION_TABLES = {
+	0x01: "coils",
+	0x02: "discreteInputs",
+	0x03: "registers",
+	0x04: "inputRegisters",
+	0x05: "coils",
+	0x06: "registers",
+	0x0f: "coils",
+	0x10: "registers",
+	0x17: "registers",
+};
+
+function isValidName(name) {
+	return typeof name === "string" && NAME_PATTERN.test(name);
+}
+
+// Name of a new recording from its start time
+function createName(date = new Date()) {
+	return `recording-${date.toISOString().slice(0, 19).replace(/[:T]/g, "-")}`;
+}
+
+// Recordings of the directory, newest first: [{ name, startedAt, stoppedAt, upstream, transactions, unitIds }]
+async function listRecordings() {
+	let files = [];
+	try {
+		files = await fs.readdir(getRecordingDir());
+	} catch (err) {
+		if (err.code !== "ENOENT") throw err;
+	}
+
+	const list = [];
+	for (const file of files.filter((f) => f.endsWith(".json"))) {
+		const name = path.basename(file, ".json");
+		if (!isValidName(name)) continue;
+
+		try {
+			const recording = JSON.parse(await fs.readFile(path.join(getRecordingDir(), file), "utf8"));
+			list.push({
+				name,
+				startedAt: recording.startedAt,
+				stoppedAt: recording.stoppedAt,
+				upstream: recording.upstream,
+				transactions: recording.transactions.length,
+				unitIds: [...new Set(recording.transactions.map((transaction) => transaction.unitId))].sort((a, b) => a - b),
+			});
+		} catch (err) {
+			console.error(`Error reading recording ${file}:`, err.message);
+		}
+	}
+	return list.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+// Recording by name, null when there is no such file
+async function getRecording(name) {
+	if (!isValidName(name)) return null;
+
+	try {
+		return JSON.parse(await fs.readFile(path.join(getRecordingDir(), `${name}.json`), "utf8"));
+	} catch (err) {
+		if (err.code === "ENOENT") return null;
+		throw err;
+	}
+}
+
+async function saveRecording(recording) {
+	await fs.mkdir(getRecordingDir(), { recursive: true });
+	await fs.writeFile(path.join(getRecordingDir(), `${recording.name}.json`), JSON.stringify(recording));
+}
+
+// Returns false when there is no such recording
+async function deleteRecording(name) {
+	if (!isValidName(name)) return false;
+
+	try {
+		await fs.unlink(path.join(getRecordingDir(), `${name}.json`));
+	} catch (err) {
+		if (err.code === "ENOENT") return false;
+		throw err;
+	}
+	return true;
+}
+
+// Values seen in the answered transactions of a recording, in time order: [{ t, unitId, table, start, values }].
+// Reads give the values of the device at the time of the response, accepted writes the written values.
+function getTimeline(recording) {
+	const timeline = [];
+
+	recording.transactions.forEach((transaction) => {
+		if (!transaction.response) return;
+
+		const request = Buffer.from(transaction.request, "hex");
+		const response = Buffer.from(transaction.response, "hex");
+		const table = FUNCTION_TABLES[request[0]];
+		if (!table) return;
+
+		try {
+			const decoded = trafficMonitor.decodePDU(request, response);
+			if (decoded.exception !== null) return;
+
+			const t = transaction.t + (transaction.latency || 0);
+			if (decoded.writeValues) {
+				timeline.push({ t, unitId: transaction.unitId, table, start: decoded.writeAddress, values: decoded.writeValues });
+			}
+			if (decoded.values && decoded.values.length > 0) {
+				timeline.push({ t, unitId: transaction.unitId, table, start: decoded.address, values: decoded.values });
+			}
+		} catch (err) {
+			// Truncated PDUs carry no values
+		}
+	});
+
+	return timeline;
+}
+
+// Local slave of a recorded unit ID: mapped by `slaveMap` ({ "unitId": slaveId }), or the same ID
+function getSlaveId(slaveMap, unitId) {
+	return slaveMap && slaveMap[unitId] !== undefined ? Number(slaveMap[unitId]) : unitId;
+}
+
+// Splits the changes of a timeline entry into runs of consecutive values that fit the local slave
+// and differ from `known` (last values by "slaveId:table:address"): [{ slaveId, table, start, values }]
+function getChanges(storage, slaveMap, entry, known) {
+	const slaveId = getSlaveId(slaveMap, entry.unitId);
+	const slave = storage.getSlaves()[slaveId];
+	const runs = [];
+	if (!slave) return runs;
+
+	let run = null;
+	entry.values.forEach((value, i) => {
+		const address = entry.start + i;
+		const key = `${slaveId}:${entry.table}:${address}`;
+		if (address >= slave[entry.table].length || known[key] === value) {
+			run = null;
+			return;
+		}
+		known[key] = value;
+		if (!run) {
+			run = { slaveId, table: entry.table, start: address, values: [] };
+			runs.push(run);
+		}
+		run.values.push(value);
+	});
+	return runs;
+}
+
+// Writes the last recorded values into the local slaves. Returns the number of values written.
+function applySnapshot(storage, recording, slaveMap) {
+	const last = {};
+	getTimeline(recording).forEach((entry) => {
+		entry.values.forEach((value, i) => {
+			last[`${entry.unitId}:${entry.table}:${entry.start + i}`] = value;
+		});
+	});
+
+	let written = 0;
+	const known = {};
+	Object.keys(last).forEach((key) => {
+		const [unitId, table, address] = key.split(":");
+		getChanges(storage, slaveMap, { unitId: Number(unitId), table, start: Number(address), values: [last[key]] }, known).forEach((run) => {
+			storage.writeValues(run.slaveId, run.table, run.start, run.values, "replay");
+			written += run.values.length;
+		});
+	});
+	return written;
+}
+
+// Scenario replaying the value changes of a recording on the local slaves, `speed` times faster
+function toScenario(storage, recording, { slaveMap, loop = false, speed = 1 } = {}) {
+	const known = {};
+	const steps = [];
+
+	getTimeline(recording).forEach((entry) => {
+		getChanges(storage, slaveMap, entry, known).forEach((run) => {
+			steps.push({
+				at: Math.round(entry.t / speed) / 1000,
+				action: "set",
+				slave: run.slaveId,
+				table: run.table,
+				address: run.start,
+				values: run.values,
+			});
+		});
+	});
+
+	return {
+		title: `Visszajátszás: ${recording.name}`,
+		description: `${recording.upstream || ""} ${recording.startedAt || ""}`.trim(),
+		loop,
+		steps,
+	};
+}
+
+module.exports = {
+	isValidName,
+	createName,
+	listRecordings,
+	getRecording,
+	saveRecording,
+	deleteRecording,
+	getTimeline,
+	applySnapshot,
+	toScenario,
+};
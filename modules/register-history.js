@@ -0,0 +1,240 @@
+const pointMap = require("./point-map");
+const layout = require("./device-layout");
+
+// Change history of the data tables: every changed value with its time, the writer and, for Modbus writes, the
+// transport. Kept in memory, oldest first, within the retention limits of the settings. Entries:
+//   { time (ms), slaveId, table, address, value, previous, source, transport }
+const DEFAULT_HISTORY = {
+	enabled: true,
+	// Changes kept at most, the oldest ones are dropped first
+	maxEntries: 100000,
+	// Changes older than this many minutes are dropped
+	maxAge: 24 * 60,
+};
+
+const MAX_ENTRIES = 1000000;
+const MAX_AGE = 7 * 24 * 60;
+const TABLES = ["coils", "discreteInputs", "registers", "inputRegisters"];
+// Trend window in minutes when the query gives none
+const DEFAULT_WINDOW = 60;
+// Registers of one trend at most
+const MAX_SERIES = 100;
+
+// Builds the history settings from user input (form strings or JSON), missing fields keep their current value.
+// Returns { settings } or { error }.
+function parseHistorySettings(input, current = DEFAULT_HISTORY, form = false) {
+	const settings = { ...DEFAULT_HISTORY, ...current };
+	if (form) {
+		settings.enabled = input.enabled === "on";
+	} else if (input.enabled !== undefined) {
+		settings.enabled = input.enabled;
+	}
+	["maxEntries", "maxAge"].forEach((field) => {
+		if (input[field] !== undefined && input[field] !== "") {
+			settings[field] = Number(input[field]);
+		}
+	});
+
+	if (typeof settings.enabled !== "boolean") {
+		return { error: "enabled must be a boolean" };
+	}
+	if (!Number.isInteger(settings.maxEntries) || settings.maxEntries < 1 || settings.maxEntries > MAX_ENTRIES) {
+		return { error: `maxEntries must be between 1 and ${MAX_ENTRIES}` };
+	}
+	if (!Number.isInteger(settings.maxAge) || settings.maxAge < 1 || settings.maxAge > MAX_AGE) {
+		return { error: `maxAge must be between 1 and ${MAX_AGE} minutes` };
+	}
+	return { settings };
+}
+
+// Addresses of a list such as "53,54,60-65" within a table of `size` values. Returns { addresses } or { error }.
+function parseAddresses(text, size) {
+	const addresses = new Set();
+	for (const item of String(text).split(",").map((s) => s.trim()).filter((s) => s !== "")) {
+		const match = /^(\d+)(?:-(\d+))?$/.exec(item);
+		const first = match ? Number(match[1]) : NaN;
+		const last = match && match[2] !== undefined ? Number(match[2]) : first;
+		if (!match || last < first || last >= size) {
+			return { error: `Invalid address or range "${item}", addresses are 0-${size - 1}` };
+		}
+		for (let address = first; address <= last; address++) {
+			addresses.add(address);
+		}
+	}
+	return { addresses: [...addresses].sort((a, b) => a - b) };
+}
+
+// Trend and export filter of a slave from a query string: table (default registers), addresses ("53,60-65"),
+// changedOnly, and the window as `minutes` up to now or as `from` / `to` times.
+// Returns { filter: { table, addresses, changedOnly, from, to } } or { error }.
+function parseHistoryQuery(query, slave) {
+	const table = query.table === undefined || query.table === "" ? "registers" : query.table;
+	if (!TABLES.includes(table)) {
+		return { error: `table must be one of ${TABLES.join(", ")}` };
+	}
+
+	let addresses = null;
+	if (query.addresses !== undefined && query.addresses !== "") {
+		const parsed = parseAddresses(query.addresses, slave[table].length);
+		if (parsed.error) {
+			return parsed;
+		}
+		addresses = parsed.addresses;
+	}
+
+	let from;
+	let to = Infinity;
+	if (query.from !== undefined && query.from !== "") {
+		from = Date.parse(query.from);
+		to = query.to !== undefined && query.to !== "" ? Date.parse(query.to) : Infinity;
+		if (isNaN(from) || isNaN(to) || to < from) {
+			return { error: "from and to must be times, from before to" };
+		}
+	} else {
+		const minutes = query.minutes === undefined || query.minutes === "" ? DEFAULT_WINDOW : Number(query.minutes);
+		if (!(minutes > 0) || minutes > MAX_AGE) {
+			return { error: `minutes must be between 0 and ${MAX_AGE}` };
+		}
+		from = Date.now() - minutes * 60000;
+	}
+
+	const changedOnly = query.changedOnly === true || query.changedOnly === "true" || query.changedOnly === "on";
+	return { filter: { table, addresses, changedOnly, from, to } };
+}
+
+// Named holding registers of a slave by address: { name, point } with the group title in the name and the
+// point for scaling the values. The point map only describes holding registers.
+function getNamedRegisters(slave) {
+	const named = new Map();
+	layout.getGroups(slave.layout).forEach((group) => {
+		pointMap.getGroupPoints(group).forEach((point) => {
+			named.set(point.address, { name: `${group.title} - ${point.name}`, point });
+		});
+	});
+	return named;
+}
+
+class RegisterHistory {
+	constructor(storage) {
+		this.storage = storage;
+		this.settings = { ...DEFAULT_HISTORY };
+		// Entries oldest first; the ones before `head` are already dropped
+		this.entries = [];
+		this.head = 0;
+		this.onChange = (change) => this.record(change);
+	}
+
+	// Applies new settings: recording follows `enabled`, the limits apply at once
+	configure(settings) {
+		this.settings = { ...DEFAULT_HISTORY, ...settings };
+		this.storage.off("change", this.onChange);
+		if (this.settings.enabled) {
+			this.storage.on("change", this.onChange);
+		}
+		this.prune();
+	}
+
+	getSettings() {
+		return this.settings;
+	}
+
+	getStatus() {
+		const count = this.entries.length - this.head;
+		return { count, oldest: count > 0 ? new Date(this.entries[this.head].time).toISOString() : null };
+	}
+
+	clear() {
+		this.entries = [];
+		this.head = 0;
+	}
+
+	// Records the values of a change event that differ from their previous value
+	record({ slaveId, table, start, values, previous, source, transport }) {
+		const time = Date.now();
+		values.forEach((value, i) => {
+			if (previous && previous[i] === value) return;
+			this.entries.push({ time, slaveId, table, address: start + i, value, previous: previous ? previous[i] : null, source, transport: transport || null });
+		});
+		this.prune(time);
+	}
+
+	// Drops the entries beyond the limits. The array is compacted once half of it is dropped entries.
+	prune(now = Date.now()) {
+		const oldest = now - this.settings.maxAge * 60000;
+		this.head = Math.max(this.head, this.entries.length - this.settings.maxEntries);
+		while (this.head < this.entries.length && this.entries[this.head].time < oldest) {
+			this.head++;
+		}
+		if (this.head > 1000 && this.head * 2 > this.entries.length) {
+			this.entries = this.entries.slice(this.head);
+			this.head = 0;
+		}
+	}
+
+	// Changes of a slave between `from` and `to` (ms), oldest first, optionally of one table and some addresses
+	getEntries(slaveId, { table, addresses, from = 0, to = Infinity } = {}) {
+		const wanted = addresses ? new Set(addresses) : null;
+		const entries = [];
+		for (let i = this.head; i < this.entries.length; i++) {
+			const entry = this.entries[i];
+			if (entry.time > to) break;
+			if (
+				entry.time >= from &&
+				entry.slaveId === slaveId &&
+				(!table || entry.table === table) &&
+				(!wanted || wanted.has(entry.address))
+			) {
+				entries.push(entry);
+			}
+		}
+		return entries;
+	}
+
+	// Values of registers of a slave over a time window, for trend charts. Without addresses, or with
+	// `changedOnly`, only the addresses that changed in the window are included.
+	//   { table, from, to, truncated, series: [{ address, name, point, initial, current, changes: [{ time, value, previous, source, transport }] }] }
+	// Beyond MAX_SERIES registers the series are truncated.
+	// `initial` is the value at the start of the window: the previous value of the first change in the window,
+	// or the current value when it did not change.
+	getTrend(slaveId, { table, addresses, changedOnly, from, to }) {
+		const slave = this.storage.getSlaves()[slaveId];
+		const named = table === "registers" ? getNamedRegisters(slave) : new Map();
+		const byAddress = new Map();
+		this.getEntries(slaveId, { table, addresses, from, to }).forEach((entry) => {
+			if (!byAddress.has(entry.address)) byAddress.set(entry.address, []);
+			byAddress.get(entry.address).push(entry);
+		});
+		const list = addresses && !changedOnly ? addresses : [...byAddress.keys()].sort((a, b) => a - b);
+
+		const series = list.slice(0, MAX_SERIES).map((address) => {
+			const changes = byAddress.get(address) || [];
+			// Value after the window: the current one, or the previous value of a later change
+			const later = to < Infinity ? this.getEntries(slaveId, { table, addresses: [address], from: to + 1 })[0] : null;
+			const current = later ? later.previous : address < slave[table].length ? slave[table][address] : null;
+			const initial = changes.length > 0 ? changes[0].previous : current;
+			return {
+				address,
+				name: named.has(address) ? named.get(address).name : "",
+				point: named.has(address) ? named.get(address).point : null,
+				initial,
+				current,
+				changes: changes.map(({ time, value, previous, source, transport }) => ({ time: new Date(time).toISOString(), value, previous, source, transport })),
+			};
+		});
+		return { table, from: new Date(from).toISOString(), to: new Date(Math.min(to, Date.now())).toISOString(), series, truncated: list.length > MAX_SERIES };
+	}
+
+	// CSV of change entries, with the register names of the slave
+	toCSV(slave, entries) {
+		const quote = (text) => (/[",;\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+		const named = getNamedRegisters(slave);
+		const lines = entries.map((entry) => {
+			const name = entry.table === "registers" && named.has(entry.address) ? named.get(entry.address).name : "";
+			const previous = entry.previous === null ? "" : entry.previous;
+			return [new Date(entry.time).toISOString(), entry.slaveId, entry.table, entry.address, quote(name), previous, entry.value, entry.source, entry.transport || ""].join(",");
+		});
+		return `time,slaveId,table,address,name,previous,value,source,transport\n${lines.map((line) => `${line}\n`).join("")}`;
+	}
+}
+
+module.exports = { RegisterHistory, DEFAULT_HISTORY, parseHistorySettings, parseHistoryQuery };
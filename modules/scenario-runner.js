@@ -0,0 +1,496 @@
+const fs = require("fs").promises;
+const path = require("path");
+const pointMap = require("./point-map");
+const layout = require("./device-layout");
+const { dataPath } = require("./paths");
+
+// Scenarios are reproducible timelines of register changes, kept as JSON files in the scenarios directory
+// of the data directory:
+//   { "title", "description", "loop": false, "steps": [step, ...] }
+// Steps run in order. A step is due `at` seconds after the start of the run (of the current round when
+// looping), or `after` seconds after the previous step; without either it follows the previous step at once.
+// Every step targets a value of a slave: a `point` of the point map ("indoor.errorCode", with the 1-based
+// indoor `unit`) or an `address` of a `table` (default registers). Point values are in engineering units.
+//   set:       writes `value` (`values` from the address), or adds `delta`; ramps over `duration` seconds
+//   waitFor:   waits until the target is written by `source` (modbus by default, web, api, mqtt, bacnet
+//              or any), with `value` if given
+//   waitUntil: waits until the target equals `value`, or is within `min` and `max`
+// Waits fail the run after `timeout` seconds. At the end the run stops, or starts over with `loop`.
+// Examples shipped with the emulator, copied into a data directory without scenarios
+const EXAMPLE_DIR = path.join(__dirname, "..", "scenarios");
+
+const NAME_PATTERN = /^[\w-]{1,64}$/;
+const ACTIONS = ["set", "waitFor", "waitUntil"];
+const SOURCES = ["modbus", "web", "api", "mqtt", "bacnet", "any"];
+const TABLES = ["coils", "discreteInputs", "registers", "inputRegisters"];
+const BIT_TABLES = ["coils", "discreteInputs"];
+
+// Runner period; written values are saved at most this often
+const TICK_MS = 100;
+const SAVE_INTERVAL = 1000;
+// Entries kept in the log of the run
+const LOG_SIZE = 100;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+function validateStep(step, name) {
+	if (typeof step !== "object" || step === null || Array.isArray(step)) {
+		return `${name} must be an object`;
+	}
+	if (!ACTIONS.includes(step.action)) {
+		return `${name}: action must be one of ${ACTIONS.join(", ")}`;
+	}
+	if (step.at !== undefined && step.after !== undefined) {
+		return `${name}: at and after are exclusive`;
+	}
+	for (const field of ["at", "after"]) {
+		if (step[field] !== undefined && (!isNumber(step[field]) || step[field] < 0)) {
+			return `${name}: ${field} must be a non-negative number of seconds`;
+		}
+	}
+	if (!Number.isInteger(step.slave) || step.slave < 1 || step.slave > 247) {
+		return `${name}: slave must be a slave ID`;
+	}
+
+	if (step.point !== undefined) {
+		if (typeof step.point !== "string" || !/^(outdoor|indoor)\.\w+$/.test(step.point)) {
+			return `${name}: point must look like "indoor.errorCode" or "outdoor.load"`;
+		}
+		if (step.address !== undefined || step.table !== undefined) {
+			return `${name}: point is exclusive with address and table`;
+		}
+		if (step.point.startsWith("indoor.") && (!Number.isInteger(step.unit) || step.unit < 1)) {
+			return `${name}: unit must be the 1-based number of the indoor unit`;
+		}
+	} else {
+		if (!Number.isInteger(step.address) || step.address < 0 || step.address > 0xffff) {
+			return `${name}: address must be between 0 and 65535, or a point given`;
+		}
+		if (step.table !== undefined && !TABLES.includes(step.table)) {
+			return `${name}: table must be one of ${TABLES.join(", ")}`;
+		}
+	}
+
+	if (step.action === "set") {
+		const given = ["value", "values", "delta"].filter((field) => step[field] !== undefined);
+		if (given.length !== 1) {
+			return `${name}: set needs exactly one of value, values and delta`;
+		}
+		if (step.values !== undefined && (step.point !== undefined || !Array.isArray(step.values) || step.values.length === 0 || !step.values.every(Number.isInteger))) {
+			return `${name}: values must be a non-empty array of raw values, written from an address`;
+		}
+		if (step.delta !== undefined && !isNumber(step.delta)) {
+			return `${name}: delta must be a number`;
+		}
+		if (step.value !== undefined && step.point === undefined && !Number.isInteger(step.value)) {
+			return `${name}: value must be a raw integer value`;
+		}
+		if (step.duration !== undefined && (!isNumber(step.duration) || step.duration < 0 || step.values !== undefined)) {
+			return `${name}: duration must be a non-negative number of seconds, and not given with values`;
+		}
+	} else {
+		if (step.timeout !== undefined && (!isNumber(step.timeout) || step.timeout <= 0)) {
+			return `${name}: timeout must be a positive number of seconds`;
+		}
+		if (step.value !== undefined && !isNumber(step.value)) {
+			return `${name}: value must be a number`;
+		}
+	}
+	if (step.action === "waitFor" && step.source !== undefined && !SOURCES.includes(step.source)) {
+		return `${name}: source must be one of ${SOURCES.join(", ")}`;
+	}
+	if (step.action === "waitUntil") {
+		if (step.value === undefined && step.min === undefined && step.max === undefined) {
+			return `${name}: waitUntil needs value, min or max`;
+		}
+		for (const field of ["min", "max"]) {
+			if (step[field] !== undefined && !isNumber(step[field])) {
+				return `${name}: ${field} must be a number`;
+			}
+		}
+	}
+	return null;
+}
+
+// Builds a scenario from user input: an object, or its JSON text. Returns { scenario } or { error }.
+function parseScenario(input) {
+	let scenario = input;
+	if (typeof input === "string") {
+		try {
+			scenario = JSON.parse(input);
+		} catch (err) {
+			return { error: `Invalid JSON: ${err.message}` };
+		}
+	}
+
+	if (typeof scenario !== "object" || scenario === null || Array.isArray(scenario)) {
+		return { error: "A scenario must be an object" };
+	}
+	for (const field of ["title", "description"]) {
+		if (scenario[field] !== undefined && typeof scenario[field] !== "string") {
+			return { error: `${field} must be a string` };
+		}
+	}
+	if (scenario.loop !== undefined && typeof scenario.loop !== "boolean") {
+		return { error: "loop must be a boolean" };
+	}
+	if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+		return { error: "steps must be a non-empty array" };
+	}
+	for (let i = 0; i < scenario.steps.length; i++) {
+		const error = validateStep(scenario.steps[i], `steps[${i}]`);
+		if (error) {
+			return { error };
+		}
+	}
+	return { scenario };
+}
+
+function isValidName(name) {
+	return typeof name === "string" && NAME_PATTERN.test(name);
+}
+
+// Text of a step for the log and the status
+function describeStep(step) {
+	const target = step.point !== undefined ? `${step.point}${step.unit !== undefined ? ` of unit ${step.unit}` : ""}` : `${step.table || "registers"} ${step.address}`;
+	const where = `${target} of slave ${step.slave}`;
+
+	if (step.action === "set") {
+		const what = step.values !== undefined ? `[${step.values.join(", ")}]` : step.delta !== undefined ? `${step.delta >= 0 ? "+" : ""}${step.delta}` : JSON.stringify(step.value);
+		return `set ${where} to ${what}${step.duration ? ` over ${step.duration} s` : ""}`;
+	}
+	if (step.action === "waitFor") {
+		return `wait for a ${step.source || "modbus"} write of ${where}${step.value !== undefined ? ` with ${step.value}` : ""}`;
+	}
+	const condition = step.value !== undefined ? `= ${step.value}` : `in ${step.min !== undefined ? step.min : "-"}..${step.max !== undefined ? step.max : "-"}`;
+	return `wait until ${where} ${condition}`;
+}
+
+// Scenario directory of the data directory, created with the examples when missing
+async function getScenarioDir() {
+	const dir = dataPath("scenarios");
+	if (await fs.mkdir(dir, { recursive: true })) {
+		for (const file of await fs.readdir(EXAMPLE_DIR).catch(() => [])) {
+			await fs.copyFile(path.join(EXAMPLE_DIR, file), path.join(dir, file));
+		}
+	}
+	return dir;
+}
+
+// Runs one scenario at a time against the slaves in storage. Values are written through storage with
+// the "scenario" source, so transports and live pages see them at once. Master writes are followed
+// through the "write" event of storage.
+class ScenarioRunner {
+	constructor(storage) {
+		this.storage = storage;
+		this.timer = null;
+		this.run = null;
+		this.status = { name: null, title: null, state: "idle", step: 0, steps: 0, round: 0, startedAt: null, waiting: null, error: null, log: [] };
+		this.onWrite = (write) => this.handleWrite(write);
+	}
+
+	// Scenarios of the directory: [{ name, title, description, steps, error }], invalid files with their error
+	async listScenarios() {
+		const dir = await getScenarioDir();
+		const files = await fs.readdir(dir);
+
+		const list = [];
+		for (const file of files.filter((f) => f.endsWith(".json")).sort()) {
+			const name = path.basename(file, ".json");
+			if (!isValidName(name)) continue;
+
+			try {
+				const { scenario, error } = parseScenario(await fs.readFile(path.join(dir, file), "utf8"));
+				list.push(
+					scenario
+						? { name, title: scenario.title || name, description: scenario.description || "", steps: scenario.steps.length, loop: !!scenario.loop, error: null }
+						: { name, title: name, description: "", steps: 0, loop: false, error },
+				);
+			} catch (err) {
+				list.push({ name, title: name, description: "", steps: 0, loop: false, error: err.message });
+			}
+		}
+		return list;
+	}
+
+	// Parsed scenario by name, null when there is no such file. Throws when the file is invalid.
+	async getScenario(name) {
+		if (!isValidName(name)) return null;
+
+		let data;
+		try {
+			data = await fs.readFile(path.join(await getScenarioDir(), `${name}.json`), "utf8");
+		} catch (err) {
+			if (err.code === "ENOENT") return null;
+			throw err;
+		}
+
+		const { scenario, error } = parseScenario(data);
+		if (error) {
+			throw new Error(`Invalid scenario ${name}: ${error}`);
+		}
+		return scenario;
+	}
+
+	async saveScenario(name, scenario) {
+		await fs.writeFile(path.join(await getScenarioDir(), `${name}.json`), JSON.stringify(scenario, null, 2) + "\n");
+		console.log(`Saved scenario ${name}`);
+	}
+
+	// Returns false when there is no such scenario
+	async deleteScenario(name) {
+		if (!isValidName(name)) return false;
+
+		try {
+			await fs.unlink(path.join(await getScenarioDir(), `${name}.json`));
+		} catch (err) {
+			if (err.code === "ENOENT") return false;
+			throw err;
+		}
+		console.log(`Deleted scenario ${name}`);
+		return true;
+	}
+
+	getStatus() {
+		const elapsed = this.status.startedAt ? ((this.run ? Date.now() : this.status.stoppedAt) - this.status.startedAt) / 1000 : 0;
+		return {
+			name: this.status.name,
+			title: this.status.title,
+			state: this.status.state,
+			running: this.isRunning(),
+			step: this.status.step,
+			steps: this.status.steps,
+			round: this.status.round,
+			elapsed: Math.round(elapsed * 10) / 10,
+			waiting: this.status.waiting,
+			error: this.status.error,
+			log: this.status.log,
+		};
+	}
+
+	isRunning() {
+		return this.run !== null;
+	}
+
+	log(message) {
+		this.status.log.push({ time: new Date().toISOString(), message });
+		if (this.status.log.length > LOG_SIZE) {
+			this.status.log.shift();
+		}
+		console.log(`Scenario ${this.status.name}: ${message}`);
+	}
+
+	// Stops the current run and starts the scenario. Throws when it does not exist or does not fit the slaves.
+	async start(name) {
+		const scenario = await this.getScenario(name);
+		if (!scenario) {
+			const err = new Error(`Scenario ${name} not found`);
+			err.code = "ENOENT";
+			throw err;
+		}
+		const steps = scenario.steps.map((step, i) => this.resolveStep(step, `steps[${i}]`));
+
+		this.stop();
+		const now = Date.now();
+		this.run = { steps, loop: !!scenario.loop, index: 0, roundStart: now, previousDone: now, waitStarted: null, matched: false, ramps: [], dirty: false, lastSave: now };
+		this.status = { name, title: scenario.title || name, state: "running", step: 1, steps: steps.length, round: 1, startedAt: now, stoppedAt: null, waiting: null, error: null, log: [] };
+		this.log("started");
+
+		this.storage.on("write", this.onWrite);
+		this.timer = setInterval(() => this.tick(), TICK_MS);
+		this.tick();
+	}
+
+	stop() {
+		if (this.run) {
+			this.end("stopped");
+		}
+	}
+
+	// Ends the run: stopped, finished or failed (with the error)
+	end(state, error = null) {
+		clearInterval(this.timer);
+		this.timer = null;
+		this.storage.off("write", this.onWrite);
+
+		if (this.run.dirty) {
+			this.storage.saveSlaves().catch((err) => console.error("Error saving slaves:", err));
+		}
+		this.run = null;
+		this.status.state = state;
+		this.status.error = error;
+		this.status.waiting = null;
+		this.status.stoppedAt = Date.now();
+		this.log(error ? `${state}: ${error}` : state);
+	}
+
+	// Places the target of a step on the slaves: { slaveId, table, address, point }. Throws when it does not fit.
+	resolveStep(step, name) {
+		const slave = this.storage.getSlaves()[step.slave];
+		if (!slave) {
+			throw new Error(`${name}: slave ${step.slave} does not exist`);
+		}
+
+		if (step.point === undefined) {
+			const table = step.table || "registers";
+			const count = step.values ? step.values.length : 1;
+			if (step.address + count > slave[table].length) {
+				throw new Error(`${name}: ${table} ${step.address} is outside slave ${step.slave}`);
+			}
+			const max = BIT_TABLES.includes(table) ? 1 : 0xffff;
+			if ([step.value, ...(step.values || [])].some((value) => value !== undefined && (value < 0 || value > max))) {
+				throw new Error(`${name}: values of ${table} must be between 0 and ${max}`);
+			}
+			return { ...step, target: { slaveId: step.slave, table, address: step.address, point: null } };
+		}
+
+		const [kind, key] = step.point.split(".");
+		const group = layout.getGroups(slave.layout).find((g) => g.kind === kind && (kind === "outdoor" || g.unit === step.unit));
+		const point = pointMap.findPoint(kind, key);
+		if (!point) {
+			throw new Error(`${name}: unknown point ${step.point}`);
+		}
+		if (!group || point.offset >= group.size) {
+			throw new Error(`${name}: ${step.point} is not in the layout of slave ${step.slave}`);
+		}
+		if (step.action === "set" && (step.delta !== undefined || step.duration) && (point.enum || point.bits)) {
+			throw new Error(`${name}: ${step.point} is not a numeric point, it cannot change by a delta or ramp`);
+		}
+		if (step.action !== "set" && point.bits && (step.action === "waitUntil" || step.value !== undefined)) {
+			throw new Error(`${name}: ${step.point} is a bitfield, it can only be waited for without a value`);
+		}
+		if (step.value !== undefined && step.action === "set") {
+			try {
+				pointMap.toRaw(point, step.value);
+			} catch (err) {
+				throw new Error(`${name}: ${err.message}`);
+			}
+		}
+		return { ...step, target: { slaveId: step.slave, table: "registers", address: group.start + point.offset, point } };
+	}
+
+	// Current value of a target: engineering units for points, raw otherwise
+	read(target) {
+		const raw = this.storage.getSlaves()[target.slaveId][target.table][target.address];
+		return target.point ? pointMap.toValue(target.point, raw) : raw;
+	}
+
+	write(target, value) {
+		const slave = this.storage.getSlaves()[target.slaveId];
+		const raw = target.point ? pointMap.toRaw(target.point, value, slave.registers[target.address]) : Math.round(value);
+		const max = BIT_TABLES.includes(target.table) ? 1 : 0xffff;
+
+		this.storage.writeValues(target.slaveId, target.table, target.address, [Math.min(Math.max(raw, 0), max)], "scenario");
+		this.run.dirty = true;
+	}
+
+	// Master writes complete the current waitFor step once it waits
+	handleWrite(write) {
+		const run = this.run;
+		const step = run && run.steps[run.index];
+		if (!step || step.action !== "waitFor" || run.waitStarted === null) return;
+
+		const { slaveId, table, address, point } = step.target;
+		const offset = address - write.start;
+		if (write.slaveId !== slaveId || write.table !== table || offset < 0 || offset >= write.values.length) return;
+		if ((step.source || "modbus") !== "any" && write.source !== (step.source || "modbus")) return;
+
+		const value = point ? pointMap.toValue(point, write.values[offset]) : write.values[offset];
+		if (step.value === undefined || value === step.value) {
+			run.matched = true;
+		}
+	}
+
+	execute(step, now) {
+		if (step.values !== undefined) {
+			this.storage.writeValues(step.target.slaveId, step.target.table, step.target.address, step.values, "scenario");
+			this.run.dirty = true;
+			return;
+		}
+
+		const from = this.read(step.target);
+		const to = step.delta !== undefined ? from + step.delta : step.value;
+		if (step.duration) {
+			this.run.ramps.push({ target: step.target, from, to, startedAt: now, duration: step.duration * 1000 });
+		} else {
+			this.write(step.target, to);
+		}
+	}
+
+	updateRamps(now) {
+		this.run.ramps = this.run.ramps.filter((ramp) => {
+			const progress = Math.min(1, (now - ramp.startedAt) / ramp.duration);
+			this.write(ramp.target, ramp.from + (ramp.to - ramp.from) * progress);
+			return progress < 1;
+		});
+	}
+
+	tick() {
+		const run = this.run;
+		const now = Date.now();
+
+		try {
+			this.updateRamps(now);
+
+			while (run.index < run.steps.length) {
+				const step = run.steps[run.index];
+				const due = step.at !== undefined ? run.roundStart + step.at * 1000 : run.previousDone + (step.after || 0) * 1000;
+				if (now < due) break;
+
+				if (step.action !== "set") {
+					if (run.waitStarted === null) {
+						run.waitStarted = now;
+						run.matched = false;
+						this.status.waiting = describeStep(step);
+					}
+					if (step.action === "waitUntil") {
+						const value = this.read(step.target);
+						run.matched =
+							step.value !== undefined ? value === step.value : (step.min === undefined || value >= step.min) && (step.max === undefined || value <= step.max);
+					}
+					if (!run.matched) {
+						if (step.timeout !== undefined && now - run.waitStarted >= step.timeout * 1000) {
+							this.end("failed", `timed out: ${describeStep(step)}`);
+							return;
+						}
+						break;
+					}
+					run.waitStarted = null;
+					this.status.waiting = null;
+				} else {
+					this.execute(step, now);
+				}
+
+				this.log(`step ${run.index + 1}: ${describeStep(step)}`);
+				run.index++;
+				run.previousDone = now;
+				this.status.step = Math.min(run.index + 1, run.steps.length);
+			}
+
+			// A round is over once its ramps are
+			if (run.index >= run.steps.length && run.ramps.length === 0) {
+				if (!run.loop) {
+					this.end("finished");
+					return;
+				}
+				run.index = 0;
+				run.roundStart = now;
+				run.previousDone = now;
+				this.status.step = 1;
+				this.status.round++;
+				this.log(`round ${this.status.round}`);
+			}
+		} catch (err) {
+			this.end("failed", err.message);
+			return;
+		}
+
+		if (run.dirty && now - run.lastSave >= SAVE_INTERVAL) {
+			run.dirty = false;
+			run.lastSave = now;
+			this.storage.saveSlaves().catch((err) => console.error("Error saving slaves:", err));
+		}
+	}
+}
+
+module.exports = { ScenarioRunner, parseScenario, isValidName, describeStep };
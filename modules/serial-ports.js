@@ -0,0 +1,201 @@
+const fs = require("fs").promises;
+const { readlinkSync, unlinkSync } = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { EventEmitter } = require("events");
+const { SerialPort } = require("serialport");
+
+// Serial ports of the machine for the config page, and the virtual serial port of the RTU transport.
+
+// Node can not open a pseudo-terminal by itself, so a small Python helper opens the pair and relays the bytes
+// between its stdin / stdout and the master end. The first line it prints is the path of the slave end, the
+// one local masters open. It keeps the slave end open too, so masters may come and go without a hang-up.
+// The pty mode needs python3 on the PATH.
+const PTY_HELPER = `
+import os, pty, select, tty
+master, slave = pty.openpty()
+tty.setraw(slave)
+os.write(1, (os.ttyname(slave) + "\\n").encode())
+while True:
+    readable = select.select([0, master], [], [])[0]
+    if 0 in readable:
+        data = os.read(0, 4096)
+        if not data:
+            break
+        os.write(master, data)
+    if master in readable:
+        os.write(1, os.read(master, 4096))
+`;
+
+const PYTHON = "python3";
+// Drivers of the serial core between a port and its hardware driver
+const SERIAL_CORE_DRIVERS = ["port", "ctrl"];
+
+// Pseudo-terminal pair with the events and methods of a SerialPort that ModbusRTU uses:
+// open(callback), write(data, callback), close(callback), isOpen, path, and "data", "error", "close".
+// `link` is an optional symlink to the slave end, so masters can be configured with a stable path.
+class VirtualSerialPort extends EventEmitter {
+	constructor({ link = "" } = {}) {
+		super();
+		this.link = link;
+		this.path = null;
+		this.isOpen = false;
+		this.process = null;
+	}
+
+	open(callback) {
+		if (process.platform === "win32") {
+			callback(new Error("Virtual serial ports need a Linux or macOS pseudo-terminal"));
+			return;
+		}
+
+		let output = Buffer.alloc(0);
+		let opened = false;
+		const fail = (err) => {
+			if (!opened) {
+				opened = true;
+				callback(err);
+			}
+		};
+
+		this.process = spawn(PYTHON, ["-c", PTY_HELPER], { stdio: ["pipe", "pipe", "pipe"] });
+		this.process.on("error", (err) =>
+			fail(
+				new Error(
+					err.code === "ENOENT"
+						? `${PYTHON} was not found on the PATH, virtual serial ports need it (install python3, or use a serial port)`
+						: `cannot start ${PYTHON}: ${err.message}`,
+				),
+			),
+		);
+		this.process.stdin.on("error", () => {});
+		this.process.stderr.on("data", (data) => console.error(`Virtual serial port: ${data.toString().trim()}`));
+
+		this.process.stdout.on("data", (data) => {
+			if (opened) {
+				this.emit("data", data);
+				return;
+			}
+			// The path comes first, anything after it is already serial data
+			output = Buffer.concat([output, data]);
+			const end = output.indexOf("\n");
+			if (end < 0) return;
+
+			this.path = output.slice(0, end).toString().trim();
+			const rest = output.slice(end + 1);
+			this.createLink()
+				.then(() => {
+					opened = true;
+					this.isOpen = true;
+					callback(null);
+					if (rest.length > 0) this.emit("data", rest);
+				})
+				.catch((err) => {
+					this.process.kill();
+					fail(new Error(`cannot link ${this.link} to ${this.path}: ${err.message}`));
+				});
+		});
+
+		this.process.on("exit", (code, signal) => {
+			const wasOpen = this.isOpen;
+			this.isOpen = false;
+			this.process = null;
+			this.removeLink();
+			if (!opened) {
+				fail(new Error(`${PYTHON} exited with ${signal || code} before opening a pseudo-terminal`));
+			} else if (wasOpen) {
+				this.emit("close");
+			}
+		});
+	}
+
+	// Replaces a stale link of an earlier run, but never a file that is not a symlink
+	async createLink() {
+		if (!this.link) return;
+		const stat = await fs.lstat(this.link).catch(() => null);
+		if (stat && !stat.isSymbolicLink()) {
+			throw new Error("the file exists and is not a symlink");
+		}
+		if (stat) await fs.unlink(this.link);
+		await fs.symlink(this.path, this.link);
+	}
+
+	// Synchronous, so that it also completes when the emulator exits right after closing the port
+	removeLink() {
+		if (!this.link || !this.path) return;
+		try {
+			if (readlinkSync(this.link) === this.path) unlinkSync(this.link);
+		} catch (err) {
+			// Already gone
+		}
+	}
+
+	// Path advertised to masters: the link when there is one
+	getMasterPath() {
+		return this.link || this.path;
+	}
+
+	write(data, callback) {
+		if (!this.isOpen) {
+			if (callback) callback(new Error("Virtual serial port is not open"));
+			return;
+		}
+		this.process.stdin.write(data, callback);
+	}
+
+	close(callback) {
+		if (!this.process) {
+			if (callback) callback(null);
+			return;
+		}
+		this.process.once("exit", () => callback && callback(null));
+		this.removeLink();
+		this.process.stdin.end();
+		this.process.kill();
+	}
+}
+
+// Driver name of a tty device, skipping the generic serial core layers (Linux 6.5+) to the hardware driver.
+// Null for ttys without a device, like virtual consoles and pseudo-terminals.
+async function getDriver(device) {
+	let driver = null;
+	// The device link is resolved first, so that ".." walks up the device tree
+	const real = await fs.realpath(device).catch(() => null);
+	for (let dir = real, level = 0; dir && level < 3; dir = path.join(dir, ".."), level++) {
+		const link = await fs.readlink(path.join(dir, "driver")).catch(() => null);
+		if (!link) break;
+		driver = path.basename(link);
+		if (!SERIAL_CORE_DRIVERS.includes(driver)) break;
+	}
+	return driver;
+}
+
+// Serial ports of the machine: [{ path, description }]. On Linux sysfs is read directly, so it works without
+// udev (containers, CI runners); the legacy ttyS ports without a UART behind them are left out.
+async function listSerialPorts() {
+	if (process.platform !== "linux") {
+		try {
+			const ports = await SerialPort.list();
+			return ports.map((port) => ({ path: port.path, description: port.manufacturer || port.friendlyName || "" }));
+		} catch (err) {
+			console.error("Cannot list serial ports:", err.message);
+			return [];
+		}
+	}
+
+	const root = "/sys/class/tty";
+	const names = await fs.readdir(root).catch(() => []);
+	const ports = [];
+	for (const name of names) {
+		const driver = await getDriver(path.join(root, name, "device"));
+		if (!driver) continue;
+		if (/^ttyS\d+$/.test(name)) {
+			const type = await fs.readFile(path.join(root, name, "type"), "utf8").catch(() => "0");
+			if (type.trim() === "0") continue;
+		}
+		ports.push({ path: `/dev/${name}`, description: driver });
+	}
+	return ports.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+}
+
+module.exports = { VirtualSerialPort, listSerialPorts };
@@ -0,0 +1,27 @@
+// Starts and restarts the Modbus and BACnet servers according to the config. `servers` holds the
+// transport instances by config section: { modbusTcp, modbusRtu, modbusRtuTcp, modbusUdp, bacnet }.
+
+// The serial and BACnet transports are started with their whole config section, the others with their port
+function startArgument(section, sectionConfig) {
+	return section === "modbusRtu" || section === "bacnet" ? sectionConfig : sectionConfig.port;
+}
+
+function startServers(servers, config) {
+	Object.keys(servers).forEach((section) => {
+		if (config[section].enabled) {
+			servers[section].start(startArgument(section, config[section]));
+		}
+	});
+}
+
+function restartServers(servers, config) {
+	Object.keys(servers).forEach((section) => {
+		if (config[section].enabled) {
+			servers[section].restart(startArgument(section, config[section]));
+		} else {
+			servers[section].stop();
+		}
+	});
+}
+
+module.exports = { startServers, restartServers };
@@ -0,0 +1,333 @@
+const pointMap = require("./point-map");
+const layout = require("./device-layout");
+
+// Thermal and operating behaviour of the indoor units, run on a tick. Every indoor unit with the
+// power, mode, setpoint and roomTemperature points is simulated from its registers:
+// - the room temperature approaches the coil temperature while the compressor runs, the ambient
+//   temperature of the unit otherwise, with the thermal inertia of the unit as time constant
+// - the compressor follows a thermostat with hysteresis around the setpoint in cooling, drying and
+//   heating (auto picks cooling or heating from the room temperature)
+// - heating with a cold outdoor unit defrosts periodically
+// - power status, operation status bits and pipe temperatures follow
+// The outdoor block of each slave aggregates the indoor units: load, running and defrost status.
+
+// Simulation parameters of an indoor unit: ambient temperature (°C) the room drifts to without
+// conditioning, thermal inertia as time constant in minutes
+const DEFAULT_UNIT_PARAMETERS = {
+	ambientTemperature: 26,
+	inertia: 20,
+};
+
+const DEFAULT_SETTINGS = {
+	running: false,
+	// Tick period in milliseconds
+	tickMs: 1000,
+	// Simulated seconds per real second
+	speed: 1,
+};
+
+// Modes of the "mode" point
+const MODE = { auto: 0, cool: 1, dry: 2, fan: 3, heat: 4 };
+
+// Temperature change rate by fan speed (auto, low, medium, high)
+const FAN_FACTORS = { 0: 1, 1: 0.7, 2: 1, 3: 1.3 };
+
+// Thermostat hysteresis around the setpoint (°C)
+const HYSTERESIS = 0.5;
+// The coil drives the room this far beyond the setpoint (°C)
+const COIL_OFFSET = 4;
+// Pipe temperatures (in, out) while the compressor runs (°C)
+const PIPE_TEMPERATURES = { cool: [6, 11], heat: [45, 38] };
+
+// Defrost: after this much heating (seconds) with the outdoor temperature below the limit
+const DEFROST_INTERVAL = 40 * 60;
+const DEFROST_DURATION = 5 * 60;
+const DEFROST_BELOW = 5;
+// Outdoor temperature when the outdoor block has no such point
+const DEFAULT_OUTDOOR_TEMPERATURE = 10;
+
+// Builds the simulation parameters of a unit from user input, missing fields keep their current value.
+// Returns { parameters } or { error }.
+function parseUnitParameters(input, current = DEFAULT_UNIT_PARAMETERS) {
+	const parameters = { ...DEFAULT_UNIT_PARAMETERS, ...current };
+	["ambientTemperature", "inertia"].forEach((field) => {
+		if (input[field] !== undefined && input[field] !== "") {
+			parameters[field] = Number(input[field]);
+		}
+	});
+
+	if (!Number.isFinite(parameters.ambientTemperature) || parameters.ambientTemperature < -30 || parameters.ambientTemperature > 50) {
+		return { error: "ambientTemperature must be between -30 and 50 °C" };
+	}
+	if (!Number.isFinite(parameters.inertia) || parameters.inertia < 1 || parameters.inertia > 1440) {
+		return { error: "inertia must be between 1 and 1440 minutes" };
+	}
+	return { parameters };
+}
+
+// Builds the simulation settings from user input. Returns { settings } or { error }.
+function parseSettings(input, current = DEFAULT_SETTINGS) {
+	const settings = { ...DEFAULT_SETTINGS, ...current };
+	if (input.running !== undefined) {
+		settings.running = input.running === true || input.running === "on" || input.running === "true";
+	}
+	["tickMs", "speed"].forEach((field) => {
+		if (input[field] !== undefined && input[field] !== "") {
+			settings[field] = Number(input[field]);
+		}
+	});
+
+	if (!Number.isInteger(settings.tickMs) || settings.tickMs < 100 || settings.tickMs > 60000) {
+		return { error: "tickMs must be between 100 and 60000" };
+	}
+	if (!Number.isFinite(settings.speed) || settings.speed <= 0 || settings.speed > 3600) {
+		return { error: "speed must be greater than 0 and at most 3600" };
+	}
+	return { settings };
+}
+
+// Named points of a group by key
+function getPointsByKey(group) {
+	const points = {};
+	pointMap.getGroupPoints(group).forEach((point) => {
+		points[point.key] = point;
+	});
+	return points;
+}
+
+class Simulation {
+	constructor(storage) {
+		this.storage = storage;
+		this.timer = null;
+		this.lastTick = null;
+		// In-memory state of the units by "slaveId:unit": exact room temperature, thermostat and defrost
+		this.units = {};
+	}
+
+	getSettings() {
+		return { ...DEFAULT_SETTINGS, ...this.storage.getConfig().simulation };
+	}
+
+	getUnitParameters(slaveId, unit) {
+		const slave = this.storage.getSlaves()[slaveId];
+		return { ...DEFAULT_UNIT_PARAMETERS, ...(slave && slave.simulation.units[unit - 1]) };
+	}
+
+	async updateUnitParameters(slaveId, unit, parameters) {
+		const slave = this.storage.getSlaves()[slaveId];
+		slave.simulation.units[unit - 1] = parameters;
+		for (let i = 0; i < unit - 1; i++) {
+			slave.simulation.units[i] = slave.simulation.units[i] || { ...DEFAULT_UNIT_PARAMETERS };
+		}
+		await this.storage.saveSlaves();
+	}
+
+	// Starts ticking if the config says the simulation runs
+	start() {
+		if (this.getSettings().running) {
+			this.resume();
+		}
+	}
+
+	isRunning() {
+		return this.timer !== null;
+	}
+
+	resume() {
+		if (this.timer) return;
+
+		const { tickMs, speed } = this.getSettings();
+		this.lastTick = Date.now();
+		this.timer = setInterval(() => this.tick(), tickMs);
+		console.log(`Simulation running (tick ${tickMs} ms, speed ${speed}x)`);
+	}
+
+	pause() {
+		if (!this.timer) return;
+
+		clearInterval(this.timer);
+		this.timer = null;
+		console.log("Simulation paused");
+	}
+
+	// Saves the settings and applies them: pause, resume or restart with the new tick
+	async updateSettings(settings) {
+		await this.storage.updateConfig({ simulation: settings });
+		this.pause();
+		if (settings.running) {
+			this.resume();
+		}
+	}
+
+	tick() {
+		const now = Date.now();
+		const dt = ((now - this.lastTick) / 1000) * this.getSettings().speed;
+		this.lastTick = now;
+
+		let changed = false;
+		this.storage.getSlaveIds().forEach((slaveId) => {
+			try {
+				changed = this.simulateSlave(slaveId, dt) || changed;
+			} catch (err) {
+				console.error(`Error simulating slave ${slaveId}:`, err);
+			}
+		});
+
+		if (changed) {
+			this.storage.saveSlaves().catch((err) => console.error("Error saving slaves:", err));
+		}
+	}
+
+	// Advances every indoor unit of a slave by dt simulated seconds, then the outdoor block.
+	// Returns whether any register changed.
+	simulateSlave(slaveId, dt) {
+		const slave = this.storage.getSlaves()[slaveId];
+		const groups = layout.getGroups(slave.layout);
+		const outdoor = groups[0];
+		const outdoorPoints = getPointsByKey(outdoor);
+
+		const outdoorTemperature = outdoorPoints.outdoorTemperature
+			? pointMap.toValue(outdoorPoints.outdoorTemperature, slave.registers[outdoorPoints.outdoorTemperature.address])
+			: DEFAULT_OUTDOOR_TEMPERATURE;
+
+		let changed = false;
+		const results = [];
+		groups
+			.filter((group) => group.kind === "indoor")
+			.forEach((group) => {
+				const result = this.simulateUnit(slaveId, slave, group, dt, outdoorTemperature);
+				if (result) {
+					results.push(result);
+					changed = result.changed || changed;
+				}
+			});
+
+		if (results.length === 0) {
+			return changed;
+		}
+
+		const running = results.filter((result) => result.compressor).length;
+		return (
+			this.writeGroup(slaveId, slave, outdoor, outdoorPoints, {
+				communicationStatus: 1,
+				indoorUnitCount: results.length,
+				load: Math.round((running * 100) / results.length),
+				operationStatus: pointMap.toStatusBits("outdoor", {
+					running: running > 0,
+					defrost: results.some((result) => result.defrost),
+				}),
+			}) || changed
+		);
+	}
+
+	// Advances one indoor unit. Returns { compressor, defrost, changed }, or null when the group lacks
+	// the points needed for the simulation.
+	simulateUnit(slaveId, slave, group, dt, outdoorTemperature) {
+		const points = getPointsByKey(group);
+		if (!points.power || !points.mode || !points.setpoint || !points.roomTemperature) {
+			return null;
+		}
+
+		const read = (key) => pointMap.toValue(points[key], slave.registers[points[key].address]);
+		const parameters = this.getUnitParameters(slaveId, group.unit);
+		const key = `${slaveId}:${group.unit}`;
+		const roomRaw = slave.registers[points.roomTemperature.address];
+
+		// Start from the register (a blank one from the ambient temperature), and follow it when someone else changes it
+		let state = this.units[key];
+		if (!state) {
+			state = this.units[key] = {
+				room: roomRaw === 0 ? parameters.ambientTemperature : read("roomTemperature"),
+				roomRaw,
+				compressor: false,
+				autoMode: MODE.cool,
+				heatingTime: 0,
+				defrostLeft: 0,
+			};
+		} else if (state.roomRaw !== roomRaw) {
+			state.room = read("roomTemperature");
+		}
+
+		const on = read("power") === 1;
+		const setpoint = read("setpoint");
+		let mode = read("mode");
+		let compressor = false;
+		let fan = false;
+		let defrost = false;
+		let coil = null;
+		let rate = 1;
+
+		if (on) {
+			fan = true;
+
+			if (mode === MODE.auto) {
+				if (state.room > setpoint + HYSTERESIS) state.autoMode = MODE.cool;
+				if (state.room < setpoint - HYSTERESIS) state.autoMode = MODE.heat;
+				mode = state.autoMode;
+			}
+
+			if (state.defrostLeft > 0) {
+				// Defrosting reverses the cycle: the compressor runs, the indoor fan stops, the room is not heated
+				state.defrostLeft = Math.max(0, state.defrostLeft - dt);
+				compressor = true;
+				defrost = true;
+				fan = false;
+			} else if (mode === MODE.cool || mode === MODE.dry) {
+				compressor = state.compressor ? state.room > setpoint - HYSTERESIS : state.room > setpoint + HYSTERESIS;
+				coil = compressor ? setpoint - COIL_OFFSET : null;
+				rate = (FAN_FACTORS[read("fanSpeed")] || 1) * (mode === MODE.dry ? 0.5 : 1);
+			} else if (mode === MODE.heat) {
+				compressor = state.compressor ? state.room < setpoint + HYSTERESIS : state.room < setpoint - HYSTERESIS;
+				coil = compressor ? setpoint + COIL_OFFSET : null;
+				rate = FAN_FACTORS[read("fanSpeed")] || 1;
+
+				if (compressor) {
+					state.heatingTime += dt;
+					if (outdoorTemperature < DEFROST_BELOW && state.heatingTime >= DEFROST_INTERVAL) {
+						state.heatingTime = 0;
+						state.defrostLeft = DEFROST_DURATION;
+					}
+				}
+			}
+		}
+		state.compressor = compressor && !defrost;
+
+		// First order approach to the coil temperature, or to the ambient temperature without conditioning
+		const target = coil !== null ? coil : parameters.ambientTemperature;
+		state.room += (target - state.room) * (1 - Math.exp((-dt * rate) / (parameters.inertia * 60)));
+
+		const pipes = !compressor ? [state.room, state.room] : mode === MODE.heat && !defrost ? PIPE_TEMPERATURES.heat : PIPE_TEMPERATURES.cool;
+		const changed = this.writeGroup(slaveId, slave, group, points, {
+			roomTemperature: state.room,
+			powerStatus: on ? 1 : 0,
+			operationStatus: pointMap.toStatusBits("indoor", { compressor, fan, defrost }),
+			pipeInTemperature: pipes[0],
+			pipeOutTemperature: pipes[1],
+		});
+		state.roomRaw = slave.registers[points.roomTemperature.address];
+
+		return { compressor, defrost, changed };
+	}
+
+	// Writes point values of a group through storage. Points missing from the group are skipped.
+	// Returns whether any register changed.
+	writeGroup(slaveId, slave, group, points, values) {
+		const registers = slave.registers.slice(group.start, group.start + group.size);
+
+		Object.keys(values).forEach((key) => {
+			const point = points[key];
+			if (point) {
+				const offset = point.address - group.start;
+				registers[offset] = pointMap.toRaw(point, values[key], registers[offset]);
+			}
+		});
+
+		const changed = registers.some((value, i) => value !== slave.registers[group.start + i]);
+		if (changed) {
+			this.storage.writeValues(slaveId, "registers", group.start, registers, "simulation");
+		}
+		return changed;
+	}
+}
+
+module.exports = { Simulation, DEFAULT_SETTINGS, DEFAULT_UNIT_PARAMETERS, parseSettings, parseUnitParameters };
@@ -0,0 +1,156 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { dataPath } = require("./paths");
+
+// Named snapshots of the register tables, of every slave or of a single one, kept as JSON files in the data directory:
+//   { name, createdAt, slaveId, slaves: { "1": { coils, discreteInputs, registers, inputRegisters } } }
+// `slaveId` is the slave of a single slave snapshot, null for a snapshot of the whole set. Only the tables are kept;
+// the layout, rules and other settings of the slaves are not part of a snapshot.
+const getSnapshotDir = () => dataPath("snapshots");
+
+const NAME_PATTERN = /^[\w-]{1,64}$/;
+
+// Differences listed by diffSnapshot, the rest are only counted
+const MAX_DIFFERENCES = 1000;
+
+function isValidName(name) {
+	return typeof name === "string" && NAME_PATTERN.test(name);
+}
+
+// Copies the tables of the slaves (every slave when slaveId is null) into a new snapshot
+function createSnapshot(storage, name, slaveId = null) {
+	const slaves = {};
+	Object.entries(storage.getSlaves()).forEach(([id, slave]) => {
+		if (slaveId !== null && Number(id) !== slaveId) return;
+
+		slaves[id] = {};
+		storage.getTables().forEach((table) => {
+			slaves[id][table] = slave[table].slice();
+		});
+	});
+
+	return { name, createdAt: new Date().toISOString(), slaveId, slaves };
+}
+
+// Snapshots of the directory, newest first: [{ name, createdAt, slaveId, slaves }] with the slave IDs
+async function listSnapshots() {
+	let files = [];
+	try {
+		files = await fs.readdir(getSnapshotDir());
+	} catch (err) {
+		if (err.code !== "ENOENT") throw err;
+	}
+
+	const list = [];
+	for (const file of files.filter((f) => f.endsWith(".json"))) {
+		const name = path.basename(file, ".json");
+		if (!isValidName(name)) continue;
+
+		try {
+			const snapshot = JSON.parse(await fs.readFile(path.join(getSnapshotDir(), file), "utf8"));
+			list.push({ name, createdAt: snapshot.createdAt, slaveId: snapshot.slaveId, slaves: Object.keys(snapshot.slaves).map(Number) });
+		} catch (err) {
+			console.error(`Error reading snapshot ${file}:`, err.message);
+		}
+	}
+	return list.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Snapshot by name, null when there is no such file
+async function getSnapshot(name) {
+	if (!isValidName(name)) return null;
+
+	try {
+		return JSON.parse(await fs.readFile(path.join(getSnapshotDir(), `${name}.json`), "utf8"));
+	} catch (err) {
+		if (err.code === "ENOENT") return null;
+		throw err;
+	}
+}
+
+async function saveSnapshot(snapshot) {
+	await fs.mkdir(getSnapshotDir(), { recursive: true });
+	await fs.writeFile(path.join(getSnapshotDir(), `${snapshot.name}.json`), JSON.stringify(snapshot));
+}
+
+// Returns false when there is no such snapshot
+async function deleteSnapshot(name) {
+	if (!isValidName(name)) return false;
+
+	try {
+		await fs.unlink(path.join(getSnapshotDir(), `${name}.json`));
+	} catch (err) {
+		if (err.code === "ENOENT") return false;
+		throw err;
+	}
+	return true;
+}
+
+// Slave IDs the slaves of a snapshot are restored to: their own ID, or `target` for a single slave snapshot
+function getTargets(snapshot, target) {
+	return Object.keys(snapshot.slaves).map((id) => ({ from: id, to: target !== undefined && target !== null && snapshot.slaveId !== null ? target : Number(id) }));
+}
+
+// Values that differ between the snapshot and the current tables:
+// { count, differences: [{ slaveId, table, address, snapshot, current }], missing: [slave IDs not emulated] }.
+// Registers beyond the end of the shorter table compare with 0.
+function diffSnapshot(storage, snapshot, target) {
+	const slaves = storage.getSlaves();
+	const result = { count: 0, differences: [], missing: [] };
+
+	getTargets(snapshot, target).forEach(({ from, to }) => {
+		if (!slaves[to]) {
+			result.missing.push(to);
+			return;
+		}
+
+		storage.getTables().forEach((table) => {
+			const saved = snapshot.slaves[from][table] || [];
+			const current = slaves[to][table];
+			for (let address = 0; address < Math.max(saved.length, current.length); address++) {
+				const a = saved[address] || 0;
+				const b = current[address] || 0;
+				if (a === b) continue;
+
+				result.count++;
+				if (result.differences.length < MAX_DIFFERENCES) {
+					result.differences.push({ slaveId: to, table, address, snapshot: a, current: b });
+				}
+			}
+		});
+	});
+
+	return result;
+}
+
+// Writes the tables of a snapshot back, truncated or zero padded to the current tables. A single slave snapshot
+// can be restored to another slave with `target`. Slaves no longer emulated are skipped. Returns the restored slave IDs.
+// The caller saves the slaves.
+function restoreSnapshot(storage, snapshot, source, target) {
+	const slaves = storage.getSlaves();
+	const restored = [];
+
+	getTargets(snapshot, target).forEach(({ from, to }) => {
+		if (!slaves[to]) return;
+
+		storage.getTables().forEach((table) => {
+			const saved = snapshot.slaves[from][table] || [];
+			const values = new Array(slaves[to][table].length).fill(0).map((value, i) => saved[i] || 0);
+			storage.writeValues(to, table, 0, values, source);
+		});
+		restored.push(to);
+	});
+
+	return restored;
+}
+
+module.exports = {
+	isValidName,
+	createSnapshot,
+	listSnapshots,
+	getSnapshot,
+	saveSnapshot,
+	deleteSnapshot,
+	diffSnapshot,
+	restoreSnapshot,
+};
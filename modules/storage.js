@@ -1,114 +1,400 @@
 const fs = require("fs").promises;
 const path = require("path");
+const EventEmitter = require("events");
+const { DEFAULT_LAYOUT, fitLayout } = require("./device-layout");
+const { DEFAULT_FAULTS, validateFaults } = require("./fault-injection");
+const { validateRules, checkWrite, getEffects } = require("./write-rules");
+const { DEFAULT_SETTINGS: DEFAULT_SIMULATION, parseUnitParameters } = require("./simulation");
+const { DEFAULT_PROXY } = require("./modbus-proxy");
+const { DEFAULT_MQTT } = require("./mqtt-bridge");
+const { DEFAULT_HISTORY } = require("./register-history");
+const { dataPath, configPath } = require("./paths");
+const { DEFAULT_STORAGE, getDataFile, encodeSlaves, decodeSlaves, writeFileAtomic, readWithRecovery } = require("./data-file");
 
-const DATA_FILE = path.join(__dirname, "..", "data", "slaves.json");
-const CONFIG_FILE = path.join(__dirname, "..", "config", "config.json");
+// Slave data file of a format: slaves.json in the JSON formats, slaves.bin in the binary format
+const getSlavesFile = (format) => getDataFile(dataPath("slaves.json"), format);
 
-class Storage {
+// Modbus data tables kept for every slave. Coils and discrete inputs hold 0/1 values,
+// holding and input registers hold 16 bit values.
+const DATA_TABLES = ["coils", "discreteInputs", "registers", "inputRegisters"];
+
+// Read Device Identification (0x2B / 0x0E) objects, in object ID order (0x00 - 0x06)
+const IDENTIFICATION_FIELDS = ["vendorName", "productCode", "revision", "vendorUrl", "productName", "modelName", "userApplicationName"];
+
+const DEFAULT_IDENTIFICATION = {
+	vendorName: "Samsung",
+	productCode: "MIM-B19N",
+	revision: "1.0",
+	vendorUrl: "https://www.samsung.com",
+	productName: "Modbus Interface",
+	modelName: "MIM-B19N",
+	userApplicationName: "Samsung HVAC Emulator",
+};
+
+// Limits of the configurable slave list
+const MAX_SLAVE_ID = 247;
+const MAX_REGISTER_COUNT = 65536;
+
+const DEFAULT_CONFIG = {
+	slaves: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((id) => ({ id, registerCount: 500 })),
+	modbusTcp: {
+		enabled: true,
+		port: 8502,
+	},
+	modbusRtu: {
+		enabled: false,
+		// "serial" opens `port`, "pty" creates a virtual serial port for local masters (Linux, macOS)
+		mode: "serial",
+		port: process.platform === "win32" ? "COM1" : "/dev/ttyS0",
+		// Optional symlink to the virtual serial port, e.g. /tmp/ttyHVAC
+		ptyLink: "",
+		baudRate: 9600,
+		dataBits: 8,
+		parity: "none",
+		stopBits: 1,
+	},
+	modbusRtuTcp: {
+		enabled: false,
+		port: 8503,
+	},
+	modbusUdp: {
+		enabled: false,
+		port: 8502,
+	},
+	bacnet: {
+		enabled: false,
+		port: 47808,
+		deviceInstance: 1000,
+		deviceName: "Samsung HVAC Emulator",
+	},
+	simulation: DEFAULT_SIMULATION,
+	proxy: DEFAULT_PROXY,
+	storage: DEFAULT_STORAGE,
+	mqtt: DEFAULT_MQTT,
+	history: DEFAULT_HISTORY,
+};
+
+// Checks a list of { id, registerCount } slave entries, returns an error message or null
+function validateSlaveList(list) {
+	if (!Array.isArray(list) || list.length === 0) {
+		return "At least one slave is required";
+	}
+
+	const ids = new Set();
+	for (const entry of list) {
+		if (!Number.isInteger(entry.id) || entry.id < 1 || entry.id > MAX_SLAVE_ID) {
+			return `Slave ID must be between 1 and ${MAX_SLAVE_ID}`;
+		}
+		if (ids.has(entry.id)) {
+			return `Slave ID ${entry.id} is used more than once`;
+		}
+		if (!Number.isInteger(entry.registerCount) || entry.registerCount < 1 || entry.registerCount > MAX_REGISTER_COUNT) {
+			return `Register count of slave ${entry.id} must be between 1 and ${MAX_REGISTER_COUNT}`;
+		}
+		ids.add(entry.id);
+	}
+	return null;
+}
+
+// Emits "change" with { slaveId, table, start, values, previous, source, transport } whenever values of a table are changed
+// through writeValues (Modbus masters, web pages, the API), so open pages can follow them live.
+// Emits "write" with the same fields for every write accepted by writeWithRules, changed or not.
+// Emits "slaves" when the slave list, or the layout or identification of a slave changes.
+// Saving the slaves is coalesced: the writes requested within the save delay go to disk together.
+class Storage extends EventEmitter {
 	constructor() {
+		super();
+		// Every open live page subscribes
+		this.setMaxListeners(0);
 		this.slaves = {};
+		// The config as saved, without the overrides; getConfig() applies them
 		this.config = {};
+		// Pending save of the slaves, and the chain of file writes
+		this.saveTimer = null;
+		this.saving = Promise.resolve();
+		// Config sections given on the command line, see setOverrides()
+		this.overrides = {};
+		// Cleared by initializeInMemory(), nothing is saved then
+		this.persist = true;
 	}
 
-	async initialize(slaveIds, registerCount) {
+	async initialize() {
 		// Ensure data directory exists
-		const dataDir = path.dirname(DATA_FILE);
+		const dataDir = dataPath();
 		try {
 			await fs.mkdir(dataDir, { recursive: true });
 		} catch (err) {
 			console.error("Error creating data directory:", err);
 		}
 
-		// Initialize slaves structure
-		slaveIds.forEach((slaveId) => {
-			this.slaves[slaveId] = {
-				registers: new Array(registerCount).fill(0),
-			};
+		// The slave list comes from the config, the saved data is merged into it
+		await this.loadConfig();
+		this.slaves = {};
+		this.getConfig().slaves.forEach((entry) => {
+			this.slaves[entry.id] = this.createSlave(entry.registerCount);
 		});
-
-		// Load saved data
 		await this.loadSlaves();
-		await this.loadConfig();
 	}
 
+	// Creates the slaves of a { id, registerCount } list with the default config, without reading or writing
+	// any file. For the testers, which need the storage module but no data directory.
+	initializeInMemory(list) {
+		this.persist = false;
+		this.config = { ...JSON.parse(JSON.stringify(DEFAULT_CONFIG)), slaves: list };
+		this.slaves = {};
+		list.forEach((entry) => {
+			this.slaves[entry.id] = this.createSlave(entry.registerCount);
+		});
+	}
+
+	createSlave(registerCount) {
+		const slave = {
+			identification: { ...DEFAULT_IDENTIFICATION },
+			layout: { ...DEFAULT_LAYOUT, titles: [] },
+			faults: { ...DEFAULT_FAULTS },
+			// Write rules, see write-rules.js
+			rules: [],
+			// Simulation parameters of the indoor units, in unit order
+			simulation: { units: [] },
+		};
+		DATA_TABLES.forEach((table) => {
+			slave[table] = new Array(registerCount).fill(0);
+		});
+		return slave;
+	}
+
+	// Copies the data of a saved or existing slave into a freshly created one. Tables are
+	// truncated or zero padded to the register count of the target, the layout is fitted to it.
+	migrateSlave(target, source) {
+		// Older data files only contain holding registers
+		DATA_TABLES.forEach((table) => {
+			if (Array.isArray(source[table])) {
+				source[table].slice(0, target[table].length).forEach((value, i) => {
+					target[table][i] = value;
+				});
+			}
+		});
+		Object.assign(target.identification, source.identification);
+		Object.assign(target.layout, source.layout);
+		target.layout = fitLayout(target.layout, target.registers.length);
+
+		const faults = { ...DEFAULT_FAULTS, ...source.faults };
+		if (!validateFaults(faults)) {
+			target.faults = faults;
+		}
+
+		if (Array.isArray(source.rules) && !validateRules(source.rules)) {
+			target.rules = source.rules;
+		}
+
+		if (source.simulation && Array.isArray(source.simulation.units)) {
+			target.simulation.units = source.simulation.units.map((unit) => parseUnitParameters(unit || {}).parameters || parseUnitParameters({}).parameters);
+		}
+	}
+
+	// Loads the data file of the configured format, falling back to its backup and to the file of the other
+	// format. Damaged files are kept aside as .corrupt files.
 	async loadSlaves() {
-		try {
-			const data = await fs.readFile(DATA_FILE, "utf8");
-			const savedSlaves = JSON.parse(data);
+		const { format } = this.getStorageSettings();
+		const dataFile = getSlavesFile(format);
+		const { data: savedSlaves, file, failed } = await readWithRecovery(
+			[dataFile, getSlavesFile(format === "binary" ? "json" : "binary")],
+			decodeSlaves,
+		);
 
-			// Merge saved data with current structure
-			Object.keys(savedSlaves).forEach((slaveId) => {
-				if (this.slaves[slaveId]) {
-					this.slaves[slaveId].registers = savedSlaves[slaveId].registers;
-				}
-			});
-			console.log("Loaded slave data from file");
-		} catch (err) {
-			if (err.code !== "ENOENT") {
-				console.error("Error loading slave data:", err);
+		if (!savedSlaves) {
+			if (failed.length > 0) {
+				console.error("No readable slave data, starting from zeros");
+			}
+			return;
+		}
+
+		// Merge saved data of the configured slaves, slaves no longer configured are dropped
+		Object.keys(savedSlaves).forEach((slaveId) => {
+			if (this.slaves[slaveId]) {
+				this.migrateSlave(this.slaves[slaveId], savedSlaves[slaveId]);
 			}
+		});
+		console.log(`Loaded slave data from ${path.basename(file)}`);
+
+		// Data read from a backup or from the file of the other format is written back as the data file
+		if (file !== dataFile) {
+			if (file.endsWith(".bak")) {
+				console.error(`Recovered slave data from ${path.basename(file)}`);
+			}
+			this.saveSlaves();
 		}
 	}
 
+	// Schedules saving the slaves. Resolves at once; the writes requested until the save delay passes
+	// are saved together, flush() waits until they are on disk.
 	async saveSlaves() {
-		try {
-			await fs.writeFile(DATA_FILE, JSON.stringify(this.slaves, null, 2));
-			console.log("Saved slave data to file");
-		} catch (err) {
-			console.error("Error saving slave data:", err);
+		if (this.saveTimer || !this.persist) return;
+
+		this.saveTimer = setTimeout(() => {
+			this.saveTimer = null;
+			this.writeSlaves();
+		}, this.getStorageSettings().saveDelay);
+	}
+
+	// Writes the slaves as they are when the write starts, after the previous write has finished
+	writeSlaves() {
+		if (!this.persist) return this.saving;
+		this.saving = this.saving.then(async () => {
+			const { format } = this.getStorageSettings();
+			try {
+				await writeFileAtomic(getSlavesFile(format), encodeSlaves(this.slaves, format));
+				console.log("Saved slave data to file");
+			} catch (err) {
+				console.error("Error saving slave data:", err);
+			}
+		});
+		return this.saving;
+	}
+
+	// Writes a pending save at once and waits for every write to finish, e.g. before shutting down
+	async flush() {
+		if (this.saveTimer) {
+			clearTimeout(this.saveTimer);
+			this.saveTimer = null;
+			this.writeSlaves();
+		}
+		await this.saving;
+	}
+
+	// Reads the config file, sections missing from older files filled in from the defaults. Returns { config, file }
+	// with the file it was read from: the config file, its backup, or null for the defaults when neither is readable.
+	async readConfig() {
+		const decodeConfig = (buffer) => {
+			const config = JSON.parse(buffer.toString("utf8"));
+			if (typeof config !== "object" || config === null || Array.isArray(config)) {
+				throw new Error("The configuration must be an object");
+			}
+			return config;
+		};
+		const { data: savedConfig, file, failed } = await readWithRecovery([configPath()], decodeConfig);
+
+		if (!savedConfig) {
+			if (failed.length > 0) {
+				console.error("No readable configuration, using the defaults");
+			}
+			return { config: JSON.parse(JSON.stringify(DEFAULT_CONFIG)), file: null };
+		}
+
+		const config = { ...savedConfig };
+		Object.keys(DEFAULT_CONFIG).forEach((section) => {
+			if (!Array.isArray(DEFAULT_CONFIG[section])) {
+				config[section] = { ...DEFAULT_CONFIG[section], ...savedConfig[section] };
+			}
+		});
+
+		const slaveListError = validateSlaveList(savedConfig.slaves);
+		if (savedConfig.slaves !== undefined && slaveListError) {
+			console.error(`Invalid slave list in config (${slaveListError}), using the default`);
 		}
+		config.slaves = slaveListError ? JSON.parse(JSON.stringify(DEFAULT_CONFIG.slaves)) : savedConfig.slaves;
+		return { config, file };
 	}
 
+	// Loads the config. A missing config is created from the defaults and a recovered one written back.
 	async loadConfig() {
-		try {
-			const data = await fs.readFile(CONFIG_FILE, "utf8");
-			this.config = JSON.parse(data);
+		const { config, file } = await this.readConfig();
+		this.config = config;
+
+		if (file === configPath()) {
 			console.log("Loaded configuration from file");
-		} catch (err) {
-			if (err.code === "ENOENT") {
-				// Set default config
-				this.config = {
-					modbusTcp: {
-						enabled: true,
-						port: 8502,
-					},
-					modbusRtu: {
-						enabled: false,
-						port: "COM1",
-						baudRate: 9600,
-						dataBits: 8,
-						parity: "none",
-						stopBits: 1,
-					},
-				};
-				await this.saveConfig();
-			} else {
-				console.error("Error loading config:", err);
+		} else {
+			if (file) {
+				console.error(`Recovered configuration from ${path.basename(file)}`);
 			}
+			await this.saveConfig();
 		}
 	}
 
+	// Sets config sections that win over the config file, e.g. { slaves: [...], modbusTcp: { port: 1502 } }, as given
+	// on the command line. They are never saved, but a section changed at runtime replaces its override, see
+	// updateConfig(). Call before initialize(). Throws on an invalid slave list.
+	setOverrides(overrides) {
+		if (overrides.slaves !== undefined) {
+			const error = validateSlaveList(overrides.slaves);
+			if (error) {
+				throw new Error(`Invalid slave list: ${error}`);
+			}
+		}
+		this.overrides = { ...overrides };
+	}
+
+	// The config with the overrides applied: lists are replaced, sections merged
+	withOverrides(config) {
+		const result = { ...config };
+		Object.keys(this.overrides).forEach((section) => {
+			result[section] = Array.isArray(this.overrides[section])
+				? JSON.parse(JSON.stringify(this.overrides[section]))
+				: { ...config[section], ...this.overrides[section] };
+		});
+		return result;
+	}
+
 	async saveConfig() {
+		if (!this.persist) return;
 		try {
-			const configDir = path.dirname(CONFIG_FILE);
+			const configDir = path.dirname(configPath());
 			await fs.mkdir(configDir, { recursive: true });
-			await fs.writeFile(CONFIG_FILE, JSON.stringify(this.config, null, 2));
+			await writeFileAtomic(configPath(), JSON.stringify(this.config, null, 2));
 			console.log("Saved configuration to file");
 		} catch (err) {
 			console.error("Error saving config:", err);
 		}
 	}
 
-	async clearSlave(slaveId) {
+	// Writes consecutive values of a table from `start` and emits a change event if any of them changed.
+	// `source` names the writer: "modbus", "web", "api", "simulation", "scenario", "replay", "mqtt", "bacnet"
+	// or "cli" (profiles loaded at startup). Modbus writes also name their `transport` ("tcp", "rtu"...).
+	// The caller saves the slaves.
+	writeValues(slaveId, table, start, values, source, transport = null) {
+		const data = this.slaves[slaveId][table];
+		const previous = data.slice(start, start + values.length);
+		let changed = false;
+
+		values.forEach((value, i) => {
+			if (data[start + i] !== value) {
+				data[start + i] = value;
+				changed = true;
+			}
+		});
+
+		if (changed) {
+			this.emit("change", { slaveId: Number(slaveId), table, start, values: data.slice(start, start + values.length), previous, source, transport });
+		}
+	}
+
+	// Writes values on behalf of a master, the web page or the API: checked against the write rules of the slave,
+	// then written along with the side effects of the rules. Returns null, or { exceptionCode, message } when
+	// the rules refuse the write. The caller saves the slaves.
+	writeWithRules(slaveId, table, start, values, source, transport = null) {
+		const slave = this.slaves[slaveId];
+		const violation = checkWrite(slave, table, start, values);
+		if (violation) {
+			return violation;
+		}
+
+		const effects = getEffects(slave, table, start, values);
+		this.writeValues(slaveId, table, start, values, source, transport);
+		effects.forEach((effect) => this.writeValues(slaveId, effect.table, effect.address, [effect.value], source, transport));
+		this.emit("write", { slaveId: Number(slaveId), table, start, values, source, transport });
+		return null;
+	}
+
+	async clearSlave(slaveId, source = "web") {
 		if (this.slaves[slaveId]) {
-			this.slaves[slaveId].registers.fill(0);
+			DATA_TABLES.forEach((table) => this.writeValues(slaveId, table, 0, new Array(this.slaves[slaveId][table].length).fill(0), source));
 			await this.saveSlaves();
 		}
 	}
 
-	async clearAllSlaves() {
+	async clearAllSlaves(source = "web") {
 		Object.keys(this.slaves).forEach((slaveId) => {
-			this.slaves[slaveId].registers.fill(0);
+			DATA_TABLES.forEach((table) => this.writeValues(slaveId, table, 0, new Array(this.slaves[slaveId][table].length).fill(0), source));
 		});
 		await this.saveSlaves();
 	}
@@ -117,12 +403,112 @@ class Storage {
 		return this.slaves;
 	}
 
+	getSlaveIds() {
+		return Object.keys(this.slaves).map(Number);
+	}
+
+	// Replaces the emulated slaves with a list of { id, registerCount, from } entries, where `from` is the
+	// current ID of the slave the entry is renumbered from (null for a new slave, defaults to `id`).
+	// Data of the surviving slaves is carried over. Throws when the list is invalid.
+	async configureSlaves(list) {
+		const error = validateSlaveList(list);
+		if (error) {
+			throw new Error(error);
+		}
+
+		const slaves = {};
+		list.forEach((entry) => {
+			slaves[entry.id] = this.createSlave(entry.registerCount);
+			const source = this.slaves[entry.from === undefined ? entry.id : entry.from];
+			if (source) {
+				this.migrateSlave(slaves[entry.id], source);
+			}
+		});
+
+		this.slaves = slaves;
+		await this.updateConfig({ slaves: list.map(({ id, registerCount }) => ({ id, registerCount })) });
+		await this.saveSlaves();
+		this.emit("slaves");
+	}
+
+	getTables() {
+		return DATA_TABLES;
+	}
+
+	getIdentificationFields() {
+		return IDENTIFICATION_FIELDS;
+	}
+
+	// Device identification strings of a slave, indexed by Modbus object ID
+	getDeviceIdentification(slaveId) {
+		const identification = this.slaves[slaveId].identification;
+		return IDENTIFICATION_FIELDS.map((field) => String(identification[field] || ""));
+	}
+
+	async updateIdentification(slaveId, identification) {
+		if (this.slaves[slaveId]) {
+			IDENTIFICATION_FIELDS.forEach((field) => {
+				if (typeof identification[field] === "string") {
+					this.slaves[slaveId].identification[field] = identification[field];
+				}
+			});
+			await this.saveSlaves();
+			this.emit("slaves");
+		}
+	}
+
+	async updateLayout(slaveId, layout) {
+		if (this.slaves[slaveId]) {
+			this.slaves[slaveId].layout = layout;
+			await this.saveSlaves();
+			this.emit("slaves");
+		}
+	}
+
+	async updateFaults(slaveId, faults) {
+		if (this.slaves[slaveId]) {
+			this.slaves[slaveId].faults = faults;
+			await this.saveSlaves();
+		}
+	}
+
+	async updateRules(slaveId, rules) {
+		if (this.slaves[slaveId]) {
+			this.slaves[slaveId].rules = rules;
+			await this.saveSlaves();
+		}
+	}
+
+	// The effective config: the saved one with the overrides applied
 	getConfig() {
-		return this.config;
+		return this.withOverrides(this.config);
+	}
+
+	getStorageSettings() {
+		return { ...DEFAULT_STORAGE, ...this.config.storage };
+	}
+
+	// Applies new storage settings. A new format is written at once and the file of the old format removed,
+	// so a stale file is never loaded instead of the current data.
+	async updateStorageSettings(settings) {
+		const oldFile = getSlavesFile(this.getStorageSettings().format);
+		await this.updateConfig({ storage: settings });
+
+		const newFile = getSlavesFile(settings.format);
+		if (this.saveTimer) {
+			clearTimeout(this.saveTimer);
+			this.saveTimer = null;
+		}
+		await this.writeSlaves();
+		if (oldFile !== newFile) {
+			await Promise.all([oldFile, `${oldFile}.bak`].map((file) => fs.unlink(file).catch(() => {})));
+		}
 	}
 
+	// Saves whole config sections. A section set on the command line takes the saved value from now on.
 	async updateConfig(newConfig) {
 		this.config = { ...this.config, ...newConfig };
+		Object.keys(newConfig).forEach((section) => delete this.overrides[section]);
 		await this.saveConfig();
 	}
 }
@@ -0,0 +1,357 @@
+const { performance } = require("perf_hooks");
+
+// Transactions kept in memory, the oldest ones are dropped first
+const DEFAULT_CAPACITY = 5000;
+
+// Transports and their framing: MBAP header, or slave ID + PDU + CRC
+const TRANSPORTS = {
+	tcp: { title: "Modbus TCP", framing: "mbap" },
+	udp: { title: "Modbus UDP", framing: "mbap" },
+	rtu: { title: "Modbus RTU", framing: "rtu" },
+	"rtu-tcp": { title: "RTU over TCP", framing: "rtu" },
+};
+
+const FUNCTION_NAMES = {
+	0x01: "Read Coils",
+	0x02: "Read Discrete Inputs",
+	0x03: "Read Holding Registers",
+	0x04: "Read Input Registers",
+	0x05: "Write Single Coil",
+	0x06: "Write Single Register",
+	0x0f: "Write Multiple Coils",
+	0x10: "Write Multiple Registers",
+	0x16: "Mask Write Register",
+	0x17: "Read/Write Multiple Registers",
+	0x2b: "Read Device Identification",
+};
+
+const EXCEPTION_NAMES = {
+	0x01: "Illegal Function",
+	0x02: "Illegal Data Address",
+	0x03: "Illegal Data Value",
+	0x04: "Server Device Failure",
+	0x06: "Server Device Busy",
+	0x0b: "Gateway Target Device Failed to Respond",
+};
+
+// pcap: LINKTYPE_RAW (IPv4 packets without link layer), Modbus/TCP on its registered port
+const PCAP_LINKTYPE_RAW = 101;
+const MODBUS_PORT = 502;
+const SERVER_ADDRESS = "127.0.0.1";
+// Serial masters have no address, they appear as this client in the pcap
+const SERIAL_CLIENT = { address: "127.0.0.2", port: 50000 };
+
+function readBits(buffer, offset, quantity) {
+	const values = [];
+	for (let i = 0; i < quantity && offset + (i >> 3) < buffer.length; i++) {
+		values.push((buffer[offset + (i >> 3)] >> (i & 7)) & 1);
+	}
+	return values;
+}
+
+function readRegisters(buffer, offset, quantity) {
+	const values = [];
+	for (let i = 0; i < quantity && offset + i * 2 + 1 < buffer.length; i++) {
+		values.push(buffer.readUInt16BE(offset + i * 2));
+	}
+	return values;
+}
+
+// Unit ID and PDU of a frame, without the MBAP header or the CRC
+function splitFrame(framing, frame) {
+	if (framing === "mbap") {
+		return frame.length >= 8 ? { unitId: frame[6], pdu: frame.slice(7) } : null;
+	}
+	return frame.length >= 4 ? { unitId: frame[0], pdu: frame.slice(1, -2) } : null;
+}
+
+// Address range and values of a request/response PDU pair. Values are the written ones for writes
+// and the returned ones for reads. Fields that do not apply are null.
+function decodePDU(request, response) {
+	const functionCode = request[0];
+	const decoded = { functionCode, address: null, quantity: null, values: null, exception: null };
+
+	if (response && response.length >= 2 && response[0] === (functionCode | 0x80)) {
+		decoded.exception = response[1];
+	}
+	const ok = response && decoded.exception === null;
+
+	switch (functionCode) {
+		case 0x01:
+		case 0x02:
+			decoded.address = request.readUInt16BE(1);
+			decoded.quantity = request.readUInt16BE(3);
+			decoded.values = ok ? readBits(response, 2, decoded.quantity) : null;
+			break;
+		case 0x03:
+		case 0x04:
+			decoded.address = request.readUInt16BE(1);
+			decoded.quantity = request.readUInt16BE(3);
+			decoded.values = ok ? readRegisters(response, 2, decoded.quantity) : null;
+			break;
+		case 0x05:
+			decoded.address = request.readUInt16BE(1);
+			decoded.quantity = 1;
+			decoded.values = [request.readUInt16BE(3) === 0xff00 ? 1 : 0];
+			break;
+		case 0x06:
+			decoded.address = request.readUInt16BE(1);
+			decoded.quantity = 1;
+			decoded.values = [request.readUInt16BE(3)];
+			break;
+		case 0x0f:
+			decoded.address = request.readUInt16BE(1);
+			decoded.quantity = request.readUInt16BE(3);
+			decoded.values = readBits(request, 6, decoded.quantity);
+			break;
+		case 0x10:
+			decoded.address = request.readUInt16BE(1);
+			decoded.quantity = request.readUInt16BE(3);
+			decoded.values = readRegisters(request, 6, decoded.quantity);
+			break;
+		case 0x16:
+			decoded.address = request.readUInt16BE(1);
+			decoded.quantity = 1;
+			decoded.andMask = request.readUInt16BE(3);
+			decoded.orMask = request.readUInt16BE(5);
+			break;
+		case 0x17:
+			// The read range is the main one, the write range is given separately
+			decoded.address = request.readUInt16BE(1);
+			decoded.quantity = request.readUInt16BE(3);
+			decoded.values = ok ? readRegisters(response, 2, decoded.quantity) : null;
+			decoded.writeAddress = request.readUInt16BE(5);
+			decoded.writeQuantity = request.readUInt16BE(7);
+			decoded.writeValues = readRegisters(request, 10, decoded.writeQuantity);
+			break;
+	}
+
+	return decoded;
+}
+
+function ipv4Bytes(address) {
+	const match = /^(?:::ffff:)?(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(address || "");
+	return match ? match.slice(1).map(Number) : null;
+}
+
+// Ones' complement sum used by the IPv4 and TCP checksums
+function checksum(buffers) {
+	let sum = 0;
+	buffers.forEach((buffer) => {
+		for (let i = 0; i < buffer.length; i += 2) {
+			sum += (buffer[i] << 8) | (i + 1 < buffer.length ? buffer[i + 1] : 0);
+		}
+	});
+	while (sum > 0xffff) {
+		sum = (sum & 0xffff) + (sum >> 16);
+	}
+	return ~sum & 0xffff;
+}
+
+// IPv4 + TCP segment (PSH, ACK) carrying `payload`
+function tcpPacket(source, destination, seq, ack, payload) {
+	const tcp = Buffer.alloc(20);
+	tcp.writeUInt16BE(source.port, 0);
+	tcp.writeUInt16BE(destination.port, 2);
+	tcp.writeUInt32BE(seq >>> 0, 4);
+	tcp.writeUInt32BE(ack >>> 0, 8);
+	tcp.writeUInt8(5 << 4, 12);
+	tcp.writeUInt8(0x18, 13);
+	tcp.writeUInt16BE(0xffff, 14);
+
+	const pseudoHeader = Buffer.from([...source.ip, ...destination.ip, 0, 6, 0, 0]);
+	pseudoHeader.writeUInt16BE(tcp.length + payload.length, 10);
+	tcp.writeUInt16BE(checksum([pseudoHeader, tcp, payload]), 16);
+
+	const ip = Buffer.alloc(20);
+	ip.writeUInt8(0x45, 0);
+	ip.writeUInt16BE(ip.length + tcp.length + payload.length, 2);
+	ip.writeUInt8(0x40, 6);
+	ip.writeUInt8(64, 8);
+	ip.writeUInt8(6, 9);
+	Buffer.from(source.ip).copy(ip, 12);
+	Buffer.from(destination.ip).copy(ip, 16);
+	ip.writeUInt16BE(checksum([ip]), 10);
+
+	return Buffer.concat([ip, tcp, payload]);
+}
+
+function pcapRecord(timeMs, packet) {
+	const header = Buffer.alloc(16);
+	header.writeUInt32LE(Math.floor(timeMs / 1000), 0);
+	header.writeUInt32LE(Math.floor((timeMs % 1000) * 1000), 4);
+	header.writeUInt32LE(packet.length, 8);
+	header.writeUInt32LE(packet.length, 12);
+	return Buffer.concat([header, packet]);
+}
+
+// Captures the Modbus transactions of every transport in a ring buffer of decoded entries:
+//   { id, time, transport, client, unitId, functionCode, functionName, address, quantity, values,
+//     exception, latency, request, response }
+// `request` and `response` are the raw frames in hex, `response` is null when nothing was sent back.
+class TrafficMonitor {
+	constructor(capacity = DEFAULT_CAPACITY) {
+		this.capacity = capacity;
+		this.clear();
+	}
+
+	clear() {
+		this.entries = new Array(this.capacity);
+		this.next = 0;
+		this.count = 0;
+		this.lastId = 0;
+	}
+
+	getTransports() {
+		return TRANSPORTS;
+	}
+
+	getFunctionNames() {
+		return FUNCTION_NAMES;
+	}
+
+	getExceptionNames() {
+		return EXCEPTION_NAMES;
+	}
+
+	// Address range and values of a request/response PDU pair, as recorded for a transaction
+	decodePDU(request, response) {
+		return decodePDU(request, response);
+	}
+
+	// Timestamp for the latency of a transaction, taken when its request is complete
+	now() {
+		return performance.now();
+	}
+
+	// Records a request frame and the response frame sent to it (or null) by a transport
+	record(transport, client, request, response, startedAt) {
+		const latency = Number((performance.now() - startedAt).toFixed(3));
+		const entry = {
+			id: ++this.lastId,
+			// Time of the request
+			time: new Date(Date.now() - latency).toISOString(),
+			transport,
+			client,
+			unitId: null,
+			functionCode: null,
+			functionName: null,
+			address: null,
+			quantity: null,
+			values: null,
+			exception: null,
+			latency,
+			request: request.toString("hex"),
+			response: response ? response.toString("hex") : null,
+		};
+
+		try {
+			const framing = TRANSPORTS[transport].framing;
+			const req = splitFrame(framing, request);
+			if (req && req.pdu.length > 0) {
+				const res = response ? splitFrame(framing, response) : null;
+				entry.unitId = req.unitId;
+				entry.functionName = FUNCTION_NAMES[req.pdu[0]] || null;
+				Object.assign(entry, decodePDU(req.pdu, res && res.pdu));
+			}
+		} catch (err) {
+			// Malformed frames are kept undecoded
+		}
+
+		this.entries[this.next] = entry;
+		this.next = (this.next + 1) % this.capacity;
+		this.count = Math.min(this.count + 1, this.capacity);
+		return entry;
+	}
+
+	// Captured transactions, oldest first, optionally filtered:
+	// { transport, client, unitId, functionCode, address (within the range), errorsOnly, limit (newest) }
+	// errorsOnly keeps the exception responses and the unanswered requests.
+	getEntries(filter = {}) {
+		const entries = [];
+		for (let i = 0; i < this.count; i++) {
+			entries.push(this.entries[(this.next - this.count + i + this.capacity) % this.capacity]);
+		}
+
+		const matching = entries.filter(
+			(entry) =>
+				(!filter.transport || entry.transport === filter.transport) &&
+				(!filter.client || (entry.client || "").includes(filter.client)) &&
+				(filter.unitId === undefined || entry.unitId === filter.unitId) &&
+				(filter.functionCode === undefined || entry.functionCode === filter.functionCode) &&
+				(filter.address === undefined ||
+					(entry.address !== null && filter.address >= entry.address && filter.address < entry.address + (entry.quantity || 1))) &&
+				(!filter.errorsOnly || entry.exception !== null || entry.response === null),
+		);
+
+		return filter.limit ? matching.slice(-filter.limit) : matching;
+	}
+
+	toJSONL(entries) {
+		return entries.map((entry) => JSON.stringify(entry)).join("\n") + (entries.length > 0 ? "\n" : "");
+	}
+
+	// pcap file of the transactions as Modbus/TCP on port 502, which Wireshark dissects out of the box.
+	// RTU frames are converted: the slave ID becomes the unit ID, the CRC is dropped.
+	toPcap(entries) {
+		const header = Buffer.alloc(24);
+		header.writeUInt32LE(0xa1b2c3d4, 0);
+		header.writeUInt16LE(2, 4);
+		header.writeUInt16LE(4, 6);
+		header.writeUInt32LE(65535, 16);
+		header.writeUInt32LE(PCAP_LINKTYPE_RAW, 20);
+
+		const server = { ip: ipv4Bytes(SERVER_ADDRESS), port: MODBUS_PORT };
+		// Sequence numbers of every client connection, so the segments form continuous streams
+		const streams = {};
+		const records = [header];
+		// Entry times have millisecond resolution, keep the packets in order
+		let lastTime = 0;
+
+		entries.forEach((entry) => {
+			const [address, port] = (entry.client || "").split(/:(?=\d+$)/);
+			const ip = ipv4Bytes(address);
+			const client = ip && port ? { ip, port: Number(port) } : { ip: ipv4Bytes(SERIAL_CLIENT.address), port: SERIAL_CLIENT.port };
+			const key = `${client.ip.join(".")}:${client.port}`;
+			const stream = streams[key] || (streams[key] = { client: 1, server: 1, transactionId: 0 });
+
+			const request = this.toMBAP(entry, Buffer.from(entry.request, "hex"), stream, true);
+			const time = Math.max(Date.parse(entry.time), lastTime);
+			const packets = [[time, tcpPacket(client, server, stream.client, stream.server, request)]];
+			stream.client += request.length;
+
+			if (entry.response !== null) {
+				const response = this.toMBAP(entry, Buffer.from(entry.response, "hex"), stream, false);
+				packets.push([time + entry.latency, tcpPacket(server, client, stream.server, stream.client, response)]);
+				stream.server += response.length;
+			}
+			packets.forEach(([packetTime, packet]) => records.push(pcapRecord(packetTime, packet)));
+			lastTime = packets[packets.length - 1][0];
+		});
+
+		return Buffer.concat(records);
+	}
+
+	// MBAP frame of a captured frame. RTU frames get a transaction ID counted per client, taken by the
+	// request and shared with its response (write echoes look the same as their request).
+	toMBAP(entry, frame, stream, isRequest) {
+		if (TRANSPORTS[entry.transport].framing === "mbap") {
+			return frame;
+		}
+		if (frame.length < 4) {
+			return Buffer.alloc(0);
+		}
+
+		const pdu = frame.slice(1, -2);
+		const mbap = Buffer.alloc(7);
+		if (isRequest) {
+			stream.transactionId = (stream.transactionId + 1) & 0xffff;
+		}
+		mbap.writeUInt16BE(stream.transactionId, 0);
+		mbap.writeUInt16BE(pdu.length + 1, 4);
+		mbap.writeUInt8(frame[0], 6);
+		return Buffer.concat([mbap, pdu]);
+	}
+}
+
+module.exports = new TrafficMonitor();
@@ -0,0 +1,326 @@
+const pointMap = require("./point-map");
+const layout = require("./device-layout");
+
+// Write rules of a slave, checked whenever a master, the web page or the API writes it. A rule targets
+// either `count` values of a table from `address`, or a point of the point map ("indoor.power"), which
+// applies to the point in every group of its kind:
+//   { table, address, count, point, readOnly, exception, min, max, signed, values, effects }
+// A read-only target is answered with `exception` (0x02 by default), values outside min/max (raw values,
+// compared as signed 16 bit when `signed`) or missing from `values` with 0x03. Effects run after an
+// accepted write of a target, in order:
+//   { action, table, address, point, bit, value, when }
+//   copy:     the written value to the target
+//   set:      `value` to the target
+//   setBit:   `bit` of the target
+//   clearBit: `bit` of the target
+//   copyBit:  `bit` of the target from the written value (set when non-zero)
+// An effect with `when` only runs for that written value. The table of an effect defaults to the table of its
+// rule, a point target is looked up in the group of the written point. Effects do not trigger further rules.
+const TABLES = ["coils", "discreteInputs", "registers", "inputRegisters"];
+const BIT_TABLES = ["coils", "discreteInputs"];
+const ACTIONS = ["copy", "set", "setBit", "clearBit", "copyBit"];
+const BIT_ACTIONS = ["setBit", "clearBit", "copyBit"];
+
+// Exceptions of read-only targets: illegal data address, illegal data value
+const READ_ONLY_EXCEPTIONS = [0x02, 0x03];
+const ILLEGAL_DATA_VALUE = 0x03;
+
+const MAX_ADDRESS = 0xffff;
+
+// Behaviour of the Samsung interface: status registers are read-only, commands are range checked,
+// and the on/off command is reflected in the on/off status and the fan bit of the operation status.
+const SAMSUNG_RULES = [
+	{ point: "outdoor.communicationStatus", readOnly: true },
+	{ point: "outdoor.indoorUnitCount", readOnly: true },
+	{ point: "outdoor.outdoorTemperature", readOnly: true },
+	{ point: "outdoor.operationStatus", readOnly: true },
+	{ point: "outdoor.errorCode", readOnly: true },
+	{ point: "outdoor.load", readOnly: true },
+	{
+		point: "indoor.power",
+		values: [0, 1],
+		effects: [
+			{ action: "copy", point: "indoor.powerStatus" },
+			{ action: "copyBit", point: "indoor.operationStatus", bit: 1 },
+		],
+	},
+	{ point: "indoor.mode", values: [0, 1, 2, 3, 4] },
+	{ point: "indoor.fanSpeed", values: [0, 1, 2, 3] },
+	{ point: "indoor.setpoint", min: 160, max: 300, signed: true },
+	{ point: "indoor.roomTemperature", readOnly: true },
+	{ point: "indoor.powerStatus", readOnly: true },
+	{ point: "indoor.operationStatus", readOnly: true },
+	{ point: "indoor.errorCode", readOnly: true },
+	{ point: "indoor.pipeInTemperature", readOnly: true },
+	{ point: "indoor.pipeOutTemperature", readOnly: true },
+];
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Splits "indoor.power" into { kind, key }, or returns null
+function parsePoint(point) {
+	const match = typeof point === "string" ? /^(outdoor|indoor)\.(\w+)$/.exec(point) : null;
+	return match ? { kind: match[1], key: match[2] } : null;
+}
+
+// Checks the target of a rule or effect, `name` prefixes the error message
+function validateTarget(target, name) {
+	if (target.point !== undefined) {
+		if (target.address !== undefined) {
+			return `${name}: address and point are exclusive`;
+		}
+		if (!parsePoint(target.point)) {
+			return `${name}: point must look like "indoor.power" or "outdoor.load"`;
+		}
+		if (target.table !== undefined && target.table !== "registers") {
+			return `${name}: points are holding registers`;
+		}
+		return null;
+	}
+	if (!isInteger(target.address, 0, MAX_ADDRESS)) {
+		return `${name}: address must be between 0 and ${MAX_ADDRESS}, or a point given`;
+	}
+	if (target.table !== undefined && !TABLES.includes(target.table)) {
+		return `${name}: table must be one of ${TABLES.join(", ")}`;
+	}
+	return null;
+}
+
+function validateEffect(effect, ruleTable, name) {
+	if (typeof effect !== "object" || effect === null) {
+		return `${name} must be an object`;
+	}
+	if (!ACTIONS.includes(effect.action)) {
+		return `${name}: action must be one of ${ACTIONS.join(", ")}`;
+	}
+	const error = validateTarget(effect, name);
+	if (error) {
+		return error;
+	}
+
+	const table = effect.point !== undefined ? "registers" : effect.table || ruleTable;
+	if (BIT_ACTIONS.includes(effect.action)) {
+		if (BIT_TABLES.includes(table)) {
+			return `${name}: ${effect.action} needs a register target`;
+		}
+		if (!isInteger(effect.bit, 0, 15)) {
+			return `${name}: bit must be between 0 and 15`;
+		}
+	}
+	if (effect.action === "set" && !isInteger(effect.value, 0, BIT_TABLES.includes(table) ? 1 : 0xffff)) {
+		return `${name}: value must fit the ${table} table`;
+	}
+	if (effect.when !== undefined && !isInteger(effect.when, 0, 0xffff)) {
+		return `${name}: when must be a value between 0 and 65535`;
+	}
+	return null;
+}
+
+function validateRule(rule, name) {
+	if (typeof rule !== "object" || rule === null || Array.isArray(rule)) {
+		return `${name} must be an object`;
+	}
+	const error = validateTarget(rule, name);
+	if (error) {
+		return error;
+	}
+	if (rule.count !== undefined && (rule.point !== undefined || !isInteger(rule.count, 1, MAX_ADDRESS + 1))) {
+		return `${name}: count must be a positive integer, and only given with an address`;
+	}
+	if (rule.readOnly !== undefined && typeof rule.readOnly !== "boolean") {
+		return `${name}: readOnly must be a boolean`;
+	}
+	if (rule.exception !== undefined && !READ_ONLY_EXCEPTIONS.includes(rule.exception)) {
+		return `${name}: exception must be one of ${READ_ONLY_EXCEPTIONS.join(", ")}`;
+	}
+	if (rule.signed !== undefined && typeof rule.signed !== "boolean") {
+		return `${name}: signed must be a boolean`;
+	}
+	for (const field of ["min", "max"]) {
+		if (rule[field] !== undefined && !isInteger(rule[field], -0x8000, 0xffff)) {
+			return `${name}: ${field} must be an integer`;
+		}
+	}
+	if (rule.min !== undefined && rule.max !== undefined && rule.max < rule.min) {
+		return `${name}: max must not be less than min`;
+	}
+	if (rule.values !== undefined && (!Array.isArray(rule.values) || rule.values.length === 0 || !rule.values.every((value) => isInteger(value, 0, 0xffff)))) {
+		return `${name}: values must be a non-empty array of values between 0 and 65535`;
+	}
+	if (rule.effects !== undefined) {
+		if (!Array.isArray(rule.effects)) {
+			return `${name}: effects must be an array`;
+		}
+		const table = rule.point !== undefined ? "registers" : rule.table || "registers";
+		for (let i = 0; i < rule.effects.length; i++) {
+			const effectError = validateEffect(rule.effects[i], table, `${name}.effects[${i}]`);
+			if (effectError) {
+				return effectError;
+			}
+		}
+	}
+	return null;
+}
+
+function validateRules(rules) {
+	if (!Array.isArray(rules)) {
+		return "Rules must be an array";
+	}
+	for (let i = 0; i < rules.length; i++) {
+		const error = validateRule(rules[i], `rules[${i}]`);
+		if (error) {
+			return error;
+		}
+	}
+	return null;
+}
+
+// Builds a rule list from user input: an array, or its JSON text as posted from the slave page.
+// Points must be in the point map. Returns { rules } or { error }.
+function parseRules(input) {
+	let rules = input;
+	if (typeof input === "string") {
+		try {
+			rules = input.trim() === "" ? [] : JSON.parse(input);
+		} catch (err) {
+			return { error: `Invalid JSON: ${err.message}` };
+		}
+	}
+
+	const error = validateRules(rules);
+	if (error) {
+		return { error };
+	}
+
+	const targets = [];
+	rules.forEach((rule) => targets.push(rule, ...(rule.effects || [])));
+	const unknown = targets.find((target) => {
+		const point = target.point !== undefined && parsePoint(target.point);
+		return point && !pointMap.findPoint(point.kind, point.key);
+	});
+	return unknown ? { error: `Unknown point ${unknown.point}` } : { rules };
+}
+
+// Absolute address of a point in a group, or of the point in the first group of its kind
+// when the group is of another kind. Null when the point is not in the layout.
+function resolvePoint(slaveLayout, name, group) {
+	const { kind, key } = parsePoint(name);
+	const point = pointMap.findPoint(kind, key);
+	const target = group && group.kind === kind ? group : layout.getGroups(slaveLayout).find((g) => g.kind === kind);
+
+	if (!point || !target || point.offset >= target.size) {
+		return null;
+	}
+	return target.start + point.offset;
+}
+
+// Places the rules of a slave on its tables: [{ rule, table, start, count, group }]
+function resolveRules(slave) {
+	const resolved = [];
+
+	(slave.rules || []).forEach((rule) => {
+		if (rule.point === undefined) {
+			resolved.push({ rule, table: rule.table || "registers", start: rule.address, count: rule.count || 1, group: null });
+			return;
+		}
+		const { kind } = parsePoint(rule.point);
+		layout
+			.getGroups(slave.layout)
+			.filter((group) => group.kind === kind)
+			.forEach((group) => {
+				const address = resolvePoint(slave.layout, rule.point, group);
+				if (address !== null) {
+					resolved.push({ rule, table: "registers", start: address, count: 1, group });
+				}
+			});
+	});
+
+	return resolved;
+}
+
+// Written addresses of a table covered by each rule: calls fn(entry, address, value) in rule order
+function forEachMatch(slave, table, start, values, fn) {
+	resolveRules(slave)
+		.filter((entry) => entry.table === table)
+		.forEach((entry) => {
+			const from = Math.max(entry.start, start);
+			const to = Math.min(entry.start + entry.count, start + values.length);
+			for (let address = from; address < to; address++) {
+				fn(entry, address, values[address - start]);
+			}
+		});
+}
+
+// Checks a write against the rules of a slave. Returns null when it is allowed, otherwise
+// { exceptionCode, message } of the first rule it breaks. Nothing of a refused write is written.
+function checkWrite(slave, table, start, values) {
+	let violation = null;
+
+	forEachMatch(slave, table, start, values, ({ rule }, address, value) => {
+		if (violation) return;
+
+		const name = rule.point !== undefined ? `${rule.point} (${table} ${address})` : `${table} ${address}`;
+		const number = rule.signed && value > 0x7fff ? value - 0x10000 : value;
+		if (rule.readOnly) {
+			violation = { exceptionCode: rule.exception || READ_ONLY_EXCEPTIONS[0], message: `${name} is read-only` };
+		} else if (rule.values && !rule.values.includes(value)) {
+			violation = { exceptionCode: ILLEGAL_DATA_VALUE, message: `${name} must be one of ${rule.values.join(", ")}` };
+		} else if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+			const range = `${rule.min !== undefined ? rule.min : "-"}..${rule.max !== undefined ? rule.max : "-"}`;
+			violation = { exceptionCode: ILLEGAL_DATA_VALUE, message: `${name} must be in the range ${range}` };
+		}
+	});
+
+	return violation;
+}
+
+// Side effects of an accepted write, with the slave tables still holding the values before them:
+// [{ table, address, value }] in the order they are to be written
+function getEffects(slave, table, start, values) {
+	const effects = [];
+	// Values of targets already changed by earlier effects of the same write
+	const pending = {};
+
+	forEachMatch(slave, table, start, values, ({ rule, group }, address, value) => {
+		(rule.effects || []).forEach((effect) => {
+			if (effect.when !== undefined && effect.when !== value) return;
+
+			const target = {
+				table: effect.point !== undefined ? "registers" : effect.table || table,
+				address: effect.point !== undefined ? resolvePoint(slave.layout, effect.point, group) : effect.address,
+			};
+			if (target.address === null || target.address >= slave[target.table].length) return;
+
+			const key = `${target.table}:${target.address}`;
+			const current = pending[key] !== undefined ? pending[key] : slave[target.table][target.address];
+			const max = BIT_TABLES.includes(target.table) ? 1 : 0xffff;
+			const mask = 1 << effect.bit;
+			let result;
+
+			switch (effect.action) {
+				case "copy":
+					result = max === 1 ? Number(value !== 0) : value;
+					break;
+				case "set":
+					result = effect.value;
+					break;
+				case "setBit":
+					result = current | mask;
+					break;
+				case "clearBit":
+					result = current & ~mask;
+					break;
+				case "copyBit":
+					result = value !== 0 ? current | mask : current & ~mask;
+					break;
+			}
+
+			pending[key] = result;
+			effects.push({ ...target, value: result });
+		});
+	});
+
+	return effects;
+}
+
+module.exports = { SAMSUNG_RULES, READ_ONLY_EXCEPTIONS, parseRules, validateRules, checkWrite, getEffects };
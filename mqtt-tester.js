@@ -0,0 +1,180 @@
+const net = require("net");
+const mqtt = require("mqtt");
+const storage = require("./modules/storage");
+const pointMap = require("./modules/point-map");
+const { MqttBridge, DEFAULT_MQTT } = require("./modules/mqtt-bridge");
+const { SAMSUNG_RULES } = require("./modules/write-rules");
+const { parseOptions, waitFor, sleep, runCases, runChecks } = require("./tester-harness");
+
+// Checks the MQTT bridge against an Aedes broker started in-process. The storage module runs in memory
+// with a slave with the Samsung write rules, so no emulator or data directory is needed.
+//
+// Usage: node mqtt-tester.js [--verbose] [--port <broker port>]
+const { verbose, port: PORT } = parseOptions(18830);
+
+const SLAVE_ID = 1;
+const REGISTER_COUNT = 500;
+const BASE = "hvac-test";
+const UNIT = `${BASE}/${SLAVE_ID}/indoor/1`;
+// Registers of the first indoor unit of the default layout
+const REGISTERS = { power: 50, mode: 51, fanSpeed: 52, setpoint: 53, roomTemperature: 54, powerStatus: 55 };
+
+storage.initializeInMemory([{ id: SLAVE_ID, registerCount: REGISTER_COUNT }]);
+storage.updateRules(SLAVE_ID, SAMSUNG_RULES);
+
+const bridge = new MqttBridge(storage);
+const registers = storage.slaves[SLAVE_ID].registers;
+const settings = { ...DEFAULT_MQTT, enabled: true, url: `mqtt://127.0.0.1:${PORT}`, baseTopic: BASE };
+
+// Last payload of every topic, as seen by an observing client
+const messages = new Map();
+let observer = null;
+
+const command = (topic, payload) => observer.publish(`${topic}/set`, payload);
+
+const cases = [
+	{
+		name: "Bridge announces itself online",
+		run: () => waitFor(() => messages.get(`${BASE}/status`) === "online"),
+	},
+	{
+		name: "Indoor units are announced as Home Assistant climate entities",
+		async run() {
+			const topic = "homeassistant/climate/samsung_hvac_1_1/config";
+			if (!(await waitFor(() => messages.has(topic)))) return false;
+			const config = JSON.parse(messages.get(topic));
+			return (
+				config.unique_id === "samsung_hvac_1_1" &&
+				config.mode_command_topic === `${UNIT}/hvac_mode/set` &&
+				config.temperature_state_topic === `${UNIT}/setpoint` &&
+				config.current_temperature_topic === `${UNIT}/roomTemperature` &&
+				config.modes.join() === "off,auto,cool,dry,fan_only,heat" &&
+				config.min_temp === 16 &&
+				config.max_temp === 30 &&
+				messages.has("homeassistant/climate/samsung_hvac_1_6/config")
+			);
+		},
+	},
+	{
+		name: "Point changes are published in engineering units",
+		run() {
+			storage.writeValues(SLAVE_ID, "registers", REGISTERS.roomTemperature, [215], "api");
+			return waitFor(() => messages.get(`${UNIT}/roomTemperature`) === "21.5");
+		},
+	},
+	{
+		name: "Setpoint command writes the register",
+		async run() {
+			command(`${UNIT}/setpoint`, "23.5");
+			return (await waitFor(() => registers[REGISTERS.setpoint] === 235)) && waitFor(() => messages.get(`${UNIT}/setpoint`) === "23.5");
+		},
+	},
+	{
+		name: "Out of range setpoint is refused",
+		async run() {
+			command(`${UNIT}/setpoint`, "40");
+			await sleep(200);
+			return registers[REGISTERS.setpoint] === 235 && /setpoint/.test(bridge.getStatus().lastError);
+		},
+	},
+	{
+		name: "hvac_mode command sets mode and power with the effects of the write rules",
+		async run() {
+			command(`${UNIT}/hvac_mode`, "heat");
+			const written = await waitFor(() => registers[REGISTERS.mode] === 4 && registers[REGISTERS.power] === 1);
+			return written && registers[REGISTERS.powerStatus] === 1 && waitFor(() => messages.get(`${UNIT}/hvac_mode`) === "heat");
+		},
+	},
+	{
+		name: "hvac_mode off switches the unit off",
+		async run() {
+			command(`${UNIT}/hvac_mode`, "off");
+			return (await waitFor(() => registers[REGISTERS.power] === 0)) && waitFor(() => messages.get(`${UNIT}/hvac_mode`) === "off" && messages.get(`${UNIT}/action`) === "off");
+		},
+	},
+	{
+		name: "fan_mode command sets the fan speed",
+		async run() {
+			command(`${UNIT}/fan_mode`, "high");
+			return (await waitFor(() => registers[REGISTERS.fanSpeed] === 3)) && waitFor(() => messages.get(`${UNIT}/fan_mode`) === "high");
+		},
+	},
+	{
+		name: "Enum points take labels",
+		run() {
+			command(`${UNIT}/mode`, "Hűtés");
+			return waitFor(() => registers[REGISTERS.mode] === 1);
+		},
+	},
+	{
+		name: "Read-only points are refused like a Modbus write",
+		async run() {
+			command(`${UNIT}/roomTemperature`, "30");
+			await sleep(200);
+			return registers[REGISTERS.roomTemperature] === 215 && /write refused/.test(bridge.getStatus().lastError);
+		},
+	},
+	{
+		name: "Register command writes the raw value",
+		run() {
+			command(`${BASE}/${SLAVE_ID}/registers/10`, "1234");
+			return waitFor(() => registers[10] === 1234);
+		},
+	},
+	{
+		name: "Prototype keys in command topics are refused",
+		async run() {
+			command(`${BASE}/${SLAVE_ID}/constructor/0`, "5");
+			await sleep(200);
+			if (!/unknown command topic/.test(bridge.getStatus().lastError)) return false;
+			command(`${UNIT}/constructor`, "5");
+			await sleep(200);
+			return /point constructor not found/.test(bridge.getStatus().lastError) && bridge.isConnected();
+		},
+	},
+	{
+		name: "Raw changes are published with publishRegisters",
+		async run() {
+			bridge.configure({ ...settings, publishRegisters: true });
+			if (!(await waitFor(() => bridge.isConnected()))) return false;
+			storage.writeValues(SLAVE_ID, "coils", 3, [1], "api");
+			return waitFor(() => messages.get(`${BASE}/${SLAVE_ID}/coils/3`) === "1");
+		},
+	},
+	{
+		name: "Units removed from the layout are removed from Home Assistant",
+		async run() {
+			await storage.updateLayout(SLAVE_ID, { ...storage.slaves[SLAVE_ID].layout, indoorCount: 1 });
+			return waitFor(() => messages.get("homeassistant/climate/samsung_hvac_1_2/config") === "" && messages.get("homeassistant/climate/samsung_hvac_1_1/config") !== "");
+		},
+	},
+	{
+		name: "Disconnecting announces the bridge offline",
+		run() {
+			bridge.configure({ ...settings, enabled: false });
+			return waitFor(() => messages.get(`${BASE}/status`) === "offline");
+		},
+	},
+];
+
+runChecks(async (record) => {
+	// Aedes is an ES module
+	const { Aedes } = await import("aedes");
+	const broker = await Aedes.createBroker();
+	const server = net.createServer(broker.handle);
+	await new Promise((resolve) => server.listen(PORT, "127.0.0.1", resolve));
+
+	await pointMap.load();
+	observer = mqtt.connect(`mqtt://127.0.0.1:${PORT}`, { reconnectPeriod: 0 });
+	observer.on("message", (topic, payload) => messages.set(topic, payload.toString()));
+	await new Promise((resolve) => observer.once("connect", resolve));
+	await observer.subscribeAsync("#");
+
+	bridge.configure(settings);
+	await runCases(cases, record);
+
+	bridge.configure(DEFAULT_MQTT);
+	await observer.endAsync();
+	await new Promise((resolve) => broker.close(resolve));
+	server.close();
+}, verbose);
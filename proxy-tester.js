@@ -0,0 +1,223 @@
+const ModbusTCP = require("./modules/modbus-tcp");
+const ModbusRTU = require("./modules/modbus-rtu");
+const ModbusRtuOverTCP = require("./modules/modbus-rtu-tcp");
+const { modbusProxy, DEFAULT_PROXY } = require("./modules/modbus-proxy");
+const recordings = require("./modules/recordings");
+const { parseScenario } = require("./modules/scenario-runner");
+const { parseOptions, createMemoryStorage, listen, runCases, runChecks } = require("./tester-harness");
+
+// Checks the proxy mode against local fake upstream devices: a Modbus TCP and an RTU over TCP server
+// on the loopback interface with their own in-memory slaves. Requests are fed to the emulator transports
+// in-process, recordings are kept in memory, so no emulator, serial port or data directory is needed.
+//
+// Usage: node proxy-tester.js [--verbose] [--port <first port>]
+const { verbose, port: BASE_PORT } = parseOptions(15502);
+const TCP_PORT = BASE_PORT;
+const RTU_TCP_PORT = BASE_PORT + 1;
+// Nothing listens here, forwarded requests fail at once
+const CLOSED_PORT = BASE_PORT + 2;
+
+const LOCAL_ID = 1;
+const PROXIED_ID = 5;
+const REGISTER_COUNT = 100;
+
+// In-memory slaves whose holding registers count up from `base`
+const createStorage = (slaveIds, base) =>
+	createMemoryStorage({
+		slaveIds,
+		registerCount: REGISTER_COUNT,
+		fill: (slave) => slave.registers.forEach((value, i) => (slave.registers[i] = base + i)),
+	});
+
+const upstreamStorage = createStorage([PROXIED_ID], 1000);
+const localStorage = createStorage([LOCAL_ID], 0);
+
+// The upstream devices share the proxy of this process, they answer every frame themselves
+const answer = (server) => {
+	server.handleFrame = (frame) => Promise.resolve(server.processRequest(frame));
+	return server;
+};
+const upstreamTcp = answer(new ModbusTCP(upstreamStorage));
+const upstreamRtuTcp = answer(new ModbusRtuOverTCP(upstreamStorage));
+const tcp = new ModbusTCP(localStorage);
+const rtu = new ModbusRtuOverTCP(localStorage);
+const serial = new ModbusRTU(localStorage);
+
+const hex = (text) => Buffer.from(text.replace(/\s+/g, ""), "hex");
+
+/**
+ * Wraps a PDU into a Modbus TCP ADU.
+ *
+ * @param {number} transactionId - MBAP transaction identifier.
+ * @param {number} unitId - Unit identifier.
+ * @param {Buffer} pdu - The PDU.
+ * @returns {Buffer} - The ADU.
+ */
+function mbap(transactionId, unitId, pdu) {
+	const header = Buffer.alloc(7);
+	header.writeUInt16BE(transactionId, 0);
+	header.writeUInt16BE(0, 2);
+	header.writeUInt16BE(pdu.length + 1, 4);
+	header.writeUInt8(unitId, 6);
+	return Buffer.concat([header, pdu]);
+}
+
+/**
+ * Passes a request frame to a transport and waits for its response.
+ *
+ * @param {object} transport - The transport receiving the frame.
+ * @param {Buffer} frame - The request frame.
+ * @param {number} wait - Milliseconds to wait for a response before resolving with null.
+ * @returns {Promise<Buffer|null>} - The response frame, or null when there was none.
+ */
+function request(transport, frame, wait = 2000) {
+	return new Promise((resolve) => {
+		const timer = setTimeout(() => resolve(null), wait);
+		transport.handleFrame(frame, "127.0.0.1:50000").then((response) => {
+			if (response) {
+				clearTimeout(timer);
+				resolve(response);
+			}
+		});
+	});
+}
+
+const configure = (settings) => modbusProxy.configure({ ...DEFAULT_PROXY, enabled: true, unitIds: [PROXIED_ID], host: "127.0.0.1", timeout: 500, ...settings });
+const cases = [
+	{
+		name: "TCP read of a proxied unit is answered by the upstream device",
+		async run() {
+			configure({ upstream: "tcp", port: TCP_PORT });
+			const response = await request(tcp, mbap(0x4321, PROXIED_ID, hex("03 0000 0002")));
+			return response && response.equals(mbap(0x4321, PROXIED_ID, hex("03 04 03e8 03e9")));
+		},
+	},
+	{
+		name: "TCP write of a proxied unit changes the upstream device only",
+		async run() {
+			const response = await request(tcp, mbap(7, PROXIED_ID, hex("06 000a 1234")));
+			return response && response.equals(mbap(7, PROXIED_ID, hex("06 000a 1234"))) && upstreamStorage.slaves[PROXIED_ID].registers[10] === 0x1234;
+		},
+	},
+	{
+		name: "TCP exception of the upstream device is passed through",
+		async run() {
+			const response = await request(tcp, mbap(8, PROXIED_ID, hex("03 0063 0002")));
+			return response && response.equals(mbap(8, PROXIED_ID, hex("83 02")));
+		},
+	},
+	{
+		name: "TCP requests of other units are answered locally",
+		async run() {
+			const response = await request(tcp, mbap(9, LOCAL_ID, hex("03 0001 0001")));
+			return response && response.equals(mbap(9, LOCAL_ID, hex("03 02 0001")));
+		},
+	},
+	{
+		name: "RTU over TCP read is forwarded to an RTU over TCP upstream",
+		async run() {
+			configure({ upstream: "rtu-tcp", port: RTU_TCP_PORT });
+			const response = await request(rtu, rtu.appendCRC(Buffer.concat([Buffer.from([PROXIED_ID]), hex("03 0002 0001")])));
+			return response && response.equals(rtu.appendCRC(Buffer.concat([Buffer.from([PROXIED_ID]), hex("03 02 03ea")])));
+		},
+	},
+	{
+		name: "RTU broadcast is forwarded without an answer",
+		async run() {
+			configure({ upstream: "rtu-tcp", port: RTU_TCP_PORT, unitIds: [0, PROXIED_ID] });
+			const response = await request(rtu, rtu.appendCRC(hex("00 06 0014 0007")), 300);
+			// Broadcasts are not answered, give the upstream device time to execute it
+			await new Promise((resolve) => setTimeout(resolve, 100));
+			return response === null && upstreamStorage.slaves[PROXIED_ID].registers[20] === 7;
+		},
+	},
+	{
+		name: "Unreachable upstream gives a gateway exception over TCP",
+		async run() {
+			configure({ upstream: "tcp", port: CLOSED_PORT });
+			const response = await request(tcp, mbap(10, PROXIED_ID, hex("03 0000 0001")));
+			return response && response.equals(mbap(10, PROXIED_ID, hex("83 0b")));
+		},
+	},
+	{
+		name: "Unreachable upstream is silent on a serial line",
+		async run() {
+			const response = await request(serial, serial.appendCRC(Buffer.concat([Buffer.from([PROXIED_ID]), hex("03 0000 0001")])), 1000);
+			return response === null;
+		},
+	},
+];
+
+// Recording and replay, run after the forwarding cases
+async function runRecording(record) {
+	let saved = null;
+	recordings.saveRecording = async (recording) => {
+		saved = recording;
+	};
+
+	configure({ upstream: "tcp", port: TCP_PORT });
+	await modbusProxy.startRecording("proxy-tester");
+	await request(tcp, mbap(1, PROXIED_ID, hex("03 0000 0003")));
+	await request(tcp, mbap(2, PROXIED_ID, hex("10 0001 0002 04 0005 0006")));
+	await request(tcp, mbap(3, PROXIED_ID, hex("03 0063 0002")));
+	await request(tcp, mbap(4, PROXIED_ID, hex("01 0000 0004")));
+	await request(tcp, mbap(5, LOCAL_ID, hex("03 0000 0001")));
+	const name = await modbusProxy.stopRecording();
+
+	const transactions = saved ? saved.transactions : [];
+	record(
+		"Recording keeps the forwarded transactions with their timing",
+		name === "proxy-tester" &&
+			transactions.length === 4 &&
+			transactions.every((transaction) => transaction.unitId === PROXIED_ID && transaction.t >= 0 && transaction.latency >= 0) &&
+			transactions[0].request === "0300000003" &&
+			transactions[0].response === "030603e803e903ea",
+		JSON.stringify(transactions[0]),
+	);
+	if (!saved) return;
+
+	const timeline = recordings.getTimeline(saved);
+	record(
+		"Timeline holds the read and written values, without exceptions",
+		timeline.length === 3 &&
+			timeline[0].table === "registers" &&
+			timeline[0].values.join() === "1000,1001,1002" &&
+			timeline[1].start === 1 &&
+			timeline[1].values.join() === "5,6" &&
+			timeline[2].table === "coils" &&
+			timeline[2].values.length === 4,
+		JSON.stringify(timeline),
+	);
+
+	const { scenario, error } = parseScenario(recordings.toScenario(localStorage, saved, { slaveMap: { [PROXIED_ID]: LOCAL_ID }, loop: true }));
+	record(
+		"Timeline converts to a valid scenario of the changes",
+		scenario && scenario.loop === true && scenario.steps.length === 3 && scenario.steps.every((step) => step.slave === LOCAL_ID) && scenario.steps[1].values.join() === "5,6",
+		error || JSON.stringify(scenario && scenario.steps),
+	);
+
+	const written = recordings.applySnapshot(localStorage, saved, { [PROXIED_ID]: LOCAL_ID });
+	const registers = localStorage.slaves[LOCAL_ID].registers;
+	record(
+		"Snapshot replay writes the last recorded values",
+		written > 0 && registers[0] === 1000 && registers[1] === 5 && registers[2] === 6,
+		`${written} written: ${registers.slice(0, 3).join()}`,
+	);
+}
+
+runChecks(async (record) => {
+	upstreamTcp.start(TCP_PORT);
+	upstreamRtuTcp.start(RTU_TCP_PORT);
+	await Promise.all([listen(upstreamTcp), listen(upstreamRtuTcp)]);
+
+	await runCases(cases, record);
+	try {
+		await runRecording(record);
+	} catch (err) {
+		record("Recording and replay", false, err.message);
+	}
+
+	modbusProxy.configure(DEFAULT_PROXY);
+	upstreamTcp.stop();
+	upstreamRtuTcp.stop();
+}, verbose);
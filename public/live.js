@@ -0,0 +1,106 @@
+// Live view of the slave page: follows the register changes pushed by the server (/slave/:id/events)
+// and highlights the changed cells. Fields edited on the page are left alone and marked as conflicting,
+// the server keeps the newer value when the form is submitted.
+(function () {
+	const form = document.getElementById("registerForm");
+	const status = document.getElementById("liveStatus");
+	if (!form || !window.EventSource) return;
+
+	const table = form.dataset.table;
+	const start = Number(form.dataset.start);
+	const size = Number(form.dataset.size);
+
+	// Raw register value in the units of the input, see PointMap.toValue
+	function toValue(input, raw) {
+		const scale = Number(input.dataset.scale || 0);
+		const signed = input.dataset.signed === "true" && raw > 0x7fff ? raw - 0x10000 : raw;
+		if (!scale) return signed;
+
+		const decimals = Math.max(0, -Math.floor(Math.log10(scale)));
+		return Number((signed * scale).toFixed(decimals));
+	}
+
+	// The point limits of an input apply only while its value is within them, see register-input.ejs
+	function applyLimits(input, value) {
+		const min = input.dataset.min === "" ? -Infinity : Number(input.dataset.min);
+		const max = input.dataset.max === "" ? Infinity : Number(input.dataset.max);
+		const inRange = value >= min && value <= max;
+		["min", "max"].forEach((limit) => {
+			if (inRange && input.dataset[limit] !== "") {
+				input.setAttribute(limit, input.dataset[limit]);
+			} else {
+				input.removeAttribute(limit);
+			}
+		});
+	}
+
+	function showValue(cell, raw) {
+		cell.querySelectorAll("input[data-bit]").forEach((checkbox) => {
+			checkbox.checked = ((raw >> Number(checkbox.dataset.bit)) & 1) === 1;
+		});
+
+		const select = cell.querySelector("select");
+		if (select) {
+			if (!Array.from(select.options).some((option) => Number(option.value) === raw)) {
+				select.add(new Option(String(raw), String(raw)));
+			}
+			select.value = String(raw);
+		}
+
+		const input = cell.querySelector('input[type="number"]');
+		if (input) {
+			input.value = toValue(input, raw);
+			if (input.dataset.min !== undefined) {
+				applyLimits(input, Number(input.value));
+			}
+		}
+	}
+
+	function highlight(cell) {
+		cell.classList.remove("changed");
+		// Restart the animation
+		void cell.offsetWidth;
+		cell.classList.add("changed");
+	}
+
+	form.addEventListener("input", (event) => {
+		const cell = event.target.closest(".register");
+		if (cell) cell.dataset.dirty = "true";
+	});
+
+	const source = new EventSource(`/slave/${form.dataset.slave}/events`);
+
+	source.onopen = () => {
+		status.textContent = "● élő";
+		status.classList.add("connected");
+	};
+
+	source.onerror = () => {
+		status.textContent = "● nincs kapcsolat";
+		status.classList.remove("connected");
+	};
+
+	source.onmessage = (event) => {
+		const change = JSON.parse(event.data);
+		if (change.table !== table) return;
+
+		change.values.forEach((raw, i) => {
+			const index = change.start + i - start;
+			if (index < 0 || index >= size) return;
+
+			const cell = form.querySelector(`.register[data-index="${index}"]`);
+			const original = cell.querySelector(`input[name="orig${index}"]`);
+			if (Number(original.value) === raw) return;
+
+			if (cell.dataset.dirty) {
+				cell.classList.add("conflict");
+				cell.title = `Időközben módosult, új érték: ${raw}`;
+				return;
+			}
+
+			original.value = raw;
+			showValue(cell, raw);
+			highlight(cell);
+		});
+	};
+})();
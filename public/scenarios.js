@@ -0,0 +1,28 @@
+// Follows the scenario runner on the scenarios page by polling /api/scenario
+(function () {
+	const panel = document.getElementById("scenarioStatus");
+	const log = document.getElementById("scenarioLog");
+	const stop = document.getElementById("stopScenario");
+	if (!panel) return;
+
+	const field = (name) => panel.querySelector(`[data-field="${name}"]`);
+
+	function show(status) {
+		field("title").textContent = status.title || "-";
+		field("state").textContent = status.state;
+		field("step").textContent = `${status.step} / ${status.steps}`;
+		field("round").textContent = status.round;
+		field("elapsed").textContent = `${status.elapsed} s`;
+		field("waiting").textContent = status.waiting || "-";
+		field("error").textContent = status.error || "-";
+		stop.disabled = !status.running;
+		log.textContent = status.log.map((entry) => `${entry.time.replace("T", " ").replace("Z", "")}  ${entry.message}\n`).join("");
+	}
+
+	setInterval(() => {
+		fetch("/api/scenario")
+			.then((response) => response.json())
+			.then(show)
+			.catch(() => {});
+	}, 1000);
+})();
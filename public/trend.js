@@ -0,0 +1,138 @@
+// Trend chart of the slave page: draws the register changes of /api/slaves/:id/history as step lines,
+// named points in engineering units, and refreshes every few seconds.
+(function () {
+	const form = document.getElementById("trendForm");
+	const chart = document.getElementById("trendChart");
+	const legend = document.getElementById("trendLegend");
+	const status = document.getElementById("trendStatus");
+	const csv = document.getElementById("trendCsv");
+	if (!form || !window.fetch) return;
+
+	const SVG = "http://www.w3.org/2000/svg";
+	const WIDTH = 1000;
+	const HEIGHT = 320;
+	const MARGIN = { top: 10, right: 10, bottom: 24, left: 50 };
+	const COLORS = ["#007bff", "#dc3545", "#28a745", "#fd7e14", "#6f42c1", "#20c997", "#e83e8c", "#6c757d", "#17a2b8", "#ffc107"];
+	const REFRESH = 5000;
+	const slaveId = form.dataset.slave;
+
+	// Raw register value in engineering units, see PointMap.toValue
+	function toValue(point, raw) {
+		if (!point) return raw;
+		const signed = point.signed && raw > 0x7fff ? raw - 0x10000 : raw;
+		if (!point.scale) return signed;
+
+		const decimals = Math.max(0, -Math.floor(Math.log10(point.scale)));
+		return Number((signed * point.scale).toFixed(decimals));
+	}
+
+	function query() {
+		const params = new URLSearchParams();
+		params.set("table", form.elements.table.value);
+		params.set("addresses", form.elements.addresses.value.trim());
+		params.set("minutes", form.elements.minutes.value);
+		if (form.elements.changedOnly.checked) params.set("changedOnly", "true");
+		return params.toString();
+	}
+
+	function element(name, attributes, parent) {
+		const node = document.createElementNS(SVG, name);
+		Object.keys(attributes).forEach((key) => node.setAttribute(key, attributes[key]));
+		parent.appendChild(node);
+		return node;
+	}
+
+	function formatTime(time) {
+		return new Date(time).toLocaleTimeString("hu-HU", { hour: "2-digit", minute: "2-digit" });
+	}
+
+	// Step points [time, value] of a series over the window
+	function getSteps(series, from, to) {
+		const steps = [];
+		if (series.initial !== null) steps.push([from, toValue(series.point, series.initial)]);
+		series.changes.forEach((change) => {
+			const time = Date.parse(change.time);
+			if (change.previous !== null) steps.push([time, toValue(series.point, change.previous)]);
+			steps.push([time, toValue(series.point, change.value)]);
+		});
+		if (series.current !== null) steps.push([to, toValue(series.point, series.current)]);
+		return steps;
+	}
+
+	function draw(trend) {
+		const from = Date.parse(trend.from);
+		const to = Date.parse(trend.to);
+		const lines = trend.series.map((series) => getSteps(series, from, to));
+		const values = [].concat(...lines.map((steps) => steps.map((step) => step[1])));
+		let min = values.length > 0 ? Math.min(...values) : 0;
+		let max = values.length > 0 ? Math.max(...values) : 1;
+		if (min === max) {
+			min -= 1;
+			max += 1;
+		}
+
+		const x = (time) => MARGIN.left + ((time - from) / Math.max(to - from, 1)) * (WIDTH - MARGIN.left - MARGIN.right);
+		const y = (value) => HEIGHT - MARGIN.bottom - ((value - min) / (max - min)) * (HEIGHT - MARGIN.top - MARGIN.bottom);
+
+		const svg = document.createElementNS(SVG, "svg");
+		svg.setAttribute("viewBox", `0 0 ${WIDTH} ${HEIGHT}`);
+		svg.setAttribute("preserveAspectRatio", "none");
+
+		// Value and time labels with grid lines
+		for (let i = 0; i <= 4; i++) {
+			const value = min + ((max - min) * i) / 4;
+			element("line", { x1: MARGIN.left, x2: WIDTH - MARGIN.right, y1: y(value), y2: y(value), stroke: "#eee" }, svg);
+			element("text", { x: MARGIN.left - 6, y: y(value) + 4, "text-anchor": "end" }, svg).textContent = Number(value.toFixed(2));
+		}
+		for (let i = 0; i <= 5; i++) {
+			const time = from + ((to - from) * i) / 5;
+			const anchor = i === 0 ? "start" : i === 5 ? "end" : "middle";
+			element("text", { x: x(time), y: HEIGHT - 6, "text-anchor": anchor }, svg).textContent = formatTime(time);
+		}
+
+		lines.forEach((steps, i) => {
+			if (steps.length === 0) return;
+			const points = steps.map((step) => `${x(step[0]).toFixed(1)},${y(step[1]).toFixed(1)}`).join(" ");
+			element("polyline", { points, fill: "none", stroke: COLORS[i % COLORS.length], "stroke-width": 2, "vector-effect": "non-scaling-stroke" }, svg);
+		});
+
+		chart.replaceChildren(svg);
+
+		legend.replaceChildren(
+			...trend.series.map((series, i) => {
+				const item = document.createElement("li");
+				const swatch = document.createElement("span");
+				swatch.className = "swatch";
+				swatch.style.backgroundColor = COLORS[i % COLORS.length];
+				item.appendChild(swatch);
+				const unit = series.point && series.point.unit ? ` ${series.point.unit}` : "";
+				const current = series.current === null ? "-" : `${toValue(series.point, series.current)}${unit}`;
+				item.appendChild(document.createTextNode(`${series.address}${series.name ? ` ${series.name}` : ""}: ${current} (${series.changes.length} változás)`));
+				return item;
+			}),
+		);
+
+		const count = trend.series.reduce((sum, series) => sum + series.changes.length, 0);
+		status.textContent =
+			trend.series.length === 0
+				? "Nincs változás az időablakban."
+				: `${trend.series.length} regiszter, ${count} változás${trend.truncated ? " (csak az első regiszterek láthatók)" : ""}`;
+	}
+
+	function refresh() {
+		const params = query();
+		csv.href = `/slave/${slaveId}/history.csv?${params}`;
+		fetch(`/api/slaves/${slaveId}/history?${params}`)
+			.then((response) => response.json().then((body) => (response.ok ? draw(body) : (status.textContent = body.error))))
+			.catch(() => {});
+	}
+
+	form.addEventListener("submit", (event) => {
+		event.preventDefault();
+		refresh();
+	});
+	form.addEventListener("change", refresh);
+
+	refresh();
+	setInterval(refresh, REFRESH);
+})();
@@ -0,0 +1,43 @@
+// Request parsing and errors shared by the API routes. Errors thrown as ApiError are answered with their
+// status code and message by apiErrorHandler.
+
+class ApiError extends Error {
+	constructor(status, message) {
+		super(message);
+		this.status = status;
+	}
+}
+
+// Wraps async handlers so rejected promises reach the API error handler
+const handle = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+function parseInteger(value, name) {
+	const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+	if (!Number.isInteger(number)) {
+		throw new ApiError(400, `${name} must be an integer`);
+	}
+	return number;
+}
+
+// Checks a slave ID of a path or a body: 400 when it is not an integer, 404 when there is no such slave
+function parseSlaveId(storage, value, name) {
+	const slaveId = parseInteger(value, name);
+	if (!storage.getSlaveIds().includes(slaveId)) {
+		throw new ApiError(404, `Slave ${slaveId} not found`);
+	}
+	return slaveId;
+}
+
+// JSON answers of the API for unknown paths and for errors, including malformed request bodies
+function apiNotFound(req, res) {
+	res.status(404).json({ error: `Cannot ${req.method} ${req.originalUrl}` });
+}
+
+function apiErrorHandler(err, req, res, next) {
+	if (!err.status || err.status >= 500) {
+		console.error("API error:", err);
+	}
+	res.status(err.status || 500).json({ error: err.status && err.status < 500 ? err.message : "Internal server error" });
+}
+
+module.exports = { ApiError, handle, parseInteger, parseSlaveId, apiNotFound, apiErrorHandler };
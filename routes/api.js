@@ -0,0 +1,538 @@
+const express = require("express");
+const path = require("path");
+const router = express.Router();
+const { restartServers } = require("../modules/servers");
+const { parseFaults } = require("../modules/fault-injection");
+const { SAMSUNG_RULES, checkWrite, parseRules } = require("../modules/write-rules");
+const { parseSettings, parseUnitParameters } = require("../modules/simulation");
+const { parseStorageSettings } = require("../modules/data-file");
+const { parseMqttSettings, maskMqttSettings } = require("../modules/mqtt-bridge");
+const { listSerialPorts } = require("../modules/serial-ports");
+const { parseHistorySettings, parseHistoryQuery } = require("../modules/register-history");
+const layout = require("../modules/device-layout");
+const profiles = require("../modules/profiles");
+const { ApiError, handle, parseInteger, parseSlaveId: parseSlaveIdOf } = require("./api-helpers");
+
+// Largest value of each data table
+const TABLE_MAX = {
+	coils: 1,
+	discreteInputs: 1,
+	registers: 0xffff,
+	inputRegisters: 0xffff,
+};
+const TABLE_PATTERN = Object.keys(TABLE_MAX).join("|");
+
+const OPENAPI_FILE = path.join(__dirname, "..", "docs", "openapi.json");
+
+const BAUD_RATES = [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200];
+// 4194303 is the wildcard instance
+const MAX_DEVICE_INSTANCE = 4194302;
+
+// Validates a value for a data table, booleans are accepted for the bit tables
+function parseValue(table, value, name) {
+	const number = typeof value === "boolean" && TABLE_MAX[table] === 1 ? Number(value) : value;
+	if (!Number.isInteger(number) || number < 0 || number > TABLE_MAX[table]) {
+		throw new ApiError(400, `${name} must be an integer between 0 and ${TABLE_MAX[table]}`);
+	}
+	return number;
+}
+
+// Validates a { start, values } write against a slave table and returns it parsed
+function parseRangeWrite(slave, table, body) {
+	if (!body || !Array.isArray(body.values) || body.values.length === 0) {
+		throw new ApiError(400, "values must be a non-empty array");
+	}
+	const start = parseInteger(body.start, "start");
+	if (start < 0 || start + body.values.length > slave[table].length) {
+		throw new ApiError(400, `Range ${start}-${start + body.values.length - 1} is outside ${table} (0-${slave[table].length - 1})`);
+	}
+	const values = body.values.map((value, i) => parseValue(table, value, `values[${i}]`));
+	return { start, values };
+}
+
+// Validates a transport config section update and returns the merged section
+function parseConfigSection(section, current, update) {
+	if (typeof update !== "object" || update === null || Array.isArray(update)) {
+		throw new ApiError(400, `${section} must be an object`);
+	}
+
+	const merged = { ...current, ...update };
+	if (typeof merged.enabled !== "boolean") {
+		throw new ApiError(400, `${section}.enabled must be a boolean`);
+	}
+
+	if (section === "modbusRtu") {
+		if (!["serial", "pty"].includes(merged.mode)) {
+			throw new ApiError(400, "modbusRtu.mode must be serial or pty");
+		}
+		if (typeof merged.port !== "string" || merged.port.trim() === "") {
+			throw new ApiError(400, "modbusRtu.port must be a serial port path");
+		}
+		if (typeof merged.ptyLink !== "string" || (merged.ptyLink !== "" && !path.isAbsolute(merged.ptyLink))) {
+			throw new ApiError(400, "modbusRtu.ptyLink must be an absolute path or empty");
+		}
+		if (!BAUD_RATES.includes(merged.baudRate)) {
+			throw new ApiError(400, `modbusRtu.baudRate must be one of ${BAUD_RATES.join(", ")}`);
+		}
+		if (![7, 8].includes(merged.dataBits)) {
+			throw new ApiError(400, "modbusRtu.dataBits must be 7 or 8");
+		}
+		if (!["none", "even", "odd"].includes(merged.parity)) {
+			throw new ApiError(400, "modbusRtu.parity must be none, even or odd");
+		}
+		if (![1, 2].includes(merged.stopBits)) {
+			throw new ApiError(400, "modbusRtu.stopBits must be 1 or 2");
+		}
+	} else if (!Number.isInteger(merged.port) || merged.port < 1 || merged.port > 65535) {
+		throw new ApiError(400, `${section}.port must be between 1 and 65535`);
+	}
+
+	if (section === "bacnet") {
+		if (!Number.isInteger(merged.deviceInstance) || merged.deviceInstance < 0 || merged.deviceInstance > MAX_DEVICE_INSTANCE) {
+			throw new ApiError(400, `bacnet.deviceInstance must be between 0 and ${MAX_DEVICE_INSTANCE}`);
+		}
+		if (typeof merged.deviceName !== "string" || merged.deviceName.trim() === "") {
+			throw new ApiError(400, "bacnet.deviceName must be a non-empty string");
+		}
+	}
+
+	return merged;
+}
+
+// The config as answered, without the MQTT password
+const maskConfig = (config) => ({ ...config, mqtt: maskMqttSettings(config.mqtt) });
+
+module.exports = (storage, servers, simulation, mqttBridge, history) => {
+	const parseSlaveId = (value, name) => parseSlaveIdOf(storage, value, name);
+
+	const getSlaveId = (req) => parseSlaveId(req.params.id, "Slave ID");
+	const getSlave = (req) => storage.getSlaves()[getSlaveId(req)];
+
+	// Writes through the write rules of the slave, a refused write is a bad request
+	function write(slaveId, table, start, values) {
+		const violation = storage.writeWithRules(slaveId, table, start, values, "api");
+		if (violation) {
+			throw new ApiError(400, `Write refused: ${violation.message}`);
+		}
+	}
+
+	function describeSlave(slaveId) {
+		const slave = storage.getSlaves()[slaveId];
+		return {
+			id: slaveId,
+			registerCount: slave.registers.length,
+			identification: slave.identification,
+			layout: slave.layout,
+			faults: slave.faults,
+			rules: slave.rules,
+		};
+	}
+
+	router.get("/api/openapi.json", (req, res) => {
+		res.sendFile(OPENAPI_FILE);
+	});
+
+	router.get("/api/slaves", (req, res) => {
+		res.json(storage.getSlaveIds().map(describeSlave));
+	});
+
+	// Bulk update of many slaves: every update is validated before any of them is applied
+	router.post(
+		"/api/slaves/bulk",
+		handle(async (req, res) => {
+			if (!req.body || !Array.isArray(req.body.updates) || req.body.updates.length === 0) {
+				throw new ApiError(400, "updates must be a non-empty array");
+			}
+
+			const writes = req.body.updates.map((update, i) => {
+				try {
+					const slaveId = parseSlaveId(update && update.slaveId, "slaveId");
+					const table = update.table || "registers";
+					if (!Object.prototype.hasOwnProperty.call(TABLE_MAX, table)) {
+						throw new ApiError(400, `unknown table ${table}`);
+					}
+					return { slaveId, table, ...parseRangeWrite(storage.getSlaves()[slaveId], table, update) };
+				} catch (err) {
+					throw new ApiError(err.status, `updates[${i}]: ${err.message}`);
+				}
+			});
+
+			// Nothing is written when any of the updates is refused
+			writes.forEach(({ slaveId, table, start, values }, i) => {
+				const violation = checkWrite(storage.getSlaves()[slaveId], table, start, values);
+				if (violation) {
+					throw new ApiError(400, `updates[${i}]: Write refused: ${violation.message}`);
+				}
+			});
+			writes.forEach(({ slaveId, table, start, values }) => write(slaveId, table, start, values));
+			await storage.saveSlaves();
+			res.json({ updated: writes.length });
+		}),
+	);
+
+	router.post(
+		"/api/slaves/clear",
+		handle(async (req, res) => {
+			await storage.clearAllSlaves("api");
+			res.status(204).end();
+		}),
+	);
+
+	router.get(
+		"/api/slaves/:id",
+		handle(async (req, res) => {
+			res.json(describeSlave(getSlaveId(req)));
+		}),
+	);
+
+	router.post(
+		"/api/slaves/:id/clear",
+		handle(async (req, res) => {
+			await storage.clearSlave(getSlaveId(req), "api");
+			res.status(204).end();
+		}),
+	);
+
+	router.get(
+		"/api/slaves/:id/faults",
+		handle(async (req, res) => {
+			res.json(getSlave(req).faults);
+		}),
+	);
+
+	// Partial update of the fault profile: { "dropRate": 10, "delayMin": 100, "delayMax": 500 }
+	router.put(
+		"/api/slaves/:id/faults",
+		handle(async (req, res) => {
+			const slaveId = getSlaveId(req);
+			if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+				throw new ApiError(400, "Body must be a fault profile object");
+			}
+
+			const { faults, error } = parseFaults(req.body, storage.getSlaves()[slaveId].faults);
+			if (error) {
+				throw new ApiError(400, error);
+			}
+			await storage.updateFaults(slaveId, faults);
+			res.json(faults);
+		}),
+	);
+
+	router.get(
+		"/api/slaves/:id/rules",
+		handle(async (req, res) => {
+			res.json(getSlave(req).rules);
+		}),
+	);
+
+	// Replaces the write rules: an array of rules, or { "preset": "samsung" } for the rules of the Samsung interface
+	router.put(
+		"/api/slaves/:id/rules",
+		handle(async (req, res) => {
+			const slaveId = getSlaveId(req);
+			const preset = req.body && !Array.isArray(req.body) ? req.body.preset : undefined;
+			if (preset !== undefined && preset !== "samsung") {
+				throw new ApiError(400, "preset must be samsung");
+			}
+
+			const { rules, error } = parseRules(preset ? SAMSUNG_RULES : req.body);
+			if (error) {
+				throw new ApiError(400, error);
+			}
+			await storage.updateRules(slaveId, rules);
+			res.json(rules);
+		}),
+	);
+
+	// Registers of a slave as a JSON profile, or holding registers as CSV with ?format=csv
+	router.get(
+		"/api/slaves/:id/profile",
+		handle(async (req, res) => {
+			const slave = getSlave(req);
+			if (req.query.format === "csv") {
+				return res.type("text/csv").send(profiles.exportCSV(slave));
+			}
+			res.json(profiles.exportJSON(getSlaveId(req), slave));
+		}),
+	);
+
+	// Imports a profile: a JSON body, or CSV with a text/csv content type. Write rules do not apply.
+	router.put(
+		"/api/slaves/:id/profile",
+		express.text({ type: ["text/csv", "text/plain"] }),
+		handle(async (req, res) => {
+			const slaveId = getSlaveId(req);
+			const slave = storage.getSlaves()[slaveId];
+			const { profile, error } =
+				typeof req.body === "string" ? profiles.parseCSV(req.body, slave.registers.length) : profiles.parseJSON(req.body, slave.registers.length);
+			if (error) {
+				throw new ApiError(400, error);
+			}
+
+			const written = profiles.applyProfile(storage, slaveId, profile, "api");
+			await storage.saveSlaves();
+			res.json({ written });
+		}),
+	);
+
+	// Simulation parameters of an indoor unit (1-based)
+	function getUnit(req) {
+		const slave = getSlave(req);
+		const group = layout.getGroups(slave.layout).find((g) => g.kind === "indoor" && g.unit === Number(req.params.unit));
+		if (!group) {
+			throw new ApiError(404, `Indoor unit ${req.params.unit} not found`);
+		}
+		return group.unit;
+	}
+
+	router.get(
+		"/api/slaves/:id/simulation/:unit",
+		handle(async (req, res) => {
+			res.json(simulation.getUnitParameters(getSlaveId(req), getUnit(req)));
+		}),
+	);
+
+	// Partial update: { "ambientTemperature": 30, "inertia": 15 }
+	router.put(
+		"/api/slaves/:id/simulation/:unit",
+		handle(async (req, res) => {
+			const slaveId = getSlaveId(req);
+			const unit = getUnit(req);
+			const { parameters, error } = parseUnitParameters(req.body || {}, simulation.getUnitParameters(slaveId, unit));
+			if (error) {
+				throw new ApiError(400, error);
+			}
+			await simulation.updateUnitParameters(slaveId, unit, parameters);
+			res.json(parameters);
+		}),
+	);
+
+	// Trend of registers from the change history: ?table=registers&addresses=53,60-65&minutes=60,
+	// or a window given with from / to; changedOnly=true leaves out the registers that did not change
+	router.get(
+		"/api/slaves/:id/history",
+		handle(async (req, res) => {
+			const slave = getSlave(req);
+			const { filter, error } = parseHistoryQuery(req.query, slave);
+			if (error) {
+				throw new ApiError(400, error);
+			}
+			res.json(history.getTrend(getSlaveId(req), filter));
+		}),
+	);
+
+	// Range read: ?start=0&count=10 (defaults to the whole table)
+	router.get(
+		`/api/slaves/:id/:table(${TABLE_PATTERN})`,
+		handle(async (req, res) => {
+			const slave = getSlave(req);
+			const table = req.params.table;
+			const start = req.query.start === undefined ? 0 : parseInteger(req.query.start, "start");
+			const count = req.query.count === undefined ? slave[table].length - start : parseInteger(req.query.count, "count");
+
+			if (start < 0 || count < 1 || start + count > slave[table].length) {
+				throw new ApiError(400, `Range is outside ${table} (0-${slave[table].length - 1})`);
+			}
+			res.json({ start, values: slave[table].slice(start, start + count) });
+		}),
+	);
+
+	// Range write: { "start": 0, "values": [1, 2, 3] }
+	router.put(
+		`/api/slaves/:id/:table(${TABLE_PATTERN})`,
+		handle(async (req, res) => {
+			const slave = getSlave(req);
+			const table = req.params.table;
+			const { start, values } = parseRangeWrite(slave, table, req.body);
+
+			write(getSlaveId(req), table, start, values);
+			await storage.saveSlaves();
+			res.json({ start, values: slave[table].slice(start, start + values.length) });
+		}),
+	);
+
+	router.get(
+		`/api/slaves/:id/:table(${TABLE_PATTERN})/:address`,
+		handle(async (req, res) => {
+			const slave = getSlave(req);
+			const table = req.params.table;
+			const address = parseInteger(req.params.address, "address");
+
+			if (address < 0 || address >= slave[table].length) {
+				throw new ApiError(404, `Address ${address} is outside ${table} (0-${slave[table].length - 1})`);
+			}
+			res.json({ address, value: slave[table][address] });
+		}),
+	);
+
+	// Single write: { "value": 1234 }
+	router.put(
+		`/api/slaves/:id/:table(${TABLE_PATTERN})/:address`,
+		handle(async (req, res) => {
+			const slave = getSlave(req);
+			const table = req.params.table;
+			const address = parseInteger(req.params.address, "address");
+
+			if (address < 0 || address >= slave[table].length) {
+				throw new ApiError(404, `Address ${address} is outside ${table} (0-${slave[table].length - 1})`);
+			}
+			if (!req.body || req.body.value === undefined) {
+				throw new ApiError(400, "Missing value");
+			}
+
+			write(getSlaveId(req), table, address, [parseValue(table, req.body.value, "value")]);
+			await storage.saveSlaves();
+			res.json({ address, value: slave[table][address] });
+		}),
+	);
+
+	router.get("/api/simulation", (req, res) => {
+		res.json({ ...simulation.getSettings(), running: simulation.isRunning() });
+	});
+
+	// Partial update of the simulation settings: { "running": true, "tickMs": 1000, "speed": 60 }
+	router.put(
+		"/api/simulation",
+		handle(async (req, res) => {
+			if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+				throw new ApiError(400, "Body must be a simulation settings object");
+			}
+			if (req.body.running !== undefined && typeof req.body.running !== "boolean") {
+				throw new ApiError(400, "running must be a boolean");
+			}
+
+			const { settings, error } = parseSettings(req.body, simulation.getSettings());
+			if (error) {
+				throw new ApiError(400, error);
+			}
+			await simulation.updateSettings(settings);
+			res.json({ ...settings, running: simulation.isRunning() });
+		}),
+	);
+
+	["pause", "resume"].forEach((action) => {
+		router.post(
+			`/api/simulation/${action}`,
+			handle(async (req, res) => {
+				await simulation.updateSettings({ ...simulation.getSettings(), running: action === "resume" });
+				res.json({ ...simulation.getSettings(), running: simulation.isRunning() });
+			}),
+		);
+	});
+
+	router.get("/api/history", (req, res) => {
+		res.json({ ...history.getSettings(), status: history.getStatus() });
+	});
+
+	// Partial update of the history settings: { "enabled": true, "maxEntries": 100000, "maxAge": 1440 }
+	router.put(
+		"/api/history",
+		handle(async (req, res) => {
+			if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+				throw new ApiError(400, "Body must be a history settings object");
+			}
+
+			const { settings, error } = parseHistorySettings(req.body, history.getSettings());
+			if (error) {
+				throw new ApiError(400, error);
+			}
+			await storage.updateConfig({ history: settings });
+			history.configure(settings);
+			res.json({ ...settings, status: history.getStatus() });
+		}),
+	);
+
+	router.post("/api/history/clear", (req, res) => {
+		history.clear();
+		res.json({ ...history.getSettings(), status: history.getStatus() });
+	});
+
+	router.get("/api/mqtt", (req, res) => {
+		res.json({ ...maskMqttSettings(storage.getConfig().mqtt), status: mqttBridge.getStatus() });
+	});
+
+	// Partial update of the MQTT settings: { "enabled": true, "url": "mqtt://broker:1883" }; the bridge reconnects
+	router.put(
+		"/api/mqtt",
+		handle(async (req, res) => {
+			if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+				throw new ApiError(400, "Body must be an MQTT settings object");
+			}
+
+			const { settings, error } = parseMqttSettings(req.body, storage.getConfig().mqtt);
+			if (error) {
+				throw new ApiError(400, error);
+			}
+			await storage.updateConfig({ mqtt: settings });
+			mqttBridge.configure(settings);
+			res.json({ ...maskMqttSettings(settings), status: mqttBridge.getStatus() });
+		}),
+	);
+
+	router.get("/api/config", (req, res) => {
+		res.json(maskConfig(storage.getConfig()));
+	});
+
+	// Serial ports of the machine, and the path the RTU transport listens on (the virtual port in pty mode)
+	router.get(
+		"/api/serial-ports",
+		handle(async (req, res) => {
+			res.json({ ports: await listSerialPorts(), rtu: { mode: storage.getConfig().modbusRtu.mode, path: servers.modbusRtu.getPortPath() } });
+		}),
+	);
+
+	// Partial update of the transport sections, the slave list and/or the storage settings; transports are restarted
+	router.put(
+		"/api/config",
+		handle(async (req, res) => {
+			if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+				throw new ApiError(400, "Body must be a config object");
+			}
+
+			const config = storage.getConfig();
+			const unknown = Object.keys(req.body).filter((key) => key !== "slaves" && key !== "storage" && !Object.prototype.hasOwnProperty.call(servers, key));
+			if (unknown.length > 0) {
+				throw new ApiError(400, `Unknown config sections: ${unknown.join(", ")}`);
+			}
+
+			// Validate everything before changing anything
+			const sections = {};
+			Object.keys(servers).forEach((section) => {
+				if (req.body[section] !== undefined) {
+					sections[section] = parseConfigSection(section, config[section], req.body[section]);
+				}
+			});
+
+			let storageSettings = null;
+			if (req.body.storage !== undefined) {
+				if (typeof req.body.storage !== "object" || req.body.storage === null || Array.isArray(req.body.storage)) {
+					throw new ApiError(400, "storage must be an object");
+				}
+				const { settings, error } = parseStorageSettings(req.body.storage, storage.getStorageSettings());
+				if (error) {
+					throw new ApiError(400, error);
+				}
+				storageSettings = settings;
+			}
+
+			if (req.body.slaves !== undefined) {
+				try {
+					await storage.configureSlaves(req.body.slaves);
+				} catch (err) {
+					throw new ApiError(400, err.message);
+				}
+			}
+
+			if (Object.keys(sections).length > 0) {
+				await storage.updateConfig(sections);
+				restartServers(servers, storage.getConfig());
+			}
+			if (storageSettings) {
+				await storage.updateStorageSettings(storageSettings);
+			}
+			res.json(maskConfig(storage.getConfig()));
+		}),
+	);
+
+	return router;
+};
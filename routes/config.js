@@ -1,18 +1,50 @@
 const express = require("express");
+const fs = require("fs").promises;
+const path = require("path");
 const router = express.Router();
+const { restartServers } = require("../modules/servers");
+const { parseSettings } = require("../modules/simulation");
+const { FORMATS, parseStorageSettings } = require("../modules/data-file");
+const { parseMqttSettings, maskMqttSettings } = require("../modules/mqtt-bridge");
+const { listSerialPorts } = require("../modules/serial-ports");
+const { parseHistorySettings } = require("../modules/register-history");
 
-module.exports = (storage, modbusTcp, modbusRtu, slaveIds) => {
-	router.get("/config", (req, res) => {
+// Sections of the transport form
+const TRANSPORT_SECTIONS = ["modbusTcp", "modbusRtu", "modbusRtuTcp", "modbusUdp", "bacnet"];
+
+module.exports = (storage, servers, simulation, mqttBridge, history) => {
+	router.get("/config", async (req, res) => {
 		const config = storage.getConfig();
+		const serialPorts = await listSerialPorts();
+		// The configured port stays selectable when it is not listed: a PTY of socat, or an unplugged adapter
+		if (!serialPorts.some((port) => port.path === config.modbusRtu.port)) {
+			const exists = await fs.stat(config.modbusRtu.port).then(() => true, () => false);
+			serialPorts.push({ path: config.modbusRtu.port, description: exists ? "egyéni útvonal" : "nem elérhető" });
+		}
 		res.render("config", {
-			slaves: slaveIds,
-			config,
+			slaves: storage.getSlaveIds(),
+			// The password field shows the mask, posted back unchanged it keeps the stored password
+			config: { ...config, mqtt: maskMqttSettings(config.mqtt) },
+			simulationSettings: simulation.getSettings(),
+			simulationRunning: simulation.isRunning(),
+			storageSettings: storage.getStorageSettings(),
+			storageFormats: FORMATS,
+			mqttStatus: mqttBridge.getStatus(),
+			historySettings: history.getSettings(),
+			historyStatus: history.getStatus(),
+			serialPorts,
+			rtuPortPath: servers.modbusRtu.getPortPath(),
 			message: req.query.message,
 		});
 	});
 
 	router.post("/config", async (req, res) => {
-		const config = storage.getConfig();
+		// The form shows the transport sections with the command line overrides applied
+		const current = storage.getConfig();
+		const config = {};
+		TRANSPORT_SECTIONS.forEach((section) => {
+			config[section] = { ...current[section] };
+		});
 
 		// Update Modbus TCP config
 		const tcpEnabled = req.body.modbusTcpEnabled === "on";
@@ -24,28 +56,133 @@ module.exports = (storage, modbusTcp, modbusRtu, slaveIds) => {
 		// Update Modbus RTU config
 		const rtuEnabled = req.body.modbusRtuEnabled === "on";
 		config.modbusRtu.enabled = rtuEnabled;
-		config.modbusRtu.port = req.body.modbusRtuPort || "COM1";
+		config.modbusRtu.mode = req.body.modbusRtuMode === "pty" ? "pty" : "serial";
+		// A path typed in, e.g. a PTY of socat, wins over the listed ports
+		const customPort = typeof req.body.modbusRtuCustomPort === "string" ? req.body.modbusRtuCustomPort.trim() : "";
+		config.modbusRtu.port = customPort || req.body.modbusRtuPort || config.modbusRtu.port;
+		if (typeof req.body.modbusRtuPtyLink === "string" && (req.body.modbusRtuPtyLink.trim() === "" || path.isAbsolute(req.body.modbusRtuPtyLink.trim()))) {
+			config.modbusRtu.ptyLink = req.body.modbusRtuPtyLink.trim();
+		}
 		config.modbusRtu.baudRate = parseInt(req.body.modbusRtuBaudRate, 10) || 9600;
 		config.modbusRtu.dataBits = parseInt(req.body.modbusRtuDataBits, 10) || 8;
 		config.modbusRtu.parity = req.body.modbusRtuParity || "none";
 		config.modbusRtu.stopBits = parseInt(req.body.modbusRtuStopBits, 10) || 1;
 
-		await storage.updateConfig(config);
+		// Update Modbus RTU over TCP config
+		const rtuTcpEnabled = req.body.modbusRtuTcpEnabled === "on";
+		const rtuTcpPort = parseInt(req.body.modbusRtuTcpPort, 10) || 8503;
+
+		config.modbusRtuTcp.enabled = rtuTcpEnabled;
+		config.modbusRtuTcp.port = rtuTcpPort;
+
+		// Update Modbus UDP config
+		const udpEnabled = req.body.modbusUdpEnabled === "on";
+		const udpPort = parseInt(req.body.modbusUdpPort, 10) || 8502;
+
+		config.modbusUdp.enabled = udpEnabled;
+		config.modbusUdp.port = udpPort;
+
+		// Update BACnet/IP config
+		const deviceInstance = parseInt(req.body.bacnetDeviceInstance, 10);
+		config.bacnet.enabled = req.body.bacnetEnabled === "on";
+		config.bacnet.port = parseInt(req.body.bacnetPort, 10) || 47808;
+		if (deviceInstance >= 0 && deviceInstance <= 4194302) {
+			config.bacnet.deviceInstance = deviceInstance;
+		}
+		if (typeof req.body.bacnetDeviceName === "string" && req.body.bacnetDeviceName.trim() !== "") {
+			config.bacnet.deviceName = req.body.bacnetDeviceName.trim();
+		}
+
+		// Only the sections changed on the form are saved, the others keep their saved value and override
+		const changed = {};
+		TRANSPORT_SECTIONS.forEach((section) => {
+			const keys = Object.keys({ ...current[section], ...config[section] });
+			if (keys.some((key) => config[section][key] !== current[section][key])) {
+				changed[section] = config[section];
+			}
+		});
+		await storage.updateConfig(changed);
 
 		// Apply changes
-		if (tcpEnabled) {
-			modbusTcp.restart(tcpPort);
-		} else {
-			modbusTcp.stop();
+		restartServers(servers, storage.getConfig());
+
+		res.redirect("/config?message=Configuration saved successfully");
+	});
+
+	router.post("/config/slaves", async (req, res) => {
+		// Every row of the slave table posts its ID, register count and the ID it was loaded with
+		const toArray = (value) => (value === undefined ? [] : [].concat(value));
+		const ids = toArray(req.body.slaveId);
+		const froms = toArray(req.body.slaveFrom);
+		const counts = toArray(req.body.slaveRegisterCount);
+		const removed = toArray(req.body.slaveRemove);
+
+		const list = [];
+		ids.forEach((id, i) => {
+			// Skip removed rows and the empty row for adding a new slave
+			if (removed.includes(String(i)) || (id.trim() === "" && froms[i] === "")) return;
+			list.push({
+				id: Number(id),
+				registerCount: Number(counts[i]),
+				from: froms[i] === "" ? null : Number(froms[i]),
+			});
+		});
+
+		try {
+			await storage.configureSlaves(list);
+			res.redirect("/config?message=Slave list saved successfully");
+		} catch (err) {
+			res.redirect(`/config?message=${encodeURIComponent(`Invalid slave list: ${err.message}`)}`);
 		}
+	});
 
-		if (rtuEnabled) {
-			modbusRtu.restart(config.modbusRtu);
-		} else {
-			modbusRtu.stop();
+	router.post("/config/simulation", async (req, res) => {
+		// The pause / resume button only posts the new state, the settings form posts everything
+		const input = req.body.toggle !== undefined ? { running: req.body.toggle } : { ...req.body, running: req.body.running === "on" };
+		const { settings, error } = parseSettings(input, simulation.getSettings());
+		if (error) {
+			return res.redirect(`/config?message=${encodeURIComponent(`Invalid simulation settings: ${error}`)}`);
 		}
 
-		res.redirect("/config?message=Configuration saved successfully");
+		await simulation.updateSettings(settings);
+		res.redirect(`/config?message=${settings.running ? "Simulation running" : "Simulation paused"}`);
+	});
+
+	router.post("/config/storage", async (req, res) => {
+		const { settings, error } = parseStorageSettings(req.body, storage.getStorageSettings());
+		if (error) {
+			return res.redirect(`/config?message=${encodeURIComponent(`Invalid storage settings: ${error}`)}`);
+		}
+
+		await storage.updateStorageSettings(settings);
+		res.redirect("/config?message=Storage settings saved successfully");
+	});
+
+	router.post("/config/mqtt", async (req, res) => {
+		const { settings, error } = parseMqttSettings(req.body, storage.getConfig().mqtt, true);
+		if (error) {
+			return res.redirect(`/config?message=${encodeURIComponent(`Invalid MQTT settings: ${error}`)}`);
+		}
+
+		await storage.updateConfig({ mqtt: settings });
+		mqttBridge.configure(settings);
+		res.redirect("/config?message=MQTT settings saved successfully");
+	});
+
+	router.post("/config/history", async (req, res) => {
+		const { settings, error } = parseHistorySettings(req.body, history.getSettings(), true);
+		if (error) {
+			return res.redirect(`/config?message=${encodeURIComponent(`Invalid history settings: ${error}`)}`);
+		}
+
+		await storage.updateConfig({ history: settings });
+		history.configure(settings);
+		res.redirect("/config?message=History settings saved successfully");
+	});
+
+	router.post("/config/history/clear", (req, res) => {
+		history.clear();
+		res.redirect("/config?message=History cleared successfully");
 	});
 
 	router.post("/config/clear-all", async (req, res) => {
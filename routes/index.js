@@ -1,9 +1,9 @@
 const express = require("express");
 const router = express.Router();
 
-module.exports = (slaveIds) => {
+module.exports = (storage) => {
 	router.get("/", (req, res) => {
-		res.render("index", { slaves: slaveIds });
+		res.render("index", { slaves: storage.getSlaveIds() });
 	});
 
 	return router;
@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const pointMap = require("../modules/point-map");
+const layout = require("../modules/device-layout");
+const { ApiError, handle, parseInteger, parseSlaveId } = require("./api-helpers");
+
+module.exports = (storage) => {
+	// Decoded points of one register group of a slave
+	function readGroup(slave, group) {
+		const points = {};
+		pointMap.getGroupPoints(group).forEach((point) => {
+			const raw = slave.registers[point.address];
+			points[point.key] = {
+				name: point.name,
+				address: point.address,
+				unit: point.unit || null,
+				raw,
+				value: pointMap.toValue(point, raw),
+				text: pointMap.format(point, raw),
+			};
+		});
+		return { group: group.group, title: group.title, kind: group.kind, points };
+	}
+
+	router.get("/api/pointmap", (req, res) => {
+		res.json(pointMap.getDefinition());
+	});
+
+	router.get("/api/slaves/:id/points", (req, res) => {
+		const slaveId = parseSlaveId(storage, req.params.id, "Slave ID");
+		const slave = storage.getSlaves()[slaveId];
+		res.json({ slaveId, groups: layout.getGroups(slave.layout).map((group) => readGroup(slave, group)) });
+	});
+
+	router.put(
+		"/api/slaves/:id/points/:group/:key",
+		handle(async (req, res) => {
+			const slaveId = parseSlaveId(storage, req.params.id, "Slave ID");
+			const slave = storage.getSlaves()[slaveId];
+
+			const groupNumber = parseInteger(req.params.group, "Group");
+			const group = layout.getGroups(slave.layout).find((g) => g.group === groupNumber);
+			if (!group) {
+				throw new ApiError(404, `Group ${groupNumber} not found`);
+			}
+
+			const point = pointMap.findPoint(group.kind, req.params.key);
+			if (!point || point.offset >= group.size) {
+				throw new ApiError(404, `Point ${req.params.key} not found in ${group.kind} group`);
+			}
+			if (!req.body || req.body.value === undefined) {
+				throw new ApiError(400, "Missing value");
+			}
+
+			const address = group.start + point.offset;
+			let raw;
+			try {
+				raw = pointMap.toRaw(point, req.body.value, slave.registers[address]);
+			} catch (err) {
+				throw new ApiError(400, err.message);
+			}
+			const violation = storage.writeWithRules(slaveId, "registers", address, [raw], "api");
+			if (violation) {
+				throw new ApiError(400, `Write refused: ${violation.message}`);
+			}
+
+			await storage.saveSlaves();
+			res.json(readGroup(slave, group).points[point.key]);
+		}),
+	);
+
+	return router;
+};
@@ -0,0 +1,256 @@
+const express = require("express");
+const router = express.Router();
+const { modbusProxy, parseProxySettings } = require("../modules/modbus-proxy");
+const recordings = require("../modules/recordings");
+const { parseScenario, isValidName } = require("../modules/scenario-runner");
+
+// Unit ID mapping of a replay: { "unitId": slaveId } from JSON, or "1=2, 3=4" as posted from the proxy page.
+// Returns { slaveMap } or { error }.
+function parseSlaveMap(input) {
+	let entries = [];
+	if (typeof input === "string") {
+		entries = input
+			.split(/[\s,]+/)
+			.filter((pair) => pair !== "")
+			.map((pair) => pair.split("="));
+	} else if (typeof input === "object" && input !== null && !Array.isArray(input)) {
+		entries = Object.entries(input);
+	} else if (input !== undefined) {
+		return { error: "slaveMap must map recorded unit IDs to slave IDs" };
+	}
+
+	const slaveMap = {};
+	for (const [unitId, slaveId] of entries) {
+		const from = Number(unitId);
+		const to = Number(slaveId);
+		if (!Number.isInteger(from) || from < 0 || from > 255 || !Number.isInteger(to) || to < 1 || to > 247) {
+			return { error: `Invalid unit ID mapping ${unitId}=${slaveId}` };
+		}
+		slaveMap[from] = to;
+	}
+	return { slaveMap };
+}
+
+// Proxy mode, recordings and their replay: the proxy page and its API
+module.exports = (storage, scenarios) => {
+	const redirect = (res, message) => res.redirect(`/proxy?message=${encodeURIComponent(message)}`);
+
+	// Replays a recording on the local slaves. `mode` "snapshot" writes the last recorded values,
+	// "timeline" saves the recorded value changes as a scenario (and starts it when `start` is set).
+	// Returns a description of the result, throws with err.status on bad input.
+	async function replay(name, options) {
+		const recording = await recordings.getRecording(name);
+		if (!recording) {
+			throw Object.assign(new Error(`Recording ${name} not found`), { status: 404 });
+		}
+
+		const { slaveMap, error } = parseSlaveMap(options.slaveMap);
+		if (error) {
+			throw Object.assign(new Error(error), { status: 400 });
+		}
+
+		if (options.mode === "snapshot") {
+			const written = recordings.applySnapshot(storage, recording, slaveMap);
+			await storage.saveSlaves();
+			return { mode: "snapshot", written };
+		}
+		if (options.mode !== "timeline") {
+			throw Object.assign(new Error("mode must be snapshot or timeline"), { status: 400 });
+		}
+
+		const scenarioName = options.scenario || `replay-${name}`.slice(0, 64);
+		if (!isValidName(scenarioName)) {
+			throw Object.assign(new Error("scenario may only contain letters, digits, - and _"), { status: 400 });
+		}
+		const speed = options.speed === undefined || options.speed === "" ? 1 : Number(options.speed);
+		if (!Number.isFinite(speed) || speed <= 0) {
+			throw Object.assign(new Error("speed must be a positive number"), { status: 400 });
+		}
+
+		const result = parseScenario(recordings.toScenario(storage, recording, { slaveMap, loop: options.loop === true, speed }));
+		if (result.error) {
+			throw Object.assign(new Error(`The recording cannot be replayed: ${result.error}`), { status: 400 });
+		}
+		await scenarios.saveScenario(scenarioName, result.scenario);
+		if (options.start === true) {
+			try {
+				await scenarios.start(scenarioName);
+			} catch (err) {
+				throw Object.assign(new Error(`Scenario ${scenarioName} saved, but cannot be started: ${err.message}`), { status: 400 });
+			}
+		}
+		return { mode: "timeline", scenario: scenarioName, steps: result.scenario.steps.length, started: options.start === true };
+	}
+
+	router.get("/proxy", async (req, res) => {
+		try {
+			res.render("proxy", {
+				slaves: storage.getSlaveIds(),
+				settings: storage.getConfig().proxy,
+				status: modbusProxy.getStatus(),
+				recordings: await recordings.listRecordings(),
+				message: req.query.message,
+			});
+		} catch (err) {
+			console.error("Error listing recordings:", err);
+			res.status(500).send("Hiba történt a felvételek betöltése során");
+		}
+	});
+
+	router.post("/proxy", async (req, res) => {
+		const { settings, error } = parseProxySettings(req.body, storage.getConfig().proxy, true);
+		if (error) {
+			return redirect(res, `Hibás proxy beállítások: ${error}`);
+		}
+
+		await storage.updateConfig({ proxy: settings });
+		modbusProxy.configure(settings);
+		redirect(res, "Proxy beállítások mentve");
+	});
+
+	router.post("/proxy/recording/start", async (req, res) => {
+		const name = typeof req.body.name === "string" && req.body.name.trim() !== "" ? req.body.name.trim() : recordings.createName();
+		if (!recordings.isValidName(name)) {
+			return redirect(res, "Hibás név: csak betűk, számok, - és _ használhatók");
+		}
+
+		try {
+			await modbusProxy.startRecording(name);
+			redirect(res, "Rögzítés elindítva");
+		} catch (err) {
+			console.error("Error starting recording:", err);
+			res.status(500).send("Hiba történt a rögzítés indítása során");
+		}
+	});
+
+	router.post("/proxy/recording/stop", async (req, res) => {
+		try {
+			const name = await modbusProxy.stopRecording();
+			redirect(res, name ? `Felvétel mentve: ${name}` : "Nincs folyamatban rögzítés");
+		} catch (err) {
+			console.error("Error saving recording:", err);
+			res.status(500).send("Hiba történt a felvétel mentése során");
+		}
+	});
+
+	router.post("/proxy/recordings/:name/replay", async (req, res) => {
+		try {
+			const result = await replay(req.params.name, {
+				mode: req.body.mode,
+				slaveMap: req.body.slaveMap || "",
+				scenario: req.body.scenario ? req.body.scenario.trim() : "",
+				speed: req.body.speed,
+				loop: req.body.loop === "on",
+				start: req.body.start === "on",
+			});
+			if (result.mode === "snapshot") {
+				return redirect(res, `Visszajátszva: ${result.written} érték írva`);
+			}
+			res.redirect(`/scenarios?message=${encodeURIComponent(`Forgatókönyv létrehozva: ${result.scenario} (${result.steps} lépés)${result.started ? ", elindítva" : ""}`)}`);
+		} catch (err) {
+			if (!err.status) {
+				console.error("Error replaying recording:", err);
+			}
+			redirect(res, `A felvétel nem játszható vissza: ${err.message}`);
+		}
+	});
+
+	router.post("/proxy/recordings/:name/delete", async (req, res) => {
+		try {
+			const deleted = await recordings.deleteRecording(req.params.name);
+			redirect(res, deleted ? "Felvétel törölve" : "Felvétel nem található");
+		} catch (err) {
+			console.error("Error deleting recording:", err);
+			res.status(500).send("Hiba történt a törlés során");
+		}
+	});
+
+	router.get("/api/proxy", (req, res) => {
+		res.json({ settings: storage.getConfig().proxy, status: modbusProxy.getStatus() });
+	});
+
+	// Partial update of the proxy settings: { "enabled": true, "unitIds": [1], "host": "192.168.1.20" }
+	router.put("/api/proxy", async (req, res) => {
+		if (typeof req.body !== "object" || req.body === null || Array.isArray(req.body)) {
+			return res.status(400).json({ error: "Body must be a proxy settings object" });
+		}
+
+		const { settings, error } = parseProxySettings(req.body, storage.getConfig().proxy);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+
+		await storage.updateConfig({ proxy: settings });
+		modbusProxy.configure(settings);
+		res.json({ settings, status: modbusProxy.getStatus() });
+	});
+
+	// Starts recording the forwarded transactions: { "name": "morning" }, named after the time when omitted
+	router.post("/api/proxy/recording/start", async (req, res, next) => {
+		const name = (req.body && req.body.name) || recordings.createName();
+		if (!recordings.isValidName(name)) {
+			return res.status(400).json({ error: "Recording names may only contain letters, digits, - and _" });
+		}
+
+		try {
+			await modbusProxy.startRecording(name);
+			res.json(modbusProxy.getStatus());
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	router.post("/api/proxy/recording/stop", async (req, res, next) => {
+		try {
+			const name = await modbusProxy.stopRecording();
+			res.json({ name, status: modbusProxy.getStatus() });
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	router.get("/api/recordings", async (req, res, next) => {
+		try {
+			res.json(await recordings.listRecordings());
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	router.get("/api/recordings/:name", async (req, res, next) => {
+		try {
+			const recording = await recordings.getRecording(req.params.name);
+			if (!recording) {
+				return res.status(404).json({ error: `Recording ${req.params.name} not found` });
+			}
+			res.json(recording);
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	router.delete("/api/recordings/:name", async (req, res, next) => {
+		try {
+			if (!(await recordings.deleteRecording(req.params.name))) {
+				return res.status(404).json({ error: `Recording ${req.params.name} not found` });
+			}
+			res.status(204).end();
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	// Replays a recording: { "mode": "timeline", "slaveMap": { "1": 2 }, "loop": true, "start": true }
+	router.post("/api/recordings/:name/replay", async (req, res, next) => {
+		try {
+			res.json(await replay(req.params.name, req.body || {}));
+		} catch (err) {
+			if (!err.status) {
+				return next(err);
+			}
+			res.status(err.status).json({ error: err.message });
+		}
+	});
+
+	return router;
+};
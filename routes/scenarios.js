@@ -0,0 +1,160 @@
+const express = require("express");
+const router = express.Router();
+const { parseScenario, isValidName } = require("../modules/scenario-runner");
+
+// Scenario library and runner: the scenarios page and its API
+module.exports = (storage, scenarios) => {
+	const redirect = (res, message) => res.redirect(`/scenarios?message=${encodeURIComponent(message)}`);
+
+	router.get("/scenarios", async (req, res) => {
+		try {
+			const list = await scenarios.listScenarios();
+			let editName = "";
+			let editText = "";
+
+			if (isValidName(req.query.edit)) {
+				try {
+					const scenario = await scenarios.getScenario(req.query.edit);
+					if (scenario) {
+						editName = req.query.edit;
+						editText = JSON.stringify(scenario, null, 2);
+					}
+				} catch (err) {
+					editName = req.query.edit;
+				}
+			}
+
+			res.render("scenarios", {
+				slaves: storage.getSlaveIds(),
+				scenarios: list,
+				status: scenarios.getStatus(),
+				editName,
+				editText,
+				message: req.query.message,
+			});
+		} catch (err) {
+			console.error("Error listing scenarios:", err);
+			res.status(500).send("Hiba történt a forgatókönyvek betöltése során");
+		}
+	});
+
+	router.post("/scenarios/save", async (req, res) => {
+		const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+		if (!isValidName(name)) {
+			return redirect(res, "Hibás név: csak betűk, számok, - és _ használhatók");
+		}
+
+		const { scenario, error } = parseScenario(req.body.definition || "");
+		if (error) {
+			return redirect(res, `Hibás forgatókönyv: ${error}`);
+		}
+
+		try {
+			await scenarios.saveScenario(name, scenario);
+			res.redirect(`/scenarios?edit=${name}&message=${encodeURIComponent("Forgatókönyv mentve")}`);
+		} catch (err) {
+			console.error("Error saving scenario:", err);
+			res.status(500).send("Hiba történt a mentés során");
+		}
+	});
+
+	router.post("/scenarios/:name/start", async (req, res) => {
+		try {
+			await scenarios.start(req.params.name);
+			redirect(res, "Forgatókönyv elindítva");
+		} catch (err) {
+			redirect(res, `A forgatókönyv nem indítható: ${err.message}`);
+		}
+	});
+
+	router.post("/scenarios/stop", (req, res) => {
+		scenarios.stop();
+		redirect(res, "Forgatókönyv leállítva");
+	});
+
+	router.post("/scenarios/:name/delete", async (req, res) => {
+		try {
+			const deleted = await scenarios.deleteScenario(req.params.name);
+			redirect(res, deleted ? "Forgatókönyv törölve" : "Forgatókönyv nem található");
+		} catch (err) {
+			console.error("Error deleting scenario:", err);
+			res.status(500).send("Hiba történt a törlés során");
+		}
+	});
+
+	// Runner state, polled by the scenarios page
+	router.get("/api/scenario", (req, res) => {
+		res.json(scenarios.getStatus());
+	});
+
+	// Starts a scenario: { "name": "unit-error" }
+	router.post("/api/scenario/start", async (req, res) => {
+		const name = req.body && req.body.name;
+		if (!isValidName(name)) {
+			return res.status(400).json({ error: "name must be the name of a scenario" });
+		}
+		try {
+			await scenarios.start(name);
+			res.json(scenarios.getStatus());
+		} catch (err) {
+			res.status(err.code === "ENOENT" ? 404 : 400).json({ error: err.message });
+		}
+	});
+
+	router.post("/api/scenario/stop", (req, res) => {
+		scenarios.stop();
+		res.json(scenarios.getStatus());
+	});
+
+	router.get("/api/scenarios", async (req, res, next) => {
+		try {
+			res.json(await scenarios.listScenarios());
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	router.get("/api/scenarios/:name", async (req, res) => {
+		try {
+			const scenario = await scenarios.getScenario(req.params.name);
+			if (!scenario) {
+				return res.status(404).json({ error: `Scenario ${req.params.name} not found` });
+			}
+			res.json(scenario);
+		} catch (err) {
+			res.status(400).json({ error: err.message });
+		}
+	});
+
+	// Creates or replaces a scenario
+	router.put("/api/scenarios/:name", async (req, res, next) => {
+		if (!isValidName(req.params.name)) {
+			return res.status(400).json({ error: "Scenario names may only contain letters, digits, - and _" });
+		}
+
+		const { scenario, error } = parseScenario(req.body);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+
+		try {
+			await scenarios.saveScenario(req.params.name, scenario);
+			res.json(scenario);
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	router.delete("/api/scenarios/:name", async (req, res, next) => {
+		try {
+			if (!(await scenarios.deleteScenario(req.params.name))) {
+				return res.status(404).json({ error: `Scenario ${req.params.name} not found` });
+			}
+			res.status(204).end();
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	return router;
+};
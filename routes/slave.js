@@ -1,7 +1,48 @@
 const express = require("express");
 const router = express.Router();
+const pointMap = require("../modules/point-map");
+const layout = require("../modules/device-layout");
+const faultInjection = require("../modules/fault-injection");
+const { SAMSUNG_RULES, parseRules } = require("../modules/write-rules");
+const { parseUnitParameters } = require("../modules/simulation");
+const profiles = require("../modules/profiles");
+const { parseHistoryQuery } = require("../modules/register-history");
 
-module.exports = (storage, slaveIds) => {
+// Editable Modbus data tables, in the order they appear on the slave page
+const TABLES = {
+	registers: { title: "Holding regiszterek", label: "Regiszter", max: 65535 },
+	inputRegisters: { title: "Input regiszterek", label: "Input regiszter", max: 65535 },
+	coils: { title: "Coilok", label: "Coil", max: 1 },
+	discreteInputs: { title: "Diszkrét bemenetek", label: "Bemenet", max: 1 },
+};
+
+// Labels of the Read Device Identification objects
+const IDENTIFICATION_LABELS = {
+	vendorName: "Gyártó",
+	productCode: "Termékkód",
+	revision: "Revízió",
+	vendorUrl: "Gyártó URL",
+	productName: "Termék neve",
+	modelName: "Modell",
+	userApplicationName: "Alkalmazás neve",
+};
+
+function parseTable(value) {
+	return Object.prototype.hasOwnProperty.call(TABLES, value) ? value : "registers";
+}
+
+// Named points of a group, keyed by their offset within the group. The point map describes holding registers.
+function getPoints(group, table) {
+	const points = {};
+	if (table === "registers") {
+		pointMap.getGroupPoints(group).forEach((point) => {
+			points[point.offset] = point;
+		});
+	}
+	return points;
+}
+
+module.exports = (storage, simulation, history) => {
 	router.get("/slave/:id", (req, res) => {
 		const slaveId = parseInt(req.params.id, 10);
 		const slaves = storage.getSlaves();
@@ -10,31 +51,64 @@ module.exports = (storage, slaveIds) => {
 			return res.status(404).send("Eszköz nem található");
 		}
 
-		let group = parseInt(req.query.group, 10);
-		if (isNaN(group) || group < 1 || group > 7) {
-			group = 1;
-		}
-
-		let registers = [];
-		let startReg = 0;
-
-		if (group === 1) {
-			// First group: only 6 registers
-			registers = slaves[slaveId].registers.slice(0, 6);
-			startReg = 0;
-		} else {
-			// Groups 2-7: 50 registers each
-			const start = (group - 1) * 50;
-			registers = slaves[slaveId].registers.slice(start, start + 50);
-			startReg = start;
-		}
+		const groupInfo = layout.getGroup(slaves[slaveId].layout, parseInt(req.query.group, 10));
+		const group = groupInfo.group;
+		const table = parseTable(req.query.table);
+		const { start, size } = groupInfo;
 
 		res.render("slave", {
-			slaves: slaveIds,
+			slaves: storage.getSlaveIds(),
 			slaveId,
-			registers,
+			registers: slaves[slaveId][table].slice(start, start + size),
 			group,
-			startReg,
+			groupInfo,
+			groups: layout.getGroups(slaves[slaveId].layout),
+			slaveLayout: slaves[slaveId].layout,
+			startReg: start,
+			table,
+			tables: TABLES,
+			points: getPoints(groupInfo, table),
+			pointMap,
+			identification: slaves[slaveId].identification,
+			identificationLabels: IDENTIFICATION_LABELS,
+			faults: slaves[slaveId].faults,
+			faultsActive: faultInjection.isActive(slaves[slaveId].faults),
+			rules: slaves[slaveId].rules,
+			unitParameters: groupInfo.kind === "indoor" ? simulation.getUnitParameters(slaveId, groupInfo.unit) : null,
+			simulationRunning: simulation.isRunning(),
+			// The trend starts with the registers of the shown group
+			trendAddresses: `${start}-${start + size - 1}`,
+			message: req.query.message,
+		});
+	});
+
+	// Register changes of a slave as Server-Sent Events, followed live by the slave page
+	router.get("/slave/:id/events", (req, res) => {
+		const slaveId = parseInt(req.params.id, 10);
+
+		if (!storage.getSlaves()[slaveId]) {
+			return res.status(404).send("Eszköz nem található");
+		}
+
+		res.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+		});
+		res.write(": connected\n\n");
+
+		const onChange = (change) => {
+			if (change.slaveId === slaveId) {
+				res.write(`data: ${JSON.stringify(change)}\n\n`);
+			}
+		};
+		// Comments keep proxies from closing an idle stream
+		const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+
+		storage.on("change", onChange);
+		req.on("close", () => {
+			clearInterval(keepAlive);
+			storage.off("change", onChange);
 		});
 	});
 
@@ -46,52 +120,286 @@ module.exports = (storage, slaveIds) => {
 			return res.status(404).send("Eszköz nem található");
 		}
 
-		let group = parseInt(req.query.group, 10);
-		if (isNaN(group) || group < 1 || group > 7) {
-			group = 1;
-		}
+		const groupInfo = layout.getGroup(slaves[slaveId].layout, parseInt(req.query.group, 10));
+		const group = groupInfo.group;
+		const table = parseTable(req.query.table);
+		const max = TABLES[table].max;
+		const { start, size } = groupInfo;
+		const points = getPoints(groupInfo, table);
+		const values = slaves[slaveId][table].slice(start, start + size);
+		const errors = [];
+		const stale = [];
+		const refused = [];
 
 		try {
-			if (group === 1) {
-				// Update first 6 registers
-				for (let i = 0; i < 6; i++) {
-					const regKey = `reg${i}`;
-					if (req.body[regKey] !== undefined) {
+			for (let i = 0; i < size; i++) {
+				const regKey = `reg${i}`;
+				const point = points[i];
+				const current = values[i];
+				// Raw value shown when the page was rendered (kept up to date by the live view)
+				const original = req.body[`orig${i}`] !== undefined ? parseInt(req.body[`orig${i}`], 10) : current;
+				let raw;
+
+				if (point && point.bits) {
+					// Bitfields are posted as one checkbox per bit, unchecked ones are missing from the body
+					if (req.body[`${regKey}_bits`] !== undefined) {
+						const flags = {};
+						Object.keys(point.bits).forEach((bit) => {
+							flags[point.bits[bit]] = req.body[`${regKey}_bit${bit}`] === "on";
+						});
+						raw = pointMap.toRaw(point, flags, original);
+					}
+				} else if (req.body[regKey] !== undefined) {
+					if (point) {
+						// Named point: the value is in engineering units (raw for enums). A value left as it was
+						// shown is skipped, so a register already out of range does not fail every save.
+						const unchanged = point.enum ? req.body[regKey] === String(original) : Number(req.body[regKey]) === pointMap.toValue(point, original);
+						if (!unchanged) {
+							try {
+								raw = pointMap.toRaw(point, req.body[regKey]);
+							} catch (err) {
+								errors.push(`${point.name}: ${err.message}`);
+							}
+						}
+					} else {
 						const value = parseInt(req.body[regKey], 10);
 						if (!isNaN(value)) {
-							slaves[slaveId].registers[i] = value & 0xffff;
+							raw = Math.min(Math.max(value, 0), max);
 						}
 					}
 				}
-			} else {
-				// Update 50 registers for groups 2-7
-				const base = (group - 1) * 50;
-				for (let i = 0; i < 50; i++) {
-					const regKey = `reg${i}`;
-					if (req.body[regKey] !== undefined) {
-						const value = parseInt(req.body[regKey], 10);
-						if (!isNaN(value)) {
-							slaves[slaveId].registers[base + i] = value & 0xffff;
-						}
+
+				if (raw === undefined) continue;
+
+				const name = point ? point.name : `${TABLES[table].label} ${start + i}`;
+				// Changed by a master or another session since the page was loaded: the newer value is kept,
+				// and reported if the form would have overwritten it
+				if (current !== original) {
+					if (raw !== original) {
+						stale.push(name);
+					}
+					continue;
+				}
+
+				// Only changed values are written, so unchanged read-only registers do not break the rules
+				if (raw !== current) {
+					const violation = storage.writeWithRules(slaveId, table, start + i, [raw], "web");
+					if (violation) {
+						refused.push(`${name}: ${violation.message}`);
 					}
 				}
 			}
 
 			await storage.saveSlaves();
-			res.redirect(`/slave/${slaveId}?group=${group}`);
+
+			const messages = [];
+			if (errors.length > 0) {
+				messages.push(`Hibás értékek: ${errors.join("; ")}`);
+			}
+			if (refused.length > 0) {
+				messages.push(`Elutasított írások: ${refused.join("; ")}`);
+			}
+			if (stale.length > 0) {
+				messages.push(`Időközben módosult, nem felülírt értékek: ${stale.join(", ")}`);
+			}
+			const message = messages.length > 0 ? `&message=${encodeURIComponent(messages.join(" | "))}` : "";
+			res.redirect(`/slave/${slaveId}?group=${group}&table=${table}${message}`);
 		} catch (err) {
 			console.error("Error saving slave data:", err);
 			res.status(500).send("Hiba történt a mentés során");
 		}
 	});
 
+	router.post("/slave/:id/rules", async (req, res) => {
+		const slaveId = parseInt(req.params.id, 10);
+		const group = parseInt(req.query.group, 10) || 1;
+		const table = parseTable(req.query.table);
+
+		if (!storage.getSlaves()[slaveId]) {
+			return res.status(404).send("Eszköz nem található");
+		}
+
+		const { rules, error } = parseRules(req.body.preset === "samsung" ? SAMSUNG_RULES : req.body.rules || "");
+		if (error) {
+			return res.redirect(`/slave/${slaveId}?group=${group}&table=${table}&message=${encodeURIComponent(`Hibás szabályok: ${error}`)}`);
+		}
+
+		try {
+			await storage.updateRules(slaveId, rules);
+			res.redirect(`/slave/${slaveId}?group=${group}&table=${table}&message=${encodeURIComponent("Szabályok mentve")}`);
+		} catch (err) {
+			console.error("Error saving write rules:", err);
+			res.status(500).send("Hiba történt a mentés során");
+		}
+	});
+
+	// Downloads the registers as a JSON profile, or the holding registers as CSV with ?format=csv
+	router.get("/slave/:id/export", (req, res) => {
+		const slaveId = parseInt(req.params.id, 10);
+		const slave = storage.getSlaves()[slaveId];
+		if (!slave) {
+			return res.status(404).send("Eszköz nem található");
+		}
+
+		if (req.query.format === "csv") {
+			res.attachment(`slave-${slaveId}.csv`);
+			return res.type("text/csv").send(profiles.exportCSV(slave));
+		}
+		res.attachment(`slave-${slaveId}.json`);
+		res.send(JSON.stringify(profiles.exportJSON(slaveId, slave), null, 2));
+	});
+
+	// Downloads the change history as CSV, filtered like the trend (see GET /api/slaves/:id/history)
+	router.get("/slave/:id/history.csv", (req, res) => {
+		const slaveId = parseInt(req.params.id, 10);
+		const slave = storage.getSlaves()[slaveId];
+		if (!slave) {
+			return res.status(404).send("Eszköz nem található");
+		}
+
+		const { filter, error } = parseHistoryQuery(req.query, slave);
+		if (error) {
+			return res.status(400).send(error);
+		}
+		res.attachment(`slave-${slaveId}-history.csv`);
+		res.type("text/csv").send(history.toCSV(slave, history.getEntries(slaveId, filter)));
+	});
+
+	// Imports a pasted JSON or CSV profile, the write rules do not apply
+	router.post("/slave/:id/import", async (req, res) => {
+		const slaveId = parseInt(req.params.id, 10);
+		const group = parseInt(req.query.group, 10) || 1;
+		const table = parseTable(req.query.table);
+		const slave = storage.getSlaves()[slaveId];
+		const redirect = (message) => res.redirect(`/slave/${slaveId}?group=${group}&table=${table}&message=${encodeURIComponent(message)}`);
+
+		if (!slave) {
+			return res.status(404).send("Eszköz nem található");
+		}
+
+		const { profile, error } = profiles.parseProfile(req.body.profile || "", slave.registers.length);
+		if (error) {
+			return redirect(`Hibás profil: ${error}`);
+		}
+
+		try {
+			const written = profiles.applyProfile(storage, slaveId, profile, "web");
+			await storage.saveSlaves();
+			redirect(`Profil importálva: ${written} érték`);
+		} catch (err) {
+			console.error("Error importing profile:", err);
+			res.status(500).send("Hiba történt az importálás során");
+		}
+	});
+
+	router.post("/slave/:id/identification", async (req, res) => {
+		const slaveId = parseInt(req.params.id, 10);
+		const group = parseInt(req.query.group, 10) || 1;
+		const table = parseTable(req.query.table);
+
+		if (!storage.getSlaves()[slaveId]) {
+			return res.status(404).send("Eszköz nem található");
+		}
+
+		try {
+			const identification = {};
+			storage.getIdentificationFields().forEach((field) => {
+				if (typeof req.body[field] === "string") {
+					identification[field] = req.body[field].trim();
+				}
+			});
+			await storage.updateIdentification(slaveId, identification);
+			res.redirect(`/slave/${slaveId}?group=${group}&table=${table}`);
+		} catch (err) {
+			console.error("Error saving device identification:", err);
+			res.status(500).send("Hiba történt a mentés során");
+		}
+	});
+
+	router.post("/slave/:id/layout", async (req, res) => {
+		const slaveId = parseInt(req.params.id, 10);
+		const slave = storage.getSlaves()[slaveId];
+		const table = parseTable(req.query.table);
+
+		if (!slave) {
+			return res.status(404).send("Eszköz nem található");
+		}
+
+		const { layout: newLayout, error } = layout.parseLayout(req.body, slave.layout, slave.registers.length);
+		if (error) {
+			return res.redirect(`/slave/${slaveId}?table=${table}&message=${encodeURIComponent(`Hibás elrendezés: ${error}`)}`);
+		}
+
+		try {
+			await storage.updateLayout(slaveId, newLayout);
+			res.redirect(`/slave/${slaveId}?table=${table}&message=${encodeURIComponent("Elrendezés mentve")}`);
+		} catch (err) {
+			console.error("Error saving layout:", err);
+			res.status(500).send("Hiba történt a mentés során");
+		}
+	});
+
+	router.post("/slave/:id/faults", async (req, res) => {
+		const slaveId = parseInt(req.params.id, 10);
+		const slave = storage.getSlaves()[slaveId];
+		const group = parseInt(req.query.group, 10) || 1;
+		const table = parseTable(req.query.table);
+
+		if (!slave) {
+			return res.status(404).send("Eszköz nem található");
+		}
+
+		const { faults, error } = faultInjection.parseFaults(req.body, slave.faults, true);
+		if (error) {
+			return res.redirect(`/slave/${slaveId}?group=${group}&table=${table}&message=${encodeURIComponent(`Hibás hibaprofil: ${error}`)}`);
+		}
+
+		try {
+			await storage.updateFaults(slaveId, faults);
+			res.redirect(`/slave/${slaveId}?group=${group}&table=${table}&message=${encodeURIComponent("Hibaprofil mentve")}`);
+		} catch (err) {
+			console.error("Error saving fault profile:", err);
+			res.status(500).send("Hiba történt a mentés során");
+		}
+	});
+
+	router.post("/slave/:id/simulation", async (req, res) => {
+		const slaveId = parseInt(req.params.id, 10);
+		const slave = storage.getSlaves()[slaveId];
+
+		if (!slave) {
+			return res.status(404).send("Eszköz nem található");
+		}
+
+		const groupInfo = layout.getGroup(slave.layout, parseInt(req.query.group, 10));
+		const table = parseTable(req.query.table);
+		const redirect = (message) => res.redirect(`/slave/${slaveId}?group=${groupInfo.group}&table=${table}&message=${encodeURIComponent(message)}`);
+		if (groupInfo.kind !== "indoor") {
+			return redirect("Csak beltéri egység szimulációja állítható");
+		}
+
+		const { parameters, error } = parseUnitParameters(req.body, simulation.getUnitParameters(slaveId, groupInfo.unit));
+		if (error) {
+			return redirect(`Hibás szimulációs paraméterek: ${error}`);
+		}
+
+		try {
+			await simulation.updateUnitParameters(slaveId, groupInfo.unit, parameters);
+			redirect("Szimulációs paraméterek mentve");
+		} catch (err) {
+			console.error("Error saving simulation parameters:", err);
+			res.status(500).send("Hiba történt a mentés során");
+		}
+	});
+
 	router.post("/slave/:id/clear", async (req, res) => {
 		const slaveId = parseInt(req.params.id, 10);
 		const group = parseInt(req.query.group, 10) || 1;
+		const table = parseTable(req.query.table);
 
 		try {
 			await storage.clearSlave(slaveId);
-			res.redirect(`/slave/${slaveId}?group=${group}`);
+			res.redirect(`/slave/${slaveId}?group=${group}&table=${table}`);
 		} catch (err) {
 			console.error("Error clearing slave:", err);
 			res.status(500).send("Hiba történt a törlés során");
@@ -0,0 +1,184 @@
+const express = require("express");
+const router = express.Router();
+const snapshots = require("../modules/snapshots");
+
+// Named snapshots of the register tables: the snapshots page and its API
+module.exports = (storage) => {
+	const redirect = (res, message) => res.redirect(`/snapshots?message=${encodeURIComponent(message)}`);
+
+	// Slave ID of the scope of a new snapshot, or of the target of a restore: null when not given,
+	// undefined when it is not an emulated slave
+	function parseSlaveId(value) {
+		if (value === undefined || value === null || value === "") return null;
+		const slaveId = Number(value);
+		return storage.getSlaves()[slaveId] ? slaveId : undefined;
+	}
+
+	function summarize(snapshot) {
+		return { name: snapshot.name, createdAt: snapshot.createdAt, slaveId: snapshot.slaveId, slaves: Object.keys(snapshot.slaves).map(Number) };
+	}
+
+	router.get("/snapshots", async (req, res) => {
+		try {
+			let diff = null;
+			if (snapshots.isValidName(req.query.diff)) {
+				const snapshot = await snapshots.getSnapshot(req.query.diff);
+				const target = parseSlaveId(req.query.target);
+				if (snapshot && target !== undefined) {
+					diff = { name: snapshot.name, target, ...snapshots.diffSnapshot(storage, snapshot, target) };
+				}
+			}
+
+			res.render("snapshots", {
+				slaves: storage.getSlaveIds(),
+				snapshots: await snapshots.listSnapshots(),
+				diff,
+				message: req.query.message,
+			});
+		} catch (err) {
+			console.error("Error listing snapshots:", err);
+			res.status(500).send("Hiba történt a pillanatképek betöltése során");
+		}
+	});
+
+	router.post("/snapshots/save", async (req, res) => {
+		const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+		if (!snapshots.isValidName(name)) {
+			return redirect(res, "Hibás név: csak betűk, számok, - és _ használhatók");
+		}
+		const slaveId = parseSlaveId(req.body.slaveId);
+		if (slaveId === undefined) {
+			return redirect(res, "Eszköz nem található");
+		}
+
+		try {
+			await snapshots.saveSnapshot(snapshots.createSnapshot(storage, name, slaveId));
+			redirect(res, `Pillanatkép mentve: ${name}`);
+		} catch (err) {
+			console.error("Error saving snapshot:", err);
+			res.status(500).send("Hiba történt a mentés során");
+		}
+	});
+
+	router.post("/snapshots/:name/restore", async (req, res) => {
+		const target = parseSlaveId(req.body.target);
+		if (target === undefined) {
+			return redirect(res, "Eszköz nem található");
+		}
+
+		try {
+			const snapshot = await snapshots.getSnapshot(req.params.name);
+			if (!snapshot) {
+				return redirect(res, "Pillanatkép nem található");
+			}
+			const restored = snapshots.restoreSnapshot(storage, snapshot, "web", target);
+			await storage.saveSlaves();
+			redirect(res, restored.length > 0 ? `Visszaállítva: ${restored.map((id) => `Kültéri ${id}`).join(", ")}` : "A pillanatkép eszközei már nem léteznek");
+		} catch (err) {
+			console.error("Error restoring snapshot:", err);
+			res.status(500).send("Hiba történt a visszaállítás során");
+		}
+	});
+
+	router.post("/snapshots/:name/delete", async (req, res) => {
+		try {
+			const deleted = await snapshots.deleteSnapshot(req.params.name);
+			redirect(res, deleted ? "Pillanatkép törölve" : "Pillanatkép nem található");
+		} catch (err) {
+			console.error("Error deleting snapshot:", err);
+			res.status(500).send("Hiba történt a törlés során");
+		}
+	});
+
+	router.get("/api/snapshots", async (req, res, next) => {
+		try {
+			res.json(await snapshots.listSnapshots());
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	// Saves a snapshot, replacing the one of the same name: { "name": "heating-alarm", "slaveId": 1 },
+	// of every slave when slaveId is omitted
+	router.post("/api/snapshots", async (req, res, next) => {
+		const name = req.body && req.body.name;
+		if (!snapshots.isValidName(name)) {
+			return res.status(400).json({ error: "name may only contain letters, digits, - and _" });
+		}
+		const slaveId = parseSlaveId(req.body.slaveId);
+		if (slaveId === undefined) {
+			return res.status(404).json({ error: `Slave ${req.body.slaveId} not found` });
+		}
+
+		try {
+			const snapshot = snapshots.createSnapshot(storage, name, slaveId);
+			await snapshots.saveSnapshot(snapshot);
+			res.status(201).json(summarize(snapshot));
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	router.get("/api/snapshots/:name", async (req, res, next) => {
+		try {
+			const snapshot = await snapshots.getSnapshot(req.params.name);
+			if (!snapshot) {
+				return res.status(404).json({ error: `Snapshot ${req.params.name} not found` });
+			}
+			res.json(snapshot);
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	router.delete("/api/snapshots/:name", async (req, res, next) => {
+		try {
+			if (!(await snapshots.deleteSnapshot(req.params.name))) {
+				return res.status(404).json({ error: `Snapshot ${req.params.name} not found` });
+			}
+			res.status(204).end();
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	// Differences from the current tables, compared with slave ?target= for a single slave snapshot
+	router.get("/api/snapshots/:name/diff", async (req, res, next) => {
+		const target = parseSlaveId(req.query.target);
+		if (target === undefined) {
+			return res.status(404).json({ error: `Slave ${req.query.target} not found` });
+		}
+
+		try {
+			const snapshot = await snapshots.getSnapshot(req.params.name);
+			if (!snapshot) {
+				return res.status(404).json({ error: `Snapshot ${req.params.name} not found` });
+			}
+			res.json(snapshots.diffSnapshot(storage, snapshot, target));
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	// Restores a snapshot: { "target": 2 } restores a single slave snapshot to another slave
+	router.post("/api/snapshots/:name/restore", async (req, res, next) => {
+		const target = parseSlaveId(req.body && req.body.target);
+		if (target === undefined) {
+			return res.status(404).json({ error: `Slave ${req.body.target} not found` });
+		}
+
+		try {
+			const snapshot = await snapshots.getSnapshot(req.params.name);
+			if (!snapshot) {
+				return res.status(404).json({ error: `Snapshot ${req.params.name} not found` });
+			}
+			const restored = snapshots.restoreSnapshot(storage, snapshot, "api", target);
+			await storage.saveSlaves();
+			res.json({ restored });
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	return router;
+};
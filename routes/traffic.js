@@ -0,0 +1,70 @@
+const express = require("express");
+const router = express.Router();
+const trafficMonitor = require("../modules/traffic-monitor");
+
+// Transactions shown on the page when no limit is given
+const DEFAULT_LIMIT = 200;
+
+// Traffic filter from the query string, empty fields are ignored
+function parseFilter(query) {
+	const filter = {};
+	const number = (value) => (value === undefined || value === "" ? undefined : parseInt(value, 10));
+
+	if (trafficMonitor.getTransports()[query.transport]) {
+		filter.transport = query.transport;
+	}
+	if (typeof query.client === "string" && query.client.trim() !== "") {
+		filter.client = query.client.trim();
+	}
+	["unitId", "functionCode", "address", "limit"].forEach((field) => {
+		const value = number(query[field]);
+		if (!isNaN(value) && value !== undefined) {
+			filter[field] = value;
+		}
+	});
+	filter.errorsOnly = query.errorsOnly === "on" || query.errorsOnly === "true";
+	return filter;
+}
+
+module.exports = (storage) => {
+	router.get("/traffic", (req, res) => {
+		const filter = parseFilter(req.query);
+		const entries = trafficMonitor.getEntries({ ...filter, limit: filter.limit || DEFAULT_LIMIT });
+
+		res.render("traffic", {
+			slaves: storage.getSlaveIds(),
+			entries: entries.reverse(),
+			query: req.query,
+			transports: trafficMonitor.getTransports(),
+			functionNames: trafficMonitor.getFunctionNames(),
+			exceptionNames: trafficMonitor.getExceptionNames(),
+			total: trafficMonitor.count,
+			capacity: trafficMonitor.capacity,
+			exportQuery: new URLSearchParams(req.query).toString(),
+			message: req.query.message,
+		});
+	});
+
+	router.get("/traffic/export.jsonl", (req, res) => {
+		res.attachment("modbus-traffic.jsonl");
+		res.type("application/x-ndjson");
+		res.send(trafficMonitor.toJSONL(trafficMonitor.getEntries(parseFilter(req.query))));
+	});
+
+	router.get("/traffic/export.pcap", (req, res) => {
+		res.attachment("modbus-traffic.pcap");
+		res.type("application/vnd.tcpdump.pcap");
+		res.send(trafficMonitor.toPcap(trafficMonitor.getEntries(parseFilter(req.query))));
+	});
+
+	router.post("/traffic/clear", (req, res) => {
+		trafficMonitor.clear();
+		res.redirect("/traffic?message=Forgalom törölve");
+	});
+
+	router.get("/api/traffic", (req, res) => {
+		res.json(trafficMonitor.getEntries(parseFilter(req.query)));
+	});
+
+	return router;
+};
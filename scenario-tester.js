@@ -0,0 +1,226 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const storage = require("./modules/storage");
+const pointMap = require("./modules/point-map");
+const { setPaths, dataPath } = require("./modules/paths");
+const { ScenarioRunner, parseScenario } = require("./modules/scenario-runner");
+const { MqttBridge, DEFAULT_MQTT } = require("./modules/mqtt-bridge");
+const { BacnetObjects } = require("./modules/bacnet-objects");
+const { PROPERTIES } = require("./modules/bacnet-encoding");
+const { parseOptions, waitFor, sleep, runCases, runChecks } = require("./tester-harness");
+
+// Checks the scenario runner on the storage module running in memory, with its scenarios directory in a
+// temporary data directory. Master writes come through storage, the MQTT bridge and the BACnet objects
+// without a broker or a network.
+//
+// Usage: node scenario-tester.js [--verbose]
+const { verbose } = parseOptions();
+
+const SLAVE_ID = 1;
+const REGISTER_COUNT = 500;
+// Registers of the default layout
+const REGISTERS = { setpoint1: 53, roomTemperature1: 54, roomTemperature2: 104, errorCode2: 107 };
+
+const runner = new ScenarioRunner(storage);
+const bridge = new MqttBridge(storage);
+const bacnet = new BacnetObjects(storage);
+
+const registers = () => storage.getSlaves()[SLAVE_ID].registers;
+
+// Changes written by the runner, in order
+let changes = [];
+storage.on("change", (change) => change.source === "scenario" && changes.push(change));
+
+const start = async (scenario) => {
+	await runner.saveScenario("test", scenario);
+	await runner.start("test");
+};
+
+const ended = (state) => waitFor(() => runner.getStatus().state === state, 3000);
+
+const set = (fields) => ({ action: "set", slave: SLAVE_ID, ...fields });
+
+// Master write of one register
+const masterWrite = (address, value, source) => storage.writeWithRules(SLAVE_ID, "registers", address, [value], source, source === "modbus" ? "tcp" : null);
+
+const mqttCommand = (topic, payload) => bridge.handleMessage(`${DEFAULT_MQTT.baseTopic}/${SLAVE_ID}/${topic}/set`, payload);
+
+const bacnetWrite = (address, value) => {
+	const object = [...bacnet.getObjects().values()].find((o) => o.slaveId === SLAVE_ID && o.point.address === address);
+	bacnet.writeProperty(object, PROPERTIES.presentValue, undefined, { type: "real", value });
+};
+
+const cases = [
+	{
+		name: "Examples are copied into a new data directory and listed with invalid files",
+		async run() {
+			const seeded = await runner.listScenarios();
+			await fs.writeFile(dataPath("scenarios", "broken.json"), JSON.stringify({ steps: [] }));
+			const list = await runner.listScenarios();
+			const byName = (name) => list.find((entry) => entry.name === name);
+			return (
+				seeded.length === 2 &&
+				byName("power-on") &&
+				byName("power-on").error === null &&
+				byName("unit-error") &&
+				byName("unit-error").error === null &&
+				byName("broken").error === "steps must be a non-empty array"
+			);
+		},
+	},
+	{
+		name: "Invalid scenarios are refused with the failing step",
+		async run() {
+			const valid = set({ address: 0, value: 1 });
+			const refused = [
+				[{ steps: [valid, { action: "waitFor", slave: SLAVE_ID, address: 1, source: "ftp" }] }, /^steps\[1\]: source/],
+				[{ steps: [{ ...valid, at: 1, after: 1 }] }, /^steps\[0\]: at and after/],
+				[{ steps: [set({ address: 0, value: 1, delta: 1 })] }, /exactly one of/],
+				["{not json", /^Invalid JSON/],
+			].every(([input, pattern]) => pattern.test(parseScenario(input).error));
+
+			let misplaced = false;
+			try {
+				await start({ steps: [set({ point: "indoor.errorCode", unit: 9, value: 1 })] });
+			} catch (err) {
+				misplaced = /not in the layout/.test(err.message);
+			}
+			return refused && misplaced && !runner.isRunning();
+		},
+	},
+	{
+		name: "Timed steps write through storage in order with the scenario source",
+		async run() {
+			await start({
+				steps: [
+					set({ at: 0, point: "indoor.errorCode", unit: 2, value: 101 }),
+					set({ at: 0.4, point: "indoor.roomTemperature", unit: 2, value: 25.5 }),
+					set({ after: 0.2, address: 300, values: [1, 2, 3] }),
+				],
+			});
+			const early = registers()[REGISTERS.errorCode2] === 101 && registers()[REGISTERS.roomTemperature2] === 0;
+			await sleep(200);
+			const waited = registers()[REGISTERS.roomTemperature2] === 0;
+			const done = await ended("finished");
+			const status = runner.getStatus();
+			return (
+				early &&
+				waited &&
+				done &&
+				registers()[REGISTERS.roomTemperature2] === 255 &&
+				registers().slice(300, 303).join() === "1,2,3" &&
+				changes.map((change) => change.start).join() === `${REGISTERS.errorCode2},${REGISTERS.roomTemperature2},300` &&
+				status.elapsed >= 0.6 &&
+				status.step === 3
+			);
+		},
+	},
+	{
+		name: "Ramps reach their target over their duration",
+		async run() {
+			await start({
+				steps: [
+					set({ point: "indoor.roomTemperature", unit: 1, value: 20 }),
+					set({ point: "indoor.roomTemperature", unit: 1, delta: 2, duration: 0.5 }),
+				],
+			});
+			const done = await ended("finished");
+			const values = changes.map((change) => change.values[0]);
+			return done && values[0] === 200 && values.some((value) => value > 200 && value < 220) && values[values.length - 1] === 220 && runner.getStatus().elapsed >= 0.5;
+		},
+	},
+	{
+		name: "waitFor steps wait for a write of their source",
+		async run() {
+			await start({
+				steps: [
+					{ action: "waitFor", slave: SLAVE_ID, address: 150 },
+					set({ address: 151, value: 1 }),
+					{ action: "waitFor", slave: SLAVE_ID, point: "indoor.setpoint", unit: 1, source: "mqtt", value: 23 },
+					set({ address: 152, value: 1 }),
+					{ action: "waitFor", slave: SLAVE_ID, point: "indoor.setpoint", unit: 1, source: "bacnet" },
+					set({ address: 153, value: 1 }),
+					{ action: "waitFor", slave: SLAVE_ID, address: 160, source: "any" },
+					set({ address: 154, value: 1 }),
+				],
+			});
+
+			// Modbus by default: neither the runner itself nor the API completes it
+			storage.writeValues(SLAVE_ID, "registers", 150, [5], "scenario");
+			masterWrite(150, 5, "api");
+			await sleep(300);
+			const modbusWaits = registers()[151] === 0;
+			masterWrite(150, 5, "modbus");
+			const modbus = await waitFor(() => registers()[151] === 1);
+
+			// MQTT with a value: another value, or the value from another source, does not complete it
+			const described = runner.getStatus().waiting === "wait for a mqtt write of indoor.setpoint of unit 1 of slave 1 with 23";
+			mqttCommand("indoor/1/setpoint", "22");
+			masterWrite(REGISTERS.setpoint1, 230, "modbus");
+			await sleep(300);
+			const mqttWaits = registers()[152] === 0;
+			mqttCommand("indoor/1/setpoint", "23");
+			const mqtt = await waitFor(() => registers()[152] === 1);
+
+			mqttCommand("indoor/1/setpoint", "24");
+			await sleep(300);
+			const bacnetWaits = registers()[153] === 0;
+			bacnetWrite(REGISTERS.setpoint1, 24.5);
+			const bacnetDone = await waitFor(() => registers()[153] === 1);
+
+			masterWrite(160, 1, "web");
+			const any = await waitFor(() => registers()[154] === 1);
+
+			return modbusWaits && modbus && described && mqttWaits && mqtt && bacnetWaits && bacnetDone && any && (await ended("finished"));
+		},
+	},
+	{
+		name: "waitUntil follows the value and fails the run on timeout",
+		async run() {
+			await start({
+				steps: [
+					{ action: "waitUntil", slave: SLAVE_ID, point: "indoor.roomTemperature", unit: 1, min: 25, timeout: 3 },
+					set({ address: 171, value: 1 }),
+				],
+			});
+			storage.writeValues(SLAVE_ID, "registers", REGISTERS.roomTemperature1, [249], "simulation");
+			await sleep(300);
+			const below = registers()[171] === 0;
+			storage.writeValues(SLAVE_ID, "registers", REGISTERS.roomTemperature1, [251], "simulation");
+			const reached = (await ended("finished")) && registers()[171] === 1;
+
+			await start({ steps: [{ action: "waitUntil", slave: SLAVE_ID, address: 170, value: 1, timeout: 0.3 }] });
+			const failed = (await ended("failed")) && /^timed out: wait until registers 170/.test(runner.getStatus().error);
+			return below && reached && failed;
+		},
+	},
+	{
+		name: "Looping scenarios start over until stopped",
+		async run() {
+			await start({ loop: true, steps: [set({ after: 0.1, address: 180, delta: 1 })] });
+			const looped = await waitFor(() => runner.getStatus().round >= 3 && registers()[180] >= 2);
+			runner.stop();
+			const value = registers()[180];
+			await sleep(300);
+			const status = runner.getStatus();
+			return looped && status.state === "stopped" && !status.running && registers()[180] === value;
+		},
+	},
+];
+
+runChecks(async (record) => {
+	const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "scenario-tester-"));
+	setPaths({ dataDir });
+	await pointMap.load();
+
+	await runCases(cases, record, () => {
+		runner.stop();
+		storage.initializeInMemory([{ id: SLAVE_ID, registerCount: REGISTER_COUNT }]);
+		bacnet.invalidate();
+		changes = [];
+	});
+
+	runner.stop();
+	await fs.rm(dataDir, { recursive: true, force: true });
+}, verbose);
@@ -1,166 +1,740 @@
-const net = require('net');
-
-// Configuration for the TCP server and fixed device address
-const HOST = '127.0.0.1'; // Change to your TCP server's IP if needed
-const PORT = 8502;         // Common port for Modbus TCP (or your desired TCP port)
-const DEVICE_ADDRESS = 0x01; // Fixed device address
-
-// Global variable to keep track of the last read operation details
-let pendingRead = null;
-
-/**
- * Calculate CRC16 for Modbus.
- * This function computes the CRC for a given buffer.
- *
- * @param {Buffer} buffer - The buffer of data to calculate the CRC on.
- * @returns {number} - The computed CRC as a 16-bit number.
- */
-function calculateCRC(buffer) {
-  let crc = 0xFFFF;
-  for (let pos = 0; pos < buffer.length; pos++) {
-    crc ^= buffer[pos];
-    for (let i = 0; i < 8; i++) {
-      if (crc & 0x0001) {
-        crc = (crc >> 1) ^ 0xA001;
-      } else {
-        crc = crc >> 1;
-      }
-    }
-  }
-  return crc;
-}
-
-// Create TCP client and connect to the server
-const client = new net.Socket();
-client.connect(PORT, HOST, () => {
-  console.log('Connected to TCP Server');
-});
-
-// Listen to data coming from the TCP server
-client.on('data', (data) => {
-  // The data length must be at least 5 bytes (slave addr, function, byte count, and CRC)
-  if (data.length < 5) {
-    console.log('Received incomplete response:', data.toString('hex'));
-    return;
-  }
-  
-  const device = data[0];
-  const functionCode = data[1];
-
-  // Parse response for Read Holding Registers (Function 0x03)
-  if (functionCode === 0x03) {
-    const byteCount = data[2];
-    // Ensure that the response has expected number of bytes: 3 (header) + byteCount + 2 (CRC)
-    if (data.length < 3 + byteCount + 2) {
-      console.error("Incomplete read response.");
-      return;
-    }
-
-    if (pendingRead) {
-      // Iterate over registers in the response
-      for (let i = 0; i < pendingRead.quantity; i++) {
-        const offset = 3 + (i * 2);
-        // Get the register value in decimal (big-endian)
-        const value = data.readUInt16BE(offset);
-        // Calculate the register address based on the starting address given by the read request
-        const registerAddress = pendingRead.start + i;
-        console.log("Register " + registerAddress + ": " + value);
-      }
-      // Clear pending read data after processing
-      pendingRead = null;
-    } else {
-      // Without pending read info, assume registers starting at 0
-      const registers = byteCount / 2;
-      for (let i = 0; i < registers; i++) {
-        const offset = 3 + (i * 2);
-        const value = data.readUInt16BE(offset);
-        console.log("Register " + i + ": " + value);
-      }
-    }
-  }
-  // Parse response for Write Single Register (Function 0x06)
-  else if (functionCode === 0x06) {
-    // Check if the response has the expected length of 8 bytes (1+1+2+2+2)
-    if (data.length < 8) {
-      console.error("Incomplete write response.");
-      return;
-    }
-    // Bytes 2-3: Register address
-    const regAddr = data.readUInt16BE(2);
-    // Bytes 4-5: Written value
-    const value = data.readUInt16BE(4);
-    console.log("Register " + regAddr + ": " + value);
-  } else {
-    console.log("Unknown or unhandled function code " + functionCode + " in response: " + data.toString('hex'));
-  }
-});
-
-// Handle connection errors
-client.on('error', (err) => {
-  console.error("Socket error:", err);
-});
-
-/**
- * Sends a Modbus RTU request to read holding registers.
- *
- * @param {number} startAddress - The starting register address.
- * @param {number} quantity - The number of registers to read.
- */
-function readHoldingRegisters(startAddress, quantity) {
-  // Save the details of the pending read so we can print proper register addresses on response
-  pendingRead = { start: startAddress, quantity };
-
-  const requestLength = 8; // [addr] [func] [start addr (2)] [quantity (2)] [CRC (2)]
-  let request = Buffer.alloc(requestLength);
-  
-  request[0] = DEVICE_ADDRESS;
-  request[1] = 0x03; // Function code for "read holding registers"
-  request.writeUInt16BE(startAddress, 2);
-  request.writeUInt16BE(quantity, 4);
-  
-  // Calculate CRC for the first 6 bytes
-  const crc = calculateCRC(request.slice(0, 6));
-  request[6] = crc & 0xFF;             // CRC low byte
-  request[7] = (crc >> 8) & 0xFF;        // CRC high byte
-
-  console.log("Sending read request to registers " + startAddress + " through " + (startAddress + quantity - 1));
-  client.write(request);
-}
-
-/**
- * Sends a Modbus RTU request to write a single holding register.
- *
- * @param {number} registerAddress - The register address to write to.
- * @param {number} value - The value to write.
- */
-function writeHoldingRegister(registerAddress, value) {
-  const requestLength = 8; // [addr] [func] [reg addr (2)] [value (2)] [CRC (2)]
-  let request = Buffer.alloc(requestLength);
-  
-  request[0] = DEVICE_ADDRESS;
-  request[1] = 0x06; // Function code for "write single register"
-  request.writeUInt16BE(registerAddress, 2);
-  request.writeUInt16BE(value, 4);
-  
-  // Calculate CRC for the first 6 bytes
-  const crc = calculateCRC(request.slice(0, 6));
-  request[6] = crc & 0xFF;             // CRC low byte
-  request[7] = (crc >> 8) & 0xFF;        // CRC high byte
-
-  console.log("Sending write request for register " + registerAddress + " with value " + value);
-  client.write(request);
-}
-
-// Export functions in case you'd like to use them in another module
-module.exports = { readHoldingRegisters, writeHoldingRegister };
-
-// Example usage:
-// After a short delay to allow the connection to establish, send a read request for 2 registers starting at address 0.
-// Then, send a write request to write the value 1234 to register at address 10.
-setTimeout(() => {
-  readHoldingRegisters(49, 3);
-}, 3000);
-
-setTimeout(() => {
-  writeHoldingRegister(0, 1234);
-}, 1000);
\ No newline at end of file
+const fs = require("fs").promises;
+const { parseArgs } = require("util");
+const { ModbusClient } = require("./modules/modbus-client");
+
+// Modbus master for the command line: reads, writes, polls and scans a device over Modbus TCP, RTU over TCP or a
+// serial line, and runs test files of "write, then expect" steps, so emulator builds and real gateways can be
+// smoke-tested with the same tool. Exits with 1 when a request or an assertion fails, and 2 on usage errors.
+//
+// Usage: node self-tester.js [options] <command> [arguments], see --help
+const OPTIONS = [
+	{ name: "tcp", value: "<host:port>", description: "Connect over Modbus TCP (MBAP)" },
+	{ name: "rtu-tcp", value: "<host:port>", description: "Connect over Modbus RTU over TCP (default 127.0.0.1:8503, the emulator's listener)" },
+	{ name: "serial", value: "<path>", description: "Connect over Modbus RTU on a serial port" },
+	{ name: "baud-rate", value: "<rate>", description: "Baud rate of the serial port (default 9600)" },
+	{ name: "data-bits", value: "<7|8>", description: "Data bits of the serial port (default 8)" },
+	{ name: "parity", value: "<none|even|odd>", description: "Parity of the serial port (default none)" },
+	{ name: "stop-bits", value: "<1|2>", description: "Stop bits of the serial port (default 1)" },
+	{ name: "unit", short: "u", value: "<id>", description: "Unit ID, 0 broadcasts on a serial line (default 1)" },
+	{ name: "timeout", value: "<ms>", description: "Response timeout (default 1000, 200 for scan)" },
+	{ name: "multiple", description: "Write single values with 0x0F / 0x10 instead of 0x05 / 0x06" },
+	{ name: "interval", value: "<ms>", description: "Time between the reads of poll (default 1000)" },
+	{ name: "count", value: "<n>", description: "Number of reads of poll (default: until interrupted)" },
+	{ name: "verbose", short: "v", description: "Print the request and response PDUs" },
+	{ name: "help", short: "h", description: "Show this help and exit" },
+];
+
+const COMMAND_USAGE = [
+	["read <table> <address> [quantity]", "Read coils, discrete inputs, holding or input registers (0x01 - 0x04)"],
+	["write <table> <address> <value...>", "Write coils or holding registers (0x05, 0x06, 0x0F, 0x10)"],
+	["mask <address> <and> <or>", "Mask write a holding register (0x16)"],
+	["read-write <address> <quantity> <write address> <value...>", "Write, then read holding registers (0x17)"],
+	["identify [basic|regular|extended|<object id>]", "Read device identification (0x2B / 0x0E)"],
+	["raw <pdu>", "Send a request PDU given in hex, e.g. \"03 0035 0002\""],
+	["poll <table> <address> [quantity]", "Read repeatedly, see --interval and --count"],
+	["scan [first-last]", "List the unit IDs that answer (default 1-247)"],
+	["test <file>", "Run the steps of a JSON test file"],
+];
+
+const SERIAL_DEFAULTS = { baudRate: 9600, dataBits: 8, parity: "none", stopBits: 1 };
+const BAUD_RATES = [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200];
+const DEFAULT_TIMEOUT = 1000;
+const SCAN_TIMEOUT = 200;
+
+// Function codes of the data tables
+const TABLES = {
+	coils: { read: 0x01, single: 0x05, multiple: 0x0f, bits: true },
+	discreteInputs: { read: 0x02, bits: true },
+	registers: { read: 0x03, single: 0x06, multiple: 0x10 },
+	inputRegisters: { read: 0x04 },
+};
+// Table names of the command line; test files take these and the names of the emulator
+const TABLE_ALIASES = {
+	coil: "coils",
+	"discrete-inputs": "discreteInputs",
+	inputs: "discreteInputs",
+	"holding-registers": "registers",
+	holding: "registers",
+	"input-registers": "inputRegisters",
+};
+// Largest quantities of one request
+const MAX_READ = { coils: 2000, discreteInputs: 2000, registers: 125, inputRegisters: 125 };
+const MAX_WRITE = { coils: 1968, registers: 123 };
+
+const EXCEPTIONS = {
+	0x01: "Illegal function",
+	0x02: "Illegal data address",
+	0x03: "Illegal data value",
+	0x04: "Server device failure",
+	0x06: "Server device busy",
+	0x0a: "Gateway path unavailable",
+	0x0b: "Gateway target device failed to respond",
+};
+
+// Read Device Identification objects by ID, as named in test files
+const IDENTIFICATION_OBJECTS = ["vendorName", "productCode", "revision", "vendorUrl", "productName", "modelName", "userApplicationName"];
+const IDENTIFICATION_CODES = { basic: 0x01, regular: 0x02, extended: 0x03 };
+
+// Steps of a test file and the fields they take besides action, unit, description and exception
+const STEP_ACTIONS = {
+	write: ["table", "address", "values", "function"],
+	expect: ["table", "address", "values", "quantity", "min", "max", "within"],
+	mask: ["address", "and", "or"],
+	identify: ["objects"],
+	wait: ["ms"],
+};
+// Time between the reads of an expect step with `within`
+const RETRY_INTERVAL = 100;
+
+class UsageError extends Error {}
+
+// Exception response of the device
+class ModbusException extends Error {
+	constructor(code) {
+		super(`exception 0x${hex8(code)} (${EXCEPTIONS[code] || "Unknown exception"})`);
+		this.code = code;
+	}
+}
+
+const hex8 = (value) => value.toString(16).padStart(2, "0");
+const hex16 = (value) => value.toString(16).padStart(4, "0");
+const toHex = (buffer) => buffer.toString("hex").replace(/(..)(?!$)/g, "$1 ");
+
+function getUsage() {
+	const commands = COMMAND_USAGE.map(([command, description]) => `  ${command}\n      ${description}`);
+	const options = OPTIONS.map((option) => {
+		const flag = `${option.short ? `-${option.short}, ` : ""}--${option.name}${option.value ? ` ${option.value}` : ""}`;
+		return `  ${flag.padEnd(26)} ${option.description}`;
+	});
+	return [
+		"Usage: node self-tester.js [options] <command> [arguments]",
+		"",
+		"Commands:",
+		...commands,
+		"",
+		"Tables: coils, discrete-inputs, holding-registers (or registers), input-registers. Numbers are decimal or 0x hex.",
+		"",
+		"Options:",
+		...options,
+	].join("\n");
+}
+
+// Decimal or 0x hex integer between min and max, a UsageError otherwise
+function parseNumber(text, name, min, max) {
+	const value = /^0x[0-9a-f]+$/i.test(text) ? parseInt(text, 16) : /^\d+$/.test(text) ? Number(text) : NaN;
+	if (!Number.isInteger(value) || value < min || value > max) {
+		throw new UsageError(`${name} must be a number between ${min} and ${max}, got "${text}"`);
+	}
+	return value;
+}
+
+function parseTable(text, writable = false) {
+	const table = TABLES[text] ? text : TABLE_ALIASES[text];
+	if (!table) {
+		throw new UsageError(`Unknown table "${text}"`);
+	}
+	if (writable && !TABLES[table].single) {
+		throw new UsageError(`${table} are read-only`);
+	}
+	return table;
+}
+
+function parseHostPort(text, name) {
+	const match = /^(.+):(\d+)$/.exec(text);
+	if (!match) {
+		throw new UsageError(`--${name} expects host:port, got "${text}"`);
+	}
+	return { host: match[1], port: parseNumber(match[2], `Port of --${name}`, 1, 65535) };
+}
+
+// Options and command of the arguments: { options, command, args }. Throws a UsageError.
+function parseCommandLine(argv) {
+	const spec = {};
+	OPTIONS.forEach((option) => {
+		spec[option.name] = { type: option.value ? "string" : "boolean" };
+		if (option.short) spec[option.name].short = option.short;
+	});
+	let parsed;
+	try {
+		parsed = parseArgs({ args: argv, options: spec, strict: true, allowPositionals: true });
+	} catch (err) {
+		throw new UsageError(err.message);
+	}
+	const { values, positionals } = parsed;
+
+	const transports = ["tcp", "rtu-tcp", "serial"].filter((name) => values[name] !== undefined);
+	if (transports.length > 1) {
+		throw new UsageError("Give only one of --tcp, --rtu-tcp and --serial");
+	}
+	let connection;
+	if (values.serial !== undefined) {
+		connection = { transport: "rtu", serialPort: values.serial, ...SERIAL_DEFAULTS };
+		if (values["baud-rate"] !== undefined) {
+			connection.baudRate = Number(values["baud-rate"]);
+			if (!BAUD_RATES.includes(connection.baudRate)) {
+				throw new UsageError(`--baud-rate must be one of ${BAUD_RATES.join(", ")}`);
+			}
+		}
+		if (values["data-bits"] !== undefined) connection.dataBits = parseNumber(values["data-bits"], "--data-bits", 7, 8);
+		if (values["stop-bits"] !== undefined) connection.stopBits = parseNumber(values["stop-bits"], "--stop-bits", 1, 2);
+		if (values.parity !== undefined) {
+			if (!["none", "even", "odd"].includes(values.parity)) {
+				throw new UsageError("--parity must be none, even or odd");
+			}
+			connection.parity = values.parity;
+		}
+	} else if (values.tcp !== undefined) {
+		connection = { transport: "tcp", ...parseHostPort(values.tcp, "tcp") };
+	} else {
+		connection = { transport: "rtu-tcp", ...parseHostPort(values["rtu-tcp"] || "127.0.0.1:8503", "rtu-tcp") };
+	}
+
+	const command = positionals[0];
+	const options = {
+		help: !!values.help,
+		verbose: !!values.verbose,
+		multiple: !!values.multiple,
+		unit: values.unit !== undefined ? parseNumber(values.unit, "--unit", 0, 255) : 1,
+		interval: values.interval !== undefined ? parseNumber(values.interval, "--interval", 10, 3600000) : 1000,
+		count: values.count !== undefined ? parseNumber(values.count, "--count", 1, Number.MAX_SAFE_INTEGER) : null,
+		connection: { ...connection, timeout: values.timeout !== undefined ? parseNumber(values.timeout, "--timeout", 10, 60000) : command === "scan" ? SCAN_TIMEOUT : DEFAULT_TIMEOUT },
+	};
+	return { options, command, args: positionals.slice(1) };
+}
+
+// Requests of every function code on top of a client, decoding and checking the responses.
+// Methods reject with a ModbusException for exception responses and an Error for missing or invalid ones.
+class Master {
+	constructor(client, verbose = false) {
+		this.client = client;
+		this.verbose = verbose;
+	}
+
+	// Response PDU of a request. Broadcasts on a serial line resolve with null.
+	async request(unitId, pdu) {
+		if (this.verbose) console.log(`> unit ${unitId}: ${toHex(pdu)}`);
+		const response = await this.client.request(unitId, pdu);
+		if (!response) {
+			if (unitId === 0 && this.client.settings.transport !== "tcp") return null;
+			throw new Error(`No response from unit ${unitId} of ${this.client.describe()}`);
+		}
+		if (this.verbose) console.log(`< unit ${unitId}: ${toHex(response)}`);
+
+		if (response[0] === (pdu[0] | 0x80) && response.length === 2) {
+			throw new ModbusException(response[1]);
+		}
+		if (response[0] !== pdu[0]) {
+			throw new Error(`Response of function 0x${hex8(response[0])} to a 0x${hex8(pdu[0])} request`);
+		}
+		return response;
+	}
+
+	async read(unitId, table, address, quantity) {
+		const pdu = Buffer.alloc(5);
+		pdu.writeUInt8(TABLES[table].read, 0);
+		pdu.writeUInt16BE(address, 1);
+		pdu.writeUInt16BE(quantity, 3);
+		const response = await this.request(unitId, pdu);
+		if (!response) {
+			throw new Error("Broadcasts can not read");
+		}
+		return TABLES[table].bits ? decodeBits(response, quantity) : decodeRegisters(response, quantity);
+	}
+
+	// Writes with the single function codes when there is one value, unless `multiple`
+	async write(unitId, table, address, values, multiple = false) {
+		const codes = TABLES[table];
+		let pdu;
+		if (values.length === 1 && !multiple) {
+			pdu = Buffer.alloc(5);
+			pdu.writeUInt8(codes.single, 0);
+			pdu.writeUInt16BE(address, 1);
+			pdu.writeUInt16BE(codes.bits ? (values[0] ? 0xff00 : 0x0000) : values[0], 3);
+		} else {
+			const data = codes.bits ? encodeBits(values) : Buffer.from(values.flatMap((value) => [value >> 8, value & 0xff]));
+			pdu = Buffer.alloc(6 + data.length);
+			pdu.writeUInt8(codes.multiple, 0);
+			pdu.writeUInt16BE(address, 1);
+			pdu.writeUInt16BE(values.length, 3);
+			pdu.writeUInt8(data.length, 5);
+			data.copy(pdu, 6);
+		}
+
+		const response = await this.request(unitId, pdu);
+		// Single writes echo the request, multiple writes echo address and quantity
+		if (response && !response.equals(pdu.slice(0, 5))) {
+			throw new Error(`Response ${toHex(response)} does not echo the request`);
+		}
+	}
+
+	async mask(unitId, address, andMask, orMask) {
+		const pdu = Buffer.alloc(7);
+		pdu.writeUInt8(0x16, 0);
+		pdu.writeUInt16BE(address, 1);
+		pdu.writeUInt16BE(andMask, 3);
+		pdu.writeUInt16BE(orMask, 5);
+		const response = await this.request(unitId, pdu);
+		if (response && !response.equals(pdu)) {
+			throw new Error(`Response ${toHex(response)} does not echo the request`);
+		}
+	}
+
+	async readWrite(unitId, readAddress, quantity, writeAddress, values) {
+		const pdu = Buffer.alloc(10 + values.length * 2);
+		pdu.writeUInt8(0x17, 0);
+		pdu.writeUInt16BE(readAddress, 1);
+		pdu.writeUInt16BE(quantity, 3);
+		pdu.writeUInt16BE(writeAddress, 5);
+		pdu.writeUInt16BE(values.length, 7);
+		pdu.writeUInt8(values.length * 2, 9);
+		values.forEach((value, i) => pdu.writeUInt16BE(value, 10 + i * 2));
+		const response = await this.request(unitId, pdu);
+		if (!response) {
+			throw new Error("Broadcasts can not read");
+		}
+		return decodeRegisters(response, quantity);
+	}
+
+	// Device identification objects by ID. Stream access follows "more follows" until every object is read.
+	async identify(unitId, code, objectId = 0) {
+		const objects = {};
+		let next = objectId;
+		for (let requests = 0; requests < 256; requests++) {
+			const response = await this.request(unitId, Buffer.from([0x2b, 0x0e, code, next]));
+			if (!response) {
+				throw new Error("Broadcasts can not read");
+			}
+			if (response.length < 7 || response[1] !== 0x0e) {
+				throw new Error(`Invalid device identification response ${toHex(response)}`);
+			}
+			let offset = 7;
+			for (let i = 0; i < response[6]; i++) {
+				if (offset + 2 > response.length || offset + 2 + response[offset + 1] > response.length) {
+					throw new Error(`Truncated device identification response ${toHex(response)}`);
+				}
+				objects[response[offset]] = response.slice(offset + 2, offset + 2 + response[offset + 1]).toString("latin1");
+				offset += 2 + response[offset + 1];
+			}
+			if (response[4] !== 0xff || code === 0x04) {
+				return objects;
+			}
+			next = response[5];
+		}
+		throw new Error("Device identification does not end");
+	}
+}
+
+function decodeBits(response, quantity) {
+	if (response.length !== 2 + Math.ceil(quantity / 8) || response[1] !== response.length - 2) {
+		throw new Error(`Invalid response length ${response.length} for ${quantity} bits`);
+	}
+	return Array.from({ length: quantity }, (_, i) => (response[2 + (i >> 3)] >> (i & 7)) & 1);
+}
+
+function decodeRegisters(response, quantity) {
+	if (response.length !== 2 + quantity * 2 || response[1] !== quantity * 2) {
+		throw new Error(`Invalid response length ${response.length} for ${quantity} registers`);
+	}
+	return Array.from({ length: quantity }, (_, i) => response.readUInt16BE(2 + i * 2));
+}
+
+function encodeBits(values) {
+	const data = Buffer.alloc(Math.ceil(values.length / 8));
+	values.forEach((value, i) => {
+		if (value) data[i >> 3] |= 1 << (i & 7);
+	});
+	return data;
+}
+
+const formatValue = (table, value) => (TABLES[table].bits ? String(value) : `${value} (0x${hex16(value)})`);
+
+// Table, address and quantity arguments of read and poll
+function parseReadArguments(args) {
+	if (args.length < 2 || args.length > 3) {
+		throw new UsageError("Expected <table> <address> [quantity]");
+	}
+	const table = parseTable(args[0]);
+	const address = parseNumber(args[1], "Address", 0, 0xffff);
+	const quantity = args[2] !== undefined ? parseNumber(args[2], "Quantity", 1, MAX_READ[table]) : 1;
+	return { table, address, quantity };
+}
+
+function parseValues(texts, table) {
+	return texts.map((text) => parseNumber(text, "Value", 0, TABLES[table].bits ? 1 : 0xffff));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Commands resolve with true on success
+const COMMANDS = {
+	async read(master, args, options) {
+		const { table, address, quantity } = parseReadArguments(args);
+		const values = await master.read(options.unit, table, address, quantity);
+		values.forEach((value, i) => console.log(`${table} ${address + i}: ${formatValue(table, value)}`));
+		return true;
+	},
+
+	async write(master, args, options) {
+		if (args.length < 3) {
+			throw new UsageError("Expected <table> <address> <value...>");
+		}
+		const table = parseTable(args[0], true);
+		const address = parseNumber(args[1], "Address", 0, 0xffff);
+		const values = parseValues(args.slice(2), table);
+		if (values.length > MAX_WRITE[table]) {
+			throw new UsageError(`At most ${MAX_WRITE[table]} ${table} can be written at once`);
+		}
+		await master.write(options.unit, table, address, values, options.multiple);
+		console.log(`Wrote ${values.length} ${table} from ${address}`);
+		return true;
+	},
+
+	async mask(master, args, options) {
+		if (args.length !== 3) {
+			throw new UsageError("Expected <address> <and> <or>");
+		}
+		const [address, andMask, orMask] = args.map((text, i) => parseNumber(text, ["Address", "AND mask", "OR mask"][i], 0, 0xffff));
+		await master.mask(options.unit, address, andMask, orMask);
+		console.log(`Masked register ${address} with AND 0x${hex16(andMask)} OR 0x${hex16(orMask)}`);
+		return true;
+	},
+
+	async "read-write"(master, args, options) {
+		if (args.length < 4) {
+			throw new UsageError("Expected <address> <quantity> <write address> <value...>");
+		}
+		const readAddress = parseNumber(args[0], "Address", 0, 0xffff);
+		const quantity = parseNumber(args[1], "Quantity", 1, 125);
+		const writeAddress = parseNumber(args[2], "Write address", 0, 0xffff);
+		const values = parseValues(args.slice(3), "registers");
+		if (values.length > 121) {
+			throw new UsageError("At most 121 registers can be written at once");
+		}
+		const read = await master.readWrite(options.unit, readAddress, quantity, writeAddress, values);
+		read.forEach((value, i) => console.log(`registers ${readAddress + i}: ${formatValue("registers", value)}`));
+		return true;
+	},
+
+	async identify(master, args, options) {
+		const which = args[0] || "regular";
+		const individual = IDENTIFICATION_CODES[which] === undefined;
+		const objectId = individual ? parseNumber(which, "Object ID", 0, 0xff) : 0;
+		const objects = await master.identify(options.unit, individual ? 0x04 : IDENTIFICATION_CODES[which], objectId);
+		Object.keys(objects).forEach((id) => console.log(`0x${hex8(Number(id))} ${IDENTIFICATION_OBJECTS[id] || "object"}: ${objects[id]}`));
+		return true;
+	},
+
+	async raw(master, args, options) {
+		const text = args.join("").replace(/\s+/g, "");
+		if (!/^([0-9a-f]{2})+$/i.test(text)) {
+			throw new UsageError("Expected the request PDU in hex");
+		}
+		try {
+			const response = await master.request(options.unit, Buffer.from(text, "hex"));
+			console.log(response ? toHex(response) : "Broadcast sent");
+		} catch (err) {
+			if (!(err instanceof ModbusException)) throw err;
+			console.log(`${toHex(Buffer.from([Buffer.from(text, "hex")[0] | 0x80, err.code]))}: ${err.message}`);
+			return false;
+		}
+		return true;
+	},
+
+	async poll(master, args, options) {
+		const { table, address, quantity } = parseReadArguments(args);
+		let stopped = false;
+		process.once("SIGINT", () => (stopped = true));
+
+		let failures = 0;
+		for (let i = 0; !stopped && (options.count === null || i < options.count); i++) {
+			if (i > 0) await sleep(options.interval);
+			const time = new Date().toISOString().slice(11, 23);
+			try {
+				const values = await master.read(options.unit, table, address, quantity);
+				console.log(`${time} ${table} ${address}${quantity > 1 ? `..${address + quantity - 1}` : ""}: ${values.join(" ")}`);
+			} catch (err) {
+				failures++;
+				console.log(`${time} ${err.message}`);
+			}
+		}
+		return failures === 0;
+	},
+
+	async scan(master, args) {
+		let [first, last] = [1, 247];
+		if (args[0] !== undefined) {
+			const match = /^(\d+)(?:-(\d+))?$/.exec(args[0]);
+			if (!match) {
+				throw new UsageError("Expected the unit IDs as first-last, e.g. 1-20");
+			}
+			first = parseNumber(match[1], "First unit ID", 1, 255);
+			last = match[2] !== undefined ? parseNumber(match[2], "Last unit ID", first, 255) : first;
+		}
+
+		// Any answer but the gateway exceptions means a device is there
+		const found = [];
+		for (let unitId = first; unitId <= last; unitId++) {
+			try {
+				await master.read(unitId, "registers", 0, 1);
+				found.push(unitId);
+				console.log(`Unit ${unitId}: answers`);
+			} catch (err) {
+				if (err instanceof ModbusException && err.code !== 0x0a && err.code !== 0x0b) {
+					found.push(unitId);
+					console.log(`Unit ${unitId}: answers with ${err.message}`);
+				}
+			}
+		}
+		console.log(found.length > 0 ? `Found ${found.length} unit(s): ${found.join(", ")}` : `No unit answered between ${first} and ${last}`);
+		return found.length > 0;
+	},
+
+	async test(master, args, options) {
+		if (args.length !== 1) {
+			throw new UsageError("Expected the test file");
+		}
+		const { test, error } = parseTestFile(await fs.readFile(args[0], "utf8"));
+		if (error) {
+			throw new UsageError(`${args[0]}: ${error}`);
+		}
+		return runTest(master, test, options);
+	},
+};
+
+// Reads and checks a test file: { title, unit, steps: [...] }. Returns { test } or { error }.
+//   { "action": "write", "table": "registers", "address": 53, "values": [235], "function": 16 }
+//   { "action": "expect", "table": "registers", "address": 53, "values": [235] }
+//   { "action": "expect", "table": "inputRegisters", "address": 0, "quantity": 2, "min": 0, "max": 500, "within": 2000 }
+//   { "action": "mask", "address": 56, "and": 65533, "or": 0 }
+//   { "action": "identify", "objects": { "vendorName": "Samsung" } }
+//   { "action": "wait", "ms": 500 }
+// Every step but wait may expect an exception code ("exception": 2) instead of success, and name its own unit.
+function parseTestFile(text) {
+	let test;
+	try {
+		test = JSON.parse(text);
+	} catch (err) {
+		return { error: `Invalid JSON: ${err.message}` };
+	}
+	if (typeof test !== "object" || test === null || Array.isArray(test)) {
+		return { error: "A test must be an object" };
+	}
+	if (test.title !== undefined && typeof test.title !== "string") {
+		return { error: "title must be a string" };
+	}
+	if (test.unit !== undefined && !isInteger(test.unit, 0, 255)) {
+		return { error: "unit must be between 0 and 255" };
+	}
+	if (!Array.isArray(test.steps) || test.steps.length === 0) {
+		return { error: "steps must be a non-empty array" };
+	}
+	for (let i = 0; i < test.steps.length; i++) {
+		const error = validateStep(test.steps[i]);
+		if (error) {
+			return { error: `steps[${i}]: ${error}` };
+		}
+	}
+	return { test };
+}
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+function validateStep(step) {
+	if (typeof step !== "object" || step === null || !STEP_ACTIONS[step.action]) {
+		return `action must be one of ${Object.keys(STEP_ACTIONS).join(", ")}`;
+	}
+	const unknown = Object.keys(step).find((field) => !["action", "unit", "description", "exception", ...STEP_ACTIONS[step.action]].includes(field));
+	if (unknown) {
+		return `${step.action} steps do not take ${unknown}`;
+	}
+	if (step.unit !== undefined && !isInteger(step.unit, 0, 255)) {
+		return "unit must be between 0 and 255";
+	}
+	if (step.description !== undefined && typeof step.description !== "string") {
+		return "description must be a string";
+	}
+	if (step.exception !== undefined && (step.action === "wait" || !isInteger(step.exception, 1, 255))) {
+		return step.action === "wait" ? "wait steps do not take exception" : "exception must be an exception code";
+	}
+
+	if (step.action === "wait") {
+		return isInteger(step.ms, 0, 3600000) ? null : "ms must be a number of milliseconds";
+	}
+	if (step.action === "identify") {
+		const valid = typeof step.objects === "object" && step.objects !== null && Object.keys(step.objects).every((key) => resolveObjectId(key) !== null && typeof step.objects[key] === "string");
+		return valid || step.exception !== undefined ? null : `objects must map object IDs or names (${IDENTIFICATION_OBJECTS.join(", ")}) to strings`;
+	}
+	if (!isInteger(step.address, 0, 0xffff)) {
+		return "address must be between 0 and 65535";
+	}
+	if (step.action === "mask") {
+		return isInteger(step.and, 0, 0xffff) && isInteger(step.or, 0, 0xffff) ? null : "and and or must be 16 bit masks";
+	}
+
+	const table = TABLES[step.table] ? step.table : TABLE_ALIASES[step.table];
+	if (!table || (step.action === "write" && !TABLES[table].single)) {
+		return step.action === "write" ? "table must be coils or registers" : `table must be one of ${Object.keys(TABLES).join(", ")}`;
+	}
+	const max = TABLES[table].bits ? 1 : 0xffff;
+	if (step.values !== undefined && (!Array.isArray(step.values) || step.values.length === 0 || !step.values.every((value) => isInteger(value, 0, max)))) {
+		return `values must be a non-empty array of values between 0 and ${max}`;
+	}
+
+	if (step.action === "write") {
+		if (step.values === undefined || step.values.length > MAX_WRITE[table]) {
+			return `values must hold 1 to ${MAX_WRITE[table]} values`;
+		}
+		const codes = [TABLES[table].single, TABLES[table].multiple];
+		if (step.function !== undefined && (!codes.includes(step.function) || (step.function === TABLES[table].single && step.values.length > 1))) {
+			return `function must be ${codes.join(" or ")} (single writes take one value)`;
+		}
+		return null;
+	}
+
+	for (const field of ["min", "max"]) {
+		if (step[field] !== undefined && !isInteger(step[field], 0, max)) {
+			return `${field} must be between 0 and ${max}`;
+		}
+	}
+	if (step.values === undefined && step.min === undefined && step.max === undefined && step.exception === undefined) {
+		return "expect steps need values, min, max or exception";
+	}
+	if (step.quantity !== undefined && (!isInteger(step.quantity, 1, MAX_READ[table]) || (step.values && step.values.length !== step.quantity))) {
+		return `quantity must be between 1 and ${MAX_READ[table]} and match values`;
+	}
+	if (step.values && step.values.length > MAX_READ[table]) {
+		return `at most ${MAX_READ[table]} values can be expected at once`;
+	}
+	if (step.within !== undefined && !isInteger(step.within, 0, 3600000)) {
+		return "within must be a number of milliseconds";
+	}
+	return null;
+}
+
+// Identification object ID of a test file key: an ID or an object name
+function resolveObjectId(key) {
+	if (/^\d+$/.test(key) && Number(key) <= 0xff) return Number(key);
+	const id = IDENTIFICATION_OBJECTS.indexOf(key);
+	return id >= 0 ? id : null;
+}
+
+function describeStep(step) {
+	if (step.description) return step.description;
+	const unit = step.unit !== undefined ? ` of unit ${step.unit}` : "";
+	const failing = step.exception !== undefined ? ` fails with exception 0x${hex8(step.exception)}` : "";
+	switch (step.action) {
+		case "write":
+			return `write ${step.table} ${step.address}${unit} = [${step.values.join(", ")}]${failing}`;
+		case "mask":
+			return `mask registers ${step.address}${unit} with AND 0x${hex16(step.and)} OR 0x${hex16(step.or)}${failing}`;
+		case "identify":
+			return `identify${unit} ${Object.keys(step.objects || {}).map((key) => `${key} = "${step.objects[key]}"`).join(", ")}${failing}`;
+		default: {
+			const condition = step.values
+				? `= [${step.values.join(", ")}]`
+				: step.min !== undefined || step.max !== undefined
+				? `in ${step.min !== undefined ? step.min : "-"}..${step.max !== undefined ? step.max : "-"}`
+				: "";
+			return `expect ${step.table} ${step.address}${unit} ${condition}${failing}${step.within ? ` within ${step.within} ms` : ""}`.replace(/\s+/g, " ");
+		}
+	}
+}
+
+// Runs a step, resolves with null when it passes or the reason it failed
+async function runStep(master, step, unitId) {
+	const table = TABLES[step.table] ? step.table : TABLE_ALIASES[step.table];
+	let result = null;
+	try {
+		switch (step.action) {
+			case "write":
+				await master.write(unitId, table, step.address, step.values, step.function === TABLES[table].multiple);
+				break;
+			case "mask":
+				await master.mask(unitId, step.address, step.and, step.or);
+				break;
+			case "identify": {
+				const objects = await master.identify(unitId, 0x02);
+				const wrong = Object.keys(step.objects || {}).filter((key) => objects[resolveObjectId(key)] !== step.objects[key]);
+				result = wrong.length > 0 ? `got ${wrong.map((key) => `${key} = ${JSON.stringify(objects[resolveObjectId(key)])}`).join(", ")}` : null;
+				break;
+			}
+			default: {
+				const quantity = step.values ? step.values.length : step.quantity || 1;
+				const values = await master.read(unitId, table, step.address, quantity);
+				const matches = values.every((value, i) => (!step.values || value === step.values[i]) && (step.min === undefined || value >= step.min) && (step.max === undefined || value <= step.max));
+				result = matches ? null : `got [${values.join(", ")}]`;
+			}
+		}
+	} catch (err) {
+		if (step.exception !== undefined && err instanceof ModbusException) {
+			return err.code === step.exception ? null : `got ${err.message}`;
+		}
+		return err.message;
+	}
+	return step.exception !== undefined ? `succeeded${result ? ` and ${result}` : ""}` : result;
+}
+
+async function runTest(master, test, options) {
+	if (test.title) console.log(test.title);
+
+	const results = [];
+	for (let i = 0; i < test.steps.length; i++) {
+		const step = test.steps[i];
+		if (step.action === "wait") {
+			await sleep(step.ms);
+			continue;
+		}
+
+		const unitId = step.unit !== undefined ? step.unit : test.unit !== undefined ? test.unit : options.unit;
+		const deadline = Date.now() + (step.within || 0);
+		let failure = await runStep(master, step, unitId);
+		while (failure && step.action === "expect" && Date.now() < deadline) {
+			await sleep(RETRY_INTERVAL);
+			failure = await runStep(master, step, unitId);
+		}
+
+		results.push(!failure);
+		console.log(`${failure ? "FAIL" : "PASS"} ${i + 1} ${describeStep(step)}${failure ? `: ${failure}` : ""}`);
+	}
+
+	const failures = results.filter((ok) => !ok).length;
+	console.log(`${results.length - failures}/${results.length} passed`);
+	return failures === 0;
+}
+
+async function main() {
+	let parsed;
+	try {
+		parsed = parseCommandLine(process.argv.slice(2));
+	} catch (err) {
+		console.error(`${err.message}\n\n${getUsage()}`);
+		process.exit(2);
+	}
+	const { options, command, args } = parsed;
+	if (options.help || !command) {
+		console.log(getUsage());
+		process.exit(options.help ? 0 : 2);
+	}
+	if (!COMMANDS[command]) {
+		console.error(`Unknown command "${command}"\n\n${getUsage()}`);
+		process.exit(2);
+	}
+
+	const client = new ModbusClient(options.connection, "Modbus master");
+	const master = new Master(client, options.verbose);
+	let ok = false;
+	try {
+		ok = await COMMANDS[command](master, args, options);
+	} catch (err) {
+		if (err instanceof UsageError) {
+			console.error(`${err.message}\n\n${getUsage()}`);
+			client.close();
+			process.exit(2);
+		}
+		console.error(`Error: ${err.message}`);
+	}
+	client.close();
+	process.exit(ok ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,227 @@
+const storage = require("./modules/storage");
+const pointMap = require("./modules/point-map");
+const layout = require("./modules/device-layout");
+const { Simulation } = require("./modules/simulation");
+const { parseOptions, runCases, runChecks } = require("./tester-harness");
+
+// Checks the thermal simulation deterministically: the ticks are driven by calling simulateSlave() with fixed
+// steps of simulated time instead of the timer, on the storage module running in memory.
+//
+// Usage: node simulation-tester.js [--verbose]
+const { verbose } = parseOptions();
+
+const SLAVE_ID = 1;
+const REGISTER_COUNT = 500;
+// Raw values of the mode point
+const MODE = { auto: 0, cool: 1, heat: 4 };
+
+let simulation = null;
+
+const slave = () => storage.getSlaves()[SLAVE_ID];
+
+// Group of the outdoor block (0) or of an indoor unit (1..)
+const group = (unit) => layout.getGroup(slave().layout, unit + 1);
+
+const address = (unit, key) => group(unit).start + pointMap.findPoint(group(unit).kind, key).offset;
+
+// Writes points of a group in engineering units (enum points take raw values)
+const setPoints = (unit, values) => {
+	Object.keys(values).forEach((key) => {
+		slave().registers[address(unit, key)] = pointMap.toRaw(pointMap.findPoint(group(unit).kind, key), values[key]);
+	});
+};
+
+const readPoint = (unit, key) => pointMap.toValue(pointMap.findPoint(group(unit).kind, key), slave().registers[address(unit, key)]);
+
+const readStatus = (unit) => pointMap.getStatus(group(unit).kind, slave().registers[address(unit, "operationStatus")]);
+
+const setParameters = (unit, parameters) => (slave().simulation.units[unit - 1] = parameters);
+
+/**
+ * Advances the slave step by step and calls the observer after each.
+ *
+ * @param {number} steps - Number of steps.
+ * @param {number} dt - Simulated seconds per step.
+ * @param {Function} [observe] - Called with the 1-based step number.
+ */
+function advance(steps, dt, observe = () => {}) {
+	for (let step = 1; step <= steps; step++) {
+		simulation.simulateSlave(SLAVE_ID, dt);
+		observe(step);
+	}
+}
+
+// Room temperatures of the first unit at which its compressor switched on and off, over the given time in 10 s steps
+function thermostatSwitches(seconds) {
+	const switches = { on: [], off: [] };
+	let running = readStatus(1).compressor;
+	advance(seconds / 10, 10, () => {
+		if (readStatus(1).compressor !== running) {
+			running = !running;
+			switches[running ? "on" : "off"].push(readPoint(1, "roomTemperature"));
+		}
+	});
+	return switches;
+}
+
+// Whether every switch happened within one step of drift of the limit
+const near = (temperatures, limit) => temperatures.length > 0 && temperatures.every((temperature) => Math.abs(temperature - limit) < 0.15);
+
+const cases = [
+	{
+		name: "Units switched off drift to the ambient temperature with the inertia as time constant",
+		run() {
+			setParameters(1, { ambientTemperature: 26, inertia: 20 });
+			setPoints(1, { power: 0, mode: MODE.cool, setpoint: 22, roomTemperature: 20 });
+			// One time constant closes 1 - 1/e of the gap
+			advance(1, 20 * 60);
+			const status = readStatus(1);
+			return readPoint(1, "roomTemperature") === 23.8 && readPoint(1, "powerStatus") === 0 && !status.compressor && !status.fan;
+		},
+	},
+	{
+		name: "A blank room temperature starts from the ambient temperature",
+		run() {
+			setParameters(1, { ambientTemperature: 24, inertia: 20 });
+			setPoints(1, { power: 0, setpoint: 22 });
+			advance(1, 1);
+			return readPoint(1, "roomTemperature") === 24;
+		},
+	},
+	{
+		name: "Cooling thermostat switches at the setpoint ± the hysteresis",
+		run() {
+			setPoints(1, { power: 1, mode: MODE.cool, setpoint: 22, roomTemperature: 22.4 });
+			advance(1, 10);
+			const idle = !readStatus(1).compressor && readStatus(1).fan && readPoint(1, "powerStatus") === 1;
+
+			setPoints(1, { roomTemperature: 22.6 });
+			advance(1, 10);
+			const status = readStatus(1);
+			const cooling = status.compressor && readPoint(1, "pipeInTemperature") === 6 && readPoint(1, "pipeOutTemperature") === 11;
+
+			// Down to 21.5 with the compressor, up to 22.5 with the ambient of 26 °C, twice
+			const switches = thermostatSwitches(4 * 3600);
+			return idle && cooling && switches.on.length >= 2 && near(switches.off, 21.5) && near(switches.on, 22.5);
+		},
+	},
+	{
+		name: "Heating thermostat switches at the setpoint ± the hysteresis",
+		run() {
+			setParameters(1, { ambientTemperature: 15, inertia: 20 });
+			setPoints(0, { outdoorTemperature: 10 });
+			setPoints(1, { power: 1, mode: MODE.heat, setpoint: 22, roomTemperature: 18 });
+			advance(1, 10);
+			const heating = readStatus(1).compressor && readPoint(1, "pipeInTemperature") === 45 && readPoint(1, "pipeOutTemperature") === 38;
+
+			const switches = thermostatSwitches(4 * 3600);
+			return heating && switches.on.length >= 2 && near(switches.off, 22.5) && near(switches.on, 21.5);
+		},
+	},
+	{
+		name: "Auto mode cools a warm room and heats a cold one",
+		run() {
+			setPoints(0, { outdoorTemperature: 10 });
+			setPoints(1, { power: 1, mode: MODE.auto, setpoint: 22, roomTemperature: 26 });
+			setPoints(2, { power: 1, mode: MODE.auto, setpoint: 22, roomTemperature: 18 });
+			advance(1, 10);
+			return (
+				readStatus(1).compressor &&
+				readPoint(1, "pipeInTemperature") === 6 &&
+				readStatus(2).compressor &&
+				readPoint(2, "pipeInTemperature") === 45 &&
+				readPoint(1, "roomTemperature") < 26 &&
+				readPoint(2, "roomTemperature") > 18
+			);
+		},
+	},
+	{
+		name: "Heating with a cold outdoor unit defrosts for 5 minutes after 40 minutes",
+		run() {
+			// Slow room that keeps the compressor running for the whole hour
+			setParameters(1, { ambientTemperature: 5, inertia: 1440 });
+			setPoints(0, { outdoorTemperature: 0 });
+			setPoints(1, { power: 1, mode: MODE.heat, setpoint: 30, roomTemperature: 10 });
+
+			const defrostSteps = [];
+			let coolPipes = true;
+			let heldRoom = true;
+			let outdoorDefrost = true;
+			let room = null;
+			advance(60, 60, (step) => {
+				const status = readStatus(1);
+				if (!status.defrost) return;
+				defrostSteps.push(step);
+				// The cycle is reversed: the compressor runs, the fan stops and the room is not heated
+				coolPipes = coolPipes && status.compressor && !status.fan && readPoint(1, "pipeInTemperature") === 6;
+				heldRoom = heldRoom && (room === null || readPoint(1, "roomTemperature") <= room);
+				outdoorDefrost = outdoorDefrost && readStatus(0).defrost;
+				room = readPoint(1, "roomTemperature");
+			});
+			const status = readStatus(1);
+			return (
+				defrostSteps.join() === "41,42,43,44,45" &&
+				coolPipes &&
+				heldRoom &&
+				outdoorDefrost &&
+				status.compressor &&
+				status.fan &&
+				!readStatus(0).defrost
+			);
+		},
+	},
+	{
+		name: "Heating with a warm outdoor unit does not defrost",
+		run() {
+			setParameters(1, { ambientTemperature: 5, inertia: 1440 });
+			setPoints(0, { outdoorTemperature: 10 });
+			setPoints(1, { power: 1, mode: MODE.heat, setpoint: 30, roomTemperature: 10 });
+			let defrost = false;
+			advance(120, 60, () => (defrost = defrost || readStatus(1).defrost));
+			return !defrost && readStatus(1).compressor;
+		},
+	},
+	{
+		name: "The outdoor block aggregates the indoor units",
+		run() {
+			setPoints(0, { outdoorTemperature: 10 });
+			setPoints(1, { power: 1, mode: MODE.cool, setpoint: 22, roomTemperature: 26 });
+			setPoints(2, { power: 1, mode: MODE.heat, setpoint: 22, roomTemperature: 18 });
+			setPoints(3, { power: 1, mode: MODE.cool, setpoint: 22, roomTemperature: 20 });
+			advance(1, 10);
+			const partial =
+				readPoint(0, "communicationStatus") === 1 &&
+				readPoint(0, "indoorUnitCount") === 6 &&
+				readPoint(0, "load") === 33 &&
+				readStatus(0).running &&
+				!readStatus(0).defrost;
+
+			slave().layout = { ...slave().layout, indoorCount: 2 };
+			advance(1, 10);
+			const fewer = readPoint(0, "indoorUnitCount") === 2 && readPoint(0, "load") === 100;
+
+			setPoints(1, { power: 0 });
+			setPoints(2, { power: 0 });
+			advance(1, 10);
+			return partial && fewer && readPoint(0, "load") === 0 && !readStatus(0).running;
+		},
+	},
+	{
+		name: "A settled slave reports no change",
+		run() {
+			setParameters(1, { ambientTemperature: 26, inertia: 20 });
+			setPoints(1, { power: 0, setpoint: 22, roomTemperature: 26 });
+			const first = simulation.simulateSlave(SLAVE_ID, 10);
+			return first === true && simulation.simulateSlave(SLAVE_ID, 10) === false;
+		},
+	},
+];
+
+runChecks(async (record) => {
+	await pointMap.load();
+	// Fresh tables and unit states for every case
+	await runCases(cases, record, () => {
+		storage.initializeInMemory([{ id: SLAVE_ID, registerCount: REGISTER_COUNT }]);
+		simulation = new Simulation(storage);
+	});
+}, verbose);
@@ -0,0 +1,165 @@
+const fs = require("fs").promises;
+const { existsSync } = require("fs");
+const os = require("os");
+const path = require("path");
+const storage = require("./modules/storage");
+const { setPaths, dataPath, configPath } = require("./modules/paths");
+const { parseStorageSettings, encodeSlaves, decodeSlaves } = require("./modules/data-file");
+const { parseOptions, waitFor, sleep, runCases, runChecks } = require("./tester-harness");
+
+// Checks the persistence of storage in a temporary data directory: coalesced saves, atomic writes with a
+// backup, recovery of damaged files and the file formats. A new initialize() stands for a restart of the
+// emulator; the cases build on the files left by the previous ones.
+//
+// Usage: node storage-tester.js [--verbose]
+const { verbose } = parseOptions();
+
+const SLAVE_ID = 1;
+const REGISTER_COUNT = 100;
+const SAVE_DELAY = 100;
+
+const slavesFile = () => dataPath("slaves.json");
+
+// Register of the slave in a JSON data file
+const readSaved = async (file, address) => JSON.parse(await fs.readFile(file, "utf8"))[SLAVE_ID].registers[address];
+
+const registers = () => storage.getSlaves()[SLAVE_ID].registers;
+
+const write = (address, value) => {
+	storage.writeValues(SLAVE_ID, "registers", address, [value], "api");
+	storage.saveSlaves();
+};
+
+const cases = [
+	{
+		name: "Writes within the save delay are saved together",
+		async run() {
+			for (let value = 1; value <= 5; value++) {
+				write(value, value);
+			}
+			const pending = !existsSync(slavesFile());
+			const saved = await waitFor(() => existsSync(slavesFile()));
+			await storage.flush();
+			// A second write would have left the first as the backup
+			return pending && saved && (await readSaved(slavesFile(), 5)) === 5 && !existsSync(`${slavesFile()}.bak`);
+		},
+	},
+	{
+		name: "Writes replace the file atomically and keep the previous content as the backup",
+		async run() {
+			write(10, 1234);
+			await sleep(SAVE_DELAY * 2);
+			await storage.flush();
+			return (
+				(await readSaved(slavesFile(), 10)) === 1234 &&
+				(await readSaved(`${slavesFile()}.bak`, 10)) === 0 &&
+				(await readSaved(`${slavesFile()}.bak`, 5)) === 5 &&
+				!existsSync(`${slavesFile()}.tmp`)
+			);
+		},
+	},
+	{
+		name: "flush() writes a pending save at once",
+		async run() {
+			await storage.updateStorageSettings({ format: "json", saveDelay: 60000 });
+			write(11, 4321);
+			const pending = (await readSaved(slavesFile(), 11)) === 0;
+			await storage.flush();
+			return pending && (await readSaved(slavesFile(), 11)) === 4321;
+		},
+	},
+	{
+		name: "A restart loads the saved tables",
+		async run() {
+			await storage.initialize();
+			return registers()[5] === 5 && registers()[10] === 1234 && registers()[11] === 4321;
+		},
+	},
+	{
+		name: "A corrupt data file is recovered from its backup and kept aside",
+		async run() {
+			write(12, 7);
+			await storage.flush();
+			const backup = await fs.readFile(`${slavesFile()}.bak`);
+			const truncated = (await fs.readFile(slavesFile())).slice(0, 50);
+			await fs.writeFile(slavesFile(), truncated);
+
+			await storage.initialize();
+			const recovered = registers()[11] === 4321 && registers()[12] === 0;
+			const keptAside = Buffer.compare(await fs.readFile(`${slavesFile()}.corrupt`), truncated) === 0;
+			// The recovered data is written back without the corrupt file replacing the good backup
+			await storage.flush();
+			const rewritten = (await readSaved(slavesFile(), 11)) === 4321;
+			return recovered && keptAside && rewritten && Buffer.compare(await fs.readFile(`${slavesFile()}.bak`), backup) === 0;
+		},
+	},
+	{
+		name: "Switching to the binary format replaces the JSON file",
+		async run() {
+			await storage.updateStorageSettings({ format: "binary", saveDelay: SAVE_DELAY });
+			const binaryFile = dataPath("slaves.bin");
+			const switched = existsSync(binaryFile) && !existsSync(slavesFile()) && !existsSync(`${slavesFile()}.bak`);
+
+			await storage.initialize();
+			return switched && registers()[10] === 1234 && registers()[11] === 4321;
+		},
+	},
+	{
+		name: "Binary files pack the tables and refuse a damaged checksum",
+		run() {
+			const slaves = { [SLAVE_ID]: { layout: { indoorCount: 2 }, coils: [1, 0, 1, 1, 0, 0, 0, 0, 1], discreteInputs: [0, 1], registers: [0, 1, 0xffff], inputRegisters: [] } };
+			const binary = encodeSlaves(slaves, "binary");
+			const decoded = decodeSlaves(binary);
+			const compact = encodeSlaves(slaves, "compact");
+
+			const damaged = Buffer.from(binary);
+			damaged[20] ^= 0xff;
+			let refused = false;
+			try {
+				decodeSlaves(damaged);
+			} catch (err) {
+				refused = err.message === "Checksum mismatch";
+			}
+			return (
+				JSON.stringify(decoded) === JSON.stringify(slaves) &&
+				!compact.includes("\n") &&
+				JSON.stringify(decodeSlaves(Buffer.from(compact))) === JSON.stringify(slaves) &&
+				refused
+			);
+		},
+	},
+	{
+		name: "A corrupt config is recovered from its backup",
+		async run() {
+			await storage.updateConfig({ modbusUdp: { enabled: false, port: 15555 } });
+			await storage.updateConfig({ modbusUdp: { enabled: false, port: 15556 } });
+			await fs.writeFile(configPath(), "{");
+
+			await storage.initialize();
+			const saved = JSON.parse(await fs.readFile(configPath(), "utf8"));
+			return storage.getConfig().modbusUdp.port === 15555 && saved.modbusUdp.port === 15555 && registers()[10] === 1234;
+		},
+	},
+	{
+		name: "Storage settings are validated",
+		run() {
+			return (
+				parseStorageSettings({ format: "xml" }).error === "format must be one of json, compact, binary" &&
+				/^saveDelay/.test(parseStorageSettings({ saveDelay: "-1" }).error) &&
+				parseStorageSettings({ saveDelay: "0" }).settings.saveDelay === 0
+			);
+		},
+	},
+];
+
+runChecks(async (record) => {
+	const dir = await fs.mkdtemp(path.join(os.tmpdir(), "storage-tester-"));
+	setPaths({ dataDir: path.join(dir, "data"), configFile: path.join(dir, "config.json") });
+	await fs.writeFile(configPath(), JSON.stringify({ slaves: [{ id: SLAVE_ID, registerCount: REGISTER_COUNT }], storage: { format: "json", saveDelay: SAVE_DELAY } }));
+	await storage.initialize();
+
+	await runCases(cases, record);
+
+	await storage.flush();
+	await fs.rm(dir, { recursive: true, force: true });
+}, verbose);
@@ -0,0 +1,142 @@
+const net = require("net");
+const ModbusTCP = require("./modules/modbus-tcp");
+const { parseOptions, createMemoryStorage, listen, runChecks } = require("./tester-harness");
+
+// Feeds fragmented, pipelined and corrupt MBAP streams to a running emulator
+// and checks that every complete request is answered once, in order. With --local
+// the Modbus TCP transport is started in-process on an in-memory slave instead.
+//
+// Usage: node stream-tester.js [host] [port] [unitId]
+//        node stream-tester.js --local [--verbose] [--port <port>]
+const LOCAL = process.argv.includes("--local");
+const { verbose, port: LOCAL_PORT } = parseOptions(15512);
+const HOST = LOCAL ? "127.0.0.1" : process.argv[2] || "127.0.0.1";
+const PORT = LOCAL ? LOCAL_PORT : parseInt(process.argv[3], 10) || 8502;
+const UNIT_ID = LOCAL ? 1 : parseInt(process.argv[4], 10) || 1;
+
+/**
+ * Builds a Read Holding Registers (0x03) request frame.
+ *
+ * @param {number} transactionId - MBAP transaction identifier.
+ * @param {number} startAddress - The starting register address.
+ * @returns {Buffer} - The complete MBAP frame.
+ */
+function readRequest(transactionId, startAddress) {
+	const frame = Buffer.alloc(12);
+	frame.writeUInt16BE(transactionId, 0);
+	frame.writeUInt16BE(0, 2);
+	frame.writeUInt16BE(6, 4);
+	frame.writeUInt8(UNIT_ID, 6);
+	frame.writeUInt8(0x03, 7);
+	frame.writeUInt16BE(startAddress, 8);
+	frame.writeUInt16BE(1, 10);
+	return frame;
+}
+
+/**
+ * Opens a connection, writes the given chunks with a pause between them and
+ * collects the transaction IDs of the responses until the server goes quiet.
+ *
+ * @param {Buffer[]} chunks - The raw byte chunks to write.
+ * @returns {Promise<{transactionIds: number[], closed: boolean}>}
+ */
+function exchange(chunks) {
+	return new Promise((resolve, reject) => {
+		const socket = net.connect(PORT, HOST);
+		const transactionIds = [];
+		let received = Buffer.alloc(0);
+		let closed = false;
+		let idleTimer = null;
+
+		const finish = () => {
+			clearTimeout(idleTimer);
+			socket.destroy();
+			resolve({ transactionIds, closed });
+		};
+
+		socket.on("connect", async () => {
+			for (const chunk of chunks) {
+				if (closed) break;
+				socket.write(chunk);
+				await new Promise((r) => setTimeout(r, 50));
+			}
+			idleTimer = setTimeout(finish, 300);
+		});
+
+		socket.on("data", (data) => {
+			received = Buffer.concat([received, data]);
+			while (received.length >= 6 && received.length >= 6 + received.readUInt16BE(4)) {
+				transactionIds.push(received.readUInt16BE(0));
+				received = received.slice(6 + received.readUInt16BE(4));
+			}
+		});
+
+		socket.on("close", () => {
+			closed = true;
+		});
+
+		socket.on("error", reject);
+	});
+}
+
+const cases = [
+	{
+		name: "frame split in two packets",
+		chunks: () => {
+			const frame = readRequest(1, 0);
+			return [frame.slice(0, 5), frame.slice(5)];
+		},
+		expected: [1],
+	},
+	{
+		name: "frame split byte by byte",
+		chunks: () => [...readRequest(2, 0)].map((byte) => Buffer.from([byte])),
+		expected: [2],
+	},
+	{
+		name: "three pipelined frames in one packet",
+		chunks: () => [Buffer.concat([readRequest(3, 0), readRequest(4, 1), readRequest(5, 2)])],
+		expected: [3, 4, 5],
+	},
+	{
+		name: "pipelined frames split across packet boundaries",
+		chunks: () => {
+			const stream = Buffer.concat([readRequest(6, 0), readRequest(7, 1), readRequest(8, 2)]);
+			return [stream.slice(0, 17), stream.slice(17, 30), stream.slice(30)];
+		},
+		expected: [6, 7, 8],
+	},
+	{
+		name: "truncated frame is not answered",
+		chunks: () => [readRequest(9, 0).slice(0, 10)],
+		expected: [],
+	},
+	{
+		name: "oversized length field closes the connection",
+		chunks: () => {
+			const frame = readRequest(10, 0);
+			frame.writeUInt16BE(1000, 4);
+			return [Buffer.concat([readRequest(11, 0), frame])];
+		},
+		expected: [11],
+		closed: true,
+	},
+];
+
+runChecks(async (record) => {
+	const server = LOCAL ? new ModbusTCP(createMemoryStorage({ slaveIds: [UNIT_ID], registerCount: 100 })) : null;
+	if (server) {
+		server.start(PORT);
+		await listen(server);
+	}
+
+	for (const testCase of cases) {
+		const { transactionIds, closed } = await exchange(testCase.chunks());
+		const ok =
+			JSON.stringify(transactionIds) === JSON.stringify(testCase.expected) &&
+			(testCase.closed === undefined || closed === testCase.closed);
+		record(testCase.name, ok, `responses: [${transactionIds.join(", ")}], closed: ${closed}`);
+	}
+
+	if (server) server.stop();
+}, verbose || !LOCAL);
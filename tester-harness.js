@@ -0,0 +1,143 @@
+// Shared parts of the in-process testers run by `npm test`: the command line options, an in-memory
+// stand-in for the storage module, and running the checks with a PASS/FAIL line each.
+
+/**
+ * Reads the common tester options: --verbose shows the log of the code under test, --port moves the
+ * port (or first port) the tester listens on.
+ *
+ * @param {number} [defaultPort] - Port used without --port.
+ * @returns {{ verbose: boolean, port: number }} - The options.
+ */
+function parseOptions(defaultPort) {
+	const portIndex = process.argv.indexOf("--port");
+	return {
+		verbose: process.argv.includes("--verbose"),
+		port: portIndex > 0 ? Number(process.argv[portIndex + 1]) : defaultPort,
+	};
+}
+
+/**
+ * In-memory stand-in for modules/storage.js with the tables of the given slaves, for the checks of the
+ * Modbus transports. reset() recreates the tables and fills them again.
+ *
+ * @param {object} options - The slaves.
+ * @param {number[]} options.slaveIds - IDs of the slaves.
+ * @param {number} options.registerCount - Length of every table.
+ * @param {Function} [options.fill] - Called with each new slave and its ID to set initial values.
+ * @param {string[]} [options.identification] - Device identification objects, by object ID.
+ * @returns {object} - The storage.
+ */
+function createMemoryStorage({ slaveIds, registerCount, fill = () => {}, identification = ["Samsung", "MIM-B19N", "1.0"] }) {
+	const storage = {
+		slaves: {},
+		reset() {
+			this.slaves = {};
+			slaveIds.forEach((slaveId) => {
+				const slave = {
+					coils: new Array(registerCount).fill(0),
+					discreteInputs: new Array(registerCount).fill(0),
+					registers: new Array(registerCount).fill(0),
+					inputRegisters: new Array(registerCount).fill(0),
+				};
+				fill(slave, slaveId);
+				this.slaves[slaveId] = slave;
+			});
+		},
+		getSlaves() {
+			return this.slaves;
+		},
+		writeValues(slaveId, table, start, values) {
+			values.forEach((value, i) => (this.slaves[slaveId][table][start + i] = value));
+		},
+		writeWithRules(slaveId, table, start, values) {
+			this.writeValues(slaveId, table, start, values);
+			return null;
+		},
+		async saveSlaves() {},
+		getDeviceIdentification() {
+			return identification;
+		},
+	};
+	storage.reset();
+	return storage;
+}
+
+/**
+ * Waits until a condition holds.
+ *
+ * @param {Function} condition - Returns truthy when done.
+ * @param {number} wait - Milliseconds to wait before resolving with false.
+ * @returns {Promise<boolean>} - Whether the condition was met.
+ */
+function waitFor(condition, wait = 2000) {
+	return new Promise((resolve) => {
+		const started = Date.now();
+		const check = () => {
+			if (condition()) return resolve(true);
+			if (Date.now() - started > wait) return resolve(false);
+			setTimeout(check, 20);
+		};
+		check();
+	});
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves once a started network transport (its `server`) listens
+const listen = (transport) => new Promise((resolve) => (transport.server.listening ? resolve() : transport.server.once("listening", resolve)));
+
+/**
+ * Runs { name, run } cases one by one and records whether each returned truthy. A case that throws fails.
+ *
+ * @param {object[]} cases - The cases; run() may return a promise.
+ * @param {Function} record - Record function of runChecks.
+ * @param {Function} [before] - Called before every case.
+ */
+async function runCases(cases, record, before = () => {}) {
+	for (const testCase of cases) {
+		let ok = false;
+		try {
+			before();
+			ok = await testCase.run();
+		} catch (err) {
+			ok = false;
+		}
+		record(testCase.name, !!ok);
+	}
+}
+
+/**
+ * Runs the checks of a tester, prints a PASS or FAIL line for each and the summary, and exits with 1 when
+ * any failed. The console output of the code under test is hidden unless verbose.
+ *
+ * @param {Function} checks - Called with record(name, ok, detail); may return a promise.
+ * @param {boolean} verbose - Whether to keep the console output of the code under test.
+ */
+async function runChecks(checks, verbose) {
+	const log = console.log;
+	const error = console.error;
+	if (!verbose) {
+		console.log = () => {};
+		console.error = () => {};
+	}
+
+	const results = [];
+	const record = (name, ok, detail) => {
+		results.push(ok);
+		log(`${ok ? "PASS" : "FAIL"} ${name}${ok || !detail ? "" : ` (${detail})`}`);
+	};
+
+	try {
+		await checks(record);
+	} catch (err) {
+		record("Tester run", false, err.message);
+	}
+	console.log = log;
+	console.error = error;
+
+	const failures = results.filter((ok) => !ok).length;
+	console.log(`${results.length - failures}/${results.length} passed`);
+	process.exit(failures > 0 ? 1 : 0);
+}
+
+module.exports = { parseOptions, createMemoryStorage, waitFor, sleep, listen, runCases, runChecks };